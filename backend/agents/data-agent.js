@@ -1,7 +1,8 @@
 const cron = require('node-cron');
 const TickData = require('../models/TickData');
 const nseFetcher = require('../services/nse-fetcher');
-const dowJonesFetcher = require('../services/dow-jones-fetcher');
+const marketData = require('../services/market-data');
+const tradingCalendar = require('../services/trading-calendar');
 
 class DataAgent {
   constructor() {
@@ -38,7 +39,7 @@ class DataAgent {
 
       console.log(`[${istTime.toLocaleString()}] Fetching NSE data... (Market: ${marketOpen ? 'OPEN' : 'CLOSED'})`);
 
-      // Fetch data using smart fetch (tries NSE, falls back to Yahoo Finance)
+      // Fetch quotes through the provider chain (NSE, then Yahoo Finance, then MoneyControl)
       const allData = await nseFetcher.fetchAll();
 
       // Store Nifty 50 data
@@ -52,7 +53,7 @@ class DataAgent {
       // Fetch and store Dow Jones data
       let dowJonesDoc = null;
       try {
-        const dowJonesData = await dowJonesFetcher.fetch();
+        const dowJonesData = await marketData.getQuote('DOWJONES');
         dowJonesDoc = await TickData.create(dowJonesData);
         console.log(`  ✓ Dow Jones:  $${dowJonesData.price.toFixed(2)} (${dowJonesData.metadata.changePercent >= 0 ? '+' : ''}${dowJonesData.metadata.changePercent.toFixed(2)}%)`);
       } catch (error) {
@@ -73,20 +74,7 @@ class DataAgent {
   }
 
   isMarketOpen() {
-    const now = new Date();
-    const hour = now.getHours();
-    const minute = now.getMinutes();
-    const day = now.getDay();
-
-    // Check if weekend
-    if (day === 0 || day === 6) return false;
-
-    // Check market hours (9:15 AM to 3:30 PM IST)
-    const openTime = 9 * 60 + 15; // 9:15 in minutes
-    const closeTime = 15 * 60 + 30; // 15:30 in minutes
-    const currentTime = hour * 60 + minute;
-
-    return currentTime >= openTime && currentTime <= closeTime;
+    return tradingCalendar.isOpen();
   }
 }
 
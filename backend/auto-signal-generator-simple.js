@@ -1,123 +1,183 @@
 /**
  * SIMPLIFIED Auto Signal Generator
- * Fetches data directly from APIs (same as frontend)
- * No MongoDB data storage needed - just fetch and generate signals
+ * Candles come from the candle store (ChartData) topped up with the latest bars from the
+ * market data providers, then every active strategy generates a signal from them
  */
 
 require('dotenv').config();
 const connectDB = require('./config/database');
 const TradingSignal = require('./models/TradingSignal');
 const SignalHistory = require('./models/SignalHistory');
-const signalCombiner = require('./services/signal-combiner');
-const dataFetcher = require('./services/simple-data-fetcher');
+const strategyRegistry = require('./services/strategy-registry');
+const candleStore = require('./services/candle-store');
+const paperTrading = require('./services/paper-trading');
+const riskGovernor = require('./services/risk-governor');
+const tradingCalendar = require('./services/trading-calendar');
+const symbolRegistry = require('./services/symbol-registry');
 const cron = require('node-cron');
 
-const SYMBOLS = ['NIFTY50', 'BANKNIFTY', 'DOWJONES'];
+
+/**
+ * Store one strategy's signal: TradingSignal always, SignalHistory for entries the risk governor allows
+ * Only the primary strategy's entries place paper orders
+ */
+async function saveSignal(symbol, signal, candles, candleCount, isPrimary) {
+  const { name } = signal.strategy;
+
+  // Risk guardrails decide whether a BUY/SELL may become an entry (each strategy against its own signals)
+  const riskCheck = await riskGovernor.evaluate(signal);
+  const isEntry = signal.signal.action !== 'HOLD' && riskCheck.allowed;
+
+  const action = signal.signal.action;
+  const confidence = signal.signal.confidence;
+  const bullish = signal.signal.bullishPercentage;
+  const bearish = signal.signal.bearishPercentage;
+
+  console.log(`  [${name}] ${action} - ${confidence.toFixed(1)}% confidence`);
+  console.log(`  📈 Bullish: ${bullish}% | 📉 Bearish: ${bearish}%`);
+
+  // Save to TradingSignal (for live display - latest signal)
+  const signalDoc = new TradingSignal({
+    symbol,
+    strategy: signal.strategy,
+    timeframe: '5m',
+    timestamp: new Date(),
+    currentPrice: signal.currentPrice,
+    signal: signal.signal,
+    levels: signal.levels,
+    indicators: signal.indicators,
+    scoring: signal.scoring,
+    reasoning: signal.reasoning,
+    alerts: signal.alerts,
+    marketRegime: signal.marketRegime,
+    dynamicWeights: signal.dynamicWeights,
+    multiTimeframe: signal.multiTimeframe,
+    dataQuality: signal.dataQuality,
+    status: action === 'HOLD' ? 'EXPIRED' : isEntry ? 'ACTIVE' : 'BLOCKED',  // Track entry signals
+    riskCheck,
+    performance: {
+      outcome: 'PENDING',
+      targetHit: 'NONE'
+    },
+    metadata: {
+      candleCount,
+      source: 'simple-auto-generator',
+      enhancedScoring: true
+    }
+  });
+
+  await signalDoc.save();
+
+  // ONLY save confirmed entry signals to SignalHistory (not HOLD or blocked by a risk rule)
+  // This keeps history clean with actual entry opportunities
+  if (isEntry) {
+    const historyDoc = new SignalHistory({
+      symbol,
+      strategy: signal.strategy,
+      timeframe: '5m',
+      marketTime: new Date(),
+      signal: {
+        action: signal.signal.action,
+        strength: signal.signal.strength,
+        confidence: signal.signal.confidence,
+        confidenceLevel: signal.signal.confidenceLevel
+      },
+      price: signal.currentPrice,
+      levels: signal.levels,
+      scoring: signal.scoring,
+      multiTimeframe: signal.multiTimeframe,
+      dataQuality: signal.dataQuality,
+      reasoning: signal.reasoning,
+      metadata: {
+        candlesAnalyzed: candleCount,
+        indicatorsUsed: Object.keys(signal.indicators || {}).length,
+        processingTime: 0
+      }
+    });
+
+    await historyDoc.save();
+    console.log(`  💾 Saved to history: ${action} @ ${signal.currentPrice.toFixed(2)}`);
+
+    // Paper order when the paper account auto-trades (fills against the latest candle)
+    if (isPrimary) {
+      try {
+        const paperOrder = await paperTrading.placeSignalOrder(signalDoc);
+        if (paperOrder) {
+          await paperTrading.processSymbol(symbol, candles);
+        }
+      } catch (error) {
+        console.log(`  ⚠️  Paper order failed: ${error.message}`);
+      }
+    }
+  }
+
+  if (action !== 'HOLD' && !isEntry) {
+    console.log(`  🚫 ${action} blocked by risk rule ${riskCheck.rule}: ${riskCheck.reason}`);
+  } else if (action !== 'HOLD') {
+    console.log(`  ✅ ${action} @ $${signal.currentPrice.toFixed(2)}`);
+    console.log(`     Entry: ${signal.levels.entry.toFixed(2)} | SL: ${signal.levels.stopLoss.toFixed(2)}`);
+  } else {
+    console.log(`  ⏸️  No entry - market ranging`);
+  }
+}
 
 async function generateSignals(triggeredBy = 'schedule') {
   try {
     const istTime = new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
     console.log(`\n[${istTime}] 🔍 Generating signals (${triggeredBy})...`);
 
-    for (const symbol of SYMBOLS) {
+    // Scheduled runs only trade NSE indices while the exchange is open (holidays and special sessions included)
+    const nseOpen = tradingCalendar.isOpen();
+
+    // Active strategies run side by side; the first one (primary) places paper orders
+    const strategies = strategyRegistry.getActive();
+    const primary = strategies[0];
+    const minCandles = Math.max(50, strategyRegistry.getRequiredBars(strategies));
+
+    // Symbols flagged for signals in the registry (re-read each run, so edits apply without a restart)
+    for (const symbol of symbolRegistry.getSymbols({ signals: true })) {
+      if (triggeredBy !== 'initial' && !nseOpen && symbolRegistry.usesNseCalendar(symbol)) {
+        console.log(`\n💤 ${symbol}: NSE closed`);
+        continue;
+      }
+
       try {
         console.log(`\n📊 ${symbol}:`);
 
-        // Fetch fresh data from API (same as frontend)
-        const candles = await dataFetcher.fetch(symbol);
+        // Stored candles plus the freshly fetched tail
+        const candles = await candleStore.getCandles(symbol);
 
-        if (!candles || candles.length < 50) {
-          console.log(`  ⏳ Not enough data (${candles?.length || 0}/50 candles)`);
+        if (!candles || candles.length < minCandles) {
+          console.log(`  ⏳ Not enough data (${candles?.length || 0}/${minCandles} candles)`);
           continue;
         }
 
         // Sort by timestamp
         candles.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 
-        // Use last 100 candles for analysis
-        const recentCandles = candles.slice(-100);
+        // Use last 100 candles for analysis (more if a strategy needs them)
+        const recentCandles = candles.slice(-Math.max(100, minCandles));
 
-        // Generate signal
-        const signal = await signalCombiner.generateSignal(recentCandles, {
+        // Every active strategy scores the same candles
+        const results = await strategyRegistry.evaluateAll(strategies, recentCandles, {
           symbol,
           timeframe: '5m',
-          minConfidence: 0 // Generate all signals
+          minConfidence: 0, // Generate all signals
+          history: candles, // Full fetch - enough 5m bars to resample 1h/daily views
+          now: new Date()   // Live run - reject a stale last bar
         });
 
-        if (!signal || !signal.signal) {
-          console.log(`  ❌ Signal generation returned invalid data`);
-          continue;
-        }
-
-        const action = signal.signal.action;
-        const confidence = signal.signal.confidence;
-        const bullish = signal.signal.bullishPercentage;
-        const bearish = signal.signal.bearishPercentage;
-
-        console.log(`  ${action} - ${confidence.toFixed(1)}% confidence`);
-        console.log(`  📈 Bullish: ${bullish}% | 📉 Bearish: ${bearish}%`);
-
-        // Save to TradingSignal (for live display - latest signal)
-        const signalDoc = new TradingSignal({
-          symbol,
-          timeframe: '5m',
-          timestamp: new Date(),
-          currentPrice: signal.currentPrice,
-          signal: signal.signal,
-          levels: signal.levels,
-          indicators: signal.indicators,
-          scoring: signal.scoring,
-          reasoning: signal.reasoning,
-          alerts: signal.alerts,
-          marketRegime: signal.marketRegime,
-          dynamicWeights: signal.dynamicWeights,
-          status: action !== 'HOLD' ? 'ACTIVE' : 'EXPIRED',  // Track entry signals
-          performance: {
-            outcome: 'PENDING',
-            targetHit: 'NONE'
-          },
-          metadata: {
-            candleCount: recentCandles.length,
-            source: 'simple-auto-generator',
-            enhancedScoring: true
+        for (const { strategy, signal, error } of results) {
+          if (error || !signal || !signal.signal) {
+            console.log(`  ❌ ${strategy.name}: ${error || 'Signal generation returned invalid data'}`);
+            continue;
           }
-        });
 
-        await signalDoc.save();
-
-        // ONLY save confirmed entry signals to SignalHistory (not HOLD)
-        // This keeps history clean with actual entry opportunities
-        if (action !== 'HOLD') {
-          const historyDoc = new SignalHistory({
-            symbol,
-            timeframe: '5m',
-            marketTime: new Date(),
-            signal: {
-              action: signal.signal.action,
-              strength: signal.signal.strength,
-              confidence: signal.signal.confidence,
-              confidenceLevel: signal.signal.confidenceLevel
-            },
-            price: signal.currentPrice,
-            levels: signal.levels,
-            scoring: signal.scoring,
-            reasoning: signal.reasoning,
-            metadata: {
-              candlesAnalyzed: recentCandles.length,
-              indicatorsUsed: Object.keys(signal.indicators || {}).length,
-              processingTime: 0
-            }
-          });
-
-          await historyDoc.save();
-          console.log(`  💾 Saved to history: ${action} @ ${signal.currentPrice.toFixed(2)}`);
-        }
-
-        if (action !== 'HOLD') {
-          console.log(`  ✅ ${action} @ $${signal.currentPrice.toFixed(2)}`);
-          console.log(`     Entry: ${signal.levels.entry.toFixed(2)} | SL: ${signal.levels.stopLoss.toFixed(2)}`);
-        } else {
-          console.log(`  ⏸️  No entry - market ranging`);
+          try {
+            await saveSignal(symbol, signal, candles, recentCandles.length, strategy.name === primary.name);
+          } catch (error) {
+            console.log(`  ❌ ${strategy.name}: ${error.message}`);
+          }
         }
 
       } catch (error) {
@@ -135,14 +195,16 @@ async function generateSignals(triggeredBy = 'schedule') {
 
 async function start() {
   await connectDB();
+  await symbolRegistry.load();
 
   console.log('═══════════════════════════════════════════════════');
   console.log('  🎯 SIMPLIFIED Auto Signal Generator');
   console.log('═══════════════════════════════════════════════════\n');
-  console.log('✓ Symbols: Nifty 50, Bank Nifty, Dow Jones');
-  console.log('✓ Data Source: MoneyControl & Investing.com (same as frontend)');
+  console.log(`✓ Symbols: ${symbolRegistry.getSymbols({ signals: true }).join(', ')}`);
+  console.log(`✓ Strategies: ${strategyRegistry.getActive().map(strategy => `${strategy.name} v${strategy.version}`).join(', ')}`);
+  console.log('✓ Data Source: market data providers with failover (GET /api/market-data/health)');
   console.log('✓ Update: Every 1 minute (real-time signals)');
-  console.log('✓ No MongoDB data storage - fetch fresh every time');
+  console.log('✓ Candle store: only new bars are fetched, history is read from ChartData');
   console.log('✓ Press Ctrl+C to stop\n');
 
   // Generate immediately
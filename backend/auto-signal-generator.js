@@ -7,20 +7,17 @@ require('dotenv').config();
 const connectDB = require('./config/database');
 const ChartData = require('./models/ChartData');
 const TradingSignal = require('./models/TradingSignal');
-const signalCombiner = require('./services/signal-combiner');
+const strategyRegistry = require('./services/strategy-registry');
 const signalTracker = require('./services/signal-tracker');
+const tradingCalendar = require('./services/trading-calendar');
+const symbolRegistry = require('./services/symbol-registry');
 const cron = require('node-cron');
 
-const SYMBOLS = ['NIFTY50', 'BANKNIFTY', 'DOWJONES'];
 const TIMEFRAMES = ['1m', '5m', '15m', '30m', '1h'];
 const MIN_CANDLES = 5; // Lowered for faster signal generation
 
 // Track last signal prices for price-change detection
-const lastSignalPrices = {
-  NIFTY50: null,
-  BANKNIFTY: null,
-  DOWJONES: null
-};
+const lastSignalPrices = {};
 
 // Minimum price change (%) to trigger signal regeneration
 const PRICE_CHANGE_THRESHOLD = 0.3; // 0.3% price movement triggers new signal
@@ -33,16 +30,103 @@ function shouldGenerateSignal(symbol, currentPrice) {
   return priceChange >= PRICE_CHANGE_THRESHOLD;
 }
 
+/**
+ * Save a strategy's best signal to the database if confidence is high enough
+ */
+async function saveBestSignal(symbol, strategyName, bestSignal) {
+  const bestConfidence = bestSignal ? bestSignal.signal.confidence : 0;
+
+  if (bestSignal && bestConfidence >= 50) {
+    try {
+      // Build comprehensive reasoning
+      const entryReasoning = [
+        `🎯 ${bestSignal.signal.action} Signal Generated`,
+        `Strategy: ${strategyName} v${bestSignal.strategy.version}`,
+        `Timeframe: ${bestSignal.timeframe}`,
+        `Confidence: ${bestConfidence.toFixed(1)}% (${bestSignal.signal.strength})`,
+        '',
+        '📊 Entry Basis:',
+        ...bestSignal.reasoning.slice(0, 5),
+        '',
+        '💰 Trade Levels:',
+        ...(bestSignal.levels.reasoning || [])
+      ];
+
+      const signalDoc = new TradingSignal({
+        symbol,
+        strategy: bestSignal.strategy,
+        timeframe: bestSignal.timeframe,
+        timestamp: new Date(),
+        currentPrice: bestSignal.currentPrice,
+        signal: bestSignal.signal,
+        levels: {
+          entry: bestSignal.levels.entry,
+          stopLoss: bestSignal.levels.stopLoss,
+          target1: bestSignal.levels.target1,
+          target2: bestSignal.levels.target2,
+          target3: bestSignal.levels.target3,
+          riskRewardRatio: bestSignal.levels.riskRewardRatio
+        },
+        indicators: bestSignal.indicators,
+        scoring: bestSignal.scoring,  // Include category scores
+        reasoning: entryReasoning,
+        alerts: bestSignal.alerts,
+        // ENHANCED: Include market regime detection results
+        marketRegime: bestSignal.marketRegime,
+        // ENHANCED: Include dynamic weights used
+        dynamicWeights: bestSignal.dynamicWeights,
+        dataQuality: bestSignal.dataQuality,
+        metadata: {
+          candleCount: bestSignal.metadata?.candleCount || 0,
+          source: 'auto-signal-generator',
+          supportLevels: bestSignal.levels.supportLevels,
+          resistanceLevels: bestSignal.levels.resistanceLevels,
+          enhancedScoring: true  // Flag for enhanced scoring system
+        }
+      });
+
+      await signalDoc.save();
+
+      // Update last signal price for price-change detection
+      lastSignalPrices[symbol] = bestSignal.currentPrice;
+
+      console.log(`\n  ✅ SIGNAL SAVED [${strategyName}]: ${bestSignal.signal.action} @ ₹${bestSignal.currentPrice.toFixed(2)}`);
+      console.log(`     Confidence: ${bestConfidence.toFixed(1)}% | Timeframe: ${bestSignal.timeframe}`);
+      console.log(`     Entry: ₹${bestSignal.levels.entry.toFixed(2)} | SL: ₹${bestSignal.levels.stopLoss.toFixed(2)}`);
+      console.log(`     Targets: ₹${bestSignal.levels.target1.toFixed(2)}, ₹${bestSignal.levels.target2.toFixed(2)}, ₹${bestSignal.levels.target3.toFixed(2)}`);
+
+    } catch (error) {
+      console.error(`  ❌ Error saving signal [${strategyName}]: ${error.message}`);
+    }
+  } else if (bestSignal) {
+    console.log(`\n  ⚠️  [${strategyName}] Signal confidence too low (${bestConfidence.toFixed(1)}% < 50%)`);
+  } else {
+    console.log(`\n  ⏸️  [${strategyName}] No actionable signals (all HOLD)`);
+  }
+}
+
 async function generateSignals(triggeredBy = 'schedule') {
   try {
     const istTime = new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
     console.log(`\n[${istTime}] 🔍 Analyzing market (triggered by: ${triggeredBy})...`);
 
-    for (const symbol of SYMBOLS) {
+    // Scheduled runs only analyze NSE indices while the exchange is open
+    const nseOpen = tradingCalendar.isOpen();
+
+    // Active strategies run side by side on every timeframe
+    const strategies = strategyRegistry.getActive();
+
+    // Symbols flagged for signals in the registry (re-read each run, so edits apply without a restart)
+    for (const symbol of symbolRegistry.getSymbols({ signals: true })) {
+      if (triggeredBy !== 'initial' && !nseOpen && symbolRegistry.usesNseCalendar(symbol)) {
+        console.log(`\n💤 ${symbol}: NSE closed`);
+        continue;
+      }
+
       console.log(`\n📊 ${symbol}:`);
 
-      let bestSignal = null;
-      let bestConfidence = 0;
+      // Best actionable signal across timeframes, per strategy
+      const best = {};
 
       // Analyze each timeframe
       for (const timeframe of TIMEFRAMES) {
@@ -61,22 +145,29 @@ async function generateSignals(triggeredBy = 'schedule') {
           // Reverse to chronological order
           candles.reverse();
 
-          // Generate signal for this timeframe
-          const signal = await signalCombiner.generateSignal(candles, {
+          // Generate a signal for this timeframe with every active strategy
+          const results = await strategyRegistry.evaluateAll(strategies, candles, {
             symbol,
             timeframe,
-            minConfidence: 0 // Generate all signals for analysis
+            minConfidence: 0, // Generate all signals for analysis
+            now: new Date()
           });
 
-          const confidence = signal.signal.confidence;
-          const action = signal.signal.action;
+          for (const { strategy, signal, error } of results) {
+            if (error) {
+              console.log(`  ${timeframe} [${strategy.name}]: ❌ ${error}`);
+              continue;
+            }
+
+            const confidence = signal.signal.confidence;
+            const action = signal.signal.action;
 
-          console.log(`  ${timeframe}: ${action} (${confidence.toFixed(1)}%) - ${signal.signal.strength}`);
+            console.log(`  ${timeframe} [${strategy.name}]: ${action} (${confidence.toFixed(1)}%) - ${signal.signal.strength}`);
 
-          // Track best signal across timeframes
-          if (confidence > bestConfidence && action !== 'HOLD') {
-            bestSignal = signal;
-            bestConfidence = confidence;
+            // Track best signal across timeframes
+            if (action !== 'HOLD' && confidence > (best[strategy.name]?.signal.confidence || 0)) {
+              best[strategy.name] = signal;
+            }
           }
 
         } catch (error) {
@@ -84,70 +175,8 @@ async function generateSignals(triggeredBy = 'schedule') {
         }
       }
 
-      // Save best signal to database if confidence is high enough
-      if (bestSignal && bestConfidence >= 50) {
-        try {
-          // Build comprehensive reasoning
-          const entryReasoning = [
-            `🎯 ${bestSignal.signal.action} Signal Generated`,
-            `Timeframe: ${bestSignal.timeframe}`,
-            `Confidence: ${bestConfidence.toFixed(1)}% (${bestSignal.signal.strength})`,
-            '',
-            '📊 Entry Basis:',
-            ...bestSignal.reasoning.slice(0, 5),
-            '',
-            '💰 Trade Levels:',
-            ...(bestSignal.levels.reasoning || [])
-          ];
-
-          const signalDoc = new TradingSignal({
-            symbol,
-            timeframe: bestSignal.timeframe,
-            timestamp: new Date(),
-            currentPrice: bestSignal.currentPrice,
-            signal: bestSignal.signal,
-            levels: {
-              entry: bestSignal.levels.entry,
-              stopLoss: bestSignal.levels.stopLoss,
-              target1: bestSignal.levels.target1,
-              target2: bestSignal.levels.target2,
-              target3: bestSignal.levels.target3,
-              riskRewardRatio: bestSignal.levels.riskRewardRatio
-            },
-            indicators: bestSignal.indicators,
-            scoring: bestSignal.scoring,  // Include category scores
-            reasoning: entryReasoning,
-            alerts: bestSignal.alerts,
-            // ENHANCED: Include market regime detection results
-            marketRegime: bestSignal.marketRegime,
-            // ENHANCED: Include dynamic weights used
-            dynamicWeights: bestSignal.dynamicWeights,
-            metadata: {
-              candleCount: bestSignal.metadata?.candleCount || 0,
-              source: 'auto-signal-generator',
-              supportLevels: bestSignal.levels.supportLevels,
-              resistanceLevels: bestSignal.levels.resistanceLevels,
-              enhancedScoring: true  // Flag for enhanced scoring system
-            }
-          });
-
-          await signalDoc.save();
-
-          // Update last signal price for price-change detection
-          lastSignalPrices[symbol] = bestSignal.currentPrice;
-
-          console.log(`\n  ✅ SIGNAL SAVED: ${bestSignal.signal.action} @ ₹${bestSignal.currentPrice.toFixed(2)}`);
-          console.log(`     Confidence: ${bestConfidence.toFixed(1)}% | Timeframe: ${bestSignal.timeframe}`);
-          console.log(`     Entry: ₹${bestSignal.levels.entry.toFixed(2)} | SL: ₹${bestSignal.levels.stopLoss.toFixed(2)}`);
-          console.log(`     Targets: ₹${bestSignal.levels.target1.toFixed(2)}, ₹${bestSignal.levels.target2.toFixed(2)}, ₹${bestSignal.levels.target3.toFixed(2)}`);
-
-        } catch (error) {
-          console.error(`  ❌ Error saving signal: ${error.message}`);
-        }
-      } else if (bestSignal) {
-        console.log(`\n  ⚠️  Signal confidence too low (${bestConfidence.toFixed(1)}% < 50%)`);
-      } else {
-        console.log(`\n  ⏸️  No actionable signals (all HOLD)`);
+      for (const strategy of strategies) {
+        await saveBestSignal(symbol, strategy.name, best[strategy.name] || null);
       }
     }
 
@@ -160,11 +189,13 @@ async function generateSignals(triggeredBy = 'schedule') {
 
 async function start() {
   await connectDB();
+  await symbolRegistry.load();
 
   console.log('═══════════════════════════════════════════════════');
   console.log('  🎯 Auto Signal Generator - Multi-Timeframe Analysis');
   console.log('═══════════════════════════════════════════════════\n');
-  console.log('✓ Analyzing: Nifty 50 & Bank Nifty');
+  console.log(`✓ Analyzing: ${symbolRegistry.getSymbols({ signals: true }).join(', ')}`);
+  console.log(`✓ Strategies: ${strategyRegistry.getActive().map(strategy => `${strategy.name} v${strategy.version}`).join(', ')}`);
   console.log('✓ Timeframes: 1m, 5m, 15m, 30m, 1h');
   console.log('✓ Update Interval: Every 1 minute');
   console.log('✓ Min Confidence: 50% to save signal');
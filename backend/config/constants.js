@@ -1,15 +1,6 @@
 module.exports = {
-  // Indices
-  INDICES: {
-    NIFTY50: 'NIFTY50',
-    BANKNIFTY: 'BANKNIFTY'
-  },
-
-  // NSE Symbols
-  NSE_SYMBOLS: {
-    NIFTY50: '^NSEI',
-    BANKNIFTY: '^NSEBANK'
-  },
+  // Symbols, contract specs (lot/tick size), cost profiles and provider codes live in the
+  // symbol registry (config/symbols.js seeds the Instrument collection)
 
   // Timeframes
   TIMEFRAMES: {
@@ -21,6 +12,11 @@ module.exports = {
     ONE_DAY: '1d'
   },
 
+  // Timeframes candle-resampler can build from 1m/5m candles
+  // Intraday bars are aligned to the 09:15 IST session open (1h: 09:15, 10:15, ... 15:15-15:30),
+  // daily bars start at the open and weekly bars on Monday's open
+  RESAMPLE_TIMEFRAMES: ['1m', '3m', '5m', '10m', '15m', '30m', '75m', '1h', '2h', '1d', '1w'],
+
   // Signal Thresholds
   SIGNAL_THRESHOLDS: {
     STRONG_BUY: 70,
@@ -30,6 +26,17 @@ module.exports = {
     STRONG_SELL: 70
   },
 
+  // Action Thresholds used by signal-combiner determineAction (BALANCED INTRADAY MODE)
+  // Tune with scripts/run-walk-forward.js before changing
+  ACTION_THRESHOLDS: {
+    MIN_CONFIDENCE: 55,             // Below this → HOLD
+    MIN_PERCENT_DIFFERENCE: 10,     // Bullish vs bearish % gap required
+    SCORE: 18,                      // |totalScore| needed for BUY/SELL
+    SCORE_OPTIONS_CONFLICT: 25,     // Required when options data disagrees
+    SCORE_OPTIONS_CONFIRM: 15,      // Required when options data agrees
+    STRONG_SCORE: 45                // STRONG_BUY / STRONG_SELL
+  },
+
   // Indicator Weights - INTRADAY MODE (Optimized for 5m timeframe quick trades)
   // Focus: Momentum + Volume for quick intraday moves
   INDICATOR_WEIGHTS: {
@@ -142,6 +149,227 @@ module.exports = {
     default: 0.85
   },
 
+  // Transaction cost profiles (rates as fraction of turnover, NSE F&O schedule from Oct 2024)
+  // GST applies on brokerage + exchange transaction charges + SEBI fees
+  // No options profile: option charges are levied on the premium, and trades here are priced at the
+  // index level, so premium rates on that turnover would overstate them many times over
+  TRANSACTION_COSTS: {
+    INDEX_FUTURES: {
+      brokeragePerOrder: 20,        // Flat ₹ per executed order (discount broker)
+      brokeragePercent: 0.0003,     // 0.03% cap - lower of flat/percent is charged
+      sttSell: 0.0002,              // 0.02% on sell side
+      exchangeCharges: 0.0000173,   // NSE 0.00173% on both sides
+      gst: 0.18,
+      sebiFees: 0.000001,           // ₹10 per crore on both sides
+      stampDutyBuy: 0.00002,        // 0.002% on buy side
+      slippageTicks: 1              // Adverse ticks per fill
+    },
+    NONE: {
+      brokeragePerOrder: 0,
+      brokeragePercent: 0,
+      sttSell: 0,
+      exchangeCharges: 0,
+      gst: 0,
+      sebiFees: 0,
+      stampDutyBuy: 0,
+      slippageTicks: 0
+    }
+  },
+
+  // Exit policies for tracked signals (trade-manager.js)
+  // partials: fraction of the ORIGINAL position booked when a target is reached
+  // finalTarget: remainder exits here (at the furthest target reached in the same check)
+  // breakevenAfter: stop moves to entry once this target is reached
+  // trail: after this target the stop trails by ATR (close ∓ multiplier × ATR) or Supertrend, only ever tightening
+  // timeExitMinutes: remainder exits at market after this long in the trade (null = hold until market close)
+  EXIT_POLICIES: {
+    FULL_EXIT: {
+      partials: [],
+      finalTarget: 'target1',
+      breakevenAfter: null,
+      trail: null,
+      timeExitMinutes: null
+    },
+    SCALE_OUT: {
+      partials: [
+        { level: 'target1', fraction: 0.5 },
+        { level: 'target2', fraction: 0.25 }
+      ],
+      finalTarget: 'target3',
+      breakevenAfter: 'target1',
+      trail: { after: 'target2', method: 'ATR', period: 14, multiplier: 1.5 },
+      timeExitMinutes: null
+    },
+    SCALE_OUT_SUPERTREND: {
+      partials: [
+        { level: 'target1', fraction: 0.5 }
+      ],
+      finalTarget: 'target3',
+      breakevenAfter: 'target1',
+      trail: { after: 'target2', method: 'SUPERTREND', period: 10, multiplier: 3 },
+      timeExitMinutes: 240
+    }
+  },
+
+  // Policy applied to new positions (EXIT_POLICY env opts into another one)
+  // FULL_EXIT keeps the tracker's original all-out-at-first-target behaviour
+  DEFAULT_EXIT_POLICY: 'FULL_EXIT',
+
+  // Bars where both the stop and a target were touched, in the tracker and backtests (INTRABAR_RULE env overrides)
+  // CONSERVATIVE: stop first
+  // OPTIMISTIC: targets first, remainder out at the stop
+  // LOWER_TIMEFRAME: replay stored 1m candles/ticks of that bar in order, conservative when none exist
+  INTRABAR_RULES: ['CONSERVATIVE', 'OPTIMISTIC', 'LOWER_TIMEFRAME'],
+  DEFAULT_INTRABAR_RULE: 'CONSERVATIVE',
+
+  // Higher-timeframe confluence in the signal combiner
+  // Each timeframe above the trading timeframe is scored on trend (EMA-20) and momentum (RSI-14, MACD);
+  // agreement with the signal direction adds up to MAX_ADJUSTMENT confidence points, disagreement subtracts
+  MTF_CONFLUENCE: {
+    TIMEFRAMES: {                   // Timeframe → weight in the alignment score
+      '15m': 0.3,
+      '1h': 0.35,
+      '1d': 0.35
+    },
+    MIN_BARS: 21,                   // Fewer bars (resampled or stored) → timeframe skipped
+    MAX_BARS: 100,                  // Most recent bars scored per timeframe
+    TREND_WEIGHT: 0.6,              // Timeframe score = trend × 0.6 + momentum × 0.4
+    DIRECTION_THRESHOLD: 20,        // |score| above this counts as BULLISH/BEARISH
+    MAX_ADJUSTMENT: 10              // Confidence points at full agreement/disagreement
+  },
+
+  // Position sizing attached to every BUY/SELL signal (SIZING_* env overrides)
+  // FIXED_FRACTIONAL: risk RISK_PERCENT of capital over the stop distance
+  // FIXED_LOT: always FIXED_LOTS
+  // VOLATILITY: risk RISK_PERCENT of capital over ATR × ATR_MULTIPLIER
+  // KELLY: Kelly fraction from tracked signal results, scaled by KELLY_FRACTION and capped at KELLY_CAP_PERCENT
+  POSITION_SIZING: {
+    METHODS: ['FIXED_FRACTIONAL', 'FIXED_LOT', 'VOLATILITY', 'KELLY'],
+    DEFAULT_METHOD: 'FIXED_FRACTIONAL',
+    CAPITAL: 1000000,               // ₹ account size signals are sized for
+    RISK_PERCENT: 1,
+    FIXED_LOTS: 1,
+    ATR_MULTIPLIER: 1.5,
+    KELLY_FRACTION: 0.5,            // Half-Kelly
+    KELLY_CAP_PERCENT: 2,           // Never risk more than this % of capital
+    KELLY_MIN_TRADES: 20,           // Fewer closed signals → fixed-fractional instead
+    KELLY_LOOKBACK_DAYS: 90,
+    MAX_LOTS: 50
+  },
+
+  // Risk guardrails between signal generation and persistence (RISK_* env overrides, 0 disables a rule)
+  // Loss limits count closed SignalHistory entries of the current IST day
+  RISK_GUARDRAILS: {
+    MAX_CONSECUTIVE_LOSSES: 3,      // Suspend new entries for the day after this many losses in a row
+    DAILY_LOSS_LIMIT: 15000,        // ₹ net loss across symbols that suspends entries for the day
+    MAX_SIGNALS_PER_SYMBOL: 10,     // BUY/SELL signals recorded per symbol per day
+    COOLDOWN_MINUTES: 30            // No new entry on a symbol this long after it was stopped out
+  },
+
+  // Paper trading account (PAPER_* env overrides)
+  PAPER_TRADING: {
+    INITIAL_CAPITAL: 500000,        // ₹ virtual capital for a new account
+    MARGIN_PERCENT: 0.12,           // Approx. SPAN + exposure margin on index futures notional
+    AUTO_TRADE_LOTS: 1,
+    AUTO_TRADE_MIN_CONFIDENCE: 60,
+    AUTO_TRADE_TARGET: 'target1',   // Signal level used for the bracket target
+    TIMEFRAME: '5m',                // Candles orders are filled against
+    CHECK_INTERVAL_MS: 60000
+  },
+
+  // Signal strategies (services/strategy-registry.js, STRATEGIES env override: comma-separated names)
+  // Every active strategy runs in the signal generators, backtests and replays; the first one is
+  // primary - its entries place paper orders and it is what the dashboard shows by default
+  STRATEGIES: {
+    ACTIVE: ['combiner'],
+    UNTAGGED: 'combiner'            // Strategy of signals and runs stored before they were tagged
+  },
+
+  // Watchlists and the scanner (services/watchlist-manager.js, services/scanner.js)
+  // A user without watchlists gets DEFAULT_NAME holding every active registry symbol
+  WATCHLISTS: {
+    DEFAULT_NAME: 'Indices',
+    MAX_SYMBOLS: 50,
+    SCAN_LOOKBACK: 100,             // Candles passed to the signal combiner (history goes to confluence)
+    SCAN_MIN_CANDLES: 50            // Fewer and the symbol is reported as not scanned
+  },
+
+  // Candle checks in front of signal generation (services/data-quality.js, DATA_QUALITY_<CHECK> env overrides)
+  // Action per check: REPAIR (fix the series and note it), FLAG (note only), REJECT (no signal), OFF
+  // STALE_BAR has no safe repair - REPAIR behaves like FLAG
+  DATA_QUALITY: {
+    ACTIONS: ['REPAIR', 'FLAG', 'REJECT', 'OFF'],
+    CHECKS: {
+      DUPLICATES: 'REPAIR',         // Same timestamp twice → keep the last one
+      OHLC: 'REPAIR',               // High below open/close or low above them → widen the range (unusable bars dropped)
+      SPIKES: 'FLAG',               // Move from the previous close > SPIKE_MULTIPLIER × median bar range → clip to that limit
+      GAPS: 'FLAG',                 // Missing bars inside a session → fill flat bars at the previous close
+      ZERO_VOLUME: 'FLAG',          // ZERO_VOLUME_RUN+ zero-volume bars in a row (series with volume) → median volume
+      STALE_BAR: 'REJECT'           // Live only: last bar more than STALE_BARS bars old during market hours
+    },
+    SPIKE_MULTIPLIER: 8,
+    ZERO_VOLUME_RUN: 3,
+    STALE_BARS: 3,
+    MAX_REPAIRED_PERCENT: 10        // More changed/filled bars than this → rejected whatever the check actions
+  },
+
+  // Market data providers (services/market-data.js), tried in order with failover
+  // A provider is skipped for COOLDOWN_MS after FAILURE_THRESHOLD consecutive failures
+  // MARKET_DATA_CANDLE_PROVIDERS / MARKET_DATA_QUOTE_PROVIDERS env overrides take comma-separated names
+  // MARKET_DATA_MODE: live (default), fixture (recorded data only, no network), record (live + save fixtures)
+  MARKET_DATA: {
+    MODES: ['live', 'fixture', 'record'],
+    CANDLE_PROVIDERS: ['moneycontrol', 'yahoo', 'investing', 'file'],
+    QUOTE_PROVIDERS: ['nse', 'yahoo', 'moneycontrol', 'file'],
+    SYMBOL_PROVIDERS: {             // Per-symbol order overrides
+      GIFTNIFTY: { candles: ['investing', 'moneycontrol', 'file'] }
+    },
+    LOOKBACK_DAYS: 30,              // Default candle window
+    FAILURE_THRESHOLD: 3,
+    COOLDOWN_MS: 300000,
+    FILE_DIR: 'data/market',        // File provider directory, relative to backend/ (MARKET_DATA_DIR)
+    FIXTURE_DIR: 'fixtures/market-data' // Fixture provider directory (MARKET_DATA_FIXTURE_DIR)
+  },
+
+  // Outbound HTTP (services/http-client.js): per-host rate limit, jittered exponential retries and a
+  // circuit breaker that fails calls fast for BREAKER_COOLDOWN_MS after BREAKER_THRESHOLD failed requests
+  // in a row (the retryable failures - a 4xx answer doesn't count)
+  // HTTP_RETRIES / HTTP_BREAKER_THRESHOLD / HTTP_BREAKER_COOLDOWN_MS env overrides
+  HTTP: {
+    TIMEOUT_MS: 10000,
+    RETRIES: 2,                     // Extra attempts on network errors, timeouts, 429 and 5xx
+    RETRY_BASE_MS: 500,             // Backoff before retry n: random(0, min(RETRY_MAX_MS, RETRY_BASE_MS × 2^n))
+    RETRY_MAX_MS: 5000,
+    BREAKER_THRESHOLD: 5,
+    BREAKER_COOLDOWN_MS: 60000,     // Then one trial request decides (HALF_OPEN)
+    RATE_LIMITS: {                  // Requests per second and burst per host
+      default: { perSecond: 5, burst: 5 },
+      'www.nseindia.com': { perSecond: 1, burst: 3 }
+    }
+  },
+
+  // Shared upstream fetch cache (services/fetch-cache.js) in front of market-data
+  // Concurrent identical requests always share one upstream call; results are reused for the TTL
+  // FETCH_CACHE_CANDLE_TTL_MS / FETCH_CACHE_QUOTE_TTL_MS env overrides (0 = coalesce only)
+  FETCH_CACHE: {
+    CANDLE_TTL_MS: 30000,
+    QUOTE_TTL_MS: 5000,
+    MAX_ENTRIES: 500
+  },
+
+  // Rolling candle store (services/candle-store.js): fetched candles kept in ChartData
+  // CANDLE_STORE=off disables it; CANDLE_STORE_RETENTION_<TIMEFRAME> (e.g. _5M=60) overrides retention
+  CANDLE_STORE: {
+    RETENTION_DAYS: {               // Stored bars older than this are pruned (0 keeps them)
+      '1m': 7,
+      '3m': 15,
+      '5m': 60
+    },
+    DEFAULT_RETENTION_DAYS: 365,    // Every other timeframe
+    HEAD_GAP_DAYS: 4,               // Stored data counts as covering a window starting up to this long before it (weekends, holidays)
+    PRUNE_INTERVAL_MS: 3600000
+  },
+
   // Data Retention
   DATA_RETENTION: {
     TICK_DATA_DAYS: 7,
@@ -0,0 +1,96 @@
+/**
+ * NSE Trading Calendar data (used by services/trading-calendar.js)
+ *
+ * Dates are IST calendar days (YYYY-MM-DD), times are IST (HH:MM).
+ * Update HOLIDAYS and SPECIAL_SESSIONS each year from the NSE holiday circular.
+ */
+
+module.exports = {
+  // Pre-open call auction ahead of the regular session (order entry 09:00-09:08, matching until 09:15)
+  PRE_OPEN: { start: '09:00', end: '09:15' },
+
+  // Equity and F&O trading holidays (weekdays only - weekends are closed anyway)
+  HOLIDAYS: {
+    // 2024
+    '2024-01-22': 'Special Holiday',
+    '2024-01-26': 'Republic Day',
+    '2024-03-08': 'Mahashivratri',
+    '2024-03-25': 'Holi',
+    '2024-03-29': 'Good Friday',
+    '2024-04-11': 'Id-Ul-Fitr (Ramadan Eid)',
+    '2024-04-17': 'Shri Ram Navami',
+    '2024-05-01': 'Maharashtra Day',
+    '2024-05-20': 'General Parliamentary Elections',
+    '2024-06-17': 'Bakri Id',
+    '2024-07-17': 'Moharram',
+    '2024-08-15': 'Independence Day',
+    '2024-10-02': 'Mahatma Gandhi Jayanti',
+    '2024-11-01': 'Diwali Laxmi Pujan',
+    '2024-11-15': 'Gurunanak Jayanti',
+    '2024-11-20': 'Maharashtra Legislative Assembly Elections',
+    '2024-12-25': 'Christmas',
+
+    // 2025
+    '2025-02-26': 'Mahashivratri',
+    '2025-03-14': 'Holi',
+    '2025-03-31': 'Id-Ul-Fitr (Ramadan Eid)',
+    '2025-04-10': 'Shri Mahavir Jayanti',
+    '2025-04-14': 'Dr. Baba Saheb Ambedkar Jayanti',
+    '2025-04-18': 'Good Friday',
+    '2025-05-01': 'Maharashtra Day',
+    '2025-08-15': 'Independence Day',
+    '2025-08-27': 'Ganesh Chaturthi',
+    '2025-10-02': 'Mahatma Gandhi Jayanti/Dussehra',
+    '2025-10-21': 'Diwali Laxmi Pujan',
+    '2025-10-22': 'Balipratipada',
+    '2025-11-05': 'Prakash Gurpurb Sri Guru Nanak Dev',
+    '2025-12-25': 'Christmas',
+
+    // 2026
+    '2026-01-15': 'Municipal Corporation Elections (Maharashtra)',
+    '2026-01-26': 'Republic Day',
+    '2026-03-03': 'Holi',
+    '2026-03-26': 'Shri Ram Navami',
+    '2026-03-31': 'Shri Mahavir Jayanti',
+    '2026-04-03': 'Good Friday',
+    '2026-04-14': 'Dr. Baba Saheb Ambedkar Jayanti',
+    '2026-05-01': 'Maharashtra Day',
+    '2026-05-28': 'Bakri Id',
+    '2026-06-26': 'Muharram',
+    '2026-09-14': 'Ganesh Chaturthi',
+    '2026-10-02': 'Mahatma Gandhi Jayanti',
+    '2026-10-20': 'Dussehra',
+    '2026-11-10': 'Diwali Balipratipada',
+    '2026-11-24': 'Prakash Gurpurb Sri Guru Nanak Dev',
+    '2026-12-25': 'Christmas'
+  },
+
+  // Sessions that replace the regular one for the day - Muhurat trading, Saturday/Sunday budget
+  // sessions, shortened days. They take precedence over HOLIDAYS and weekends.
+  SPECIAL_SESSIONS: {
+    '2024-11-01': { name: 'Muhurat Trading', preOpen: '17:45', open: '18:00', close: '19:00' },
+    '2025-02-01': { name: 'Union Budget', preOpen: '09:00', open: '09:15', close: '15:30' },
+    '2025-10-21': { name: 'Muhurat Trading', preOpen: '13:30', open: '13:45', close: '14:45' },
+    '2026-02-01': { name: 'Union Budget', preOpen: '09:00', open: '09:15', close: '15:30' }
+  },
+
+  // Index option expiry rules, newest first; each applies from its date until the next one
+  // weekday: 0 = Sunday … 6 = Saturday. Weekly series expire every week, monthly on the last
+  // such weekday of the month. An expiry falling on a holiday moves to the previous trading day.
+  EXPIRY_RULES: {
+    NIFTY50: [
+      { from: '2025-09-01', weekday: 2, weekly: true },  // Tuesday
+      { from: '2000-01-01', weekday: 4, weekly: true }   // Thursday
+    ],
+    BANKNIFTY: [
+      { from: '2025-09-01', weekday: 2, weekly: false }, // Monthly only, last Tuesday
+      { from: '2024-11-20', weekday: 4, weekly: false }, // Weekly series discontinued, last Thursday
+      { from: '2000-01-01', weekday: 3, weekly: true }   // Wednesday
+    ]
+  },
+
+  // NSE option symbols → market symbols
+  EXPIRY_ALIASES: {
+    NIFTY: 'NIFTY50'
+  }
+};
@@ -0,0 +1,95 @@
+/**
+ * Default instruments (seeds the Instrument collection - services/symbol-registry.js)
+ *
+ * Entries here are inserted once; after that the database copy wins, so edit live instruments
+ * through /api/symbols (or add new ones there) rather than here.
+ *
+ * providers: code per market data provider (provider name → code); a provider only serves
+ *   symbols it has a code for
+ * calendar: 'NSE' = sessions and holidays come from services/trading-calendar.js; null = no checks
+ * sessionHours: regular session in the exchange's timezone (HH:MM)
+ * derivatives: futures contracts exist (paper trading, cost model lot sizes)
+ * signals: picked up by the scheduled signal generators and the historical backtest
+ */
+
+module.exports = [
+  {
+    symbol: 'NIFTY50',
+    displayName: 'NIFTY 50',
+    exchange: 'NSE',
+    type: 'INDEX',
+    currency: 'INR',
+    sessionHours: { open: '09:15', close: '15:30', timezone: 'Asia/Kolkata' },
+    calendar: 'NSE',
+    lotSize: 75,
+    tickSize: 0.05,
+    freezeQuantity: 1800,
+    costProfile: 'INDEX_FUTURES',
+    providers: {
+      moneycontrol: { code: 'in;NSX', global: false },
+      yahoo: '^NSEI',
+      nse: 'NIFTY 50'
+    },
+    optionSymbol: 'NIFTY',
+    aliases: ['NIFTY 50', 'NIFTY', 'NSE:NIFTY'],
+    derivatives: true,
+    signals: true
+  },
+  {
+    symbol: 'BANKNIFTY',
+    displayName: 'NIFTY BANK',
+    exchange: 'NSE',
+    type: 'INDEX',
+    currency: 'INR',
+    sessionHours: { open: '09:15', close: '15:30', timezone: 'Asia/Kolkata' },
+    calendar: 'NSE',
+    lotSize: 35,
+    tickSize: 0.05,
+    freezeQuantity: 900,
+    costProfile: 'INDEX_FUTURES',
+    providers: {
+      moneycontrol: { code: 'in;nbx', global: false },
+      yahoo: '^NSEBANK',
+      nse: 'NIFTY BANK'
+    },
+    optionSymbol: 'BANKNIFTY',
+    aliases: ['NIFTY BANK', 'BANK NIFTY', 'NSE:BANKNIFTY'],
+    derivatives: true,
+    signals: true
+  },
+  {
+    symbol: 'DOWJONES',
+    displayName: 'Dow Jones Industrial Average',
+    exchange: 'NYSE',
+    type: 'INDEX',
+    currency: 'USD',
+    sessionHours: { open: '09:30', close: '16:00', timezone: 'America/New_York' },
+    calendar: null,
+    lotSize: 1,
+    tickSize: 1,
+    costProfile: 'NONE',
+    providers: {
+      yahoo: '^DJI'
+    },
+    aliases: ['DOW JONES', 'DJI', 'DJIA'],
+    extendedHours: true,   // Bars include pre/post-market trading, like the dashboard chart
+    signals: true
+  },
+  {
+    symbol: 'GIFTNIFTY',
+    displayName: 'GIFT Nifty',
+    exchange: 'NSEIX',
+    type: 'INDEX',
+    currency: 'USD',
+    sessionHours: { open: '06:30', close: '02:45', timezone: 'Asia/Kolkata' },
+    calendar: null,
+    lotSize: 1,
+    tickSize: 0.5,
+    costProfile: 'NONE',
+    providers: {
+      investing: '1209756',
+      moneycontrol: { code: 'in;gsx', global: true }
+    },
+    aliases: ['GIFT NIFTY', 'SGX NIFTY']
+  }
+];
@@ -7,15 +7,15 @@
  */
 
 const optionsDataFetcher = require('../../services/options-data-fetcher');
+const symbolRegistry = require('../../services/symbol-registry');
 
 /**
  * Calculate PCR and OI based signal
  */
 async function calculatePCRSignal(symbol) {
   try {
-    // Map symbol format
-    const nseSymbol = symbol === 'NIFTY50' ? 'NIFTY' :
-                      symbol === 'BANKNIFTY' ? 'BANKNIFTY' : 'NIFTY';
+    // NSE option chain symbol (NIFTY's chain for symbols without options)
+    const nseSymbol = symbolRegistry.get(symbol)?.optionSymbol || 'NIFTY';
 
     // Fetch Options Chain data (includes OI changes)
     const optionsChain = await optionsDataFetcher.fetchOptionsChain(nseSymbol);
@@ -0,0 +1,162 @@
+/**
+ * Backtest Run Model
+ * Stores one backtest execution (config, simulated trades and summary metrics)
+ * Kept separate from SignalHistory so backtests never mix with live signals
+ */
+
+const mongoose = require('mongoose');
+const { RESAMPLE_TIMEFRAMES } = require('../config/constants');
+const symbolRegistry = require('../services/symbol-registry');
+
+const backtestTradeSchema = new mongoose.Schema({
+  action: String,
+  confidence: Number,
+  entryTime: Date,
+  entryPrice: Number,
+  exitTime: Date,
+  exitPrice: Number,
+  levels: {
+    stopLoss: Number,
+    target1: Number,
+    target2: Number,
+    target3: Number,
+    riskRewardRatio: Number
+  },
+  targetHit: {
+    type: String,
+    enum: ['TARGET1', 'TARGET2', 'TARGET3', 'STOPLOSS', 'TIME_EXIT', 'END_OF_DATA', 'NONE'],
+    default: 'NONE'
+  },
+  exitReason: String,            // Type of the leg that closed the position
+  // Fills under the run's exit policy (trade-manager.js) - P/L below is blended over them
+  legs: [{
+    _id: false,
+    type: { type: String },      // TARGET1-3, STOPLOSS, BREAKEVEN, TRAILING_STOP, TIME_EXIT, END_OF_DATA
+    fraction: Number,            // Share of the original position
+    price: Number,
+    time: Date,
+    profitLoss: Number,
+    profitLossPercent: Number,
+    netProfitLoss: Number,
+    netProfitLossPercent: Number,
+    charges: Number
+  }],
+  outcome: {
+    type: String,
+    enum: ['WIN', 'LOSS']
+  },
+  barsHeld: Number,
+  profitLoss: Number,
+  profitLossPercent: Number,
+  netProfitLoss: Number,         // After slippage and charges (points per unit)
+  netProfitLossPercent: Number,
+  costs: {
+    profile: String,
+    quantity: Number,
+    slippagePoints: Number,
+    brokerage: Number,
+    stt: Number,
+    exchangeCharges: Number,
+    gst: Number,
+    sebiFees: Number,
+    stampDuty: Number,
+    totalCharges: Number,        // ₹ for the quantity
+    totalCostPoints: Number
+  }
+}, { _id: false });
+
+const backtestRunSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    validate: symbolRegistry.validator
+  },
+
+  timeframe: {
+    type: String,
+    required: true,
+    enum: RESAMPLE_TIMEFRAMES     // Timeframes without ChartData are resampled from 5m/1m
+  },
+
+  // Strategy whose signals were traded (services/strategy-registry.js)
+  strategy: {
+    name: String,
+    version: String
+  },
+
+  // Runs started together on the same candles, one per strategy
+  batchId: String,
+
+  // Run configuration
+  config: {
+    from: Date,
+    to: Date,
+    lookback: Number,
+    signalInterval: Number,
+    maxHoldingBars: Number,
+    minConfidence: Number,
+    exitPolicy: String,          // EXIT_POLICIES name
+    intrabarRule: String,        // INTRABAR_RULES entry
+    source: {
+      type: String,
+      enum: ['chartdata', 'provided'],
+      default: 'chartdata'
+    }
+  },
+
+  status: {
+    type: String,
+    enum: ['PENDING', 'RUNNING', 'COMPLETED', 'FAILED'],
+    default: 'PENDING'
+  },
+
+  progress: {
+    processedBars: { type: Number, default: 0 },
+    totalBars: { type: Number, default: 0 },
+    percent: { type: Number, default: 0 }
+  },
+
+  // Simulated trades (one per BUY/SELL signal that got filled)
+  trades: [backtestTradeSchema],
+
+  // Summary metrics
+  metrics: {
+    candlesTested: Number,
+    signalsEvaluated: Number,
+    totalTrades: Number,
+    wins: Number,
+    losses: Number,
+    winRate: Number,
+    totalPL: Number,
+    totalPLPercent: Number,
+    avgPL: Number,
+    avgPLPercent: Number,
+    avgWin: Number,
+    avgLoss: Number,
+    totalNetPL: Number,
+    totalNetPLPercent: Number,
+    avgNetPL: Number,
+    avgNetPLPercent: Number,
+    totalCharges: Number,
+    targetBreakdown: {
+      target1: Number,
+      target2: Number,
+      target3: Number,
+      stopLoss: Number,
+      timeExit: Number
+    }
+  },
+
+  error: String,
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+backtestRunSchema.index({ symbol: 1, createdAt: -1 });
+backtestRunSchema.index({ status: 1, createdAt: -1 });
+backtestRunSchema.index({ batchId: 1 });
+
+module.exports = mongoose.model('BacktestRun', backtestRunSchema);
@@ -1,15 +1,17 @@
 const mongoose = require('mongoose');
+const { RESAMPLE_TIMEFRAMES } = require('../config/constants');
+const symbolRegistry = require('../services/symbol-registry');
 
 const chartDataSchema = new mongoose.Schema({
   symbol: {
     type: String,
     required: true,
-    enum: ['NIFTY50', 'BANKNIFTY']
+    validate: symbolRegistry.validator
   },
   timeframe: {
     type: String,
     required: true,
-    enum: ['1m', '5m', '15m', '30m', '1h', '1d']
+    enum: RESAMPLE_TIMEFRAMES
   },
   timestamp: {
     type: Date,
@@ -28,7 +30,9 @@ const chartDataSchema = new mongoose.Schema({
   metadata: {
     tickCount: Number,
     calculatedFrom: Date,
-    calculatedTo: Date
+    calculatedTo: Date,
+    source: String,   // Market data provider the candle came from (candle store)
+    rolling: Boolean  // Written by the candle store - pruned after its retention period
   }
 }, {
   timestamps: true
@@ -0,0 +1,110 @@
+/**
+ * Instrument Model
+ * One tradable symbol: exchange, session, contract size, currency and the code each market
+ * data provider knows it by. Loaded into services/symbol-registry.js at startup.
+ */
+
+const mongoose = require('mongoose');
+
+const CLOCK = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const instrumentSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z0-9&_-]+$/
+  },
+
+  displayName: {
+    type: String,
+    required: true
+  },
+
+  exchange: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+
+  type: {
+    type: String,
+    enum: ['INDEX', 'STOCK'],
+    default: 'INDEX'
+  },
+
+  currency: {
+    type: String,
+    enum: ['INR', 'USD'],
+    default: 'INR'
+  },
+
+  // Regular session in the exchange's timezone
+  sessionHours: {
+    open: { type: String, match: CLOCK },
+    close: { type: String, match: CLOCK },
+    timezone: { type: String, default: 'Asia/Kolkata' }
+  },
+
+  // 'NSE' = trading-calendar sessions and holidays apply; null = not session-checked
+  calendar: {
+    type: String,
+    enum: ['NSE', null],
+    default: null
+  },
+
+  lotSize: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+
+  tickSize: {
+    type: Number,
+    default: 0.05,
+    min: 0
+  },
+
+  freezeQuantity: Number,        // Largest single order the exchange accepts (units)
+
+  costProfile: {
+    type: String,                // TRANSACTION_COSTS profile (or one registered with cost-model)
+    default: 'NONE'
+  },
+
+  // Provider name → code (string, or an object for providers that need more, e.g. moneycontrol)
+  providers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  optionSymbol: String,          // NSE option chain symbol (e.g. NIFTY)
+  aliases: [String],             // Other names in imported files (upper case)
+
+  extendedHours: {
+    type: Boolean,
+    default: false
+  },
+
+  derivatives: {
+    type: Boolean,
+    default: false
+  },
+
+  signals: {
+    type: Boolean,
+    default: false
+  },
+
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+module.exports = mongoose.model('Instrument', instrumentSchema);
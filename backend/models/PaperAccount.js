@@ -0,0 +1,71 @@
+/**
+ * Paper Account Model
+ * Virtual trading account: capital, realized cash balance, net positions per symbol
+ * and the auto-trade settings used for signal orders
+ */
+
+const mongoose = require('mongoose');
+
+const paperPositionSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,                // Units, positive = long, negative = short
+    required: true
+  },
+  avgPrice: {
+    type: Number,
+    required: true
+  },
+  realizedPnL: {
+    type: Number,
+    default: 0
+  },
+  lastPrice: Number,
+  openedAt: Date
+}, { _id: false });
+
+const paperAccountSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  initialCapital: {
+    type: Number,
+    required: true
+  },
+
+  // Capital + realized P/L - charges (open positions are marked separately)
+  cash: {
+    type: Number,
+    required: true
+  },
+
+  realizedPnL: {
+    type: Number,
+    default: 0
+  },
+
+  totalCharges: {
+    type: Number,
+    default: 0
+  },
+
+  positions: [paperPositionSchema],
+
+  autoTrade: {
+    enabled: { type: Boolean, default: false },
+    lots: { type: Number, default: 1 },
+    minConfidence: { type: Number, default: 60 }
+  },
+
+  resetAt: Date
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PaperAccount', paperAccountSchema);
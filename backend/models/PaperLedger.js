@@ -0,0 +1,52 @@
+/**
+ * Paper Ledger Model
+ * One entry per cash movement of a paper account (fills and resets),
+ * grouped by IST trading day for the daily ledger
+ */
+
+const mongoose = require('mongoose');
+
+const paperLedgerSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true
+  },
+
+  date: {
+    type: String,                // IST trading day (YYYY-MM-DD)
+    required: true
+  },
+
+  time: {
+    type: Date,
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: ['FILL', 'RESET'],
+    required: true
+  },
+
+  symbol: String,
+  side: String,
+  quantity: Number,
+  price: Number,
+  realizedPnL: {
+    type: Number,
+    default: 0
+  },
+  charges: {
+    type: Number,
+    default: 0
+  },
+  cashAfter: Number,
+  orderId: mongoose.Schema.Types.ObjectId,
+  remarks: String
+}, {
+  timestamps: true
+});
+
+paperLedgerSchema.index({ account: 1, date: -1, time: 1 });
+
+module.exports = mongoose.model('PaperLedger', paperLedgerSchema);
@@ -0,0 +1,84 @@
+/**
+ * Paper Order Model
+ * Market, limit and stop (SL) orders of a paper account, filled against incoming candles
+ */
+
+const mongoose = require('mongoose');
+const symbolRegistry = require('../services/symbol-registry');
+
+const paperOrderSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  symbol: {
+    type: String,
+    required: true,
+    validate: symbolRegistry.validator
+  },
+
+  side: {
+    type: String,
+    required: true,
+    enum: ['BUY', 'SELL']
+  },
+
+  type: {
+    type: String,
+    required: true,
+    enum: ['MARKET', 'LIMIT', 'SL']
+  },
+
+  lots: {
+    type: Number,
+    required: true
+  },
+
+  quantity: {
+    type: Number,                // Units (lots × lot size)
+    required: true
+  },
+
+  limitPrice: Number,            // LIMIT orders
+  triggerPrice: Number,          // SL orders (stop-market)
+
+  status: {
+    type: String,
+    enum: ['OPEN', 'FILLING', 'FILLED', 'CANCELLED', 'REJECTED'],   // FILLING: claimed by a fill in progress
+    default: 'OPEN'
+  },
+
+  // Exit orders placed once this order fills (one cancels the other)
+  bracket: {
+    stopLoss: Number,
+    target: Number
+  },
+  parentOrder: mongoose.Schema.Types.ObjectId,
+  ocoGroup: String,
+
+  // Candles before this time are ignored (bracket exits start at the entry fill)
+  activeFrom: Date,
+
+  source: {
+    type: String,
+    enum: ['MANUAL', 'SIGNAL', 'BRACKET'],
+    default: 'MANUAL'
+  },
+  signalId: mongoose.Schema.Types.ObjectId,
+
+  fillPrice: Number,
+  filledAt: Date,
+  charges: Number,               // ₹ for this order
+  realizedPnL: Number,           // ₹ booked by this fill (closing part only)
+
+  remarks: String
+}, {
+  timestamps: true
+});
+
+paperOrderSchema.index({ account: 1, status: 1, createdAt: -1 });
+paperOrderSchema.index({ ocoGroup: 1, status: 1 });
+
+module.exports = mongoose.model('PaperOrder', paperOrderSchema);
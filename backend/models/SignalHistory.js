@@ -4,13 +4,14 @@
  */
 
 const mongoose = require('mongoose');
+const symbolRegistry = require('../services/symbol-registry');
 
 const signalHistorySchema = new mongoose.Schema({
   // Symbol info
   symbol: {
     type: String,
     required: true,
-    enum: ['NIFTY50', 'BANKNIFTY', 'DOWJONES']
+    validate: symbolRegistry.validator
   },
 
   // Timeframe
@@ -20,6 +21,12 @@ const signalHistorySchema = new mongoose.Schema({
     enum: ['1m', '5m', '15m', '30m', '1h', '1d']
   },
 
+  // Strategy that produced the signal (services/strategy-registry.js)
+  strategy: {
+    name: String,
+    version: String
+  },
+
   // Market time (for replay)
   marketTime: {
     type: Date,
@@ -47,7 +54,23 @@ const signalHistorySchema = new mongoose.Schema({
     target1: Number,
     target2: Number,
     target3: Number,
-    riskRewardRatio: Number
+    riskRewardRatio: Number,
+    positionSize: {
+      method: String,
+      capital: Number,
+      riskPercent: Number,
+      riskAmount: Number,          // ₹ budget for the trade
+      stopDistance: Number,
+      lotSize: Number,
+      lots: Number,
+      quantity: Number,
+      riskPerLot: Number,
+      actualRisk: Number,          // ₹ lost if the stop is hit (whole lots)
+      actualRiskPercent: Number,
+      freezeQuantity: Number,
+      orderSlices: Number,         // Orders needed under the freeze quantity
+      notes: [String]
+    }
   },
 
   // Indicator scores
@@ -62,6 +85,51 @@ const signalHistorySchema = new mongoose.Schema({
     normalizedScore: Number
   },
 
+  // Higher-timeframe confluence behind the confidence adjustment
+  multiTimeframe: {
+    bias: String,
+    alignment: Number,
+    adjustment: Number,
+    aligned: Number,
+    conflicting: Number,
+    timeframes: [{
+      _id: false,
+      timeframe: String,
+      weight: Number,
+      available: Boolean,
+      bars: Number,
+      source: String,
+      trend: Number,
+      momentum: Number,
+      score: Number,
+      direction: String,
+      emaPosition: String,
+      rsi: Number,
+      macdHistogram: Number
+    }]
+  },
+
+  // Candle data-quality checks run before the indicators (services/data-quality.js)
+  dataQuality: {
+    status: {
+      type: String,
+      enum: ['CLEAN', 'REPAIRED', 'FLAGGED', 'REJECTED']
+    },
+    rejectedBy: String,
+    reason: String,
+    candlesIn: Number,
+    candlesOut: Number,
+    changedBars: Number,
+    checks: [{
+      _id: false,
+      check: String,
+      action: String,
+      outcome: String,
+      issues: Number,
+      detail: String
+    }]
+  },
+
   // Reasoning
   reasoning: [String],
 
@@ -85,11 +153,50 @@ const signalHistorySchema = new mongoose.Schema({
     exitTime: Date,
     targetHit: {
       type: String,
-      enum: ['TARGET1', 'TARGET2', 'TARGET3', 'STOPLOSS', 'NONE'],
+      enum: ['TARGET1', 'TARGET2', 'TARGET3', 'STOPLOSS', 'MARKET_CLOSE', 'TIME_EXIT', 'NONE'],
       default: 'NONE'
     },
     profitLoss: Number,
     profitLossPercent: Number,
+    netProfitLoss: Number,         // After slippage and charges (points per unit)
+    netProfitLossPercent: Number,
+    costs: {
+      profile: String,
+      quantity: Number,
+      slippagePoints: Number,
+      brokerage: Number,
+      stt: Number,
+      exchangeCharges: Number,
+      gst: Number,
+      sebiFees: Number,
+      stampDuty: Number,
+      totalCharges: Number,        // ₹ for the quantity
+      totalCostPoints: Number
+    },
+    // Exit management (trade-manager.js) - P/L above is blended over the legs
+    exitPolicy: String,
+    exitReason: String,            // Type of the leg that closed the position
+    legs: [{
+      _id: false,
+      type: { type: String },      // TARGET1-3, STOPLOSS, BREAKEVEN, TRAILING_STOP, TIME_EXIT, MARKET_CLOSE
+      fraction: Number,            // Share of the original position
+      price: Number,
+      time: Date,
+      profitLoss: Number,
+      profitLossPercent: Number,
+      netProfitLoss: Number,
+      netProfitLossPercent: Number,
+      charges: Number
+    }],
+    position: {
+      openFraction: Number,
+      stop: Number,
+      stopType: { type: String },  // INITIAL, BREAKEVEN, TRAILING
+      targetsHit: [String],
+      trailing: Boolean,
+      openedAt: Date,
+      lastBarTime: Date            // Last completed candle scanned (intrabar high/low)
+    },
     remarks: String
   },
 
@@ -102,6 +209,7 @@ const signalHistorySchema = new mongoose.Schema({
 
 // Indexes for efficient queries
 signalHistorySchema.index({ symbol: 1, marketTime: -1 });
+signalHistorySchema.index({ 'strategy.name': 1, marketTime: -1 });
 signalHistorySchema.index({ createdAt: -1 });
 signalHistorySchema.index({ 'signal.action': 1, 'signal.confidence': -1 });
 
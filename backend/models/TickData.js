@@ -1,10 +1,11 @@
 const mongoose = require('mongoose');
+const symbolRegistry = require('../services/symbol-registry');
 
 const tickDataSchema = new mongoose.Schema({
   symbol: {
     type: String,
     required: true,
-    enum: ['NIFTY50', 'BANKNIFTY', 'DOWJONES']
+    validate: symbolRegistry.validator
   },
   price: {
     type: Number,
@@ -23,6 +24,7 @@ const tickDataSchema = new mongoose.Schema({
     open: Number,
     high: Number,
     low: Number,
+    previousClose: Number,
     change: Number,
     changePercent: Number
   },
@@ -1,10 +1,16 @@
 const mongoose = require('mongoose');
+const symbolRegistry = require('../services/symbol-registry');
 
 const tradingSignalSchema = new mongoose.Schema({
   symbol: {
     type: String,
     required: true,
-    enum: ['NIFTY50', 'BANKNIFTY', 'DOWJONES']
+    validate: symbolRegistry.validator
+  },
+  // Strategy that produced the signal (services/strategy-registry.js)
+  strategy: {
+    name: String,
+    version: String
   },
   timestamp: {
     type: Date,
@@ -57,7 +63,23 @@ const tradingSignalSchema = new mongoose.Schema({
     target1: Number,
     target2: Number,
     target3: Number,
-    riskRewardRatio: Number
+    riskRewardRatio: Number,
+    positionSize: {
+      method: String,
+      capital: Number,
+      riskPercent: Number,
+      riskAmount: Number,          // ₹ budget for the trade
+      stopDistance: Number,
+      lotSize: Number,
+      lots: Number,
+      quantity: Number,
+      riskPerLot: Number,
+      actualRisk: Number,          // ₹ lost if the stop is hit (whole lots)
+      actualRiskPercent: Number,
+      freezeQuantity: Number,
+      orderSlices: Number,         // Orders needed under the freeze quantity
+      notes: [String]
+    }
   },
   indicators: {
     type: Object,
@@ -88,6 +110,49 @@ const tradingSignalSchema = new mongoose.Schema({
     confidence: Number,
     interpretation: String
   },
+  // Higher-timeframe confluence behind the confidence adjustment
+  multiTimeframe: {
+    bias: String,
+    alignment: Number,
+    adjustment: Number,
+    aligned: Number,
+    conflicting: Number,
+    timeframes: [{
+      _id: false,
+      timeframe: String,
+      weight: Number,
+      available: Boolean,
+      bars: Number,
+      source: String,
+      trend: Number,
+      momentum: Number,
+      score: Number,
+      direction: String,
+      emaPosition: String,
+      rsi: Number,
+      macdHistogram: Number
+    }]
+  },
+  // Candle data-quality checks run before the indicators (services/data-quality.js)
+  dataQuality: {
+    status: {
+      type: String,
+      enum: ['CLEAN', 'REPAIRED', 'FLAGGED', 'REJECTED']
+    },
+    rejectedBy: String,
+    reason: String,
+    candlesIn: Number,
+    candlesOut: Number,
+    changedBars: Number,
+    checks: [{
+      _id: false,
+      check: String,
+      action: String,
+      outcome: String,
+      issues: Number,
+      detail: String
+    }]
+  },
   // ENHANCED: Dynamic weights used for this signal
   dynamicWeights: {
     TREND: Number,
@@ -105,10 +170,21 @@ const tradingSignalSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['ACTIVE', 'EXPIRED', 'HIT_TARGET', 'HIT_SL', 'CLOSED_PROFIT', 'CLOSED_LOSS'],
+    enum: ['ACTIVE', 'EXPIRED', 'HIT_TARGET', 'HIT_SL', 'CLOSED_PROFIT', 'CLOSED_LOSS', 'BLOCKED'],
     default: 'ACTIVE'
   },
   expiresAt: Date,
+  // Risk governor decision - BLOCKED signals are shown but never become entries
+  riskCheck: {
+    allowed: Boolean,
+    rule: {
+      type: String,
+      enum: ['DAILY_LOSS_LIMIT', 'CONSECUTIVE_LOSSES', 'MAX_SIGNALS_PER_SYMBOL', 'COOLDOWN']
+    },
+    reason: String,
+    until: Date,
+    checkedAt: Date
+  },
   performance: {
     outcome: {
       type: String,
@@ -120,11 +196,50 @@ const tradingSignalSchema = new mongoose.Schema({
     exitTime: Date,
     targetHit: {
       type: String,
-      enum: ['TARGET1', 'TARGET2', 'TARGET3', 'STOPLOSS', 'MARKET_CLOSE', 'NONE'],
+      enum: ['TARGET1', 'TARGET2', 'TARGET3', 'STOPLOSS', 'MARKET_CLOSE', 'TIME_EXIT', 'NONE'],
       default: 'NONE'
     },
     profitLoss: Number,
     profitLossPercent: Number,
+    netProfitLoss: Number,         // After slippage and charges (points per unit)
+    netProfitLossPercent: Number,
+    costs: {
+      profile: String,
+      quantity: Number,
+      slippagePoints: Number,
+      brokerage: Number,
+      stt: Number,
+      exchangeCharges: Number,
+      gst: Number,
+      sebiFees: Number,
+      stampDuty: Number,
+      totalCharges: Number,        // ₹ for the quantity
+      totalCostPoints: Number
+    },
+    // Exit management (trade-manager.js) - P/L above is blended over the legs
+    exitPolicy: String,
+    exitReason: String,            // Type of the leg that closed the position
+    legs: [{
+      _id: false,
+      type: { type: String },      // TARGET1-3, STOPLOSS, BREAKEVEN, TRAILING_STOP, TIME_EXIT, MARKET_CLOSE
+      fraction: Number,            // Share of the original position
+      price: Number,
+      time: Date,
+      profitLoss: Number,
+      profitLossPercent: Number,
+      netProfitLoss: Number,
+      netProfitLossPercent: Number,
+      charges: Number
+    }],
+    position: {
+      openFraction: Number,
+      stop: Number,
+      stopType: { type: String },  // INITIAL, BREAKEVEN, TRAILING
+      targetsHit: [String],
+      trailing: Boolean,
+      openedAt: Date,
+      lastBarTime: Date            // Last completed candle scanned (intrabar high/low)
+    },
     remarks: String
   }
 }, {
@@ -133,6 +248,7 @@ const tradingSignalSchema = new mongoose.Schema({
 
 // Indexes for performance
 tradingSignalSchema.index({ symbol: 1, timestamp: -1 });
+tradingSignalSchema.index({ 'strategy.name': 1, symbol: 1, timestamp: -1 });
 tradingSignalSchema.index({ 'signal.confidence': -1, timestamp: -1 });
 tradingSignalSchema.index({ status: 1, expiresAt: 1 });
 tradingSignalSchema.index({ createdAt: -1 });
@@ -0,0 +1,45 @@
+/**
+ * Watchlist Model
+ * Named, ordered list of registry symbols belonging to a user
+ */
+
+const mongoose = require('mongoose');
+const symbolRegistry = require('../services/symbol-registry');
+
+const watchlistSchema = new mongoose.Schema({
+  user: {
+    type: String,
+    required: true,
+    default: 'default'
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+
+  description: String,
+
+  // Display order is list order
+  symbols: {
+    type: [String],
+    validate: [
+      {
+        validator: (symbols) => symbols.every(symbol => symbolRegistry.has(symbol)),
+        message: (props) => `Unknown symbol in ${props.value.join(', ')} (not in the symbol registry)`
+      },
+      {
+        validator: (symbols) => new Set(symbols).size === symbols.length,
+        message: 'A symbol can only be listed once'
+      }
+    ]
+  }
+}, {
+  timestamps: true
+});
+
+watchlistSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Watchlist', watchlistSchema);
@@ -0,0 +1,227 @@
+/**
+ * Backtest Routes
+ * Start backtests over stored candles and fetch their status/results
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const BacktestRun = require('../models/BacktestRun');
+const backtestEngine = require('../services/backtest-engine');
+const performanceMetrics = require('../services/performance-metrics');
+const strategyRegistry = require('../services/strategy-registry');
+
+/**
+ * POST /api/backtest/start
+ * Start a new backtest run (executes in the background)
+ * Body: { symbol, timeframe, from, to, lookback, signalInterval, maxHoldingBars, minConfidence, exitPolicy, intrabarRule, strategies }
+ * exitPolicy / intrabarRule default to the signal tracker's (EXIT_POLICY / INTRABAR_RULE)
+ * strategies: names (array or comma-separated, default: the active strategies) - one run per strategy,
+ * executed side by side and sharing a batchId
+ */
+router.post('/start', async (req, res) => {
+  try {
+    const { symbol, timeframe, from, to, lookback, signalInterval, maxHoldingBars, minConfidence, exitPolicy, intrabarRule } = req.body;
+    const strategies = req.body.strategies || req.body.strategy;
+
+    if (!symbol) {
+      return res.status(400).json({
+        success: false,
+        message: 'Symbol is required'
+      });
+    }
+
+    const runs = await backtestEngine.startRuns({
+      symbol,
+      timeframe,
+      from,
+      to,
+      lookback,
+      signalInterval,
+      maxHoldingBars,
+      minConfidence,
+      exitPolicy,
+      intrabarRule,
+      strategies
+    });
+
+    res.status(202).json({
+      success: true,
+      message: runs.length > 1 ? `${runs.length} backtests started` : 'Backtest started',
+      data: {
+        runId: runs[0]._id,
+        status: runs[0].status,
+        config: runs[0].config,
+        batchId: runs[0].batchId,
+        runs: runs.map(run => ({ runId: run._id, strategy: run.strategy, status: run.status }))
+      }
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to start backtest',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/backtest/runs
+ * List backtest runs (without trades)
+ * Query: symbol, status, strategy, batchId (runs started together), limit
+ */
+router.get('/runs', async (req, res) => {
+  try {
+    const { symbol, status, strategy, batchId, limit = 20 } = req.query;
+
+    const query = {};
+    if (symbol) query.symbol = symbol;
+    if (status) query.status = status;
+    if (strategy) Object.assign(query, strategyRegistry.filter(strategy));
+    if (batchId) query.batchId = batchId;
+
+    const runs = await BacktestRun.find(query)
+      .select('-trades')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit));
+
+    res.json({
+      success: true,
+      count: runs.length,
+      data: runs
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/backtest/:id/status
+ * Get run status and progress
+ */
+router.get('/:id/status', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid run id' });
+    }
+
+    const run = await BacktestRun.findById(req.params.id).select('symbol timeframe strategy batchId status progress error startedAt completedAt');
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Backtest run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        runId: run._id,
+        symbol: run.symbol,
+        timeframe: run.timeframe,
+        strategy: run.strategy,
+        batchId: run.batchId,
+        status: run.status,
+        progress: run.progress,
+        error: run.error,
+        startedAt: run.startedAt,
+        completedAt: run.completedAt,
+        executing: backtestEngine.isRunning(run._id)
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/backtest/:id/result
+ * Get full run result (config, metrics, trades and risk metrics)
+ */
+router.get('/:id/result', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid run id' });
+    }
+
+    const run = await BacktestRun.findById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Backtest run not found'
+      });
+    }
+
+    if (run.status !== 'COMPLETED') {
+      return res.status(409).json({
+        success: false,
+        message: `Backtest is ${run.status.toLowerCase()}`,
+        data: { status: run.status, progress: run.progress, error: run.error }
+      });
+    }
+
+    const basis = req.query.basis || 'net';
+
+    res.json({
+      success: true,
+      data: {
+        ...run.toObject(),
+        riskMetrics: {
+          basis,
+          ...performanceMetrics.calculate(performanceMetrics.tradesFromBacktest(run.trades, basis))
+        }
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/backtest/:id
+ * Delete a finished run
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid run id' });
+    }
+
+    if (backtestEngine.isRunning(req.params.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Backtest is still running'
+      });
+    }
+
+    const result = await BacktestRun.deleteOne({ _id: req.params.id });
+
+    res.json({
+      success: true,
+      deletedCount: result.deletedCount
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const chartGenerator = require('../services/chart-generator');
 const ChartData = require('../models/ChartData');
+const candleIO = require('../services/candle-io');
+const symbolRegistry = require('../services/symbol-registry');
 
 /**
  * GET /api/charts/:symbol/:timeframe
@@ -15,10 +17,10 @@ router.get('/:symbol/:timeframe', async (req, res) => {
     const to = req.query.to;
 
     // Validate symbol
-    if (!['NIFTY50', 'BANKNIFTY'].includes(symbol)) {
+    if (!symbolRegistry.has(symbol)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid symbol. Use NIFTY50 or BANKNIFTY'
+        message: `Invalid symbol. Use ${symbolRegistry.getSymbols().join(', ')}`
       });
     }
 
@@ -68,7 +70,7 @@ router.get('/:symbol/all-timeframes', async (req, res) => {
     const { symbol } = req.params;
     const limit = parseInt(req.query.limit) || 50;
 
-    if (!['NIFTY50', 'BANKNIFTY'].includes(symbol)) {
+    if (!symbolRegistry.has(symbol)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid symbol'
@@ -182,4 +184,69 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/charts/import?symbol=NIFTY50&timeframe=&layout=&timezone=&overwrite=true&dryRun=true
+ * Import an OHLCV file into ChartData
+ * Body: the raw file (Content-Type text/csv or text/plain), or JSON { content, symbol, ... }
+ */
+router.post('/import', express.text({ type: ['text/*', 'application/csv'], limit: '20mb' }), async (req, res) => {
+  const raw = typeof req.body === 'string';
+  const options = raw ? req.query : { ...req.query, ...req.body };
+  const content = raw ? req.body : req.body.content;
+
+  if (!content) {
+    return res.status(400).json({
+      success: false,
+      message: 'File content is required (raw text body or { content })'
+    });
+  }
+
+  try {
+    const report = await candleIO.import(content, {
+      symbol: options.symbol,
+      timeframe: options.timeframe,
+      format: options.format,
+      layout: options.layout,
+      timezone: options.timezone,
+      overwrite: options.overwrite === true || options.overwrite === 'true',
+      dryRun: options.dryRun === true || options.dryRun === 'true'
+    });
+
+    res.json({
+      success: true,
+      message: report.dryRun
+        ? `Validated ${report.parsed} candles`
+        : `Imported ${report.inserted} new and ${report.updated} updated candles`,
+      data: report
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Candle import failed',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/charts/export?symbol=NIFTY50&timeframe=5m&from=&to=&format=csv
+ * Download stored candles as CSV or JSON
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const { symbol, timeframe = '5m', from, to, format = 'csv' } = req.query;
+    const exported = await candleIO.export({ symbol, timeframe, from, to, format });
+
+    res.set('Content-Type', exported.contentType);
+    res.set('Content-Disposition', `attachment; filename="${exported.filename}"`);
+    res.send(exported.content);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Candle export failed',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -7,6 +7,8 @@ const express = require('express');
 const router = express.Router();
 const TradingSignal = require('../models/TradingSignal');
 const signalTracker = require('../services/signal-tracker');
+const costModel = require('../services/cost-model');
+const performanceMetrics = require('../services/performance-metrics');
 
 /**
  * GET /api/history/all
@@ -79,6 +81,9 @@ router.get('/completed', async (req, res) => {
 
     const totalPL = signals.reduce((sum, s) => sum + (s.performance?.profitLoss || 0), 0);
     const totalPLPct = signals.reduce((sum, s) => sum + (s.performance?.profitLossPercent || 0), 0);
+    const net = signals.map(s => costModel.getNetPerformance(s));
+    const totalNetPL = net.reduce((sum, n) => sum + n.netProfitLoss, 0);
+    const totalNetPLPct = net.reduce((sum, n) => sum + n.netProfitLossPercent, 0);
 
     res.json({
       success: true,
@@ -92,7 +97,11 @@ router.get('/completed', async (req, res) => {
           totalPL: totalPL.toFixed(2),
           avgPL: signals.length > 0 ? (totalPL / signals.length).toFixed(2) : 0,
           totalPLPercent: totalPLPct.toFixed(2),
-          avgPLPercent: signals.length > 0 ? (totalPLPct / signals.length).toFixed(2) : 0
+          avgPLPercent: signals.length > 0 ? (totalPLPct / signals.length).toFixed(2) : 0,
+          totalNetPL: totalNetPL.toFixed(2),
+          avgNetPL: signals.length > 0 ? (totalNetPL / signals.length).toFixed(2) : 0,
+          totalNetPLPercent: totalNetPLPct.toFixed(2),
+          avgNetPLPercent: signals.length > 0 ? (totalNetPLPct / signals.length).toFixed(2) : 0
         }
       }
     });
@@ -111,7 +120,7 @@ router.get('/completed', async (req, res) => {
  */
 router.get('/performance', async (req, res) => {
   try {
-    const { symbol, days = 7 } = req.query;
+    const { symbol, days = 7, basis = 'net' } = req.query;
 
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(days));
@@ -131,6 +140,9 @@ router.get('/performance', async (req, res) => {
     const totalPL = signals.reduce((sum, s) => sum + (s.performance?.profitLoss || 0), 0);
     const winPL = wins.reduce((sum, s) => sum + (s.performance?.profitLoss || 0), 0);
     const lossPL = losses.reduce((sum, s) => sum + (s.performance?.profitLoss || 0), 0);
+    const net = signals.map(s => costModel.getNetPerformance(s));
+    const totalNetPL = net.reduce((sum, n) => sum + n.netProfitLoss, 0);
+    const totalCharges = net.reduce((sum, n) => sum + n.totalCharges, 0);
 
     const target1Hits = wins.filter(s => s.performance?.hitLevel === 'TARGET_1').length;
     const target2Hits = wins.filter(s => s.performance?.hitLevel === 'TARGET_2').length;
@@ -156,6 +168,11 @@ router.get('/performance', async (req, res) => {
           avgWin: wins.length > 0 ? (winPL / wins.length).toFixed(2) : '0',
           avgLoss: losses.length > 0 ? (lossPL / losses.length).toFixed(2) : '0'
         },
+        netProfitLoss: {
+          total: totalNetPL.toFixed(2),
+          average: signals.length > 0 ? (totalNetPL / signals.length).toFixed(2) : '0',
+          charges: totalCharges.toFixed(2)
+        },
         targetHits: {
           target1: target1Hits,
           target2: target2Hits,
@@ -167,6 +184,10 @@ router.get('/performance', async (req, res) => {
           ratio: (wins.length > 0 && losses.length > 0)
             ? ((winPL / wins.length) / Math.abs(lossPL / losses.length)).toFixed(2)
             : 'N/A'
+        },
+        riskMetrics: {
+          basis,
+          ...performanceMetrics.calculate(performanceMetrics.tradesFromSignals(signals, basis))
         }
       }
     });
@@ -0,0 +1,174 @@
+/**
+ * Market Data Routes
+ * Candles and quotes through the provider failover chain, provider health, upstream circuit breakers
+ * and the NSE trading calendar
+ */
+
+const express = require('express');
+const router = express.Router();
+const marketData = require('../services/market-data');
+const candleStore = require('../services/candle-store');
+const fetchCache = require('../services/fetch-cache');
+const httpClient = require('../services/http-client');
+const tradingCalendar = require('../services/trading-calendar');
+const { RESAMPLE_TIMEFRAMES } = require('../config/constants');
+const { EXPIRY_RULES } = require('../config/nse-calendar');
+
+const MAX_CALENDAR_DAYS = 366;
+
+/**
+ * GET /api/market-data/health
+ * Status, failure counts and latency per provider, with the configured order, the candle store
+ * settings and the fetch cache hit/miss counters
+ */
+router.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      ...marketData.getHealth(),
+      store: candleStore.getStatus(),
+      cache: fetchCache.getStats()
+    }
+  });
+});
+
+/**
+ * GET /api/market-data/breakers
+ * Circuit breaker state (CLOSED / OPEN / HALF_OPEN), request/retry/failure counters and rate limit per upstream host
+ */
+router.get('/breakers', (req, res) => {
+  res.json({
+    success: true,
+    data: httpClient.getStatus()
+  });
+});
+
+/**
+ * POST /api/market-data/breakers/:host/reset
+ * Close a host's circuit breaker without waiting for the cooldown
+ */
+router.post('/breakers/:host/reset', (req, res) => {
+  if (!httpClient.reset(req.params.host)) {
+    return res.status(404).json({
+      success: false,
+      message: `No requests made to ${req.params.host}`
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Circuit closed for ${req.params.host}`
+  });
+});
+
+/**
+ * GET /api/market-data/candles?symbol=NIFTY50&timeframe=5m&from=&to=
+ * Candles from the first healthy provider (from/to: ISO dates, default the last LOOKBACK_DAYS)
+ */
+router.get('/candles', async (req, res) => {
+  const { symbol, timeframe = '5m', from, to } = req.query;
+
+  if (!symbol) {
+    return res.status(400).json({
+      success: false,
+      message: 'symbol is required'
+    });
+  }
+
+  if (!RESAMPLE_TIMEFRAMES.includes(timeframe)) {
+    return res.status(400).json({
+      success: false,
+      message: `timeframe must be one of ${RESAMPLE_TIMEFRAMES.join(', ')}`
+    });
+  }
+
+  try {
+    const candles = await marketData.getCandles(symbol.toUpperCase(), timeframe, from || null, to || null);
+
+    res.json({
+      success: true,
+      data: {
+        symbol: symbol.toUpperCase(),
+        timeframe,
+        source: candles[candles.length - 1].source,
+        count: candles.length,
+        candles
+      }
+    });
+  } catch (error) {
+    res.status(502).json({
+      success: false,
+      message: `Failed to fetch ${symbol} candles`,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/market-data/quote/:symbol
+ * Latest quote from the first healthy provider
+ */
+router.get('/quote/:symbol', async (req, res) => {
+  try {
+    const quote = await marketData.getQuote(req.params.symbol.toUpperCase());
+
+    res.json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    res.status(502).json({
+      success: false,
+      message: `Failed to fetch ${req.params.symbol} quote`,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/market-data/calendar?from=2026-01-01&to=2026-01-31
+ * NSE trading calendar: every IST day in the range (holiday, special session) and index option expiries
+ * (default: today and the next 30 days)
+ */
+router.get('/calendar', (req, res) => {
+  const from = req.query.from || tradingCalendar.toISTDate();
+  const to = req.query.to || (tradingCalendar.isCalendarDate(from)
+    ? new Date(Date.parse(`${from}T00:00:00Z`) + 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+    : from);
+
+  if (!tradingCalendar.isCalendarDate(from) || !tradingCalendar.isCalendarDate(to) || from > to) {
+    return res.status(400).json({
+      success: false,
+      message: 'from/to must be YYYY-MM-DD dates with from <= to'
+    });
+  }
+
+  const days = [];
+  for (let time = Date.parse(`${from}T00:00:00Z`); time <= Date.parse(`${to}T00:00:00Z`); time += 24 * 60 * 60 * 1000) {
+    if (days.length === MAX_CALENDAR_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_CALENDAR_DAYS} days per request`
+      });
+    }
+    days.push(tradingCalendar.getDay(new Date(time).toISOString().slice(0, 10)));
+  }
+
+  const expiries = {};
+  for (const symbol of Object.keys(EXPIRY_RULES)) {
+    expiries[symbol] = tradingCalendar.getExpiries(symbol, from, to);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      from,
+      to,
+      status: tradingCalendar.getStatus(),
+      days,
+      expiries
+    }
+  });
+});
+
+module.exports = router;
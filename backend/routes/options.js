@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const optionsDataFetcher = require('../services/options-data-fetcher');
+const symbolRegistry = require('../services/symbol-registry');
 const { calculatePCR } = require('../indicators/options/pcr');
 const { analyzeOI } = require('../indicators/options/oi-analysis');
 
@@ -12,10 +13,11 @@ router.get('/pcr/:symbol', async (req, res) => {
   try {
     const { symbol } = req.params;
 
-    if (!['NIFTY', 'BANKNIFTY'].includes(symbol)) {
+    const optionSymbols = symbolRegistry.getOptionSymbols();
+    if (!optionSymbols.includes(symbol)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid symbol. Use NIFTY or BANKNIFTY'
+        message: `Invalid symbol. Use ${optionSymbols.join(' or ')}`
       });
     }
 
@@ -43,10 +45,11 @@ router.get('/max-pain/:symbol', async (req, res) => {
   try {
     const { symbol } = req.params;
 
-    if (!['NIFTY', 'BANKNIFTY'].includes(symbol)) {
+    const optionSymbols = symbolRegistry.getOptionSymbols();
+    if (!optionSymbols.includes(symbol)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid symbol. Use NIFTY or BANKNIFTY'
+        message: `Invalid symbol. Use ${optionSymbols.join(' or ')}`
       });
     }
 
@@ -74,10 +77,11 @@ router.get('/chain/:symbol', async (req, res) => {
   try {
     const { symbol } = req.params;
 
-    if (!['NIFTY', 'BANKNIFTY'].includes(symbol)) {
+    const optionSymbols = symbolRegistry.getOptionSymbols();
+    if (!optionSymbols.includes(symbol)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid symbol. Use NIFTY or BANKNIFTY'
+        message: `Invalid symbol. Use ${optionSymbols.join(' or ')}`
       });
     }
 
@@ -105,10 +109,11 @@ router.get('/analysis/:symbol', async (req, res) => {
   try {
     const { symbol } = req.params;
 
-    if (!['NIFTY', 'BANKNIFTY'].includes(symbol)) {
+    const optionSymbols = symbolRegistry.getOptionSymbols();
+    if (!optionSymbols.includes(symbol)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid symbol. Use NIFTY or BANKNIFTY'
+        message: `Invalid symbol. Use ${optionSymbols.join(' or ')}`
       });
     }
 
@@ -0,0 +1,237 @@
+/**
+ * Paper Trading Routes
+ * Virtual account, orders, positions and the daily P/L ledger
+ *
+ * Every endpoint works on one account, chosen with `account` (query string or body).
+ * Without it the 'default' account is used.
+ */
+
+const express = require('express');
+const router = express.Router();
+const paperTrading = require('../services/paper-trading');
+
+const getAccountName = (req) => req.query.account || req.body?.account || 'default';
+
+/**
+ * GET /api/paper/account
+ * Account summary with positions marked to market
+ */
+router.get('/account', async (req, res) => {
+  try {
+    const summary = await paperTrading.getSummary(getAccountName(req));
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get paper account',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/paper/account/reset
+ * Cancel open orders, drop positions and restore capital
+ * Body: { account?, capital? }
+ */
+router.post('/account/reset', async (req, res) => {
+  try {
+    const capital = req.body.capital !== undefined ? parseFloat(req.body.capital) : null;
+    await paperTrading.resetAccount(getAccountName(req), capital);
+
+    res.json({
+      success: true,
+      message: 'Paper account reset',
+      data: await paperTrading.getSummary(getAccountName(req))
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to reset paper account',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/paper/account/auto-trade
+ * Turn signal orders on/off
+ * Body: { account?, enabled?, lots?, minConfidence? }
+ */
+router.put('/account/auto-trade', async (req, res) => {
+  try {
+    const { enabled, lots, minConfidence } = req.body;
+    const autoTrade = await paperTrading.updateAutoTrade(getAccountName(req), { enabled, lots, minConfidence });
+
+    res.json({
+      success: true,
+      data: autoTrade
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update auto-trade',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/paper/orders
+ * Orders, newest first
+ * Query: account?, status?, limit
+ */
+router.get('/orders', async (req, res) => {
+  try {
+    const orders = await paperTrading.getOrders(getAccountName(req), {
+      status: req.query.status || null,
+      limit: parseInt(req.query.limit) || 100
+    });
+
+    res.json({
+      success: true,
+      count: orders.length,
+      data: orders
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get paper orders',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/paper/orders
+ * Place an order - it fills against the next candles that satisfy it
+ * Body: { account?, symbol, side: 'BUY' | 'SELL', type: 'MARKET' | 'LIMIT' | 'SL', lots, limitPrice?, triggerPrice?, stopLoss?, target? }
+ */
+router.post('/orders', async (req, res) => {
+  try {
+    const { symbol, side, type, lots, limitPrice, triggerPrice, stopLoss, target } = req.body;
+    const name = getAccountName(req);
+
+    const order = await paperTrading.placeOrder(name, {
+      symbol,
+      side,
+      type,
+      lots: lots !== undefined ? parseInt(lots) : undefined,
+      limitPrice: limitPrice !== undefined ? parseFloat(limitPrice) : undefined,
+      triggerPrice: triggerPrice !== undefined ? parseFloat(triggerPrice) : undefined,
+      bracket: stopLoss || target
+        ? { stopLoss: parseFloat(stopLoss) || undefined, target: parseFloat(target) || undefined }
+        : undefined
+    });
+
+    // Market orders fill straight away against the latest candle
+    await paperTrading.processSymbol(order.symbol);
+
+    res.status(201).json({
+      success: true,
+      data: await paperTrading.getOrder(name, order._id)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to place paper order',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/paper/orders/:id
+ * Cancel an open order
+ */
+router.delete('/orders/:id', async (req, res) => {
+  try {
+    const order = await paperTrading.cancelOrder(getAccountName(req), req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Order cancelled',
+      data: order
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to cancel paper order',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/paper/positions
+ * Open positions marked to market
+ */
+router.get('/positions', async (req, res) => {
+  try {
+    const summary = await paperTrading.getSummary(getAccountName(req));
+
+    res.json({
+      success: true,
+      count: summary.positions.length,
+      data: summary.positions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get paper positions',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/paper/positions/:symbol/close
+ * Close a position at market (its bracket orders are cancelled)
+ */
+router.post('/positions/:symbol/close', async (req, res) => {
+  try {
+    const order = await paperTrading.closePosition(getAccountName(req), req.params.symbol.toUpperCase());
+
+    res.json({
+      success: true,
+      message: order.status === 'FILLED' ? 'Position closed' : 'Close order placed',
+      data: order
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to close paper position',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/paper/ledger
+ * Daily ledger (IST trading days, newest first)
+ * Query: account?, from?, to? (YYYY-MM-DD)
+ */
+router.get('/ledger', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const days = await paperTrading.getLedger(getAccountName(req), { from, to });
+
+    res.json({
+      success: true,
+      count: days.length,
+      data: days
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get paper ledger',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
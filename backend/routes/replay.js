@@ -1,22 +1,45 @@
 /**
  * Replay API Routes
- * Controls the live replay of Feb 13, 2024 data
+ * Controls the live replay of stored historical sessions (TickData or ChartData)
+ *
+ * Every control endpoint works on one replay session, chosen with `session`
+ * (query string or body). Without it the shared 'default' session is used.
  */
 
 const express = require('express');
 const router = express.Router();
 const replayManager = require('../services/replay-manager');
 
+/**
+ * Resolve the replay session for a request (created on first use)
+ * Responds 429 and returns null when the session limit is reached
+ */
+function getSession(req, res) {
+  const id = req.query.session || req.body?.session || 'default';
+
+  try {
+    return replayManager.getOrCreate(id);
+  } catch (error) {
+    res.status(429).json({
+      success: false,
+      message: error.message
+    });
+    return null;
+  }
+}
+
 /**
  * GET /api/replay/status
  * Get current replay status
  */
 router.get('/status', (req, res) => {
   try {
-    const status = replayManager.getStatus();
+    const session = getSession(req, res);
+    if (!session) return;
+
     res.json({
       success: true,
-      data: status
+      data: session.getStatus()
     });
   } catch (error) {
     res.status(500).json({
@@ -27,15 +50,94 @@ router.get('/status', (req, res) => {
   }
 });
 
+/**
+ * GET /api/replay/sessions
+ * List sessions (IST trading days) available to replay
+ * Query: symbol (optional), limit
+ */
+router.get('/sessions', async (req, res) => {
+  try {
+    const { symbol } = req.query;
+    const limit = parseInt(req.query.limit) || 60;
+
+    const sessions = await replayManager.listSessions(symbol || null, { limit });
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list replay sessions',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/replay/active
+ * List running replay sessions and the concurrency limits
+ */
+router.get('/active', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      limits: replayManager.getLimits(),
+      data: replayManager.listActive()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list active replay sessions',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/replay/active/:id
+ * Stop and remove a replay session
+ */
+router.delete('/active/:id', (req, res) => {
+  try {
+    const removed = replayManager.destroy(req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Replay session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Replay session removed'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove replay session',
+      error: error.message
+    });
+  }
+});
+
 /**
  * POST /api/replay/start
  * Start the replay
+ * Body: { session?, speed, startFrom, symbol?, date?, from?, to?, source?, strategies? } - a symbol/range reloads the data first
+ * strategies: names scored side by side on every frame (default: the active strategies)
  */
 router.post('/start', async (req, res) => {
   try {
-    const { speed = 1, startFrom = 0 } = req.body;
+    const session = getSession(req, res);
+    if (!session) return;
+
+    const { speed = 1, startFrom = 0, symbol, date, from, to, source, strategies } = req.body;
 
-    const result = await replayManager.start({ speed, startFrom });
+    const result = await session.start({ speed, startFrom, symbol, date, from, to, source, strategies });
 
     res.json({
       success: result.success,
@@ -57,7 +159,10 @@ router.post('/start', async (req, res) => {
  */
 router.post('/pause', (req, res) => {
   try {
-    const result = replayManager.pause();
+    const session = getSession(req, res);
+    if (!session) return;
+
+    const result = session.pause();
     res.json({
       success: result.success,
       message: result.message,
@@ -78,7 +183,10 @@ router.post('/pause', (req, res) => {
  */
 router.post('/resume', async (req, res) => {
   try {
-    const result = await replayManager.resume();
+    const session = getSession(req, res);
+    if (!session) return;
+
+    const result = await session.resume();
     res.json({
       success: result.success,
       message: result.message,
@@ -99,7 +207,10 @@ router.post('/resume', async (req, res) => {
  */
 router.post('/stop', (req, res) => {
   try {
-    const result = replayManager.stop();
+    const session = getSession(req, res);
+    if (!session) return;
+
+    const result = session.stop();
     res.json({
       success: result.success,
       message: result.message
@@ -128,7 +239,10 @@ router.post('/seek', (req, res) => {
       });
     }
 
-    const result = replayManager.seek(index);
+    const session = getSession(req, res);
+    if (!session) return;
+
+    const result = session.seek(index);
     res.json({
       success: result.success,
       message: result.message,
@@ -143,15 +257,165 @@ router.post('/seek', (req, res) => {
   }
 });
 
+/**
+ * POST /api/replay/mode
+ * Switch between tick and candle replay
+ * Body: { session?, mode: 'tick' | 'candle', timeframe?: bar size for candle mode (default 5m) }
+ */
+router.post('/mode', (req, res) => {
+  try {
+    const session = getSession(req, res);
+    if (!session) return;
+
+    const { mode, timeframe } = req.body;
+    const result = session.setMode(mode, { timeframe });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to change replay mode',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/replay/strategies
+ * Choose the strategies scored on every frame
+ * Body: { session?, strategies: names (array or comma-separated; empty = the active strategies) }
+ */
+router.post('/strategies', (req, res) => {
+  try {
+    const session = getSession(req, res);
+    if (!session) return;
+
+    const result = session.setStrategies(req.body.strategies);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to change replay strategies',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/replay/step
+ * Emit the next or previous bar (pauses playback)
+ * Body: { session?, direction: 'forward' | 'back' }
+ */
+router.post('/step', async (req, res) => {
+  try {
+    const { direction = 'forward' } = req.body;
+
+    if (direction !== 'forward' && direction !== 'back') {
+      return res.status(400).json({
+        success: false,
+        message: 'Direction must be "forward" or "back"'
+      });
+    }
+
+    const session = getSession(req, res);
+    if (!session) return;
+
+    const result = await session.step(direction);
+    res.json({
+      success: result.success,
+      message: result.message,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to step replay',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/replay/jump
+ * Emit the last bar at or before a timestamp (pauses playback)
+ * Body: { session?, timestamp }
+ */
+router.post('/jump', async (req, res) => {
+  try {
+    const { timestamp } = req.body;
+
+    if (!timestamp) {
+      return res.status(400).json({
+        success: false,
+        message: 'Timestamp is required'
+      });
+    }
+
+    const session = getSession(req, res);
+    if (!session) return;
+
+    const result = await session.jumpTo(timestamp);
+    res.json({
+      success: result.success,
+      message: result.message,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to jump',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/replay/record
+ * Evaluate every bar of the loaded data and return the signals with a digest
+ * Identical digests = identical strategy output for the range
+ * Body: { session?, timeframe?, strategy? (default: the session's first strategy) }
+ */
+router.post('/record', async (req, res) => {
+  try {
+    const session = getSession(req, res);
+    if (!session) return;
+
+    const result = await session.recordSignals({ timeframe: req.body.timeframe, strategy: req.body.strategy });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record replay signals',
+      error: error.message
+    });
+  }
+});
+
 /**
  * POST /api/replay/load
- * Load replay data for a symbol
+ * Load replay data for a symbol and date range
+ * Body: { session?, symbol, date? | from?, to?, source?: 'auto' | 'tick' | 'chart' }
+ * Without dates the most recent available session is loaded
  */
 router.post('/load', async (req, res) => {
   try {
-    const { symbol = 'NIFTY50' } = req.body;
+    const session = getSession(req, res);
+    if (!session) return;
+
+    const { symbol = 'NIFTY50', date, from, to, source } = req.body;
 
-    const result = await replayManager.loadReplayData(symbol);
+    const result = await session.loadReplayData(symbol, { date, from, to, source });
 
     res.json({
       success: result.success,
@@ -172,7 +436,7 @@ router.post('/load', async (req, res) => {
  */
 router.post('/change-symbol', async (req, res) => {
   try {
-    const { symbol } = req.body;
+    const { symbol, date, from, to, source } = req.body;
 
     if (!symbol) {
       return res.status(400).json({
@@ -181,7 +445,10 @@ router.post('/change-symbol', async (req, res) => {
       });
     }
 
-    const result = await replayManager.changeSymbol(symbol);
+    const session = getSession(req, res);
+    if (!session) return;
+
+    const result = await session.changeSymbol(symbol, { date, from, to, source });
 
     res.json({
       success: result.success,
@@ -198,12 +465,15 @@ router.post('/change-symbol', async (req, res) => {
 
 /**
  * GET /api/replay/history
- * Get signal history for current session
+ * Get signal history for the session's current run (`strategy` narrows it to one strategy)
  */
 router.get('/history', async (req, res) => {
   try {
+    const session = getSession(req, res);
+    if (!session) return;
+
     const limit = parseInt(req.query.limit) || 50;
-    const history = await replayManager.getSignalHistory(limit);
+    const history = await session.getSignalHistory(limit, req.query.strategy);
 
     res.json({
       success: true,
@@ -221,11 +491,14 @@ router.get('/history', async (req, res) => {
 
 /**
  * DELETE /api/replay/history
- * Clear signal history for current session
+ * Clear signal history for the session's current run
  */
 router.delete('/history', async (req, res) => {
   try {
-    await replayManager.clearSignalHistory();
+    const session = getSession(req, res);
+    if (!session) return;
+
+    await session.clearSignalHistory();
 
     res.json({
       success: true,
@@ -7,19 +7,66 @@ const express = require('express');
 const router = express.Router();
 const SignalHistory = require('../models/SignalHistory');
 const TradingSignal = require('../models/TradingSignal');
-const signalCombiner = require('../services/signal-combiner');
 const ChartData = require('../models/ChartData');
+const costModel = require('../services/cost-model');
+const performanceMetrics = require('../services/performance-metrics');
+const signalTracker = require('../services/signal-tracker');
+const riskGovernor = require('../services/risk-governor');
+const symbolRegistry = require('../services/symbol-registry');
+const strategyRegistry = require('../services/strategy-registry');
+const { STRATEGIES } = require('../config/constants');
+
+/**
+ * Completed-signal results per strategy (name → versions seen, counts, win rate, net P/L)
+ */
+function summarizeByStrategy(signals) {
+  const groups = {};
+
+  for (const s of signals) {
+    const name = s.strategy?.name || STRATEGIES.UNTAGGED;
+    const group = groups[name] = groups[name] || { versions: [], signals: 0, completed: 0, wins: 0, losses: 0, totalNetPL: 0 };
+    const version = s.strategy?.version || null;
+
+    if (version && !group.versions.includes(version)) group.versions.push(version);
+    group.signals++;
+
+    if (s.performance?.outcome === 'WIN' || s.performance?.outcome === 'LOSS') {
+      group.completed++;
+      group[s.performance.outcome === 'WIN' ? 'wins' : 'losses']++;
+      group.totalNetPL += costModel.getNetPerformance(s).netProfitLoss;
+    }
+  }
+
+  return Object.fromEntries(Object.entries(groups).map(([name, group]) => [name, {
+    ...group,
+    winRate: group.completed > 0 ? ((group.wins / group.completed) * 100).toFixed(2) : 0,
+    totalNetPL: group.totalNetPL.toFixed(2),
+    avgNetPL: group.completed > 0 ? (group.totalNetPL / group.completed).toFixed(2) : '0.00'
+  }]));
+}
 
 /**
  * GET /api/signals/live
  * Get current live trading signals (from auto-generated signals)
+ * Query: symbol, minConfidence, strategy (default: the primary strategy)
  */
 router.get('/live', async (req, res) => {
   try {
     const { symbol, minConfidence = 55 } = req.query;  // Lowered from 65 to 55
+    const strategyName = req.query.strategy || strategyRegistry.getPrimary().name;
+
+    if (!strategyRegistry.list().some(s => s.name === strategyName)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown strategy ${strategyName}`
+      });
+    }
+
+    const strategy = strategyRegistry.get(strategyName);
 
     // Build query
     const query = {
+      ...strategyRegistry.filter(strategy.name),
       'signal.confidence': { $gte: parseFloat(minConfidence) }
     };
 
@@ -37,10 +84,10 @@ router.get('/live', async (req, res) => {
 
     // Update currentPrice to latest for each signal (reduces delay)
     if (signals.length > 0) {
-      const dataFetcher = require('../services/simple-data-fetcher');
+      const candleStore = require('../services/candle-store');
       for (let i = 0; i < signals.length; i++) {
         try {
-          const latestCandles = await dataFetcher.fetch(signals[i].symbol);
+          const latestCandles = await candleStore.getCandles(signals[i].symbol);
           if (latestCandles && latestCandles.length > 0) {
             const latestCandle = latestCandles[latestCandles.length - 1];
             if (latestCandle && latestCandle.ohlc && latestCandle.ohlc.close) {
@@ -83,11 +130,13 @@ router.get('/live', async (req, res) => {
       }
 
       const chartData = charts.reverse();
-      const signal = await signalCombiner.generateSignal(chartData, {
+      const signal = await strategyRegistry.evaluate(strategy, chartData, {
         symbol: fallbackSymbol,
         timeframe: '5m',
-        minConfidence: 0
+        minConfidence: 0,
+        now: new Date()
       });
+      signal.riskCheck = await riskGovernor.evaluate(signal);
 
       return res.json({
         success: true,
@@ -115,6 +164,28 @@ router.get('/live', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/signals/risk
+ * Risk guardrail limits and today's state (losses, streak, signals and stop-outs per symbol)
+ * Query: strategy - that strategy's state, as its signals are checked (default: all signals)
+ */
+router.get('/risk', async (req, res) => {
+  try {
+    const status = await riskGovernor.getStatus(new Date(), req.query.strategy || null);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get risk status',
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/signals/detail/:id
  * Get a single signal by ID
@@ -148,7 +219,7 @@ router.get('/detail/:id', async (req, res) => {
 
 /**
  * GET /api/signals/history
- * Get historical signals for a symbol
+ * Get historical signals for a symbol (`strategy` narrows it to one strategy)
  */
 router.get('/history', async (req, res) => {
   try {
@@ -156,7 +227,8 @@ router.get('/history', async (req, res) => {
       symbol = 'NIFTY50',
       timeframe = '5m',
       limit = 50,
-      minConfidence = 0
+      minConfidence = 0,
+      strategy
     } = req.query;
 
     // Fetch signal history
@@ -168,6 +240,9 @@ router.get('/history', async (req, res) => {
     if (timeframe !== 'all') {
       query.timeframe = timeframe;
     }
+    if (strategy) {
+      Object.assign(query, strategyRegistry.filter(strategy));
+    }
 
     const signals = await SignalHistory.find(query)
       .sort({ marketTime: -1 })
@@ -188,7 +263,7 @@ router.get('/history', async (req, res) => {
       success: true,
       signals,
       stats,
-      query: { symbol, timeframe, limit }
+      query: { symbol, timeframe, limit, strategy: strategy || null }
     });
 
   } catch (error) {
@@ -233,10 +308,11 @@ router.delete('/history', async (req, res) => {
 /**
  * GET /api/signals/statistics
  * Get signal performance statistics (backtesting results)
+ * Query: symbol, days, basis, strategy (one strategy; without it `byStrategy` compares them)
  */
 router.get('/statistics', async (req, res) => {
   try {
-    const { symbol, days = 30 } = req.query;
+    const { symbol, days = 30, basis = 'net', strategy } = req.query;
 
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(days));
@@ -250,6 +326,9 @@ router.get('/statistics', async (req, res) => {
     if (symbol && symbol !== 'ALL') {
       query.symbol = symbol;
     }
+    if (strategy) {
+      Object.assign(query, strategyRegistry.filter(strategy));
+    }
 
     const signals = await SignalHistory.find(query).sort({ marketTime: -1 });
 
@@ -265,6 +344,12 @@ router.get('/statistics', async (req, res) => {
     const avgPL = completed.length > 0 ? totalPL / completed.length : 0;
     const avgPLPercent = completed.length > 0 ? totalPLPercent / completed.length : 0;
 
+    // Net P/L after slippage and charges
+    const netResults = completed.map(s => costModel.getNetPerformance(s));
+    const totalNetPL = netResults.reduce((sum, n) => sum + n.netProfitLoss, 0);
+    const totalNetPLPercent = netResults.reduce((sum, n) => sum + n.netProfitLossPercent, 0);
+    const totalCharges = netResults.reduce((sum, n) => sum + n.totalCharges, 0);
+
     // Target breakdown
     const target1Hits = wins.filter(s => s.performance?.targetHit === 'TARGET1').length;
     const target2Hits = wins.filter(s => s.performance?.targetHit === 'TARGET2').length;
@@ -282,6 +367,11 @@ router.get('/statistics', async (req, res) => {
       totalPLPercent: totalPLPercent.toFixed(2),
       avgPL: avgPL.toFixed(2),
       avgPLPercent: avgPLPercent.toFixed(2),
+      totalNetPL: totalNetPL.toFixed(2),
+      totalNetPLPercent: totalNetPLPercent.toFixed(2),
+      avgNetPL: completed.length > 0 ? (totalNetPL / completed.length).toFixed(2) : '0.00',
+      avgNetPLPercent: completed.length > 0 ? (totalNetPLPercent / completed.length).toFixed(2) : '0.00',
+      totalCharges: totalCharges.toFixed(2),
       avgWin: wins.length > 0 ? (wins.reduce((sum, s) => sum + (s.performance?.profitLossPercent || 0), 0) / wins.length).toFixed(2) : 0,
       avgLoss: losses.length > 0 ? (losses.reduce((sum, s) => sum + (s.performance?.profitLossPercent || 0), 0) / losses.length).toFixed(2) : 0,
       targetBreakdown: {
@@ -294,24 +384,33 @@ router.get('/statistics', async (req, res) => {
         buy: signals.filter(s => s.signal?.action?.includes('BUY')).length,
         sell: signals.filter(s => s.signal?.action?.includes('SELL')).length
       },
-      bySymbol: symbol === 'ALL' || !symbol ? {
-        NIFTY50: signals.filter(s => s.symbol === 'NIFTY50').length,
-        BANKNIFTY: signals.filter(s => s.symbol === 'BANKNIFTY').length,
-        DOWJONES: signals.filter(s => s.symbol === 'DOWJONES').length
-      } : null,
+      bySymbol: symbol === 'ALL' || !symbol
+        ? signals.reduce((counts, s) => ({ ...counts, [s.symbol]: (counts[s.symbol] || 0) + 1 }),
+          Object.fromEntries(symbolRegistry.getSymbols({ signals: true }).map(name => [name, 0])))
+        : null,
+      byStrategy: strategy ? null : summarizeByStrategy(signals),
       period: {
         days: parseInt(days),
         from: startDate,
         to: new Date()
       },
+      // Equity curve, drawdown, Sharpe/Sortino/Calmar, profit factor, expectancy, streaks
+      riskMetrics: {
+        basis,
+        ...performanceMetrics.calculate(performanceMetrics.tradesFromSignals(completed, basis))
+      },
       recentSignals: signals.slice(0, 10).map(s => ({
         symbol: s.symbol,
+        strategy: s.strategy?.name || STRATEGIES.UNTAGGED,
         action: s.signal.action,
         confidence: s.signal.confidence,
         price: s.price,
         time: s.marketTime,
         outcome: s.performance?.outcome || 'PENDING',
-        profitLossPercent: s.performance?.profitLossPercent?.toFixed(2) || 'N/A'
+        profitLossPercent: s.performance?.profitLossPercent?.toFixed(2) || 'N/A',
+        netProfitLossPercent: s.performance?.profitLossPercent !== undefined
+          ? costModel.getNetPerformance(s).netProfitLossPercent.toFixed(2)
+          : 'N/A'
       }))
     };
 
@@ -377,7 +476,7 @@ router.delete('/clear-all', async (req, res) => {
  */
 router.post('/calculate-performance', async (req, res) => {
   try {
-    const dataFetcher = require('../services/simple-data-fetcher');
+    const candleStore = require('../services/candle-store');
 
     // Get all signals that don't have performance data
     const signals = await SignalHistory.find({
@@ -401,7 +500,7 @@ router.post('/calculate-performance', async (req, res) => {
     for (const signal of signals) {
       try {
         // Fetch latest price data for this symbol
-        const candles = await dataFetcher.fetch(signal.symbol);
+        const candles = await candleStore.getCandles(signal.symbol);
         if (!candles || candles.length === 0) {
           console.log(`⚠️ No price data for ${signal.symbol}, skipping...`);
           results.errors++;
@@ -418,47 +517,26 @@ router.post('/calculate-performance', async (req, res) => {
           continue;
         }
 
-        // Determine if BUY or SELL
-        const isBuy = signal.signal?.action?.includes('BUY');
-
-        // Calculate P/L
-        // For BUY: profit if close > entry
-        // For SELL: profit if close < entry
-        let priceDiff, wasProfit;
-
-        if (isBuy) {
-          priceDiff = closePrice - entryPrice;
-          wasProfit = priceDiff > 0;
-        } else {
-          priceDiff = entryPrice - closePrice;
-          wasProfit = priceDiff > 0;
+        if (!signal.signal?.action) {
+          console.log(`⚠️ No action for signal ${signal._id}, skipping...`);
+          results.errors++;
+          continue;
         }
 
-        const profitLossPercent = (priceDiff / entryPrice) * 100;
-
-        // Update signal performance
-        signal.performance = {
-          outcome: wasProfit ? 'WIN' : 'LOSS',
-          entryFilled: true,
-          exitPrice: closePrice,
-          exitTime: latestCandle.timestamp,
-          targetHit: 'MARKET_CLOSE',
-          profitLoss: priceDiff,
-          profitLossPercent,
-          remarks: wasProfit
-            ? '✓ Market closed in profit (Target not hit)'
-            : '✗ Market closed in loss (Stop loss not hit)'
-        };
+        // Close what is still open at the close price (gross and net of costs)
+        // Legs already booked by the tracker (partial targets) are kept in the blended P/L
+        const pnl = signalTracker.closePosition(signal, closePrice, latestCandle.timestamp, 'MARKET_CLOSE');
+        const wasProfit = pnl.profitLoss > 0;
 
         await signal.save();
         updated++;
 
         if (wasProfit) {
           results.profits++;
-          console.log(`✅ ${signal.symbol} ${signal.signal.action}: +₹${Math.abs(priceDiff).toFixed(2)} (${profitLossPercent.toFixed(2)}%)`);
+          console.log(`✅ ${signal.symbol} ${signal.signal.action}: +₹${Math.abs(pnl.profitLoss).toFixed(2)} (${pnl.profitLossPercent.toFixed(2)}%), net ${pnl.netProfitLossPercent.toFixed(2)}%`);
         } else {
           results.losses++;
-          console.log(`❌ ${signal.symbol} ${signal.signal.action}: -₹${Math.abs(priceDiff).toFixed(2)} (${profitLossPercent.toFixed(2)}%)`);
+          console.log(`❌ ${signal.symbol} ${signal.signal.action}: -₹${Math.abs(pnl.profitLoss).toFixed(2)} (${pnl.profitLossPercent.toFixed(2)}%), net ${pnl.netProfitLossPercent.toFixed(2)}%`);
         }
 
       } catch (error) {
@@ -0,0 +1,45 @@
+/**
+ * Strategy Routes
+ * The signal strategies that can run side by side (services/strategy-registry.js)
+ *
+ * Results per strategy: GET /api/signals/statistics (byStrategy), GET /api/backtest/runs?strategy=
+ */
+
+const express = require('express');
+const router = express.Router();
+const strategyRegistry = require('../services/strategy-registry');
+
+/**
+ * GET /api/strategies
+ * Registered strategies with name, version, required bars and whether they are active/primary
+ */
+router.get('/', (req, res) => {
+  const strategies = strategyRegistry.list();
+
+  res.json({
+    success: true,
+    count: strategies.length,
+    data: strategies
+  });
+});
+
+/**
+ * GET /api/strategies/:name
+ */
+router.get('/:name', (req, res) => {
+  const strategy = strategyRegistry.list().find(s => s.name === req.params.name);
+
+  if (!strategy) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown strategy ${req.params.name}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: strategy
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+/**
+ * Symbol Registry Routes
+ * List, add, edit and deactivate instruments (services/symbol-registry.js)
+ *
+ * New symbols need a code for at least one market data provider (providers.yahoo, providers.nse, ...)
+ * before candles or quotes can be fetched for them.
+ */
+
+const express = require('express');
+const router = express.Router();
+const symbolRegistry = require('../services/symbol-registry');
+
+const toBoolean = (value) => (value === undefined ? undefined : value === 'true');
+
+/**
+ * GET /api/symbols?exchange=NSE&type=INDEX&derivatives=true&signals=true&includeInactive=true
+ * Instruments in the registry (active only unless includeInactive)
+ */
+router.get('/', (req, res) => {
+  const { exchange, type, derivatives, signals, includeInactive } = req.query;
+
+  const instruments = symbolRegistry.list({
+    exchange: exchange?.toUpperCase(),
+    type: type?.toUpperCase(),
+    derivatives: toBoolean(derivatives),
+    signals: toBoolean(signals),
+    includeInactive: includeInactive === 'true'
+  });
+
+  res.json({
+    success: true,
+    count: instruments.length,
+    data: instruments
+  });
+});
+
+/**
+ * GET /api/symbols/:symbol
+ */
+router.get('/:symbol', (req, res) => {
+  const instrument = symbolRegistry.get(req.params.symbol);
+
+  if (!instrument) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown symbol ${req.params.symbol}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: instrument
+  });
+});
+
+/**
+ * PUT /api/symbols/:symbol
+ * Add an instrument or change fields of an existing one
+ * Body: Instrument fields, e.g. { displayName, exchange, lotSize, tickSize, currency, providers: { yahoo: '^CNXFIN' } }
+ */
+router.put('/:symbol', async (req, res) => {
+  try {
+    const instrument = await symbolRegistry.upsert(req.params.symbol, req.body || {});
+
+    res.json({
+      success: true,
+      data: instrument
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to save instrument',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/symbols/:symbol
+ * Deactivate an instrument - stored candles and signals are kept, it just leaves the active universe
+ */
+router.delete('/:symbol', async (req, res) => {
+  if (!symbolRegistry.get(req.params.symbol)) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown symbol ${req.params.symbol}`
+    });
+  }
+
+  try {
+    const instrument = await symbolRegistry.deactivate(req.params.symbol);
+
+    res.json({
+      success: true,
+      message: `${instrument.symbol} deactivated`,
+      data: instrument
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate instrument',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const nseFetcher = require('../services/nse-fetcher');
+const tradingCalendar = require('../services/trading-calendar');
 const DataAgent = require('../agents/data-agent');
 const TickData = require('../models/TickData');
+const symbolRegistry = require('../services/symbol-registry');
 const chartGenerator = require('../services/chart-generator');
 const indicators = require('../indicators');
 const signalCombiner = require('../services/signal-combiner');
@@ -54,19 +56,24 @@ router.get('/data-agent', async (req, res) => {
 
 /**
  * GET /api/test/market-status
- * Check if market is open
+ * Check if market is open (NSE trading calendar: holidays, special sessions, pre-open, next expiries)
  */
 router.get('/market-status', (req, res) => {
-  const isOpen = nseFetcher.isMarketOpen();
-  const istTime = nseFetcher.getISTTime();
+  const calendar = tradingCalendar.getStatus();
+  const session = calendar.session || tradingCalendar.regularSession;
 
   res.json({
     success: true,
     data: {
-      isMarketOpen: isOpen,
-      istTime: istTime.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }),
-      marketHours: '9:15 AM - 3:30 PM IST',
-      status: isOpen ? 'OPEN' : 'CLOSED'
+      isMarketOpen: calendar.isOpen,
+      istTime: new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }),
+      marketHours: `${session.open} - ${session.close} IST`,
+      status: calendar.status,
+      tradingDay: calendar.tradingDay,
+      holiday: calendar.holiday,
+      session: calendar.session,
+      nextSession: calendar.nextSession,
+      expiries: calendar.expiries
     }
   });
 });
@@ -110,10 +117,10 @@ router.get('/tick-history/:symbol', async (req, res) => {
     const { symbol } = req.params;
     const limit = parseInt(req.query.limit) || 100;
 
-    if (!['NIFTY50', 'BANKNIFTY'].includes(symbol)) {
+    if (!symbolRegistry.has(symbol)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid symbol. Use NIFTY50 or BANKNIFTY'
+        message: `Invalid symbol. Use ${symbolRegistry.getSymbols().join(', ')}`
       });
     }
 
@@ -0,0 +1,198 @@
+/**
+ * Watchlist Routes
+ * Named symbol lists per user and the scanner that ranks a list's symbols by signal
+ *
+ * Every endpoint works on one user's lists, chosen with `user` (query string or body).
+ * Without it the 'default' user is used.
+ */
+
+const express = require('express');
+const router = express.Router();
+const watchlistManager = require('../services/watchlist-manager');
+const scanner = require('../services/scanner');
+
+const getUser = (req) => req.query.user || req.body?.user || 'default';
+
+/**
+ * GET /api/watchlists
+ * The user's watchlists (a new user gets the default list)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const watchlists = await watchlistManager.getWatchlists(getUser(req));
+
+    res.json({
+      success: true,
+      count: watchlists.length,
+      data: watchlists
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get watchlists',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/watchlists
+ * Body: { user?, name, description?, symbols? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, description, symbols } = req.body;
+    const watchlist = await watchlistManager.createWatchlist(getUser(req), { name, description, symbols });
+
+    res.status(201).json({
+      success: true,
+      data: watchlist
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to create watchlist',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/watchlists/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const watchlist = await watchlistManager.getWatchlist(getUser(req), req.params.id);
+
+    res.json({
+      success: true,
+      data: watchlist
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/watchlists/:id
+ * Body: { user?, name?, description?, symbols? (replaces the list, in this order) }
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, description, symbols } = req.body;
+    const watchlist = await watchlistManager.updateWatchlist(getUser(req), req.params.id, { name, description, symbols });
+
+    res.json({
+      success: true,
+      data: watchlist
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update watchlist',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/watchlists/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const watchlist = await watchlistManager.deleteWatchlist(getUser(req), req.params.id);
+
+    res.json({
+      success: true,
+      message: `Watchlist "${watchlist.name}" deleted`
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to delete watchlist',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/watchlists/:id/symbols
+ * Body: { user?, symbol } - appended to the list
+ */
+router.post('/:id/symbols', async (req, res) => {
+  try {
+    const watchlist = await watchlistManager.addSymbol(getUser(req), req.params.id, req.body.symbol);
+
+    res.json({
+      success: true,
+      data: watchlist
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to add symbol',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/watchlists/:id/symbols/:symbol
+ */
+router.delete('/:id/symbols/:symbol', async (req, res) => {
+  try {
+    const watchlist = await watchlistManager.removeSymbol(getUser(req), req.params.id, req.params.symbol);
+
+    res.json({
+      success: true,
+      data: watchlist
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to remove symbol',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/watchlists/:id/scan?timeframe=5m&sortBy=confidence&action=BUY&regime=STRONG_TRENDING&strategy=combiner
+ * Generate a signal for every symbol on the list and rank them (sortBy: confidence, action or regime)
+ * with one strategy (default: the primary strategy)
+ */
+router.get('/:id/scan', async (req, res) => {
+  let watchlist;
+  try {
+    watchlist = await watchlistManager.getWatchlist(getUser(req), req.params.id);
+  } catch (error) {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  try {
+    const { timeframe, sortBy, action, regime, strategy } = req.query;
+    const result = await scanner.scan(watchlist.symbols, { timeframe, sortBy, action, regime, strategy });
+
+    res.json({
+      success: true,
+      data: {
+        watchlist: { id: watchlist._id, name: watchlist.name },
+        ...result
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to scan watchlist',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
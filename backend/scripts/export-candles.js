@@ -0,0 +1,48 @@
+/**
+ * Candle Export Script
+ * Writes stored ChartData candles to CSV or JSON (IST timestamps with offset, re-importable)
+ *
+ * Usage:
+ *   node scripts/export-candles.js --symbol=NIFTY50 --timeframe=5m
+ *   node scripts/export-candles.js --symbol=BANKNIFTY --timeframe=1d --from=2024-01-01 --to=2024-03-31 --format=json
+ *   node scripts/export-candles.js --symbol=NIFTY50 --timeframe=1m --out=./nifty-1m.csv
+ *
+ * Files are written to reports/<symbol>_<timeframe>[_<from>][_<to>].<format> unless --out is given
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const connectDB = require('../config/database');
+const candleIO = require('../services/candle-io');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const getArg = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+
+async function main() {
+  try {
+    await connectDB();
+
+    const exported = await candleIO.export({
+      symbol: getArg('symbol') || 'NIFTY50',
+      timeframe: getArg('timeframe') || '5m',
+      from: getArg('from'),
+      to: getArg('to'),
+      format: getArg('format') || 'csv'
+    });
+
+    const file = getArg('out') || path.join(__dirname, '..', 'reports', exported.filename);
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, exported.content);
+
+    console.log(`\n💾 Exported ${exported.count} candles to ${file}\n`);
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Export error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,174 @@
+/**
+ * Generate Test Fixtures
+ * Writes the synthetic market data the jest specs run on (MARKET_DATA_MODE=fixture):
+ * 5m candles and a quote for NIFTY50, BANKNIFTY and DOWJONES over 13-15 Oct 2026, and
+ * NIFTY/BANKNIFTY option chains around the last price
+ *
+ * The series come from a seeded random walk inside each instrument's session, so running
+ * this again gives byte-identical files. Every file is marked source "synthetic".
+ *
+ * Usage:
+ *   node scripts/generate-test-fixtures.js
+ *
+ * Fixtures go to backend/fixtures/market-data (or MARKET_DATA_FIXTURE_DIR). Recording real
+ * data over them (npm run record-fixtures) changes the values the specs expect.
+ */
+
+const fixtureProvider = require('../services/providers/fixture');
+const tradingCalendar = require('../services/trading-calendar');
+const symbolRegistry = require('../services/symbol-registry');
+
+const SOURCE = 'synthetic';
+const GENERATED_AT = '2026-10-15T10:00:00.000Z';
+const DATES = ['2026-10-13', '2026-10-14', '2026-10-15'];
+const BAR_MS = 5 * 60 * 1000;
+
+const SERIES = [
+  { symbol: 'NIFTY50', price: 25150, volatility: 0.0009, volume: 180000, strikeStep: 50 },
+  { symbol: 'BANKNIFTY', price: 55800, volatility: 0.0011, volume: 90000, strikeStep: 100 },
+  { symbol: 'DOWJONES', price: 46200, volatility: 0.0008, volume: 2500000 }
+];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Linear congruential generator - same seed, same series
+let seed = 20261015;
+const random = () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+
+// Prices on the 0.05 tick
+const tick = (value) => Number((Math.round(value / 0.05) * 0.05).toFixed(2));
+
+/**
+ * 5m candles over DATES inside the symbol's own session
+ */
+function buildCandles({ symbol, price: startPrice, volatility, volume }) {
+  const session = tradingCalendar.getSession(symbol);
+  const candles = [];
+  let price = startPrice;
+
+  for (const date of DATES) {
+    const midnight = Date.parse(`${date}T00:00:00Z`) - tradingCalendar.getOffsetMs(`${date}T12:00:00Z`, session.timezone);
+    const close = midnight + session.close * 60 * 1000;
+    const drift = (random() - 0.5) * volatility * 0.3;
+
+    price *= 1 + (random() - 0.5) * 0.006; // Overnight gap
+
+    for (let time = midnight + session.open * 60 * 1000; time < close; time += BAR_MS) {
+      const open = tick(price);
+      const closePrice = tick(open * (1 + (random() - 0.5) * 2 * volatility + drift));
+      const high = tick(Math.max(open, closePrice) * (1 + random() * volatility * 0.6));
+      const low = tick(Math.min(open, closePrice) * (1 - random() * volatility * 0.6));
+
+      candles.push({
+        symbol,
+        timeframe: '5m',
+        timestamp: new Date(time),
+        ohlc: { open, high: Math.max(high, open, closePrice), low: Math.min(low, open, closePrice), close: closePrice },
+        volume: Math.round(volume * (0.5 + random()))
+      });
+      price = closePrice;
+    }
+  }
+
+  return candles;
+}
+
+/**
+ * Quote at the close of the last session, in the NSE provider's shape
+ */
+function buildQuote(symbol, candles) {
+  const last = candles[candles.length - 1];
+  const day = candles.filter(c => tradingCalendar.getTradingDay(symbol, c.timestamp) === DATES[DATES.length - 1]);
+  const previousClose = candles[candles.length - day.length - 1].ohlc.close;
+  const change = tick(last.ohlc.close - previousClose);
+
+  return {
+    symbol,
+    price: last.ohlc.close,
+    timestamp: new Date(last.timestamp.getTime() + BAR_MS),
+    volume: day.reduce((sum, c) => sum + c.volume, 0),
+    metadata: {
+      open: day[0].ohlc.open,
+      high: Math.max(...day.map(c => c.ohlc.high)),
+      low: Math.min(...day.map(c => c.ohlc.low)),
+      previousClose,
+      change,
+      changePercent: Number((change / previousClose * 100).toFixed(2))
+    },
+    source: SOURCE
+  };
+}
+
+/**
+ * Raw NSE option-chain response: 11 strikes around the money for the next expiry
+ */
+function buildOptionChain(symbol, price, strikeStep) {
+  const optionSymbol = symbolRegistry.get(symbol).optionSymbol;
+  const expiryDate = tradingCalendar.getNextExpiry(symbol, '2026-10-16').date;
+  const expiry = `${expiryDate.slice(8)}-${MONTHS[Number(expiryDate.slice(5, 7)) - 1]}-${expiryDate.slice(0, 4)}`;
+  const atm = Math.round(price / strikeStep) * strikeStep;
+  const data = [];
+
+  for (let k = -5; k <= 5; k++) {
+    const strikePrice = atm + k * strikeStep;
+    const leg = (intrinsic) => ({
+      strikePrice,
+      expiryDate: expiry,
+      underlying: optionSymbol,
+      openInterest: Math.round((60000 + 40000 * random()) / (1 + Math.abs(k) * 0.3)),
+      changeinOpenInterest: Math.round((random() - 0.4) * 8000),
+      pchangeinOpenInterest: Number(((random() - 0.4) * 12).toFixed(2)),
+      totalTradedVolume: Math.round(200000 * random() / (1 + Math.abs(k) * 0.2)),
+      impliedVolatility: Number((11 + Math.abs(k) * 0.4 + random()).toFixed(2)),
+      lastPrice: Number((Math.max(0, intrinsic) + 0.8 * strikeStep * Math.exp(-Math.abs(k) * 0.35)).toFixed(2)),
+      change: Number(((random() - 0.5) * 20).toFixed(2)),
+      underlyingValue: price
+    });
+
+    data.push({ strikePrice, expiryDate: expiry, CE: leg(price - strikePrice), PE: leg(strikePrice - price) });
+  }
+
+  return {
+    optionSymbol,
+    response: {
+      records: {
+        expiryDates: [expiry],
+        data,
+        timestamp: '15-Oct-2026 15:30:00',
+        underlyingValue: price,
+        strikePrices: data.map(row => row.strikePrice)
+      }
+    }
+  };
+}
+
+function generateFixtures() {
+  console.log(`\n🧪 Writing synthetic fixtures to ${fixtureProvider.directory}\n`);
+
+  for (const series of SERIES) {
+    const { symbol } = series;
+    const candles = buildCandles(series);
+    const quote = buildQuote(symbol, candles);
+
+    fixtureProvider.writeJSON(fixtureProvider.filePath('candles', `${symbol}_5m`), {
+      symbol,
+      timeframe: '5m',
+      source: SOURCE,
+      recordedAt: GENERATED_AT,
+      candles
+    });
+    fixtureProvider.writeJSON(fixtureProvider.filePath('quotes', symbol), { source: SOURCE, recordedAt: GENERATED_AT, quote });
+    console.log(`✓ ${symbol}: ${candles.length} candles, last ${quote.price}`);
+
+    if (series.strikeStep) {
+      const { optionSymbol, response } = buildOptionChain(symbol, quote.price, series.strikeStep);
+      fixtureProvider.writeJSON(fixtureProvider.filePath('option-chain', optionSymbol), { source: SOURCE, recordedAt: GENERATED_AT, response });
+      console.log(`✓ ${optionSymbol} option chain: ${response.records.expiryDates[0]}`);
+    }
+  }
+}
+
+generateFixtures();
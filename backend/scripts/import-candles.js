@@ -0,0 +1,79 @@
+/**
+ * Candle Import Script
+ * Loads an OHLCV file (broker export, NSE index history/bhavcopy, TradingView CSV or JSON) into ChartData
+ *
+ * Usage:
+ *   node scripts/import-candles.js --file=./NIFTY50_5m.csv --symbol=NIFTY50
+ *   node scripts/import-candles.js --file=./nifty-history.csv --symbol=NIFTY50 --timeframe=1d --layout=nse
+ *   node scripts/import-candles.js --file=./export.csv --symbol=BANKNIFTY --timezone=UTC --overwrite
+ *   node scripts/import-candles.js --file=./export.csv --symbol=NIFTY50 --dry-run    # Validate only
+ *
+ * The timeframe is inferred from the row spacing unless given. Timestamps without an offset are
+ * read as IST (--timezone=UTC or an offset like +00:00 to change). Existing candles are kept
+ * unless --overwrite.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const connectDB = require('../config/database');
+const candleIO = require('../services/candle-io');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const getArg = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+const hasFlag = (name) => args.includes(`--${name}`);
+
+function printReport(report) {
+  console.log(`\n📄 ${report.symbol} ${report.timeframe} (${report.format}, ${report.layout} layout)`);
+  console.log(`  Rows:        ${report.rows}`);
+  console.log(`  Valid:       ${report.parsed} (${report.duplicates} duplicates merged, ${report.rejected} rejected)`);
+  if (report.from) {
+    console.log(`  Range:       ${candleIO.formatIST(report.from)} → ${candleIO.formatIST(report.to)}`);
+  }
+  console.log(`  Timezones:   ${report.timezone.withOffset} with offset (${report.timezone.offsetsSeen.join(', ') || '-'}), ${report.timezone.naive} naive (read as ${report.timezone.assumed}), ${report.timezone.dateOnly} date-only`);
+
+  if (!report.dryRun) {
+    console.log(`  Stored:      ${report.inserted} new, ${report.updated} updated, ${report.skipped} unchanged`);
+  }
+
+  report.warnings.forEach(warning => console.log(`  ⚠️  ${warning}`));
+  report.errors.forEach(error => console.log(`  ✗ Line ${error.line}: ${error.reason}`));
+  if (report.rejected > report.errors.length) {
+    console.log(`  ... ${report.rejected - report.errors.length} more rejected rows`);
+  }
+}
+
+async function main() {
+  try {
+    const file = getArg('file');
+    if (!file) {
+      throw new Error('--file is required');
+    }
+
+    const dryRun = hasFlag('dry-run');
+    if (!dryRun) {
+      await connectDB();
+    }
+
+    const report = await candleIO.import(fs.readFileSync(path.resolve(file), 'utf8'), {
+      symbol: getArg('symbol'),
+      timeframe: getArg('timeframe'),
+      format: getArg('format') || (path.extname(file).toLowerCase() === '.json' ? 'json' : undefined),
+      layout: getArg('layout'),
+      timezone: getArg('timezone'),
+      overwrite: hasFlag('overwrite'),
+      dryRun
+    });
+
+    printReport(report);
+    console.log(`\n${dryRun ? '🔍 Dry run - nothing stored' : '✅ Import complete'}\n`);
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Import error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
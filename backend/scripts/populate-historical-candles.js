@@ -1,11 +1,11 @@
 /**
- * Populate database with historical candles from MoneyControl API
+ * Populate database with historical candles from the market data providers
  * This allows SMC indicators to work immediately
  */
 
 const mongoose = require('mongoose');
-const axios = require('axios');
 require('dotenv').config();
+const marketData = require('../services/market-data');
 
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/nse_trading';
 
@@ -39,39 +39,12 @@ const ChartDataSchema = new mongoose.Schema({
 
 const ChartData = mongoose.model('ChartData', ChartDataSchema);
 
-async function fetchMoneyControlData(symbol, mcSymbol) {
+async function fetchCandles(symbol) {
   try {
-    const now = Math.floor(Date.now() / 1000);
-    const fiveDaysAgo = now - (5 * 24 * 60 * 60);
-    const resolution = 5; // 5-minute candles
-    const countback = 1440;
+    const fiveDaysAgo = new Date(Date.now() - 5 * 24 * 60 * 60 * 1000);
 
-    const url = `https://priceapi.moneycontrol.com/techCharts/indianMarket/index/history?symbol=${encodeURIComponent(mcSymbol)}&resolution=${resolution}&from=${fiveDaysAgo}&to=${now}&countback=${countback}&currencyCode=INR`;
-
-    console.log(`\nFetching data for ${symbol} from MoneyControl...`);
-    const response = await axios.get(url, { timeout: 15000 });
-
-    if (response.data.s !== 'ok') {
-      throw new Error('No data available');
-    }
-
-    const data = response.data;
-    const candles = [];
-
-    for (let i = 0; i < data.t.length; i++) {
-      candles.push({
-        symbol,
-        timeframe: '5m',
-        timestamp: new Date(data.t[i] * 1000),
-        ohlc: {
-          open: data.o[i],
-          high: data.h[i],
-          low: data.l[i],
-          close: data.c[i]
-        },
-        volume: data.v ? data.v[i] : 0
-      });
-    }
+    console.log(`\nFetching data for ${symbol}...`);
+    const candles = await marketData.getCandles(symbol, '5m', fiveDaysAgo);
 
     console.log(`✓ Fetched ${candles.length} candles for ${symbol}`);
     return candles;
@@ -88,13 +61,10 @@ async function populateCandles() {
     console.log('✓ Connected to MongoDB\n');
 
     // Fetch and store candles for each symbol
-    const symbols = [
-      { name: 'NIFTY50', mcSymbol: 'in;NSX' },
-      { name: 'BANKNIFTY', mcSymbol: 'in;nbx' }
-    ];
+    const symbols = ['NIFTY50', 'BANKNIFTY'];
 
-    for (const { name, mcSymbol } of symbols) {
-      const candles = await fetchMoneyControlData(name, mcSymbol);
+    for (const name of symbols) {
+      const candles = await fetchCandles(name);
 
       if (candles.length > 0) {
         console.log(`Saving ${candles.length} candles for ${name}...`);
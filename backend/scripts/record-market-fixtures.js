@@ -0,0 +1,71 @@
+/**
+ * Record Market Fixtures
+ * Fetches live candles, quotes and option chains and saves them as fixtures for offline runs
+ * (MARKET_DATA_MODE=fixture)
+ *
+ * Usage:
+ *   node scripts/record-market-fixtures.js                                  # All registry symbols, last 30 days
+ *   node scripts/record-market-fixtures.js --symbols=NIFTY50 --days=5 --timeframes=1m,5m
+ *
+ * Fixtures go to backend/fixtures/market-data (or MARKET_DATA_FIXTURE_DIR); recording again
+ * extends existing candle fixtures.
+ */
+
+require('dotenv').config();
+process.env.MARKET_DATA_MODE = 'record';
+
+const marketData = require('../services/market-data');
+const optionsDataFetcher = require('../services/options-data-fetcher');
+const fixtureProvider = require('../services/providers/fixture');
+const symbolRegistry = require('../services/symbol-registry');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const getArg = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+
+const SYMBOLS = getArg('symbols') ? getArg('symbols').split(',') : symbolRegistry.getSymbols();
+const TIMEFRAMES = (getArg('timeframes') || '5m').split(',');
+const DAYS = parseInt(getArg('days')) || 30;
+
+async function recordFixtures() {
+  console.log(`\n📼 Recording market data fixtures to ${fixtureProvider.directory}\n`);
+
+  const from = new Date(Date.now() - DAYS * 24 * 60 * 60 * 1000);
+  let failures = 0;
+
+  for (const symbol of SYMBOLS) {
+    for (const timeframe of TIMEFRAMES) {
+      try {
+        await marketData.getCandles(symbol, timeframe, from);
+      } catch (error) {
+        console.error(`  ✗ ${symbol} ${timeframe} candles: ${error.message}`);
+        failures++;
+      }
+    }
+
+    try {
+      const quote = await marketData.getQuote(symbol);
+      console.log(`  ✓ ${symbol}: Quote ${quote.price} from ${quote.source}`);
+    } catch (error) {
+      console.error(`  ✗ ${symbol} quote: ${error.message}`);
+      failures++;
+    }
+
+    // Symbols with NSE option chains
+    const optionSymbol = symbolRegistry.get(symbol)?.optionSymbol;
+    if (optionSymbol) {
+      try {
+        await optionsDataFetcher.fetchOptionsChain(optionSymbol);
+        console.log(`  ✓ ${symbol}: Option chain recorded`);
+      } catch (error) {
+        console.error(`  ✗ ${symbol} option chain: ${error.message}`);
+        failures++;
+      }
+    }
+  }
+
+  console.log(`\n${failures === 0 ? '✅' : '⚠️ '} Fixtures recorded (${failures} failed)\n`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+recordFixtures();
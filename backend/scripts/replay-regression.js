@@ -0,0 +1,149 @@
+/**
+ * Replay Regression Script
+ * Replays a stored range bar by bar and records every output of a signal strategy
+ * (the primary one unless --strategy is given), optionally comparing it with an earlier recording
+ *
+ * Usage:
+ *   node scripts/replay-regression.js --symbol=NIFTY50 --date=2024-03-01
+ *   node scripts/replay-regression.js --symbol=NIFTY50 --from=2024-03-01 --to=2024-03-05 --timeframe=15m
+ *   node scripts/replay-regression.js --symbol=NIFTY50 --date=2024-03-01 --baseline=reports/replay-NIFTY50-2024-03-01-5m.json
+ *   node scripts/replay-regression.js --symbol=NIFTY50 --date=2024-03-01 --strategy=combiner-strict
+ *
+ * Recordings are written to reports/replay-<symbol>-<range>-<timeframe>.json (or --out=<file>);
+ * a --strategy recording gets a -<strategy> suffix
+ * Exits with code 1 when the run differs from the baseline
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const connectDB = require('../config/database');
+const ReplaySession = require('../services/replay-session');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const getArg = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+
+const SYMBOL = getArg('symbol') || 'NIFTY50';
+const TIMEFRAME = getArg('timeframe') || '5m';
+const STRATEGY = getArg('strategy');
+const MAX_DIFFS_SHOWN = 20;
+
+/**
+ * Bar-by-bar differences between two recordings
+ */
+function compareRecordings(baseline, current) {
+  const diffs = [];
+  const byTime = new Map(baseline.signals.map(signal => [signal.timestamp, signal]));
+  const seen = new Set();
+
+  for (const signal of current.signals) {
+    const previous = byTime.get(signal.timestamp);
+    seen.add(signal.timestamp);
+
+    if (!previous) {
+      diffs.push({ timestamp: signal.timestamp, field: 'bar', baseline: 'missing', current: signal.action });
+      continue;
+    }
+
+    for (const field of ['action', 'strength', 'confidence', 'totalScore', 'price']) {
+      if (previous[field] !== signal[field]) {
+        diffs.push({ timestamp: signal.timestamp, field, baseline: previous[field], current: signal[field] });
+      }
+    }
+    for (const [level, value] of Object.entries(signal.levels)) {
+      if (previous.levels[level] !== value) {
+        diffs.push({ timestamp: signal.timestamp, field: `levels.${level}`, baseline: previous.levels[level], current: value });
+      }
+    }
+  }
+
+  for (const signal of baseline.signals) {
+    if (!seen.has(signal.timestamp)) {
+      diffs.push({ timestamp: signal.timestamp, field: 'bar', baseline: signal.action, current: 'missing' });
+    }
+  }
+
+  return diffs;
+}
+
+async function main() {
+  try {
+    await connectDB();
+
+    console.log('\n' + '═'.repeat(70));
+    console.log('  🎞️  REPLAY REGRESSION - NSE Trading System');
+    console.log('═'.repeat(70));
+
+    const session = new ReplaySession('regression');
+    const loaded = await session.loadReplayData(SYMBOL, {
+      date: getArg('date'),
+      from: getArg('from'),
+      to: getArg('to'),
+      source: getArg('source')
+    });
+
+    console.log(`\n📊 ${SYMBOL}: ${loaded.ticksLoaded} ticks from ${loaded.source}, replaying ${TIMEFRAME} bars...`);
+
+    const recording = await session.recordSignals({ timeframe: TIMEFRAME, strategy: STRATEGY });
+    const actions = recording.signals.reduce((counts, signal) => {
+      counts[signal.action] = (counts[signal.action] || 0) + 1;
+      return counts;
+    }, {});
+
+    console.log(`  Strategy: ${recording.strategy.name} v${recording.strategy.version}`);
+    console.log(`  ${recording.bars} bars, ${recording.signals.length} signals evaluated`);
+    console.log(`  Actions: ${Object.entries(actions).map(([action, count]) => `${action} ${count}`).join(', ')}`);
+    console.log(`  Digest:  ${recording.digest}`);
+
+    const rangeLabel = [...new Set([getArg('date') || getArg('from'), getArg('date') || getArg('to')].filter(Boolean))].join('_')
+      || new Date(loaded.startTime).toISOString().slice(0, 10);
+    let file = getArg('out')
+      ? path.resolve(getArg('out'))
+      : path.join(__dirname, '..', 'reports', `replay-${SYMBOL}-${rangeLabel}-${TIMEFRAME}${STRATEGY ? `-${STRATEGY}` : ''}.json`);
+
+    // Never overwrite the baseline being compared against
+    if (getArg('baseline') && path.resolve(getArg('baseline')) === file) {
+      file = file.replace(/\.json$/, '.latest.json');
+    }
+
+    let exitCode = 0;
+
+    if (getArg('baseline')) {
+      const baseline = JSON.parse(fs.readFileSync(path.resolve(getArg('baseline')), 'utf8'));
+
+      // Recordings from before strategies were tagged have no strategy field
+      const { strategy } = baseline;
+      if (strategy && (strategy.name !== recording.strategy.name || strategy.version !== recording.strategy.version)) {
+        console.log(`\n⚠️  Baseline was recorded with ${strategy.name} v${strategy.version}`);
+      }
+
+      if (baseline.digest === recording.digest) {
+        console.log(`\n✅ Identical to baseline (${baseline.signals.length} signals)`);
+      } else {
+        const diffs = compareRecordings(baseline, recording);
+        const changedBars = new Set(diffs.map(diff => diff.timestamp)).size;
+        console.log(`\n❌ ${changedBars} bars differ from baseline (${diffs.length} fields):`);
+        for (const diff of diffs.slice(0, MAX_DIFFS_SHOWN)) {
+          console.log(`  ${diff.timestamp} ${diff.field}: ${diff.baseline} → ${diff.current}`);
+        }
+        if (diffs.length > MAX_DIFFS_SHOWN) {
+          console.log(`  ... ${diffs.length - MAX_DIFFS_SHOWN} more`);
+        }
+        exitCode = 1;
+      }
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(recording, null, 2));
+    console.log(`\n💾 Recording saved to ${file}\n`);
+
+    process.exit(exitCode);
+
+  } catch (error) {
+    console.error('❌ Replay regression error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
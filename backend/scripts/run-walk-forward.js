@@ -0,0 +1,112 @@
+/**
+ * Walk-Forward Optimisation Script
+ * Sweeps signal-combiner thresholds and weights over stored ChartData and writes a report
+ *
+ * Usage:
+ *   node scripts/run-walk-forward.js --symbol=NIFTY50
+ *   node scripts/run-walk-forward.js --symbol=BANKNIFTY --from=2024-01-01 --to=2024-03-31 --is=15 --oos=5
+ *   node scripts/run-walk-forward.js --symbol=NIFTY50 --grid=./my-grid.json   # { "thresholds": {...}, "weightShift": 0.2 }
+ *
+ * Reports are written to reports/walk-forward-<symbol>-<timestamp>.json
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const connectDB = require('../config/database');
+const walkForwardOptimizer = require('../services/walk-forward-optimizer');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const getArg = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+
+const SYMBOL = getArg('symbol') || 'NIFTY50';
+const OUTPUT_DIR = getArg('out') || path.join(__dirname, '..', 'reports');
+
+function formatPercent(value) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+function printReport(report) {
+  console.log(`\n${'─'.repeat(70)}`);
+  console.log(`📈 ${report.symbol} walk-forward (${report.windows.length} windows, ${report.parameterSets} parameter sets)`);
+  console.log(`${'─'.repeat(70)}`);
+
+  for (const window of report.windows) {
+    const best = window.best;
+    console.log(`\nIS ${window.inSample.from} → ${window.inSample.to} | OOS ${window.outOfSample.from} → ${window.outOfSample.to}`);
+    if (!best) {
+      console.log('  ⚠️  No parameter set reached the minimum trade count');
+      continue;
+    }
+    console.log(`  🏆 ${best.id}`);
+    console.log(`     IS:  ${best.inSample.trades} trades, ${best.inSample.winRate}% win, net ${formatPercent(best.inSample.netPLPercent)}`);
+    console.log(`     OOS: ${best.outOfSample.trades} trades, ${best.outOfSample.winRate}% win, net ${formatPercent(best.outOfSample.netPLPercent)}`);
+    if (window.current) {
+      console.log(`     Current settings OOS: net ${formatPercent(window.current.outOfSample.netPLPercent)}`);
+    }
+  }
+
+  const { walkForward, current } = report.outOfSample;
+  console.log(`\n📊 Stitched out-of-sample:`);
+  console.log(`  Walk-forward: ${walkForward.trades} trades, ${walkForward.winRate}% win, net ${formatPercent(walkForward.netPLPercent)} (gross ${formatPercent(walkForward.grossPLPercent)})`);
+  console.log(`  Current:      ${current.trades} trades, ${current.winRate}% win, net ${formatPercent(current.netPLPercent)} (gross ${formatPercent(current.grossPLPercent)})`);
+
+  console.log(`\n🧱 Most stable parameter sets:`);
+  for (const set of report.stableSets) {
+    console.log(`  ${set.windowsInTop}/${report.windows.length} top, ${set.oosPositiveWindows} OOS+ | net ${formatPercent(set.oosNetPLPercent)} | ${set.id}`);
+  }
+
+  if (report.recommended) {
+    console.log(`\n✅ Recommended (paste into config/constants.js after review):`);
+    console.log(JSON.stringify({
+      ACTION_THRESHOLDS: report.recommended.ACTION_THRESHOLDS,
+      INDICATOR_WEIGHTS: report.recommended.INDICATOR_WEIGHTS || 'keep current'
+    }, null, 2));
+  }
+}
+
+async function main() {
+  try {
+    await connectDB();
+
+    const grid = getArg('grid')
+      ? JSON.parse(fs.readFileSync(path.resolve(getArg('grid')), 'utf8'))
+      : undefined;
+
+    console.log('\n' + '═'.repeat(70));
+    console.log('  🔧 WALK-FORWARD OPTIMISATION - NSE Trading System');
+    console.log('═'.repeat(70));
+
+    const report = await walkForwardOptimizer.run({
+      symbol: SYMBOL,
+      timeframe: getArg('timeframe'),
+      from: getArg('from'),
+      to: getArg('to'),
+      lookback: getArg('lookback') && parseInt(getArg('lookback')),
+      signalInterval: getArg('interval') && parseInt(getArg('interval')),
+      maxHoldingBars: getArg('max-holding') && parseInt(getArg('max-holding')),
+      inSampleDays: getArg('is') && parseInt(getArg('is')),
+      outOfSampleDays: getArg('oos') && parseInt(getArg('oos')),
+      minTrades: getArg('min-trades') && parseInt(getArg('min-trades')),
+      grid
+    }, (stage, done, total) => {
+      console.log(`  ⏳ ${stage}: ${done}/${total}`);
+    });
+
+    printReport(report);
+
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    const file = path.join(OUTPUT_DIR, `walk-forward-${SYMBOL}-${Date.now()}.json`);
+    fs.writeFileSync(file, JSON.stringify(report, null, 2));
+    console.log(`\n💾 Report saved to ${file}\n`);
+
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Walk-forward error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -5,7 +5,7 @@
 
 require('dotenv').config();
 const connectDB = require('../config/database');
-const replayManager = require('../services/replay-manager');
+const replay = require('../services/replay-manager').getOrCreate('script');
 
 async function testAllScenarios() {
   try {
@@ -17,13 +17,13 @@ async function testAllScenarios() {
 
     // Test 1: Load data
     console.log('✅ Test 1: Loading replay data...');
-    await replayManager.loadReplayData('NIFTY50');
-    const status = replayManager.getStatus();
+    await replay.loadReplayData('NIFTY50');
+    const status = replay.getStatus();
     console.log(`   Loaded ${status.totalTicks} ticks`);
 
     // Test 2: Start replay
     console.log('\n✅ Test 2: Starting replay...');
-    await replayManager.start({ speed: 10, startFrom: 50 });
+    await replay.start({ speed: 10, startFrom: 50 });
 
     // Wait and collect data
     await new Promise(resolve => setTimeout(resolve, 3000));
@@ -33,7 +33,7 @@ async function testAllScenarios() {
     let dataReceived = false;
     let candleDataReceived = { '1': 0, '5': 0, '15': 0 };
 
-    replayManager.addListener((data) => {
+    replay.addListener((data) => {
       dataReceived = true;
 
       // Check if candles are being generated
@@ -52,14 +52,14 @@ async function testAllScenarios() {
 
     // Test 4: Signal generation
     console.log('\n✅ Test 4: Testing signal generation...');
-    const currentStatus = replayManager.getStatus();
+    const currentStatus = replay.getStatus();
     if (currentStatus.currentTick) {
       console.log(`   ✓ Current price: ₹${currentStatus.currentTick.price?.toFixed(2) || 'N/A'}`);
     }
 
     // Test 5: Stop replay
     console.log('\n✅ Test 5: Stopping replay...');
-    replayManager.stop();
+    replay.stop();
     console.log('   ✓ Replay stopped successfully');
 
     console.log('\n═══════════════════════════════════════════════════════════════');
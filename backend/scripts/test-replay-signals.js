@@ -4,7 +4,7 @@
 
 require('dotenv').config();
 const connectDB = require('../config/database');
-const replayManager = require('../services/replay-manager');
+const replay = require('../services/replay-manager').getOrCreate('script');
 
 async function testSignals() {
   try {
@@ -12,11 +12,11 @@ async function testSignals() {
     console.log('\n🧪 Testing Replay Signal Generation\n');
 
     // Load data
-    await replayManager.loadReplayData('NIFTY50');
+    await replay.loadReplayData('NIFTY50');
 
     // Add a test listener
     let updateCount = 0;
-    replayManager.addListener((data) => {
+    replay.addListener((data) => {
       updateCount++;
       console.log(`\n📊 Update ${updateCount}:`);
       console.log(`   Time: ${data.marketTime}`);
@@ -43,19 +43,19 @@ async function testSignals() {
       // Stop after 10 updates
       if (updateCount >= 10) {
         console.log('\n✅ Test complete - stopping replay\n');
-        replayManager.stop();
+        replay.stop();
         process.exit(0);
       }
     });
 
     // Start replay
     console.log('▶️  Starting replay...\n');
-    await replayManager.start({ speed: 10 }); // 10x speed for quick test
+    await replay.start({ speed: 10 }); // 10x speed for quick test
 
     // Keep script running
     setTimeout(() => {
       console.log('\n⏱️  Timeout - stopping test\n');
-      replayManager.stop();
+      replay.stop();
       process.exit(0);
     }, 15000);
 
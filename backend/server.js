@@ -22,8 +22,10 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Connect to database
-connectDB();
+// Connect to database, then read the symbol registry (config/symbols.js defaults apply until then)
+connectDB()
+  .then(() => require('./services/symbol-registry').load())
+  .catch(error => console.error('⚠️  Symbol registry not loaded:', error.message));
 
 // Routes
 app.get('/', (req, res) => {
@@ -35,7 +37,11 @@ app.get('/', (req, res) => {
       test: '/api/test',
       fetchNSE: '/api/test/fetch-nse',
       marketStatus: '/api/test/market-status',
-      latestData: '/api/test/latest-data'
+      latestData: '/api/test/latest-data',
+      backtest: '/api/backtest',
+      symbols: '/api/symbols',
+      watchlists: '/api/watchlists',
+      strategies: '/api/strategies'
     }
   });
 });
@@ -49,52 +55,97 @@ app.use('/api/signals', require('./routes/signals'));
 app.use('/api/signals-test', require('./routes/signals-test'));
 app.use('/api/history', require('./routes/history'));
 app.use('/api/investing', require('./routes/investing'));
+app.use('/api/backtest', require('./routes/backtest'));
+app.use('/api/paper', require('./routes/paper'));
+app.use('/api/market-data', require('./routes/market-data'));
+app.use('/api/symbols', require('./routes/symbols'));
+app.use('/api/watchlists', require('./routes/watchlists'));
+app.use('/api/strategies', require('./routes/strategies'));
 
 // TODO: Import and use other routes
 // app.use('/api/options', require('./routes/options'));
 
 // WebSocket - Replay Manager Integration
+// Each socket drives its own replay session unless it joins a named one ('replay-join')
 const replayManager = require('./services/replay-manager');
 
 io.on('connection', (socket) => {
   console.log('✓ Client connected:', socket.id);
 
-  // Send current replay status
-  socket.emit('replay-status', replayManager.getStatus());
+  let session = null;
 
   // Add listener for replay updates
   const replayListener = (data) => {
     socket.emit('replay-update', data);
   };
 
-  replayManager.addListener(replayListener);
+  // Attach to a named session, or to this socket's own session (created on first use)
+  const attach = (name) => {
+    const next = name
+      ? replayManager.getOrCreate(name)
+      : replayManager.getOrCreate(socket.id, { owner: socket.id });
+
+    if (next !== session) {
+      if (session) {
+        session.removeListener(replayListener);
+        // Leaving our own session - nobody else can reach it
+        if (session.id === socket.id) replayManager.destroy(socket.id);
+      }
+      session = next;
+      session.addListener(replayListener);
+    }
+    return session;
+  };
+
+  // Run a control command on the current session, reporting errors and the new status
+  const control = (handler) => async (data = {}, ack) => {
+    try {
+      const result = await handler(session || attach(), data || {});
+      if (typeof ack === 'function') ack(result);
+    } catch (error) {
+      socket.emit('replay-error', { message: error.message });
+      if (typeof ack === 'function') ack({ success: false, error: error.message });
+    }
+    if (session) socket.emit('replay-status', session.getStatus());
+  };
 
   // Handle disconnection
   socket.on('disconnect', () => {
     console.log('✗ Client disconnected:', socket.id);
-    replayManager.removeListener(replayListener);
+    if (session) session.removeListener(replayListener);
+    replayManager.releaseOwner(socket.id);
   });
 
+  // Session selection: { session } joins/creates a named session, no name returns to a private one
+  socket.on('replay-join', control((current, data) => {
+    attach(data.session || null);
+    return { success: true, session: session.id };
+  }));
+
+  socket.on('replay-status', control(() => ({ success: true })));
+
   // Control commands
-  socket.on('replay-start', async (data) => {
-    const result = await replayManager.start(data);
-    socket.emit('replay-status', replayManager.getStatus());
-  });
+  socket.on('replay-load', control((current, data) => {
+    const { symbol = current.symbol, date, from, to, source } = data;
+    return current.loadReplayData(symbol, { date, from, to, source });
+  }));
 
-  socket.on('replay-pause', () => {
-    replayManager.pause();
-    socket.emit('replay-status', replayManager.getStatus());
-  });
+  socket.on('replay-start', control((current, data) => current.start(data)));
 
-  socket.on('replay-resume', async () => {
-    await replayManager.resume();
-    socket.emit('replay-status', replayManager.getStatus());
-  });
+  socket.on('replay-pause', control((current) => current.pause()));
 
-  socket.on('replay-stop', () => {
-    replayManager.stop();
-    socket.emit('replay-status', replayManager.getStatus());
-  });
+  socket.on('replay-resume', control((current) => current.resume()));
+
+  socket.on('replay-stop', control((current) => current.stop()));
+
+  socket.on('replay-seek', control((current, data) => current.seek(data.index)));
+
+  // Candle-level replay: { mode, timeframe }, { direction: 'forward' | 'back' }, { timestamp }
+  socket.on('replay-mode', control((current, data) => current.setMode(data.mode, { timeframe: data.timeframe })));
+
+  socket.on('replay-step', control((current, data) => current.step(data.direction)));
+
+  socket.on('replay-jump', control((current, data) => current.jumpTo(data.timestamp)));
 });
 
 // Error handling middleware
@@ -126,9 +177,9 @@ server.listen(PORT, () => {
  * - Signal Generator: Read ChartData → Generate signals every 3 minutes
  *
  * NEW APPROACH:
- * - Signal Generator: Fetches fresh data from MoneyControl/Investing.com (same as frontend)
- *   → Generates signals → Stores ONLY signals in MongoDB
- * - No redundant data storage needed (frontend already has chart data)
+ * - Signal Generator: Reads candles through the candle store (ChartData), which fetches only the bars
+ *   newer than what it holds from the market data providers → Generates signals → Stores signals
+ * - Candle store: rolling ChartData copy of fetched candles, pruned after its retention period
  */
 function startBackgroundAgents() {
   try {
@@ -149,48 +200,46 @@ function startBackgroundAgents() {
       console.log('✓ Signal Tracker started');
     }
 
+    // Start Candle Store pruning (drops stored candles past their retention)
+    require('./services/candle-store').start();
+
+    // Start Paper Trading engine (fills open paper orders against fresh candles)
+    require('./services/paper-trading').start();
+
     // Setup Cron Jobs for automatic signal tracking
     const cron = require('node-cron');
-
-    // Cron Job 1: Check signals every minute during market hours
-    // Runs 9:15 AM - 3:30 PM IST, Monday-Friday
-    cron.schedule('*/1 9-15 * * 1-5', async () => {
-      const now = new Date();
-      const istTime = new Date(now.toLocaleString('en-US', { timeZone: 'Asia/Kolkata' }));
-      const hours = istTime.getHours();
-      const minutes = istTime.getMinutes();
-      const currentMinutes = hours * 60 + minutes;
-
-      // Market hours: 9:15 AM (555 min) to 3:30 PM (930 min)
-      const marketOpen = 9 * 60 + 15;
-      const marketClose = 15 * 60 + 30;
-
-      // Only run during market hours
-      if (currentMinutes >= marketOpen && currentMinutes <= marketClose) {
-        console.log(`\n⏰ [CRON] Checking active signals... (${istTime.toLocaleTimeString('en-IN')} IST)`);
+    const tradingCalendar = require('./services/trading-calendar');
+
+    // Cron Job: every minute, the trading calendar decides (holidays, Muhurat and other special sessions)
+    // - While the market is open: check active signals
+    // - On the first minute after the session closes: process remaining signals at market close
+    let marketWasOpen = tradingCalendar.isOpen();
+    cron.schedule('* * * * *', async () => {
+      const marketOpen = tradingCalendar.isOpen();
+      const istTime = new Date().toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata' });
+
+      if (marketOpen) {
+        console.log(`\n⏰ [CRON] Checking active signals... (${istTime} IST)`);
         if (signalTracker && signalTracker.checkActiveSignals) {
           await signalTracker.checkActiveSignals();
         }
+      } else if (marketWasOpen) {
+        console.log(`\n🔔 [CRON] Market closed - Processing remaining signals...`);
+        if (signalTracker && signalTracker.processMarketCloseSignals) {
+          const result = await signalTracker.processMarketCloseSignals();
+          console.log(`✅ [CRON] Market close processing complete: ${result.processed} signals (${result.profits} wins, ${result.losses} losses)`);
+        }
       }
-    }, {
-      timezone: "Asia/Kolkata"
-    });
 
-    // Cron Job 2: Process remaining signals at market close
-    // Runs at 3:31 PM IST daily (1 minute after market close)
-    cron.schedule('31 15 * * 1-5', async () => {
-      console.log(`\n🔔 [CRON] Market closed - Processing remaining signals...`);
-      if (signalTracker && signalTracker.processMarketCloseSignals) {
-        const result = await signalTracker.processMarketCloseSignals();
-        console.log(`✅ [CRON] Market close processing complete: ${result.processed} signals (${result.profits} wins, ${result.losses} losses)`);
-      }
+      marketWasOpen = marketOpen;
     }, {
       timezone: "Asia/Kolkata"
     });
 
-    console.log('✓ Cron jobs scheduled:');
-    console.log('  - Signal check: Every minute during market hours (9:15 AM - 3:30 PM IST)');
-    console.log('  - Market close P/L: Daily at 3:31 PM IST');
+    const { session, nextSession } = tradingCalendar.getStatus();
+    console.log('✓ Cron jobs scheduled (NSE trading calendar):');
+    console.log(`  - Signal check: Every minute while the market is open (today: ${session ? `${session.open} - ${session.close} IST` : 'closed'})`);
+    console.log(`  - Market close P/L: First minute after the session closes${nextSession ? ` (next session ${nextSession.date})` : ''}`);
 
     console.log('✅ All background services are running\n');
   } catch (error) {
@@ -0,0 +1,475 @@
+/**
+ * Backtest Engine
+ * Replays stored candles bar by bar through a signal strategy (the primary one by default) and
+ * simulates the resulting trades
+ *
+ * Flow per bar:
+ * 1. If a trade is open, apply the bar to it like the signal tracker does: the exit policy's
+ *    partials, breakeven and trailing stops (trade-manager.js), and the intrabar rule for bars
+ *    touching both the stop and a target
+ * 2. If flat, generate a signal from the lookback window ending at this bar
+ * 3. BUY/SELL signals open a trade at the bar close with the signal's levels
+ *
+ * Every run is persisted as a BacktestRun document (config, strategy, trades, metrics)
+ * Trade P/L is reported gross and net of costs (see cost-model.js)
+ * startRuns() runs several strategies side by side over the same range - one run each, sharing a batchId
+ */
+
+const crypto = require('crypto');
+const BacktestRun = require('../models/BacktestRun');
+const ChartData = require('../models/ChartData');
+const strategyRegistry = require('./strategy-registry');
+const candleResampler = require('./candle-resampler');
+const tradeManager = require('./trade-manager');
+const signalTracker = require('./signal-tracker');
+const { STRATEGIES, INTRABAR_RULES } = require('../config/constants');
+
+const DEFAULT_CONFIG = {
+  timeframe: '5m',
+  lookback: 100,        // Candles fed to the combiner for each signal
+  signalInterval: 1,    // Evaluate a signal every N bars while flat
+  maxHoldingBars: 75,   // Force exit after N bars (~1 session on 5m)
+  minConfidence: 0      // Ignore BUY/SELL signals below this confidence
+};
+
+const PROGRESS_UPDATE_EVERY = 25; // Bars between progress writes
+
+// Stored timeframes other timeframes are resampled from when they have no ChartData (preferred first)
+const BASE_TIMEFRAMES = ['5m', '1m'];
+
+class BacktestEngine {
+  constructor() {
+    this.activeRuns = new Set();
+  }
+
+  /**
+   * Create a run and execute it in the background
+   * @param {Object} options - { symbol, timeframe, from, to, lookback, signalInterval, maxHoldingBars, minConfidence,
+   *   exitPolicy, intrabarRule, strategy }
+   * @returns {Object} The created BacktestRun document
+   */
+  async startRun(options = {}) {
+    const run = await this.createRun(options);
+
+    // Fire and forget - callers poll the status endpoint
+    this.executeRun(run).catch(error => {
+      console.error(`Backtest ${run._id} failed:`, error.message);
+    });
+
+    return run;
+  }
+
+  /**
+   * One run per strategy over the same range, executed concurrently in the background
+   * @param {Object} options - startRun options with `strategies` (names; default: the active strategies)
+   * @returns {Array} The created BacktestRun documents, in strategy order
+   */
+  async startRuns(options = {}) {
+    const strategies = strategyRegistry.resolve(options.strategies);
+    const batchId = strategies.length > 1 ? crypto.randomUUID() : null;
+
+    // Validate every strategy's run before any of them starts
+    const runs = [];
+    for (const strategy of strategies) {
+      runs.push(await this.createRun({ ...options, strategy: strategy.name, batchId }));
+    }
+
+    for (const run of runs) {
+      this.executeRun(run).catch(error => {
+        console.error(`Backtest ${run._id} (${run.strategy.name}) failed:`, error.message);
+      });
+    }
+
+    return runs;
+  }
+
+  /**
+   * Validate options and persist a PENDING run
+   */
+  async createRun(options = {}, source = 'chartdata') {
+    const config = { ...DEFAULT_CONFIG, ...this.pickDefined(options) };
+
+    if (!options.symbol) {
+      throw new Error('Symbol is required');
+    }
+
+    // Default: the primary strategy
+    const [strategy] = strategyRegistry.resolve(options.strategy || strategyRegistry.getPrimary().name);
+    if (parseInt(config.lookback) < strategy.requiredBars) {
+      throw new Error(`Lookback ${config.lookback} is below the ${strategy.requiredBars} candles ${strategy.name} needs`);
+    }
+
+    // Default: what the signal tracker uses for live signals
+    const exitPolicy = tradeManager.getPolicy(config.exitPolicy).name;
+    const intrabarRule = config.intrabarRule || signalTracker.intrabarRule;
+    if (!INTRABAR_RULES.includes(intrabarRule)) {
+      throw new Error(`Unknown intrabar rule: ${intrabarRule} (use ${INTRABAR_RULES.join(', ')})`);
+    }
+
+    const from = options.from ? new Date(options.from) : null;
+    const to = options.to ? new Date(options.to) : null;
+
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      throw new Error('Invalid from/to date');
+    }
+    if (from && to && from >= to) {
+      throw new Error('"from" must be before "to"');
+    }
+
+    return BacktestRun.create({
+      symbol: options.symbol,
+      timeframe: config.timeframe,
+      strategy: strategy.getTag(),
+      batchId: options.batchId || null,
+      config: {
+        from,
+        to,
+        lookback: parseInt(config.lookback),
+        signalInterval: Math.max(1, parseInt(config.signalInterval)),
+        maxHoldingBars: parseInt(config.maxHoldingBars),
+        minConfidence: parseFloat(config.minConfidence),
+        exitPolicy,
+        intrabarRule,
+        source
+      },
+      status: 'PENDING'
+    });
+  }
+
+  /**
+   * Execute a run to completion
+   * @param {Object} run - BacktestRun document
+   * @param {Array} candles - Optional candles (otherwise loaded from ChartData)
+   */
+  async executeRun(run, candles = null) {
+    this.activeRuns.add(run._id.toString());
+
+    try {
+      run.status = 'RUNNING';
+      run.startedAt = new Date();
+      await run.save();
+
+      const series = candles || await this.loadCandles(
+        run.symbol,
+        run.timeframe,
+        run.config.from,
+        run.config.to
+      );
+
+      if (series.length <= run.config.lookback) {
+        throw new Error(`Not enough candles: ${series.length} available, need more than ${run.config.lookback}`);
+      }
+
+      const result = await this.simulate(series, {
+        symbol: run.symbol,
+        timeframe: run.timeframe,
+        lookback: run.config.lookback,
+        signalInterval: run.config.signalInterval,
+        maxHoldingBars: run.config.maxHoldingBars,
+        minConfidence: run.config.minConfidence,
+        exitPolicy: run.config.exitPolicy,
+        intrabarRule: run.config.intrabarRule,
+        strategy: run.strategy?.name || STRATEGIES.UNTAGGED
+      }, (processedBars, totalBars) => this.updateProgress(run._id, processedBars, totalBars));
+
+      run.trades = result.trades;
+      run.metrics = {
+        ...this.calculateMetrics(result.trades),
+        candlesTested: series.length,
+        signalsEvaluated: result.signalsEvaluated
+      };
+      run.progress = {
+        processedBars: result.totalBars,
+        totalBars: result.totalBars,
+        percent: 100
+      };
+      run.status = 'COMPLETED';
+      run.completedAt = new Date();
+      await run.save();
+
+      console.log(`✅ Backtest ${run._id} (${run.symbol}, ${run.strategy?.name || STRATEGIES.UNTAGGED}) complete: ${run.metrics.totalTrades} trades, ${run.metrics.winRate}% win rate`);
+      return run;
+
+    } catch (error) {
+      run.status = 'FAILED';
+      run.error = error.message;
+      run.completedAt = new Date();
+      await run.save();
+      throw error;
+
+    } finally {
+      this.activeRuns.delete(run._id.toString());
+    }
+  }
+
+  /**
+   * Load stored candles for a symbol/timeframe range (ascending)
+   * Timeframes without stored candles (3m, 75m, 2h, 1w, ...) are resampled from 5m or 1m
+   * ChartData; the last bar is dropped while it is still forming
+   */
+  async loadCandles(symbol, timeframe, from, to) {
+    const query = { symbol, timeframe };
+
+    if (from || to) {
+      query.timestamp = {};
+      if (from) query.timestamp.$gte = from;
+      if (to) query.timestamp.$lte = to;
+    }
+
+    const candles = await ChartData.find(query)
+      .sort({ timestamp: 1 })
+      .lean();
+
+    if (candles.length > 0) {
+      return candles;
+    }
+
+    const targetMinutes = candleResampler.toMinutes(timeframe);
+    for (const base of BASE_TIMEFRAMES) {
+      const baseMinutes = candleResampler.toMinutes(base);
+      if (baseMinutes >= targetMinutes || (targetMinutes < 1440 && targetMinutes % baseMinutes !== 0)) continue;
+
+      const baseCandles = await ChartData.find({ ...query, timeframe: base })
+        .sort({ timestamp: 1 })
+        .lean();
+
+      if (baseCandles.length > 0) {
+        console.log(`🔁 Resampling ${baseCandles.length} ${base} candles to ${timeframe} for ${symbol}`);
+        return candleResampler.resample(baseCandles, timeframe, { baseTimeframe: base, includePartial: false, symbol });
+      }
+    }
+
+    return candles;
+  }
+
+  /**
+   * Walk the candle series bar by bar
+   * @param {Array} candles - Ascending OHLC candles
+   * @param {Object} config - Run configuration (strategy: name or instance, default: the primary strategy;
+   *   exitPolicy / intrabarRule: default to the signal tracker's)
+   * @param {Function} onProgress - Optional (processedBars, totalBars) callback
+   * @param {Function} signalProvider - Optional (barIndex, candles) => { action, confidence, levels }
+   *                                    Defaults to running the strategy on the lookback window
+   * @returns {Object} { trades, signalsEvaluated, totalBars }
+   */
+  async simulate(candles, config, onProgress = null, signalProvider = null) {
+    const { symbol, timeframe, lookback, signalInterval, maxHoldingBars, minConfidence } = config;
+    const strategy = config.strategy || strategyRegistry.getPrimary();
+    const exitPolicy = tradeManager.getPolicy(config.exitPolicy).name;
+    const intrabarRule = config.intrabarRule || signalTracker.intrabarRule;
+    const barMs = candleResampler.toMinutes(timeframe || DEFAULT_CONFIG.timeframe) * 60 * 1000;
+    const getSignal = signalProvider || (async (i) => {
+      const result = await strategyRegistry.evaluate(strategy, candles.slice(i - lookback + 1, i + 1), {
+        symbol,
+        timeframe,
+        minConfidence: 0,
+        liveOptions: false
+      });
+      return { action: result.signal.action, confidence: result.signal.confidence, levels: result.levels };
+    });
+    const trades = [];
+    const firstBar = lookback - 1;
+    const totalBars = candles.length - firstBar;
+
+    let openTrade = null;
+    let signalsEvaluated = 0;
+
+    for (let i = firstBar; i < candles.length; i++) {
+      const candle = candles[i];
+
+      // 1. Manage open position
+      if (openTrade) {
+        openTrade.barsHeld++;
+        await this.applyBar(openTrade, candles, i, { maxHoldingBars, lookback, barMs, intrabarRule });
+
+        if (openTrade.position.openFraction === 0) {
+          trades.push(this.closeTrade(openTrade));
+          openTrade = null;
+        }
+      }
+
+      // 2. Look for a new entry while flat
+      if (!openTrade && (i - firstBar) % signalInterval === 0 && i < candles.length - 1) {
+        const signal = await getSignal(i, candles);
+        signalsEvaluated++;
+
+        const action = signal?.action;
+        if (action && action !== 'HOLD' && signal.confidence >= minConfidence && signal.levels?.stopLoss) {
+          openTrade = this.openTrade(symbol, action, signal, candle, exitPolicy);
+        }
+      }
+
+      if (onProgress && (i - firstBar) % PROGRESS_UPDATE_EVERY === 0) {
+        await onProgress(i - firstBar + 1, totalBars);
+      }
+    }
+
+    // Close anything still open at the last available price
+    if (openTrade) {
+      const lastCandle = candles[candles.length - 1];
+      tradeManager.closeRemaining(openTrade.signal, openTrade.position, lastCandle.ohlc.close, lastCandle.timestamp, 'END_OF_DATA');
+      trades.push(this.closeTrade(openTrade));
+    }
+
+    return { trades, signalsEvaluated, totalBars };
+  }
+
+  /**
+   * Open a trade at the bar close - held as a tracker position under the exit policy
+   */
+  openTrade(symbol, action, signal, candle, exitPolicy) {
+    const levels = {
+      stopLoss: signal.levels.stopLoss,
+      target1: signal.levels.target1,
+      target2: signal.levels.target2,
+      target3: signal.levels.target3,
+      riskRewardRatio: signal.levels.riskRewardRatio
+    };
+    // Signal shape trade-manager works on
+    const tradeSignal = {
+      symbol,
+      signal: { action },
+      levels: { entry: candle.ohlc.close, ...levels },
+      marketTime: candle.timestamp
+    };
+    const position = tradeManager.getPosition(tradeSignal);
+    position.exitPolicy = exitPolicy;
+
+    return {
+      action,
+      confidence: signal.confidence,
+      entryTime: candle.timestamp,
+      entryPrice: candle.ohlc.close,
+      levels,
+      barsHeld: 0,
+      signal: tradeSignal,
+      position
+    };
+  }
+
+  /**
+   * Apply bar i to an open trade through the signal tracker's bar logic (mutates its position)
+   * Whatever is still open after maxHoldingBars exits at the bar close
+   */
+  async applyBar(trade, candles, i, { maxHoldingBars, lookback, barMs, intrabarRule }) {
+    const candle = candles[i];
+    const history = candles.slice(Math.max(0, i - lookback + 1), i + 1);
+
+    await signalTracker.applyBar(trade.signal, trade.position, signalTracker.candleBar(candle), history, barMs, intrabarRule);
+
+    if (trade.position.openFraction > 0 && maxHoldingBars && trade.barsHeld >= maxHoldingBars) {
+      tradeManager.closeRemaining(trade.signal, trade.position, candle.ohlc.close, candle.timestamp, 'TIME_EXIT');
+    }
+  }
+
+  /**
+   * Build the persisted trade record from a closed position
+   */
+  closeTrade(trade) {
+    const summary = tradeManager.summarize(trade.signal, trade.position);
+    const exitReason = summary.exitReason;
+
+    return {
+      action: trade.action,
+      confidence: trade.confidence,
+      entryTime: trade.entryTime,
+      entryPrice: trade.entryPrice,
+      exitTime: summary.exitTime,
+      exitPrice: summary.exitPrice,
+      levels: trade.levels,
+      // Furthest target reached, otherwise how the position went out
+      targetHit: summary.targetHit !== 'NONE' || !['STOPLOSS', 'TIME_EXIT', 'END_OF_DATA'].includes(exitReason)
+        ? summary.targetHit
+        : exitReason,
+      exitReason,
+      legs: trade.position.legs,
+      outcome: summary.outcome,
+      barsHeld: trade.barsHeld,
+      profitLoss: summary.profitLoss,
+      profitLossPercent: summary.profitLossPercent,
+      netProfitLoss: summary.netProfitLoss,
+      netProfitLossPercent: summary.netProfitLossPercent,
+      costs: summary.costs
+    };
+  }
+
+  /**
+   * Summary metrics for a list of closed trades
+   */
+  calculateMetrics(trades) {
+    const wins = trades.filter(t => t.outcome === 'WIN');
+    const losses = trades.filter(t => t.outcome === 'LOSS');
+
+    const sum = (list, field) => list.reduce((total, t) => total + (t[field] || 0), 0);
+    const round = (value) => Math.round(value * 100) / 100;
+
+    const totalPL = sum(trades, 'profitLoss');
+    const totalPLPercent = sum(trades, 'profitLossPercent');
+    const totalNetPL = sum(trades, 'netProfitLoss');
+    const totalNetPLPercent = sum(trades, 'netProfitLossPercent');
+    const totalCharges = trades.reduce((total, t) => total + (t.costs?.totalCharges || 0), 0);
+
+    return {
+      totalTrades: trades.length,
+      wins: wins.length,
+      losses: losses.length,
+      winRate: trades.length > 0 ? round((wins.length / trades.length) * 100) : 0,
+      totalPL: round(totalPL),
+      totalPLPercent: round(totalPLPercent),
+      avgPL: trades.length > 0 ? round(totalPL / trades.length) : 0,
+      avgPLPercent: trades.length > 0 ? round(totalPLPercent / trades.length) : 0,
+      avgWin: wins.length > 0 ? round(sum(wins, 'profitLossPercent') / wins.length) : 0,
+      avgLoss: losses.length > 0 ? round(sum(losses, 'profitLossPercent') / losses.length) : 0,
+      totalNetPL: round(totalNetPL),
+      totalNetPLPercent: round(totalNetPLPercent),
+      avgNetPL: trades.length > 0 ? round(totalNetPL / trades.length) : 0,
+      avgNetPLPercent: trades.length > 0 ? round(totalNetPLPercent / trades.length) : 0,
+      totalCharges: round(totalCharges),
+      targetBreakdown: {
+        target1: trades.filter(t => t.targetHit === 'TARGET1').length,
+        target2: trades.filter(t => t.targetHit === 'TARGET2').length,
+        target3: trades.filter(t => t.targetHit === 'TARGET3').length,
+        stopLoss: trades.filter(t => t.targetHit === 'STOPLOSS').length,
+        timeExit: trades.filter(t => t.targetHit === 'TIME_EXIT' || t.targetHit === 'END_OF_DATA').length
+      }
+    };
+  }
+
+  /**
+   * Persist progress without loading the whole document
+   */
+  async updateProgress(runId, processedBars, totalBars) {
+    try {
+      await BacktestRun.updateOne(
+        { _id: runId },
+        {
+          $set: {
+            'progress.processedBars': processedBars,
+            'progress.totalBars': totalBars,
+            'progress.percent': Math.round((processedBars / totalBars) * 100)
+          }
+        }
+      );
+    } catch (error) {
+      console.error(`Failed to update backtest progress:`, error.message);
+    }
+  }
+
+  /**
+   * Whether a run is executing in this process
+   */
+  isRunning(runId) {
+    return this.activeRuns.has(runId.toString());
+  }
+
+  /**
+   * Drop undefined/empty values so defaults apply
+   */
+  pickDefined(options) {
+    return Object.fromEntries(
+      Object.entries(options).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+  }
+}
+
+module.exports = new BacktestEngine();
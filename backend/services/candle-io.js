@@ -0,0 +1,559 @@
+/**
+ * Candle Import/Export
+ * Loads OHLCV files into ChartData and writes stored candles back out as CSV or JSON
+ *
+ * Import layouts (detected from the header, or forced with `layout`):
+ * - broker: date/datetime column (or separate date + time), open, high, low, close, volume -
+ *   Zerodha/Upstox style exports
+ * - tradingview: `time` as epoch seconds or ISO with offset, open/high/low/close/Volume
+ * - nse: NSE index history and bhavcopy columns (Index Name, Open Index Value, Shares Traded,
+ *   TOTTRDQTY, 01-MAR-2024 dates); multi-symbol files are filtered to the requested symbol
+ * - json: ChartData-shaped or flat candle arrays, { candles: [...] }, TradingView { t, o, h, l, c, v }
+ *   or [[time, open, high, low, close, volume], ...]
+ *
+ * Timestamps with an offset (or epoch numbers) are taken as given; naive ones are read in
+ * `timezone` (default IST). Date-only rows become daily bars stamped at the symbol's session start
+ * (the 09:15 open for NSE symbols, see services/candle-resampler.js).
+ * Rows are validated and deduplicated on timestamp; existing candles are kept unless `overwrite`.
+ */
+
+const ChartData = require('../models/ChartData');
+const candleResampler = require('./candle-resampler');
+const symbolRegistry = require('./symbol-registry');
+const tradingCalendar = require('./trading-calendar');
+const { RESAMPLE_TIMEFRAMES } = require('../config/constants');
+
+const MINUTE_MS = 60 * 1000;
+const IST_OFFSET_MINUTES = 330;
+const MAX_ERRORS_REPORTED = 20;
+const WRITE_BATCH_SIZE = 1000;
+
+const LAYOUTS = ['broker', 'tradingview', 'nse', 'json'];
+
+// Header aliases (lower-cased, spaces collapsed)
+const COLUMNS = {
+  datetime: ['datetime', 'timestamp', 'date time', 'date_time'],
+  date: ['date', 'index date', 'trade date', 'tradedate'],
+  time: ['time'],
+  open: ['open', 'open price', 'open index value', 'o'],
+  high: ['high', 'high price', 'high index value', 'h'],
+  low: ['low', 'low price', 'low index value', 'l'],
+  close: ['close', 'close price', 'closing index value', 'last', 'c'],
+  volume: ['volume', 'vol', 'shares traded', 'tottrdqty', 'total traded quantity', 'v'],
+  symbol: ['symbol', 'index name', 'ticker', 'name']
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+class CandleIO {
+  /**
+   * Parse a file into candles without touching the database
+   * @param {String} content - File contents
+   * @param {Object} options - { symbol, timeframe?, format? ('csv' | 'json'), layout?, timezone? ('IST', 'UTC', '+05:30') }
+   * @returns {Object} { candles, report }
+   */
+  parse(content, options = {}) {
+    const symbol = this.resolveSymbol(options.symbol);
+    if (!symbol) {
+      throw new Error(`Unknown symbol "${options.symbol}" (use ${symbolRegistry.getSymbols().join(', ')})`);
+    }
+    if (options.layout && !LAYOUTS.includes(options.layout)) {
+      throw new Error(`Unknown layout "${options.layout}" (use ${LAYOUTS.join(', ')})`);
+    }
+
+    const offsetMinutes = this.parseTimezone(options.timezone);
+    const format = options.format || (/^\s*[[{]/.test(content) ? 'json' : 'csv');
+    const { rows, layout } = format === 'json'
+      ? { rows: this.rowsFromJSON(content), layout: 'json' }
+      : this.rowsFromCSV(content, symbol, options.layout);
+
+    const report = {
+      symbol,
+      timeframe: null,
+      format,
+      layout,
+      rows: rows.length,
+      parsed: 0,
+      rejected: 0,
+      duplicates: 0,
+      from: null,
+      to: null,
+      timezone: {
+        assumed: this.formatOffset(offsetMinutes),
+        withOffset: 0,
+        naive: 0,
+        dateOnly: 0,
+        offsetsSeen: []
+      },
+      errors: [],
+      warnings: []
+    };
+
+    const reject = (line, reason) => {
+      report.rejected++;
+      if (report.errors.length < MAX_ERRORS_REPORTED) report.errors.push({ line, reason });
+    };
+
+    const offsetsSeen = new Set();
+    const parsed = [];
+
+    for (const row of rows) {
+      const time = this.parseTime(row.time, offsetMinutes);
+      if (!time) {
+        reject(row.line, `Unreadable timestamp "${row.time}"`);
+        continue;
+      }
+
+      const ohlc = {
+        open: this.toNumber(row.open),
+        high: this.toNumber(row.high),
+        low: this.toNumber(row.low),
+        close: this.toNumber(row.close)
+      };
+      const problem = this.validateOHLC(ohlc);
+      if (problem) {
+        reject(row.line, problem);
+        continue;
+      }
+
+      if (time.dateOnly) report.timezone.dateOnly++;
+      else if (time.offset !== null) {
+        report.timezone.withOffset++;
+        offsetsSeen.add(time.offset);
+      } else report.timezone.naive++;
+
+      parsed.push({ ...time, ohlc, volume: Math.max(0, this.toNumber(row.volume) || 0) });
+    }
+
+    report.timezone.offsetsSeen = [...offsetsSeen];
+
+    const timeframe = options.timeframe || this.inferTimeframe(parsed);
+    candleResampler.parseTimeframe(timeframe);
+    if (!ChartData.schema.path('timeframe').enumValues.includes(timeframe)) {
+      throw new Error(`ChartData does not store ${timeframe} candles`);
+    }
+    report.timeframe = timeframe;
+
+    // Daily bars follow the resampler: one per trading day of the symbol's session
+    const byTime = new Map();
+    for (const candle of parsed) {
+      const timestamp = timeframe === '1d' || timeframe === '1w'
+        ? candleResampler.getBucket(candle.time, timeframe, symbol).start
+        : new Date(candle.time);
+      const key = timestamp.getTime();
+
+      if (byTime.has(key)) report.duplicates++;
+      byTime.set(key, { symbol, timeframe, timestamp, ohlc: candle.ohlc, volume: candle.volume });
+    }
+
+    const candles = [...byTime.values()].sort((a, b) => a.timestamp - b.timestamp);
+    report.parsed = candles.length;
+
+    if (candles.length > 0) {
+      report.from = candles[0].timestamp;
+      report.to = candles[candles.length - 1].timestamp;
+    }
+
+    if (report.timezone.naive > 0) {
+      report.warnings.push(`${report.timezone.naive} timestamps had no timezone - read as ${report.timezone.assumed}`);
+    }
+    if (timeframe !== '1d' && timeframe !== '1w') {
+      const misaligned = candles.filter(c => candleResampler.getBucket(c.timestamp, timeframe, symbol).start.getTime() !== c.timestamp.getTime()).length;
+      if (misaligned > 0) {
+        report.warnings.push(`${misaligned} candles do not start on a ${timeframe} boundary of the ${symbol} session - check the timezone`);
+      }
+    }
+
+    return { candles, report };
+  }
+
+  /**
+   * Parse a file and store its candles in ChartData
+   * @param {String} content - File contents
+   * @param {Object} options - parse() options plus { overwrite = false, dryRun = false }
+   * @returns {Object} Import report (parse report + inserted, updated, skipped)
+   */
+  async import(content, options = {}) {
+    const { candles, report } = this.parse(content, options);
+    const result = { ...report, dryRun: Boolean(options.dryRun), inserted: 0, updated: 0, skipped: 0 };
+
+    if (options.dryRun || candles.length === 0) {
+      return result;
+    }
+
+    for (let i = 0; i < candles.length; i += WRITE_BATCH_SIZE) {
+      const batch = candles.slice(i, i + WRITE_BATCH_SIZE);
+      const write = await ChartData.bulkWrite(batch.map(({ symbol, timeframe, timestamp, ohlc, volume }) => ({
+        updateOne: {
+          filter: { symbol, timeframe, timestamp },
+          update: options.overwrite
+            ? { $set: { ohlc, volume } }
+            : { $setOnInsert: { ohlc, volume } },
+          upsert: true
+        }
+      })), { ordered: false });
+
+      result.inserted += write.upsertedCount;
+      result.updated += write.modifiedCount;
+    }
+
+    result.skipped = candles.length - result.inserted - result.updated;
+
+    console.log(`📥 Imported ${result.symbol} ${result.timeframe}: ${result.inserted} new, ${result.updated} updated, ${result.skipped} unchanged, ${result.rejected} rejected`);
+    return result;
+  }
+
+  /**
+   * Stored candles as CSV or JSON
+   * @param {Object} options - { symbol, timeframe, from?, to?, format = 'csv' } - plain YYYY-MM-DD
+   *   dates cover whole IST days (to=2024-03-01 includes that day's candles)
+   * @returns {Object} { content, count, contentType, filename }
+   */
+  async export({ symbol, timeframe, from = null, to = null, format = 'csv' }) {
+    const resolved = this.resolveSymbol(symbol);
+    if (!resolved) {
+      throw new Error(`Unknown symbol "${symbol}" (use ${symbolRegistry.getSymbols().join(', ')})`);
+    }
+    candleResampler.parseTimeframe(timeframe);
+    if (!['csv', 'json'].includes(format)) {
+      throw new Error(`Unknown format "${format}" (use csv or json)`);
+    }
+
+    const range = tradingCalendar.parseRange(from, to);
+    const query = { symbol: resolved, timeframe };
+    if (range.from || range.to) {
+      query.timestamp = {};
+      if (range.from) query.timestamp.$gte = range.from;
+      if (range.to) query.timestamp.$lte = range.to;
+    }
+
+    const candles = await ChartData.find(query)
+      .sort({ timestamp: 1 })
+      .select('timestamp ohlc volume')
+      .lean();
+
+    const filename = `${resolved}_${timeframe}${range.from ? `_${this.formatDate(range.from)}` : ''}${range.to ? `_${this.formatDate(range.to)}` : ''}.${format}`;
+
+    if (format === 'json') {
+      return {
+        content: JSON.stringify(candles.map(c => ({
+          symbol: resolved,
+          timeframe,
+          timestamp: this.formatIST(c.timestamp),
+          ohlc: c.ohlc,
+          volume: c.volume || 0
+        })), null, 2),
+        count: candles.length,
+        contentType: 'application/json',
+        filename
+      };
+    }
+
+    // IST timestamps with an explicit offset so the file re-imports unchanged
+    const lines = ['timestamp,open,high,low,close,volume'];
+    for (const c of candles) {
+      lines.push([this.formatIST(c.timestamp), c.ohlc.open, c.ohlc.high, c.ohlc.low, c.ohlc.close, c.volume || 0].join(','));
+    }
+
+    return { content: `${lines.join('\n')}\n`, count: candles.length, contentType: 'text/csv', filename };
+  }
+
+  /**
+   * CSV rows → { line, time, open, high, low, close, volume }
+   */
+  rowsFromCSV(content, symbol, forcedLayout = null) {
+    const lines = content.replace(/^﻿/, '').split(/\r?\n/);
+    const headerIndex = lines.findIndex(line => line.trim() !== '');
+    if (headerIndex === -1) {
+      throw new Error('File is empty');
+    }
+
+    const delimiter = [',', ';', '\t'].reduce((best, d) =>
+      lines[headerIndex].split(d).length > lines[headerIndex].split(best).length ? d : best, ',');
+    const header = this.splitCSVLine(lines[headerIndex], delimiter).map(h => h.trim().toLowerCase().replace(/\s+/g, ' '));
+    const column = (name) => header.findIndex(h => COLUMNS[name].includes(h));
+
+    const columns = {
+      datetime: column('datetime'),
+      date: column('date'),
+      time: column('time'),
+      open: column('open'),
+      high: column('high'),
+      low: column('low'),
+      close: column('close'),
+      volume: column('volume'),
+      symbol: column('symbol')
+    };
+
+    const missing = ['open', 'high', 'low', 'close'].filter(name => columns[name] === -1);
+    if (columns.datetime === -1 && columns.date === -1 && columns.time === -1) missing.unshift('date/time');
+    if (missing.length > 0) {
+      throw new Error(`Missing columns: ${missing.join(', ')} (header: ${header.join(', ')})`);
+    }
+
+    // Names other sources use for the symbol (registry aliases and provider codes)
+    const aliases = symbolRegistry.getNames(symbolRegistry.get(symbol));
+    const rows = [];
+    let otherSymbols = 0;
+
+    for (let i = headerIndex + 1; i < lines.length; i++) {
+      if (lines[i].trim() === '') continue;
+
+      const cells = this.splitCSVLine(lines[i], delimiter).map(cell => cell.trim());
+      const cell = (index) => (index === -1 ? undefined : cells[index]);
+
+      // Multi-symbol files (bhavcopy): keep the requested symbol only
+      if (columns.symbol !== -1 && !aliases.includes((cell(columns.symbol) || '').toUpperCase())) {
+        otherSymbols++;
+        continue;
+      }
+
+      let time = cell(columns.datetime);
+      if (time === undefined) {
+        // Separate date and time columns, or TradingView's single `time`
+        time = columns.date !== -1 && columns.time !== -1
+          ? `${cell(columns.date)} ${cell(columns.time)}`
+          : cell(columns.date) ?? cell(columns.time);
+      }
+
+      rows.push({
+        line: i + 1,
+        time,
+        open: cell(columns.open),
+        high: cell(columns.high),
+        low: cell(columns.low),
+        close: cell(columns.close),
+        volume: cell(columns.volume)
+      });
+    }
+
+    if (columns.symbol !== -1 && rows.length === 0 && otherSymbols > 0) {
+      throw new Error(`No ${symbol} rows in file (${otherSymbols} rows for other symbols)`);
+    }
+
+    return { rows, layout: forcedLayout || this.detectLayout(header, rows) };
+  }
+
+  detectLayout(header, rows) {
+    if (header.some(h => ['index name', 'shares traded', 'tottrdqty', 'open index value'].includes(h))) return 'nse';
+    if (header.includes('time') && rows.length > 0 && /^\d{9,13}$/.test(rows[0].time || '')) return 'tradingview';
+    return 'broker';
+  }
+
+  /**
+   * JSON candles → rows
+   */
+  rowsFromJSON(content) {
+    const data = JSON.parse(content);
+
+    // TradingView history response
+    if (data && Array.isArray(data.t)) {
+      return data.t.map((t, i) => ({ line: i + 1, time: t, open: data.o[i], high: data.h[i], low: data.l[i], close: data.c[i], volume: data.v?.[i] }));
+    }
+
+    const list = Array.isArray(data) ? data : data?.candles;
+    if (!Array.isArray(list)) {
+      throw new Error('JSON must be a candle array, { candles: [...] } or { t, o, h, l, c, v }');
+    }
+
+    return list.map((item, i) => {
+      if (Array.isArray(item)) {
+        const [time, open, high, low, close, volume] = item;
+        return { line: i + 1, time, open, high, low, close, volume };
+      }
+
+      const ohlc = item.ohlc || item;
+      return {
+        line: i + 1,
+        time: item.timestamp ?? item.datetime ?? item.date ?? item.time,
+        open: ohlc.open,
+        high: ohlc.high,
+        low: ohlc.low,
+        close: ohlc.close,
+        volume: item.volume
+      };
+    });
+  }
+
+  /**
+   * Split a CSV line, honouring double-quoted cells
+   */
+  splitCSVLine(line, delimiter) {
+    const cells = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+
+      if (char === '"') {
+        if (quoted && line[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else {
+          quoted = !quoted;
+        }
+      } else if (char === delimiter && !quoted) {
+        cells.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    cells.push(current);
+    return cells;
+  }
+
+  /**
+   * Timestamp cell → { time (ms), offset ('+05:30', 'Z' or null), dateOnly }
+   * @param {Number} offsetMinutes - Offset applied to naive date/times
+   * @returns {Object|null} null when unreadable
+   */
+  parseTime(value, offsetMinutes) {
+    if (value === undefined || value === null || value === '') return null;
+
+    // Epoch seconds or milliseconds
+    if (typeof value === 'number' || /^\d{9,13}(\.\d+)?$/.test(String(value).trim())) {
+      const number = Number(value);
+      return { time: number > 1e11 ? number : number * 1000, offset: 'Z', dateOnly: false };
+    }
+
+    const text = String(value).trim().replace(/\s+/g, ' ');
+
+    // ISO-style with an explicit offset (2024-03-01T09:15:00+05:30, 2024-03-01 09:15:00+0530, ...Z)
+    const explicit = /^(\d{4}-\d{2}-\d{2})[T ](\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?) ?(Z|[+-]\d{2}:?\d{2})$/i.exec(text);
+    if (explicit) {
+      const offset = explicit[3].toUpperCase() === 'Z' ? 'Z' : explicit[3].replace(/^([+-]\d{2})(\d{2})$/, '$1:$2');
+      const clock = /^\d:/.test(explicit[2]) ? `0${explicit[2]}` : explicit[2];
+      const time = Date.parse(`${explicit[1]}T${clock}${offset}`);
+      return Number.isFinite(time) ? { time, offset, dateOnly: false } : null;
+    }
+
+    const parts = this.parseNaive(text);
+    if (!parts) return null;
+
+    const { year, month, day, hour, minute, second, dateOnly } = parts;
+    // Date-only rows sit at 12:00 UTC - the same date in every exchange timezone - until bucketed
+    const time = dateOnly
+      ? Date.UTC(year, month, day, 12)
+      : Date.UTC(year, month, day, hour, minute, second) - offsetMinutes * MINUTE_MS;
+
+    return Number.isFinite(time) ? { time, offset: null, dateOnly } : null;
+  }
+
+  /**
+   * Naive date/time text → parts
+   * Dates: 2024-03-01, 01-03-2024, 01/03/2024 (day first), 01-MAR-2024, 01 Mar 2024
+   */
+  parseNaive(text) {
+    const match = /^(\S+?)(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(?: ?([AP]M))?)?$/i.exec(text)
+      || /^(\d{1,2} [A-Za-z]{3,} \d{4})(?: (\d{1,2}):(\d{2})(?::(\d{2}))?(?: ?([AP]M))?)?$/i.exec(text);
+    if (!match) return null;
+
+    const date = this.parseDate(match[1]);
+    if (!date) return null;
+
+    let hour = match[2] !== undefined ? parseInt(match[2]) : 0;
+    if (match[5]) hour = (hour % 12) + (match[5].toUpperCase() === 'PM' ? 12 : 0);
+
+    return {
+      ...date,
+      hour,
+      minute: match[3] !== undefined ? parseInt(match[3]) : 0,
+      second: match[4] !== undefined ? parseInt(match[4]) : 0,
+      dateOnly: match[2] === undefined
+    };
+  }
+
+  parseDate(text) {
+    let match = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/.exec(text);
+    if (match) return { year: +match[1], month: +match[2] - 1, day: +match[3] };
+
+    match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/.exec(text);
+    if (match) return { year: +match[3], month: +match[2] - 1, day: +match[1] };
+
+    match = /^(\d{1,2})[- ]([A-Za-z]{3})[A-Za-z]*[- ](\d{4})$/.exec(text);
+    if (match && MONTHS.includes(match[2].toLowerCase())) {
+      return { year: +match[3], month: MONTHS.indexOf(match[2].toLowerCase()), day: +match[1] };
+    }
+
+    return null;
+  }
+
+  validateOHLC({ open, high, low, close }) {
+    if (![open, high, low, close].every(Number.isFinite)) return 'Missing or non-numeric OHLC';
+    if (low <= 0) return `Non-positive low ${low}`;
+    if (high < Math.max(open, close) || low > Math.min(open, close)) {
+      return `Inconsistent OHLC (O ${open} H ${high} L ${low} C ${close})`;
+    }
+    return null;
+  }
+
+  /**
+   * Timeframe from the spacing of the rows (all date-only → 1d)
+   */
+  inferTimeframe(candles) {
+    if (candles.length === 0) {
+      throw new Error('No valid candles in file');
+    }
+    if (candles.every(c => c.dateOnly)) return '1d';
+
+    const minutes = candleResampler.inferBaseMinutes(candles.map(c => ({ timestamp: c.time })));
+    const timeframe = RESAMPLE_TIMEFRAMES.find(tf => tf !== '1w' && candleResampler.toMinutes(tf) === minutes);
+
+    if (!timeframe) {
+      throw new Error(`Cannot infer the timeframe from ${minutes}-minute spacing - pass a timeframe`);
+    }
+    return timeframe;
+  }
+
+  resolveSymbol(symbol) {
+    if (!symbol) return null;
+    return symbolRegistry.resolve(symbol);
+  }
+
+  /**
+   * 'IST' | 'Asia/Kolkata' | 'UTC' | '+05:30' → minutes east of UTC
+   */
+  parseTimezone(timezone) {
+    if (!timezone || ['IST', 'ASIA/KOLKATA', 'ASIA/CALCUTTA'].includes(String(timezone).toUpperCase())) {
+      return IST_OFFSET_MINUTES;
+    }
+    if (['UTC', 'GMT', 'Z'].includes(String(timezone).toUpperCase())) return 0;
+
+    const match = /^([+-])(\d{2}):?(\d{2})$/.exec(timezone);
+    if (!match) {
+      throw new Error(`Unknown timezone "${timezone}" (use IST, UTC or an offset like +05:30)`);
+    }
+    return (match[1] === '-' ? -1 : 1) * (parseInt(match[2]) * 60 + parseInt(match[3]));
+  }
+
+  formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * 2024-03-01T09:15:00+05:30
+   */
+  formatIST(date) {
+    const ist = new Date(new Date(date).getTime() + IST_OFFSET_MINUTES * MINUTE_MS);
+    return `${ist.toISOString().slice(0, 19)}+05:30`;
+  }
+
+  /**
+   * IST day of a time (2024-03-01)
+   */
+  formatDate(date) {
+    return this.formatIST(date).slice(0, 10);
+  }
+
+  toNumber(value) {
+    if (value === undefined || value === null || value === '' || value === '-') return NaN;
+    return typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+  }
+}
+
+module.exports = new CandleIO();
@@ -0,0 +1,249 @@
+/**
+ * Candle Resampler
+ * Turns a base candle series (1m or 5m) into any higher timeframe in RESAMPLE_TIMEFRAMES
+ *
+ * Buckets follow each instrument's session (sessionHours, via services/trading-calendar.js).
+ * NSE symbols are aligned to the session rather than the clock (times IST):
+ * - Intraday: counted from the 09:15 open - 1h bars are 09:15, 10:15, ... and the last one
+ *   (15:15) is cut short by the 15:30 close; 75m gives five equal bars
+ * - 1d: one bar per session, stamped at the open
+ * - 1w: Monday-Friday, stamped at Monday's open
+ * Candles before the open fall into the first bar of the day, candles after the close into the last.
+ * Special sessions in the NSE calendar (Muhurat, Budget day) use their own open and close.
+ *
+ * Other instruments (DOWJONES, GIFTNIFTY) trade around the clock on their feeds, so intraday bars
+ * are aligned to the clock in the instrument's own timezone (1h = 10:00, 11:00, ...). Daily and
+ * weekly bars span their trading days - from local midnight, or from the open for overnight sessions.
+ *
+ * The newest bar is flagged `partial` when the data ends before the bar does.
+ */
+
+const tradingCalendar = require('./trading-calendar');
+const { RESAMPLE_TIMEFRAMES } = require('../config/constants');
+const { generateOHLC, groupTicksByInterval } = require('../utils/ohlc-generator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+class CandleResampler {
+  /**
+   * Timeframe string → { unit: 'm' | 'd' | 'w', minutes }
+   * Daily/weekly minutes are calendar lengths, only meant for ordering timeframes
+   */
+  parseTimeframe(timeframe) {
+    const match = /^(\d+)([mhdw])$/.exec(timeframe || '');
+    if (!match || !RESAMPLE_TIMEFRAMES.includes(timeframe)) {
+      throw new Error(`Unsupported timeframe "${timeframe}" (use ${RESAMPLE_TIMEFRAMES.join(', ')})`);
+    }
+
+    const size = parseInt(match[1]);
+    const unit = match[2];
+
+    if (unit === 'd') return { unit: 'd', minutes: size * 1440 };
+    if (unit === 'w') return { unit: 'w', minutes: size * 7 * 1440 };
+    return { unit: 'm', minutes: unit === 'h' ? size * 60 : size };
+  }
+
+  /**
+   * Bar length in minutes ('1d' = 1440, '1w' = 10080)
+   */
+  toMinutes(timeframe) {
+    return this.parseTimeframe(timeframe).minutes;
+  }
+
+  /**
+   * Bar containing a time
+   * @param {String} symbol - Whose session to bucket by (NSE session when unknown)
+   * @returns {Object} { start, end } as Dates (end is capped at the session close)
+   */
+  getBucket(time, timeframe, symbol = null) {
+    const { unit, minutes } = this.parseTimeframe(timeframe);
+    const { localMidnight, minute, offset, session } = tradingCalendar.getSessionClock(symbol, time);
+    const toUtc = (localMs) => new Date(localMs - offset);
+
+    if (!session.nse) return this.getClockBucket({ unit, minutes }, { localMidnight, minute, session }, toUtc);
+
+    // The day's own hours - special sessions (Muhurat, Budget day) differ from the regular one
+    const day = unit === 'w' ? null : tradingCalendar.getSessionTimes(time);
+    const toMinute = (date) => (date.getTime() + offset - localMidnight) / MINUTE_MS;
+    const { open, close } = day ? { open: toMinute(day.open), close: toMinute(day.close) } : session;
+
+    if (unit === 'd') {
+      return {
+        start: toUtc(localMidnight + open * MINUTE_MS),
+        end: toUtc(localMidnight + close * MINUTE_MS)
+      };
+    }
+
+    if (unit === 'w') {
+      const daysSinceMonday = (new Date(localMidnight).getUTCDay() + 6) % 7;
+      const monday = localMidnight - daysSinceMonday * DAY_MS;
+      return {
+        start: toUtc(monday + session.open * MINUTE_MS),
+        end: toUtc(monday + 4 * DAY_MS + session.close * MINUTE_MS)
+      };
+    }
+
+    // Pre-open and post-close candles are pulled into the first/last bar of the session
+    const sessionMinute = Math.min(Math.max(0, minute - open), close - open - 1);
+    const startMinute = open + Math.floor(sessionMinute / minutes) * minutes;
+
+    return {
+      start: toUtc(localMidnight + startMinute * MINUTE_MS),
+      end: toUtc(localMidnight + Math.min(startMinute + minutes, close) * MINUTE_MS)
+    };
+  }
+
+  /**
+   * Clock-aligned bar for instruments off the NSE calendar (see getBucket)
+   */
+  getClockBucket({ unit, minutes }, { localMidnight, minute, session }, toUtc) {
+    const dayStart = session.overnight ? session.open * MINUTE_MS : 0;
+    const dayEnd = DAY_MS + (session.overnight ? session.close * MINUTE_MS : 0);
+
+    if (unit === 'd') {
+      return { start: toUtc(localMidnight + dayStart), end: toUtc(localMidnight + dayEnd) };
+    }
+
+    if (unit === 'w') {
+      const daysSinceMonday = (new Date(localMidnight).getUTCDay() + 6) % 7;
+      const monday = localMidnight - daysSinceMonday * DAY_MS;
+      return { start: toUtc(monday + dayStart), end: toUtc(monday + 4 * DAY_MS + dayEnd) };
+    }
+
+    // Intraday bars run from the trading day's midnight, up to the day's end
+    const startMinute = Math.floor(minute / minutes) * minutes;
+
+    return {
+      start: toUtc(localMidnight + startMinute * MINUTE_MS),
+      end: toUtc(localMidnight + Math.min(startMinute * MINUTE_MS + minutes * MINUTE_MS, dayEnd))
+    };
+  }
+
+  /**
+   * Resample candles to a higher timeframe
+   * @param {Array} candles - Base candles ({ timestamp, ohlc, volume }), any order
+   * @param {String} timeframe - Target timeframe
+   * @param {Object} options - { baseTimeframe (defaults to the candles' own), includePartial = true,
+   *   symbol (whose session to bucket by, defaults to the candles' own) }
+   * @returns {Array} Resampled candles, ascending
+   */
+  resample(candles, timeframe, options = {}) {
+    if (!candles || candles.length === 0) return [];
+
+    const { includePartial = true } = options;
+    const target = this.parseTimeframe(timeframe);
+    const baseTimeframe = options.baseTimeframe || candles[0].timeframe;
+    const symbol = options.symbol || candles[0].symbol;
+    const baseMinutes = baseTimeframe ? this.toMinutes(baseTimeframe) : this.inferBaseMinutes(candles);
+
+    if (target.unit === 'm' && (target.minutes < baseMinutes || target.minutes % baseMinutes !== 0)) {
+      throw new Error(`Cannot build ${timeframe} candles from ${baseTimeframe || `${baseMinutes}m`} candles`);
+    }
+
+    const sorted = [...candles].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const buckets = new Map();
+
+    for (const candle of sorted) {
+      const bucket = this.getBucket(candle.timestamp, timeframe, symbol);
+      const key = bucket.start.getTime();
+
+      if (!buckets.has(key)) {
+        buckets.set(key, { ...bucket, candles: [] });
+      }
+      buckets.get(key).candles.push(candle);
+    }
+
+    const bars = [...buckets.values()].map(bucket => this.buildBar(bucket, timeframe));
+
+    // Only the newest bar can still be forming
+    const last = bars[bars.length - 1];
+    const lastCandle = sorted[sorted.length - 1];
+    const coveredUntil = new Date(lastCandle.timestamp).getTime() + baseMinutes * MINUTE_MS;
+    last.partial = coveredUntil < buckets.get(last.timestamp.getTime()).end.getTime();
+
+    return includePartial || !last.partial ? bars : bars.slice(0, -1);
+  }
+
+  /**
+   * Build candles of a timeframe from raw ticks (1m bars first, then resampled)
+   * Ticks may be pseudo-ticks carrying a stored candle's range in `bar`
+   * @param {Array} ticks - Tick documents
+   * @param {String} timeframe - Target timeframe
+   * @param {String} symbol - Symbol stamped on the candles
+   * @returns {Array} Candles, ascending
+   */
+  fromTicks(ticks, timeframe, symbol) {
+    const minuteCandles = Object.entries(groupTicksByInterval(ticks, 1))
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([timestamp, tickGroup]) => {
+        const ohlc = generateOHLC(tickGroup);
+        return {
+          symbol,
+          timeframe: '1m',
+          timestamp: new Date(timestamp),
+          ohlc: {
+            open: ohlc.open,
+            high: ohlc.high,
+            low: ohlc.low,
+            close: ohlc.close
+          },
+          volume: ohlc.volume,
+          metadata: {
+            tickCount: ohlc.tickCount,
+            calculatedFrom: ohlc.firstTick,
+            calculatedTo: ohlc.lastTick
+          }
+        };
+      });
+
+    return timeframe === '1m' ? minuteCandles : this.resample(minuteCandles, timeframe, { baseTimeframe: '1m', symbol });
+  }
+
+  /**
+   * One resampled bar from the base candles of a bucket
+   */
+  buildBar(bucket, timeframe) {
+    const group = bucket.candles;
+    const first = group[0];
+    const last = group[group.length - 1];
+    const hasTickCount = group.some(c => c.metadata?.tickCount !== undefined);
+
+    return {
+      symbol: first.symbol,
+      timeframe,
+      timestamp: bucket.start,
+      ohlc: {
+        open: first.ohlc.open,
+        high: Math.max(...group.map(c => c.ohlc.high)),
+        low: Math.min(...group.map(c => c.ohlc.low)),
+        close: last.ohlc.close
+      },
+      volume: group.reduce((sum, c) => sum + (c.volume || 0), 0),
+      partial: false,
+      metadata: {
+        candleCount: group.length,
+        tickCount: hasTickCount ? group.reduce((sum, c) => sum + (c.metadata?.tickCount || 0), 0) : undefined,
+        calculatedFrom: first.metadata?.calculatedFrom || first.timestamp,
+        calculatedTo: last.metadata?.calculatedTo || last.timestamp
+      }
+    };
+  }
+
+  /**
+   * Smallest gap between consecutive candles, in minutes (for series without a timeframe field)
+   */
+  inferBaseMinutes(candles) {
+    const times = candles.map(c => new Date(c.timestamp).getTime()).sort((a, b) => a - b);
+    let gap = Infinity;
+
+    for (let i = 1; i < times.length; i++) {
+      const diff = times[i] - times[i - 1];
+      if (diff > 0 && diff < gap) gap = diff;
+    }
+
+    return Number.isFinite(gap) ? Math.max(1, Math.round(gap / MINUTE_MS)) : 1;
+  }
+}
+
+module.exports = new CandleResampler();
@@ -0,0 +1,202 @@
+/**
+ * Candle Store
+ * Rolling local copy of fetched candles in ChartData. Reads are served from MongoDB and only the
+ * missing tail (from the newest stored bar on) is fetched through market-data, then appended.
+ *
+ * - Only complete bars are stored; the forming bar is returned but never persisted
+ * - Bars written here are tagged metadata.rolling and pruned after their retention period
+ *   (CANDLE_STORE.RETENTION_DAYS); imported or chart-generator candles are never pruned
+ * - If the upstream fetch fails, stored candles are served on their own
+ * - Without a MongoDB connection, in fixture mode, with CANDLE_STORE=off or for windows reaching
+ *   past retention, requests go straight to market-data
+ */
+
+const mongoose = require('mongoose');
+const ChartData = require('../models/ChartData');
+const marketData = require('./market-data');
+const candleResampler = require('./candle-resampler');
+const symbolRegistry = require('./symbol-registry');
+const { CANDLE_STORE, MARKET_DATA } = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+class CandleStore {
+  constructor() {
+    this.enabled = (process.env.CANDLE_STORE || 'on').toLowerCase() !== 'off';
+    this.pruneTimer = null;
+    this.lastPrune = null;
+  }
+
+  start() {
+    if (this.pruneTimer || !this.enabled) return;
+
+    this.pruneTimer = setInterval(() => this.prune(), CANDLE_STORE.PRUNE_INTERVAL_MS);
+    this.prune();
+    console.log('✓ Candle store started');
+  }
+
+  stop() {
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer);
+      this.pruneTimer = null;
+    }
+  }
+
+  /**
+   * Candles for a symbol - stored bars plus the freshly fetched tail
+   * Same arguments and result as marketData.getCandles (stored bars have source 'store')
+   */
+  async getCandles(symbol, timeframe = '5m', from = null, to = null) {
+    if (!this.canStore(symbol, timeframe)) {
+      return marketData.getCandles(symbol, timeframe, from, to);
+    }
+
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - MARKET_DATA.LOOKBACK_DAYS * DAY_MS);
+    const retentionDays = this.getRetentionDays(timeframe);
+
+    if (retentionDays > 0 && start.getTime() < Date.now() - retentionDays * DAY_MS) {
+      return marketData.getCandles(symbol, timeframe, from, to);
+    }
+
+    const stored = await ChartData.find({ symbol, timeframe, timestamp: { $gte: start, $lte: end } })
+      .sort({ timestamp: 1 })
+      .lean();
+
+    // Refetch from the newest stored bar (it may have been revised) unless the window's head is missing
+    // from/to are passed on as given so repeated calls share fetch-cache entries
+    const headCovered = stored.length > 0 && stored[0].timestamp - start <= CANDLE_STORE.HEAD_GAP_DAYS * DAY_MS;
+    const fetchFrom = headCovered ? stored[stored.length - 1].timestamp : from;
+
+    let fetched;
+    try {
+      fetched = await marketData.getCandles(symbol, timeframe, fetchFrom, to);
+    } catch (error) {
+      if (stored.length === 0) throw error;
+
+      console.log(`  ⚠️  ${symbol}: Serving ${stored.length} stored ${timeframe} candles (${error.message})`);
+      return stored.map(doc => this.toCandle(doc));
+    }
+
+    await this.save(symbol, timeframe, fetched);
+
+    const byTime = new Map();
+    stored.forEach(doc => byTime.set(doc.timestamp.getTime(), this.toCandle(doc)));
+    fetched.forEach(candle => byTime.set(candle.timestamp.getTime(), candle));
+
+    return [...byTime.values()].sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Upsert the complete bars of a fetch
+   * @returns {Number} Bars written
+   */
+  async save(symbol, timeframe, candles) {
+    const barMs = candleResampler.toMinutes(timeframe) * MINUTE_MS;
+    const now = Date.now();
+    const complete = candles.filter(c => !c.partial && c.timestamp.getTime() + barMs <= now);
+
+    if (complete.length === 0) return 0;
+
+    try {
+      await ChartData.bulkWrite(complete.map(({ timestamp, ohlc, volume, source }) => ({
+        updateOne: {
+          filter: { symbol, timeframe, timestamp },
+          update: {
+            $set: { ohlc, volume: volume || 0, 'metadata.source': source },
+            $setOnInsert: { 'metadata.rolling': true }
+          },
+          upsert: true
+        }
+      })), { ordered: false });
+
+      return complete.length;
+    } catch (error) {
+      // Storing is an optimisation - the fetched candles are still returned
+      console.log(`  ⚠️  ${symbol}: ${timeframe} candles not stored (${error.message})`);
+      return 0;
+    }
+  }
+
+  /**
+   * Delete stored bars past their timeframe's retention
+   * @returns {Number} Candles deleted
+   */
+  async prune() {
+    if (!this.isConnected()) return 0;
+
+    let deleted = 0;
+
+    try {
+      for (const timeframe of ChartData.schema.path('timeframe').enumValues) {
+        const days = this.getRetentionDays(timeframe);
+        if (days <= 0) continue;
+
+        const result = await ChartData.deleteMany({
+          timeframe,
+          'metadata.rolling': true,
+          timestamp: { $lt: new Date(Date.now() - days * DAY_MS) }
+        });
+        deleted += result.deletedCount;
+      }
+    } catch (error) {
+      console.error('⚠️  Candle store prune failed:', error.message);
+    }
+
+    this.lastPrune = { at: new Date(), deleted };
+    if (deleted > 0) {
+      console.log(`🧹 Candle store: Pruned ${deleted} candles past retention`);
+    }
+    return deleted;
+  }
+
+  /**
+   * Retention of a timeframe in days (0 = kept forever)
+   */
+  getRetentionDays(timeframe) {
+    const override = parseInt(process.env[`CANDLE_STORE_RETENTION_${timeframe.toUpperCase()}`]);
+    if (Number.isFinite(override)) return override;
+
+    return CANDLE_STORE.RETENTION_DAYS[timeframe] ?? CANDLE_STORE.DEFAULT_RETENTION_DAYS;
+  }
+
+  canStore(symbol, timeframe) {
+    return this.enabled
+      && marketData.mode !== 'fixture'
+      && this.isConnected()
+      && symbolRegistry.has(symbol)
+      && ChartData.schema.path('timeframe').enumValues.includes(timeframe);
+  }
+
+  isConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Store settings for the market-data health endpoint
+   */
+  getStatus() {
+    const timeframes = ChartData.schema.path('timeframe').enumValues;
+
+    return {
+      enabled: this.enabled,
+      active: this.enabled && marketData.mode !== 'fixture' && this.isConnected(),
+      retentionDays: Object.fromEntries(timeframes.map(tf => [tf, this.getRetentionDays(tf)])),
+      lastPrune: this.lastPrune
+    };
+  }
+
+  toCandle(doc) {
+    return {
+      symbol: doc.symbol,
+      timeframe: doc.timeframe,
+      timestamp: doc.timestamp,
+      ohlc: doc.ohlc,
+      volume: doc.volume || 0,
+      source: 'store'
+    };
+  }
+}
+
+module.exports = new CandleStore();
@@ -1,6 +1,6 @@
 const TickData = require('../models/TickData');
 const ChartData = require('../models/ChartData');
-const { generateOHLC, getGroupingFunction } = require('../utils/ohlc-generator');
+const candleResampler = require('./candle-resampler');
 const { TIMEFRAMES } = require('../config/constants');
 
 class ChartGenerator {
@@ -35,37 +35,8 @@ class ChartGenerator {
 
       console.log(`  📊 Processing ${ticks.length} ticks for ${symbol} (${timeframe})...`);
 
-      // Group ticks by timeframe interval
-      const groupingFunc = getGroupingFunction(timeframe);
-      const groupedTicks = groupingFunc(ticks);
-
-      // Generate OHLC candles
-      const candles = [];
-      for (const [timestamp, tickGroup] of Object.entries(groupedTicks)) {
-        const ohlc = generateOHLC(tickGroup);
-
-        if (ohlc) {
-          const candleData = {
-            symbol,
-            timeframe,
-            timestamp: new Date(timestamp),
-            ohlc: {
-              open: ohlc.open,
-              high: ohlc.high,
-              low: ohlc.low,
-              close: ohlc.close
-            },
-            volume: ohlc.volume,
-            metadata: {
-              tickCount: ohlc.tickCount,
-              calculatedFrom: ohlc.firstTick,
-              calculatedTo: ohlc.lastTick
-            }
-          };
-
-          candles.push(candleData);
-        }
-      }
+      // 1m bars from the ticks, resampled to the timeframe (aligned to the 09:15 open)
+      const candles = candleResampler.fromTicks(ticks, timeframe, symbol);
 
       // Store candles in database
       if (candles.length > 0) {
@@ -0,0 +1,199 @@
+/**
+ * Transaction Cost Model
+ * Converts raw point moves into net P/L after Indian F&O charges and slippage
+ *
+ * Charges per round trip (entry + exit order):
+ * - Brokerage: lower of flat ₹/order and % of turnover, per order
+ * - STT: on sell-side turnover
+ * - Exchange transaction charges + SEBI fees: on both sides
+ * - Stamp duty: on buy-side turnover
+ * - GST: on brokerage + exchange charges + SEBI fees
+ * - Slippage: adverse ticks applied to both fills before charges
+ *
+ * Profiles live in config/constants.js (TRANSACTION_COSTS); each symbol's profile and contract
+ * spec come from the symbol registry. Additional profiles can be plugged in with registerProfile()
+ * and mapped to symbols with setSymbolProfile().
+ */
+
+const { TRANSACTION_COSTS } = require('../config/constants');
+const symbolRegistry = require('./symbol-registry');
+
+class CostModel {
+  constructor() {
+    this.profiles = { ...TRANSACTION_COSTS };
+    this.symbolProfiles = {};      // setSymbolProfile overrides of registry profiles
+
+    // Environment overrides
+    this.defaultProfile = process.env.COST_PROFILE || null;
+    this.slippageOverride = process.env.SLIPPAGE_TICKS !== undefined
+      ? parseFloat(process.env.SLIPPAGE_TICKS)
+      : null;
+  }
+
+  /**
+   * Register (or replace) a cost profile
+   */
+  registerProfile(name, profile) {
+    this.profiles[name] = { ...TRANSACTION_COSTS.NONE, ...profile };
+    return this.profiles[name];
+  }
+
+  /**
+   * Map a symbol to a cost profile
+   */
+  setSymbolProfile(symbol, profileName) {
+    if (!this.profiles[profileName]) {
+      throw new Error(`Unknown cost profile: ${profileName}`);
+    }
+    this.symbolProfiles[symbol] = profileName;
+  }
+
+  /**
+   * Resolve the profile for a symbol (explicit name > env default > symbol map > registry)
+   */
+  getProfile(symbol, profileName = null) {
+    const name = profileName || this.defaultProfile || this.symbolProfiles[symbol] ||
+      symbolRegistry.getCostProfile(symbol) || 'NONE';
+    const profile = this.profiles[name];
+
+    if (!profile) {
+      throw new Error(`Unknown cost profile: ${name}`);
+    }
+
+    return {
+      name,
+      ...profile,
+      slippageTicks: this.slippageOverride !== null ? this.slippageOverride : profile.slippageTicks
+    };
+  }
+
+  /**
+   * Contract size and tick size for a symbol
+   */
+  getContractSpec(symbol) {
+    return symbolRegistry.getContractSpec(symbol);
+  }
+
+  /**
+   * Charges for a single order
+   * @param {Number} price - Fill price
+   * @param {Number} quantity - Units
+   * @param {String} side - 'BUY' or 'SELL'
+   * @param {Object} profile - Resolved cost profile
+   */
+  calculateOrderCharges(price, quantity, side, profile) {
+    const turnover = price * quantity;
+
+    const brokerage = profile.brokeragePercent > 0
+      ? Math.min(profile.brokeragePerOrder, turnover * profile.brokeragePercent)
+      : profile.brokeragePerOrder;
+    const stt = side === 'SELL' ? turnover * profile.sttSell : 0;
+    const exchangeCharges = turnover * profile.exchangeCharges;
+    const sebiFees = turnover * profile.sebiFees;
+    const stampDuty = side === 'BUY' ? turnover * profile.stampDutyBuy : 0;
+    const gst = (brokerage + exchangeCharges + sebiFees) * profile.gst;
+
+    return { brokerage, stt, exchangeCharges, gst, sebiFees, stampDuty };
+  }
+
+  /**
+   * Evaluate a closed trade
+   * @param {Object} trade - { symbol, action, entryPrice, exitPrice, quantity?, profile? }
+   * @returns {Object} Gross and net P/L (points per unit and ₹ for the quantity) with cost breakdown
+   */
+  evaluateTrade({ symbol, action, entryPrice, exitPrice, quantity = null, profile = null }) {
+    const resolved = this.getProfile(symbol, profile);
+    const spec = this.getContractSpec(symbol);
+    const qty = quantity || spec.lotSize;
+    const isBuy = action.includes('BUY');
+
+    // Gross move in points
+    const profitLoss = isBuy ? exitPrice - entryPrice : entryPrice - exitPrice;
+
+    // Slippage moves both fills against us
+    const slip = resolved.slippageTicks * spec.tickSize;
+    const entryFill = isBuy ? entryPrice + slip : entryPrice - slip;
+    const exitFill = isBuy ? exitPrice - slip : exitPrice + slip;
+    const slippagePoints = slip * 2;
+
+    const entryCharges = this.calculateOrderCharges(entryFill, qty, isBuy ? 'BUY' : 'SELL', resolved);
+    const exitCharges = this.calculateOrderCharges(exitFill, qty, isBuy ? 'SELL' : 'BUY', resolved);
+
+    const charges = {};
+    for (const key of Object.keys(entryCharges)) {
+      charges[key] = entryCharges[key] + exitCharges[key];
+    }
+    const totalCharges = Object.values(charges).reduce((sum, value) => sum + value, 0);
+    const chargesPoints = totalCharges / qty;
+
+    const netProfitLoss = profitLoss - slippagePoints - chargesPoints;
+
+    return {
+      profitLoss,
+      profitLossPercent: (profitLoss / entryPrice) * 100,
+      netProfitLoss,
+      netProfitLossPercent: (netProfitLoss / entryPrice) * 100,
+      grossAmount: profitLoss * qty,
+      netAmount: netProfitLoss * qty,
+      costs: {
+        profile: resolved.name,
+        quantity: qty,
+        slippagePoints,
+        brokerage: this.round(charges.brokerage),
+        stt: this.round(charges.stt),
+        exchangeCharges: this.round(charges.exchangeCharges),
+        gst: this.round(charges.gst),
+        sebiFees: this.round(charges.sebiFees),
+        stampDuty: this.round(charges.stampDuty),
+        totalCharges: this.round(totalCharges),
+        totalCostPoints: slippagePoints + chargesPoints
+      }
+    };
+  }
+
+  /**
+   * Net figures for a stored signal's performance block
+   * Uses persisted net values when present, otherwise derives them from the stored gross P/L
+   * (older records were closed before costs were tracked)
+   */
+  getNetPerformance(signal) {
+    const performance = signal.performance || {};
+
+    if (typeof performance.netProfitLoss === 'number') {
+      return {
+        netProfitLoss: performance.netProfitLoss,
+        netProfitLossPercent: performance.netProfitLossPercent || 0,
+        totalCharges: performance.costs?.totalCharges || 0
+      };
+    }
+
+    const entryPrice = signal.levels?.entry || signal.price || signal.currentPrice;
+    if (!entryPrice || typeof performance.profitLoss !== 'number' || !signal.signal?.action) {
+      return {
+        netProfitLoss: performance.profitLoss || 0,
+        netProfitLossPercent: performance.profitLossPercent || 0,
+        totalCharges: 0
+      };
+    }
+
+    const isBuy = signal.signal.action.includes('BUY');
+    const result = this.evaluateTrade({
+      symbol: signal.symbol,
+      action: signal.signal.action,
+      entryPrice,
+      exitPrice: isBuy ? entryPrice + performance.profitLoss : entryPrice - performance.profitLoss
+    });
+
+    return {
+      netProfitLoss: result.netProfitLoss,
+      netProfitLossPercent: result.netProfitLossPercent,
+      totalCharges: result.costs.totalCharges
+    };
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new CostModel();
@@ -0,0 +1,342 @@
+/**
+ * Data Quality
+ * Checks a candle series before it reaches the indicators and repairs, flags or rejects it
+ *
+ * Checks (in this order, actions from DATA_QUALITY in config/constants.js):
+ * - DUPLICATES: timestamps seen more than once (repair keeps the last, like the frontend charts)
+ * - OHLC: high below open/close, low above them, missing or non-positive prices
+ * - SPIKES: bars jumping further from the previous close than SPIKE_MULTIPLIER × the median bar range
+ *   (the first bar of a session is exempt - overnight gaps are real)
+ * - GAPS: bars missing between two bars of the same session (trading days follow the symbol's
+ *   sessionHours, so DOWJONES bars are not split at IST midnight)
+ * - ZERO_VOLUME: runs of ZERO_VOLUME_RUN or more zero-volume bars in a series that has volume
+ * - STALE_BAR: live runs only - the last bar is STALE_BARS bars behind the clock during NSE hours
+ *
+ * The caller's candles are never modified; repairs work on a copy.
+ */
+
+const candleResampler = require('./candle-resampler');
+const tradingCalendar = require('./trading-calendar');
+const symbolRegistry = require('./symbol-registry');
+const { DATA_QUALITY } = require('../config/constants');
+
+const MINUTE_MS = 60 * 1000;
+const MAX_SAMPLES = 5;
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+class DataQuality {
+  constructor() {
+    this.actions = {};
+
+    for (const [check, fallback] of Object.entries(DATA_QUALITY.CHECKS)) {
+      const value = (process.env[`DATA_QUALITY_${check}`] || '').toUpperCase();
+      this.actions[check] = DATA_QUALITY.ACTIONS.includes(value) ? value : fallback;
+    }
+  }
+
+  /**
+   * Run every check on a candle series
+   * @param {Array} candles - Candles, ascending
+   * @param {Object} options - { symbol, timeframe = '5m', now (live runs only), actions (per-check overrides) }
+   * @returns {Object} { candles (repaired copy), report }
+   *   report: { status: CLEAN | REPAIRED | FLAGGED | REJECTED, rejectedBy, reason, candlesIn, candlesOut, changedBars, checks }
+   */
+  check(candles, { symbol = null, timeframe = '5m', now = null, actions = {} } = {}) {
+    const effective = { ...this.actions, ...actions };
+    const context = { symbol, timeframe, now, unit: candleResampler.parseTimeframe(timeframe).unit, minutes: candleResampler.toMinutes(timeframe) };
+
+    let series = candles.map(c => {
+      const plain = typeof c.toObject === 'function' ? c.toObject() : c; // Mongoose documents
+      return { ...plain, ohlc: { ...plain.ohlc } };
+    });
+    let changedBars = 0;
+    let rejectedBy = null;
+    let reason = null;
+    const checks = [];
+
+    for (const check of Object.keys(DATA_QUALITY.CHECKS)) {
+      const action = effective[check];
+
+      if (action === 'OFF') {
+        checks.push({ check, action, outcome: 'SKIPPED', issues: 0, detail: 'Disabled' });
+        continue;
+      }
+
+      const found = this[`check${check.split('_').map(w => w[0] + w.slice(1).toLowerCase()).join('')}`](series, context);
+      const result = { check, action, outcome: 'PASSED', issues: found.issues || 0, detail: found.detail, samples: found.samples };
+
+      if (found.skipped) {
+        result.outcome = 'SKIPPED';
+      } else if (result.issues > 0) {
+        if (action === 'REJECT') {
+          result.outcome = 'REJECTED';
+          if (!rejectedBy) {
+            rejectedBy = check;
+            reason = found.detail;
+          }
+        } else if (action === 'REPAIR' && found.repair) {
+          const repaired = found.repair();
+          series = repaired.series;
+          changedBars += repaired.changed;
+          result.outcome = 'REPAIRED';
+        } else {
+          result.outcome = 'FLAGGED';
+        }
+      }
+
+      checks.push(result);
+    }
+
+    const changedPercent = candles.length > 0 ? (changedBars / candles.length) * 100 : 0;
+    if (!rejectedBy && changedPercent > DATA_QUALITY.MAX_REPAIRED_PERCENT) {
+      rejectedBy = 'MAX_REPAIRED_PERCENT';
+      reason = `Repairs touched ${changedPercent.toFixed(1)}% of bars (max ${DATA_QUALITY.MAX_REPAIRED_PERCENT}%)`;
+    }
+
+    const outcomes = checks.map(c => c.outcome);
+    const status = rejectedBy ? 'REJECTED'
+      : outcomes.includes('FLAGGED') ? 'FLAGGED'
+        : outcomes.includes('REPAIRED') ? 'REPAIRED'
+          : 'CLEAN';
+
+    return {
+      candles: series,
+      report: {
+        status,
+        rejectedBy,
+        reason,
+        candlesIn: candles.length,
+        candlesOut: series.length,
+        changedBars,
+        checks
+      }
+    };
+  }
+
+  checkDuplicates(series) {
+    const byTime = new Map();
+    const samples = [];
+    let outOfOrder = false;
+
+    series.forEach((candle, i) => {
+      const time = new Date(candle.timestamp).getTime();
+      if (i > 0 && time < new Date(series[i - 1].timestamp).getTime()) outOfOrder = true;
+      if (byTime.has(time) && samples.length < MAX_SAMPLES) samples.push(candle.timestamp);
+      byTime.set(time, candle);
+    });
+
+    const duplicates = series.length - byTime.size;
+
+    return {
+      issues: duplicates + (outOfOrder ? 1 : 0),
+      detail: `${duplicates} duplicate timestamps${outOfOrder ? ', bars out of order' : ''}`,
+      samples,
+      repair: () => ({
+        series: [...byTime.values()].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)),
+        changed: duplicates
+      })
+    };
+  }
+
+  checkOhlc(series) {
+    const unusable = new Set();
+    const inconsistent = new Set();
+
+    for (const candle of series) {
+      const { open, high, low, close } = candle.ohlc;
+      if (![open, high, low, close].every(v => Number.isFinite(v) && v > 0)) {
+        unusable.add(candle);
+      } else if (high < Math.max(open, close) || low > Math.min(open, close) || high < low) {
+        inconsistent.add(candle);
+      }
+    }
+
+    return {
+      issues: unusable.size + inconsistent.size,
+      detail: `${inconsistent.size} bars with high/low outside open/close, ${unusable.size} with missing prices`,
+      samples: [...unusable, ...inconsistent].slice(0, MAX_SAMPLES).map(c => c.timestamp),
+      repair: () => ({
+        series: series
+          .filter(c => !unusable.has(c))
+          .map(c => {
+            if (!inconsistent.has(c)) return c;
+            const { open, high, low, close } = c.ohlc;
+            return { ...c, ohlc: { open, high: Math.max(open, high, low, close), low: Math.min(open, high, low, close), close } };
+          }),
+        changed: unusable.size + inconsistent.size
+      })
+    };
+  }
+
+  checkSpikes(series, { symbol }) {
+    const typicalRange = median(series.map(c => c.ohlc.high - c.ohlc.low).filter(range => range > 0));
+    if (typicalRange === 0) {
+      return { skipped: true, detail: 'No price range to compare against' };
+    }
+
+    const limit = typicalRange * DATA_QUALITY.SPIKE_MULTIPLIER;
+    const spikes = [];
+
+    for (let i = 1; i < series.length; i++) {
+      if (!this.sameSession(symbol, series[i].timestamp, series[i - 1].timestamp)) continue;
+
+      const previousClose = series[i - 1].ohlc.close;
+      const { high, low } = series[i].ohlc;
+      if (Math.max(high - previousClose, previousClose - low) > limit) {
+        spikes.push(i);
+      }
+    }
+
+    return {
+      issues: spikes.length,
+      detail: `${spikes.length} bars moved more than ${DATA_QUALITY.SPIKE_MULTIPLIER}× the median bar range (${typicalRange.toFixed(2)}) from the previous close`,
+      samples: spikes.slice(0, MAX_SAMPLES).map(i => series[i].timestamp),
+      repair: () => {
+        const repaired = [...series];
+
+        // Clip to the limit around the (possibly already clipped) previous close
+        for (const i of spikes) {
+          const previousClose = repaired[i - 1].ohlc.close;
+          const clip = (value) => Math.min(previousClose + limit, Math.max(previousClose - limit, value));
+          const open = clip(repaired[i].ohlc.open);
+          const close = clip(repaired[i].ohlc.close);
+
+          repaired[i] = {
+            ...repaired[i],
+            ohlc: {
+              open,
+              high: Math.max(clip(repaired[i].ohlc.high), open, close),
+              low: Math.min(clip(repaired[i].ohlc.low), open, close),
+              close
+            }
+          };
+        }
+
+        return { series: repaired, changed: spikes.length };
+      }
+    };
+  }
+
+  checkGaps(series, { symbol, unit, minutes, timeframe }) {
+    if (unit !== 'm') {
+      return { skipped: true, detail: `Not checked for ${timeframe} bars` };
+    }
+
+    const gaps = [];
+    let missing = 0;
+
+    for (let i = 1; i < series.length; i++) {
+      if (!this.sameSession(symbol, series[i].timestamp, series[i - 1].timestamp)) continue;
+
+      const bars = Math.round((new Date(series[i].timestamp) - new Date(series[i - 1].timestamp)) / (minutes * MINUTE_MS)) - 1;
+      if (bars > 0) {
+        gaps.push({ index: i, bars });
+        missing += bars;
+      }
+    }
+
+    return {
+      issues: missing,
+      detail: `${missing} missing ${timeframe} bars in ${gaps.length} gaps`,
+      samples: gaps.slice(0, MAX_SAMPLES).map(gap => series[gap.index - 1].timestamp),
+      repair: () => {
+        const filled = [];
+        let next = 0;
+
+        series.forEach((candle, i) => {
+          if (gaps[next]?.index === i) {
+            const previous = series[i - 1];
+            const close = previous.ohlc.close;
+
+            for (let k = 1; k <= gaps[next].bars; k++) {
+              filled.push({
+                symbol: previous.symbol,
+                timeframe: previous.timeframe,
+                timestamp: new Date(new Date(previous.timestamp).getTime() + k * minutes * MINUTE_MS),
+                ohlc: { open: close, high: close, low: close, close },
+                volume: 0,
+                metadata: { filled: true }
+              });
+            }
+            next++;
+          }
+          filled.push(candle);
+        });
+
+        return { series: filled, changed: missing };
+      }
+    };
+  }
+
+  checkZeroVolume(series) {
+    const volumes = series.map(c => c.volume || 0);
+    if (!volumes.some(v => v > 0)) {
+      return { skipped: true, detail: 'Series has no volume data' };
+    }
+
+    const flagged = new Set();
+    let run = [];
+
+    const closeRun = () => {
+      if (run.length >= DATA_QUALITY.ZERO_VOLUME_RUN) run.forEach(i => flagged.add(i));
+      run = [];
+    };
+
+    // Bars filled in by the gap repair have no volume by design
+    volumes.forEach((volume, i) => {
+      if (volume > 0 || series[i].metadata?.filled) closeRun();
+      else run.push(i);
+    });
+    closeRun();
+
+    const typicalVolume = median(volumes.filter(v => v > 0));
+
+    return {
+      issues: flagged.size,
+      detail: `${flagged.size} bars in zero-volume runs of ${DATA_QUALITY.ZERO_VOLUME_RUN}+`,
+      samples: [...flagged].slice(0, MAX_SAMPLES).map(i => series[i].timestamp),
+      repair: () => ({
+        series: series.map((c, i) => (flagged.has(i) ? { ...c, volume: typicalVolume, metadata: { ...c.metadata, volumeFilled: true } } : c)),
+        changed: flagged.size
+      })
+    };
+  }
+
+  /**
+   * Whether two times fall in the same trading day of the symbol's session (sessionHours)
+   */
+  sameSession(symbol, a, b) {
+    return tradingCalendar.getTradingDay(symbol, a) === tradingCalendar.getTradingDay(symbol, b);
+  }
+
+  checkStaleBar(series, { symbol, now, unit, minutes }) {
+    if (!now) {
+      return { skipped: true, detail: 'Historical run' };
+    }
+    if (unit !== 'm' || !symbolRegistry.usesNseCalendar(symbol)) {
+      return { skipped: true, detail: 'No intraday NSE session to compare with' };
+    }
+    if (!tradingCalendar.isOpen(now)) {
+      return { skipped: true, detail: 'Market closed' };
+    }
+
+    const last = series[series.length - 1];
+    const lastEnd = new Date(last.timestamp).getTime() + minutes * MINUTE_MS;
+    const ageMinutes = Math.floor((new Date(now).getTime() - lastEnd) / MINUTE_MS);
+    const stale = ageMinutes > DATA_QUALITY.STALE_BARS * minutes;
+
+    return {
+      issues: stale ? 1 : 0,
+      detail: `Last bar closed ${Math.max(0, ageMinutes)} min ago (limit ${DATA_QUALITY.STALE_BARS * minutes} min)`,
+      samples: stale ? [last.timestamp] : []
+    };
+  }
+}
+
+module.exports = new DataQuality();
@@ -0,0 +1,125 @@
+/**
+ * Fetch Cache
+ * In-process cache shared by everything that goes upstream through market-data
+ *
+ * - Concurrent requests for the same key share one upstream call (coalescing)
+ * - Results are served from memory until their TTL expires; failures are never cached
+ * - Hit / miss / coalesced / error counters per kind (first segment of the key, e.g. 'candles')
+ *
+ * Callers get a copy of cached arrays, so sorting or splicing a result cannot change what the
+ * next caller sees.
+ */
+
+const { FETCH_CACHE } = require('../config/constants');
+
+class FetchCache {
+  constructor() {
+    this.entries = new Map();  // key → { value, expiresAt }
+    this.inFlight = new Map(); // key → Promise
+    this.counters = {};
+    this.since = new Date();
+  }
+
+  /**
+   * Cached value for a key, loading it when missing or expired
+   * @param {String} key - 'kind:...' (kind groups the counters)
+   * @param {Number} ttlMs - How long a result is served from memory (0 = coalesce only)
+   * @param {Function} load - async () => value
+   */
+  async get(key, ttlMs, load) {
+    const counters = this.getCounters(key.split(':')[0]);
+    const entry = this.entries.get(key);
+
+    if (entry && entry.expiresAt > Date.now()) {
+      counters.hits++;
+      return this.copy(entry.value);
+    }
+    if (entry) {
+      this.entries.delete(key);
+    }
+
+    if (this.inFlight.has(key)) {
+      counters.coalesced++;
+      return this.copy(await this.inFlight.get(key));
+    }
+
+    counters.misses++;
+    const request = (async () => {
+      try {
+        const value = await load();
+        if (ttlMs > 0) this.set(key, value, ttlMs);
+        return value;
+      } catch (error) {
+        counters.errors++;
+        throw error;
+      } finally {
+        this.inFlight.delete(key);
+      }
+    })();
+
+    this.inFlight.set(key, request);
+    return this.copy(await request);
+  }
+
+  set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    // Oldest entries go first once the cache is full
+    while (this.entries.size > FETCH_CACHE.MAX_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Drop cached entries (all, or those whose key starts with a prefix)
+   * @returns {Number} Entries removed
+   */
+  clear(prefix = '') {
+    let removed = 0;
+
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Counters per kind and in total, with the hit rate (hits + coalesced over all requests)
+   */
+  getStats() {
+    const withRate = (c) => {
+      const requests = c.hits + c.misses + c.coalesced;
+      return { ...c, requests, hitRate: requests > 0 ? Math.round(((c.hits + c.coalesced) / requests) * 1000) / 10 : null };
+    };
+
+    const total = { hits: 0, misses: 0, coalesced: 0, errors: 0 };
+    for (const c of Object.values(this.counters)) {
+      Object.keys(total).forEach(name => { total[name] += c[name]; });
+    }
+
+    return {
+      since: this.since,
+      entries: this.entries.size,
+      inFlight: this.inFlight.size,
+      ...withRate(total),
+      byKind: Object.fromEntries(Object.entries(this.counters).map(([kind, c]) => [kind, withRate(c)]))
+    };
+  }
+
+  getCounters(kind) {
+    if (!this.counters[kind]) {
+      this.counters[kind] = { hits: 0, misses: 0, coalesced: 0, errors: 0 };
+    }
+    return this.counters[kind];
+  }
+
+  copy(value) {
+    return Array.isArray(value) ? [...value] : value;
+  }
+}
+
+module.exports = new FetchCache();
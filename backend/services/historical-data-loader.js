@@ -5,7 +5,7 @@
  * Fetches data for Feb 13, 2024 (9:15 AM - 3:30 PM IST)
  */
 
-const axios = require('axios');
+const httpClient = require('./http-client');
 const TickData = require('../models/TickData');
 
 class HistoricalDataLoader {
@@ -30,7 +30,7 @@ class HistoricalDataLoader {
       console.log(`Fetching historical data from Yahoo Finance...`);
       console.log(`URL: ${url}`);
 
-      const response = await axios.get(url, {
+      const response = await httpClient.get(url, {
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
         },
@@ -0,0 +1,220 @@
+/**
+ * HTTP Client
+ * Every outbound call to a market data site goes through here (axios underneath)
+ *
+ * Per host:
+ * - Rate limit: requests are spaced to HTTP.RATE_LIMITS (burst allowed), waiting rather than failing
+ * - Retries: network errors, timeouts, 429 and 5xx are retried with jittered exponential backoff
+ *   (Retry-After is honoured up to RETRY_MAX_MS)
+ * - Circuit breaker: CLOSED → OPEN after BREAKER_THRESHOLD failed requests in a row (the retryable
+ *   failures above - a 4xx answer counts as the host being up); while OPEN calls fail immediately;
+ *   after BREAKER_COOLDOWN_MS one trial request (HALF_OPEN) closes it again or reopens it
+ *
+ * Responses and errors are axios ones, so callers keep checking error.response?.status.
+ */
+
+const axios = require('axios');
+const { HTTP } = require('../config/constants');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+class HttpClient {
+  constructor() {
+    this.hosts = new Map();
+    this.retries = intFromEnv('HTTP_RETRIES', HTTP.RETRIES);
+    this.breakerThreshold = intFromEnv('HTTP_BREAKER_THRESHOLD', HTTP.BREAKER_THRESHOLD);
+    this.breakerCooldownMs = intFromEnv('HTTP_BREAKER_COOLDOWN_MS', HTTP.BREAKER_COOLDOWN_MS);
+  }
+
+  /**
+   * GET a URL
+   * @param {String} url
+   * @param {Object} config - axios config, plus retries (override HTTP.RETRIES for this call)
+   * @returns {Object} axios response
+   */
+  async get(url, config = {}) {
+    return this.request({ ...config, method: 'get', url });
+  }
+
+  async request({ retries = this.retries, ...config }) {
+    const host = this.getHost(new URL(config.url).host);
+    const trial = this.admit(host);
+
+    for (let attempt = 0; ; attempt++) {
+      await this.throttle(host);
+      host.requests++;
+
+      try {
+        const response = await axios.request({ timeout: HTTP.TIMEOUT_MS, ...config });
+        this.recordSuccess(host);
+        return response;
+      } catch (error) {
+        // A HALF_OPEN trial gets one attempt
+        if (!trial && attempt < retries && this.isRetryable(error)) {
+          host.retries++;
+          await sleep(this.getBackoff(attempt, error));
+          continue;
+        }
+
+        this.recordFailure(host, error);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Let a request through the breaker or throw
+   * @returns {Boolean} true when the request is the HALF_OPEN trial
+   */
+  admit(host) {
+    if (host.state === 'OPEN' && Date.now() >= host.openUntil) {
+      host.state = 'HALF_OPEN';
+      host.trialInFlight = false;
+    }
+
+    if (host.state === 'CLOSED') return false;
+
+    if (host.state === 'HALF_OPEN' && !host.trialInFlight) {
+      host.trialInFlight = true;
+      return true;
+    }
+
+    host.rejected++;
+    const seconds = Math.max(1, Math.ceil((host.openUntil - Date.now()) / 1000));
+    throw new Error(`Circuit open for ${host.host} (${host.lastError}; retry in ${seconds}s)`);
+  }
+
+  /**
+   * Wait for the host's next request slot
+   */
+  async throttle(host) {
+    const interval = 1000 / host.rateLimit.perSecond;
+    const now = Date.now();
+
+    // Slots left unused build up to the burst size
+    const slot = Math.max(host.nextSlot, now - (host.rateLimit.burst - 1) * interval);
+    host.nextSlot = slot + interval;
+
+    if (slot > now) {
+      host.throttled++;
+      await sleep(slot - now);
+    }
+  }
+
+  isRetryable(error) {
+    const status = error.response?.status;
+    return !status || status === 429 || status >= 500;
+  }
+
+  getBackoff(attempt, error) {
+    const cap = Math.min(HTTP.RETRY_MAX_MS, HTTP.RETRY_BASE_MS * 2 ** attempt);
+    const retryAfter = parseInt(error.response?.headers?.['retry-after']) * 1000;
+
+    return Number.isFinite(retryAfter)
+      ? Math.min(HTTP.RETRY_MAX_MS, retryAfter)
+      : Math.random() * cap;
+  }
+
+  recordSuccess(host) {
+    host.successes++;
+    host.consecutiveFailures = 0;
+    host.lastSuccess = new Date();
+
+    if (host.state !== 'CLOSED') {
+      console.log(`🔌 Circuit closed for ${host.host}`);
+    }
+    host.state = 'CLOSED';
+    host.trialInFlight = false;
+  }
+
+  recordFailure(host, error) {
+    host.failures++;
+    host.lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+    host.lastErrorAt = new Date();
+
+    // A 4xx is the host answering a bad request - it says nothing about the host being down
+    if (!this.isRetryable(error)) {
+      host.consecutiveFailures = 0;
+      if (host.state !== 'CLOSED') {
+        console.log(`🔌 Circuit closed for ${host.host}`);
+      }
+      host.state = 'CLOSED';
+      host.trialInFlight = false;
+      return;
+    }
+
+    host.consecutiveFailures++;
+
+    if (host.state === 'HALF_OPEN' || host.consecutiveFailures >= this.breakerThreshold) {
+      if (host.state !== 'OPEN') {
+        host.opens++;
+        console.log(`🔌 Circuit open for ${host.host} after ${host.consecutiveFailures} failures (${host.lastError})`);
+      }
+      host.state = 'OPEN';
+      host.openUntil = Date.now() + this.breakerCooldownMs;
+      host.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Close a host's breaker by hand
+   * @returns {Boolean} false for a host never called
+   */
+  reset(hostname) {
+    const host = this.hosts.get(hostname);
+    if (!host) return false;
+
+    host.state = 'CLOSED';
+    host.consecutiveFailures = 0;
+    host.openUntil = null;
+    host.trialInFlight = false;
+    return true;
+  }
+
+  getHost(hostname) {
+    if (!this.hosts.has(hostname)) {
+      this.hosts.set(hostname, {
+        host: hostname,
+        state: 'CLOSED',
+        consecutiveFailures: 0,
+        openUntil: null,
+        trialInFlight: false,
+        opens: 0,
+        lastError: null,
+        lastErrorAt: null,
+        lastSuccess: null,
+        requests: 0,
+        successes: 0,
+        failures: 0,
+        retries: 0,
+        rejected: 0,
+        throttled: 0,
+        nextSlot: 0,
+        rateLimit: HTTP.RATE_LIMITS[hostname] || HTTP.RATE_LIMITS.default
+      });
+    }
+    return this.hosts.get(hostname);
+  }
+
+  /**
+   * Breaker state and counters per host called so far
+   */
+  getStatus() {
+    return {
+      retries: this.retries,
+      breakerThreshold: this.breakerThreshold,
+      breakerCooldownMs: this.breakerCooldownMs,
+      hosts: [...this.hosts.values()].map(({ nextSlot, trialInFlight, openUntil, ...host }) => ({
+        ...host,
+        openUntil: host.state === 'CLOSED' || !openUntil ? null : new Date(openUntil)
+      }))
+    };
+  }
+}
+
+module.exports = new HttpClient();
@@ -93,7 +93,7 @@ class LevelCalculator {
     const maxSL = isBankNifty ? 300 : 100; // Maximum allowed SL
     if (actualSL > maxSL) {
       stopLoss = currentPrice - maxSL;
-      reasoning.push(`Stop Loss adjusted to ₹${stopLoss.toFixed(2)} (minimum ${minStopLoss} points)`);
+      reasoning.push(`Stop Loss adjusted to ₹${stopLoss.toFixed(2)} (maximum ${maxSL} points)`);
     }
 
     // Calculate risk for target calculation
@@ -0,0 +1,300 @@
+/**
+ * Market Data
+ * Single entry point for candles and quotes, whatever the source
+ *
+ * Providers (services/providers/) are tried in the MARKET_DATA order for the symbol; the first
+ * one that returns data wins. Each provider's health is tracked:
+ * - UP: last request succeeded
+ * - DEGRADED: recent failures, still tried in order
+ * - DOWN: FAILURE_THRESHOLD failures in a row - moved to the back of the queue for COOLDOWN_MS
+ *
+ * Candles come back ascending in ChartData shape with a `source` field. Timeframes a provider
+ * doesn't serve natively are resampled (candle-resampler) from its coarsest native timeframe.
+ *
+ * Requests go through the shared fetch cache (fetch-cache.js): identical concurrent requests make
+ * one upstream call and results are reused for FETCH_CACHE TTLs. Candle requests are keyed on the
+ * arguments as given, so default windows (no from/to) share cache entries.
+ *
+ * MARKET_DATA_MODE=fixture serves everything from recorded fixtures (providers/fixture.js) and
+ * never touches the network; the default window then ends at the newest recorded candle.
+ * MARKET_DATA_MODE=record runs live and saves each response as a fixture.
+ */
+
+const candleResampler = require('./candle-resampler');
+const fixtureProvider = require('./providers/fixture');
+const fetchCache = require('./fetch-cache');
+const { MARKET_DATA, FETCH_CACHE } = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Comma-separated env provider list, or the default
+ */
+const listFromEnv = (name, fallback) => {
+  const names = (process.env[name] || '').split(',').map(n => n.trim()).filter(Boolean);
+  return names.length > 0 ? names : fallback;
+};
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+class MarketData {
+  constructor() {
+    this.providers = new Map();
+    this.health = new Map();
+    this.candleProviders = listFromEnv('MARKET_DATA_CANDLE_PROVIDERS', MARKET_DATA.CANDLE_PROVIDERS);
+    this.quoteProviders = listFromEnv('MARKET_DATA_QUOTE_PROVIDERS', MARKET_DATA.QUOTE_PROVIDERS);
+    this.mode = process.env.MARKET_DATA_MODE || 'live';
+    this.candleTtlMs = intFromEnv('FETCH_CACHE_CANDLE_TTL_MS', FETCH_CACHE.CANDLE_TTL_MS);
+    this.quoteTtlMs = intFromEnv('FETCH_CACHE_QUOTE_TTL_MS', FETCH_CACHE.QUOTE_TTL_MS);
+
+    if (!MARKET_DATA.MODES.includes(this.mode)) {
+      throw new Error(`Unknown MARKET_DATA_MODE "${this.mode}" (use ${MARKET_DATA.MODES.join(', ')})`);
+    }
+
+    [
+      require('./providers/moneycontrol'),
+      require('./providers/yahoo'),
+      require('./providers/investing'),
+      require('./providers/nse'),
+      require('./providers/file'),
+      fixtureProvider
+    ].forEach(provider => this.registerProvider(provider));
+  }
+
+  /**
+   * Add (or replace) a provider - it is used once its name appears in a provider list
+   * @param {MarketDataProvider} provider - Instance of a services/providers/base-provider subclass
+   */
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+
+    if (!this.health.has(provider.name)) {
+      this.health.set(provider.name, {
+        provider: provider.name,
+        successes: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        lastSuccess: null,
+        lastError: null,
+        lastErrorAt: null,
+        downUntil: null,
+        avgLatencyMs: null
+      });
+    }
+  }
+
+  /**
+   * Candles for a symbol from the first provider that has them
+   * @param {String} symbol - NIFTY50, BANKNIFTY, DOWJONES, GIFTNIFTY
+   * @param {String} timeframe - Any RESAMPLE_TIMEFRAMES entry
+   * @param {Date} from - Window start (default LOOKBACK_DAYS ago)
+   * @param {Date} to - Window end (default now)
+   * @returns {Array} Candles, ascending (the newest resampled bar may be partial)
+   */
+  async getCandles(symbol, timeframe = '5m', from = null, to = null) {
+    candleResampler.parseTimeframe(timeframe);
+    const key = `candles:${symbol}:${timeframe}:${from ? new Date(from).toISOString() : ''}:${to ? new Date(to).toISOString() : ''}`;
+
+    return fetchCache.get(key, this.candleTtlMs, () => this.fetchCandles(symbol, timeframe, from, to));
+  }
+
+  /**
+   * Candles straight from the providers (uncached)
+   */
+  async fetchCandles(symbol, timeframe, from, to) {
+    const end = to ? new Date(to) : this.getDefaultEnd(symbol, timeframe);
+    const start = from ? new Date(from) : new Date(end.getTime() - MARKET_DATA.LOOKBACK_DAYS * DAY_MS);
+
+    const candidates = this.getProviderOrder(symbol, 'candles')
+      .filter(provider => provider.supportsCandles(symbol) && provider.getBaseTimeframe(symbol, timeframe));
+
+    return this.tryProviders(candidates, `${symbol} ${timeframe} candles`, async (provider) => {
+      const baseTimeframe = provider.getBaseTimeframe(symbol, timeframe);
+      const raw = await provider.getCandles(symbol, baseTimeframe, start, end);
+      const candles = this.normalizeCandles(raw, start, end);
+
+      if (candles.length === 0) {
+        throw new Error('no candles in range');
+      }
+
+      if (this.mode === 'record') {
+        this.record(() => fixtureProvider.recordCandles(symbol, baseTimeframe, candles, provider.name));
+      }
+
+      const result = baseTimeframe === timeframe
+        ? candles
+        : candleResampler.resample(candles, timeframe, { baseTimeframe, symbol })
+          .map(bar => ({ ...bar, source: provider.name }));
+
+      console.log(`  ✓ ${symbol}: Fetched ${result.length} ${timeframe} candles from ${provider.name}`);
+      return result;
+    });
+  }
+
+  /**
+   * Latest quote for a symbol (TickData shape)
+   */
+  async getQuote(symbol) {
+    return fetchCache.get(`quotes:${symbol}`, this.quoteTtlMs, () => this.fetchQuote(symbol));
+  }
+
+  /**
+   * Quote straight from the providers (uncached)
+   */
+  async fetchQuote(symbol) {
+    const candidates = this.getProviderOrder(symbol, 'quotes')
+      .filter(provider => provider.supportsQuotes(symbol));
+
+    return this.tryProviders(candidates, `${symbol} quote`, async (provider) => {
+      const quote = await provider.getQuote(symbol);
+
+      if (this.mode === 'record') {
+        this.record(() => fixtureProvider.recordQuote(symbol, quote));
+      }
+      return quote;
+    });
+  }
+
+  /**
+   * Save a fixture in record mode - a failed write never fails the request
+   */
+  record(write) {
+    try {
+      write();
+    } catch (error) {
+      console.log(`  ⚠️  Fixture not recorded: ${error.message}`);
+    }
+  }
+
+  /**
+   * End of the default candle window: now, or the newest recorded candle in fixture mode
+   */
+  getDefaultEnd(symbol, timeframe) {
+    if (this.mode !== 'fixture' || !fixtureProvider.supportsCandles(symbol)) {
+      return new Date();
+    }
+
+    const baseTimeframe = fixtureProvider.getBaseTimeframe(symbol, timeframe);
+    const last = baseTimeframe && fixtureProvider.getLastTimestamp(symbol, baseTimeframe);
+    return last ? new Date(last.getTime() + candleResampler.toMinutes(baseTimeframe) * 60000) : new Date();
+  }
+
+  /**
+   * Run a request against providers in order until one succeeds
+   */
+  async tryProviders(providers, label, request) {
+    if (providers.length === 0) {
+      throw new Error(`No market data provider serves ${label}`);
+    }
+
+    const errors = [];
+
+    for (const provider of providers) {
+      const startedAt = Date.now();
+
+      try {
+        const result = await request(provider);
+        this.recordSuccess(provider.name, Date.now() - startedAt);
+        return result;
+      } catch (error) {
+        this.recordFailure(provider.name, error);
+        errors.push(`${provider.name}: ${error.message}`);
+        console.log(`  ⚠️  ${label} from ${provider.name} failed: ${error.message}`);
+      }
+    }
+
+    throw new Error(`All providers failed for ${label} (${errors.join('; ')})`);
+  }
+
+  /**
+   * Configured providers for a symbol, DOWN ones last
+   * @param {String} kind - 'candles' | 'quotes'
+   */
+  getProviderOrder(symbol, kind) {
+    if (this.mode === 'fixture') {
+      return [fixtureProvider];
+    }
+
+    const override = MARKET_DATA.SYMBOL_PROVIDERS[symbol]?.[kind];
+    const envName = kind === 'candles' ? 'MARKET_DATA_CANDLE_PROVIDERS' : 'MARKET_DATA_QUOTE_PROVIDERS';
+    const names = override && !process.env[envName]
+      ? override
+      : kind === 'candles' ? this.candleProviders : this.quoteProviders;
+
+    const providers = names.map(name => this.providers.get(name)).filter(Boolean);
+    const isDown = provider => this.getStatus(provider.name) === 'DOWN';
+
+    return [...providers.filter(p => !isDown(p)), ...providers.filter(isDown)];
+  }
+
+  getStatus(name) {
+    const health = this.health.get(name);
+    if (health.downUntil && health.downUntil > new Date()) return 'DOWN';
+    return health.consecutiveFailures > 0 ? 'DEGRADED' : 'UP';
+  }
+
+  recordSuccess(name, latencyMs) {
+    const health = this.health.get(name);
+    health.successes++;
+    health.consecutiveFailures = 0;
+    health.downUntil = null;
+    health.lastSuccess = new Date();
+    health.avgLatencyMs = health.avgLatencyMs === null
+      ? latencyMs
+      : Math.round(health.avgLatencyMs * 0.8 + latencyMs * 0.2);
+  }
+
+  recordFailure(name, error) {
+    const health = this.health.get(name);
+    health.failures++;
+    health.consecutiveFailures++;
+    health.lastError = error.message;
+    health.lastErrorAt = new Date();
+
+    if (health.consecutiveFailures >= MARKET_DATA.FAILURE_THRESHOLD) {
+      health.downUntil = new Date(Date.now() + MARKET_DATA.COOLDOWN_MS);
+    }
+  }
+
+  /**
+   * Health of every registered provider and the configured order
+   */
+  getHealth() {
+    return {
+      mode: this.mode,
+      candleProviders: this.candleProviders,
+      quoteProviders: this.quoteProviders,
+      providers: [...this.health.values()].map(health => ({
+        provider: health.provider,
+        status: this.getStatus(health.provider),
+        ...health,
+        candles: this.candleProviders.includes(health.provider),
+        quotes: this.quoteProviders.includes(health.provider)
+      }))
+    };
+  }
+
+  /**
+   * Drop malformed candles and duplicates, sort ascending and clip to the window
+   */
+  normalizeCandles(candles, from, to) {
+    const byTime = new Map();
+
+    for (const candle of candles || []) {
+      const time = new Date(candle.timestamp).getTime();
+      const { open, high, low, close } = candle.ohlc || {};
+
+      if (![time, open, high, low, close].every(Number.isFinite)) continue;
+      if (time < from.getTime() || time > to.getTime()) continue;
+
+      byTime.set(time, { ...candle, timestamp: new Date(time) });
+    }
+
+    return [...byTime.values()].sort((a, b) => a.timestamp - b.timestamp);
+  }
+}
+
+module.exports = new MarketData();
@@ -257,18 +257,22 @@ function getInterpretation(regime, volatility) {
   return `${regimeDescriptions[regime]} with ${volatilityDescriptions[volatility]}`;
 }
 
-function getWeightAdjustments(regime, volatility) {
-  // Base weights (from constants)
-  const baseWeights = {
-    TREND: 0.28,
-    MOMENTUM: 0.25,
-    VOLUME: 0.15,
-    VOLATILITY: 0.10,
-    SUPPORT_RESISTANCE: 0.15,
-    PATTERNS: 0.07
-  };
+// Base weights used when the caller does not supply its own (the walk-forward optimiser does)
+const DEFAULT_BASE_WEIGHTS = {
+  TREND: 0.28,
+  MOMENTUM: 0.25,
+  VOLUME: 0.15,
+  VOLATILITY: 0.10,
+  SUPPORT_RESISTANCE: 0.15,
+  PATTERNS: 0.07
+};
 
-  let adjustments = { ...baseWeights };
+function getWeightAdjustments(regime, volatility, baseWeights = DEFAULT_BASE_WEIGHTS) {
+  // Only the six scoring categories take part (OPTIONS is not scored)
+  let adjustments = {};
+  for (const key of Object.keys(DEFAULT_BASE_WEIGHTS)) {
+    adjustments[key] = baseWeights[key] || 0;
+  }
 
   // Regime-based adjustments
   if (regime === 'STRONG_TRENDING') {
@@ -315,5 +319,6 @@ module.exports = {
   detectMarketRegime,
   calculateADX,
   calculateChoppiness,
-  calculateVolatility
+  calculateVolatility,
+  getWeightAdjustments
 };
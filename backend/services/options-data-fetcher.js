@@ -11,7 +11,9 @@
  * - Licensed data feeds
  */
 
-const axios = require('axios');
+const httpClient = require('./http-client');
+const marketData = require('./market-data');
+const fixtureProvider = require('./providers/fixture');
 
 class OptionsDataFetcher {
   constructor() {
@@ -25,7 +27,7 @@ class OptionsDataFetcher {
    */
   async initializeSession() {
     try {
-      const response = await axios.get(this.nseBaseURL, {
+      const response = await httpClient.get(this.nseBaseURL, {
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
           'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
@@ -57,6 +59,11 @@ class OptionsDataFetcher {
    * @returns {Object} Options chain data
    */
   async fetchOptionsChain(symbol = 'NIFTY') {
+    // Offline runs parse the recorded response instead
+    if (marketData.mode === 'fixture') {
+      return this.parseOptionsChain(fixtureProvider.getOptionChain(symbol));
+    }
+
     if (!this.session) {
       await this.initializeSession();
     }
@@ -64,7 +71,7 @@ class OptionsDataFetcher {
     try {
       const url = `${this.nseBaseURL}/api/option-chain-indices?symbol=${symbol}`;
 
-      const response = await axios.get(url, {
+      const response = await httpClient.get(url, {
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
           'Accept': 'application/json',
@@ -78,11 +85,18 @@ class OptionsDataFetcher {
       });
 
       if (response.data && response.data.records) {
+        if (marketData.mode === 'record') {
+          marketData.record(() => fixtureProvider.recordOptionChain(symbol, response.data));
+        }
         return this.parseOptionsChain(response.data);
       }
 
       throw new Error('Invalid options chain data received');
     } catch (error) {
+      // Rejected session - start a new one on the next call
+      if (error.response?.status === 401 || error.response?.status === 403) {
+        this.session = null;
+      }
       throw new Error(`Failed to fetch options chain: ${error.message}`);
     }
   }
@@ -0,0 +1,782 @@
+/**
+ * Paper Trading Service
+ * Virtual account that takes market, limit and SL orders and fills them against incoming candles
+ *
+ * - Symbols with derivatives in the symbol registry; quantities are whole lots of their lot size
+ * - Positions are netted per symbol; closing fills book realized P/L into cash
+ * - Every fill pays the symbol's cost-model charges (and slippage on market/SL fills)
+ * - Entry orders may carry a bracket: once filled, a stop and a target order are placed
+ *   and whichever fills first cancels the other
+ * - Signals can place orders automatically when the account's auto-trade is enabled
+ *
+ * The candle containing the order time only counts from its close, later candles use
+ * their full range - the same rule the signal tracker applies to levels.
+ *
+ * Fills can start from the timer and from direct calls (closing a position, placing an order) at
+ * the same time: an order is claimed (OPEN → FILLING) before it fills, so only one pass fills it,
+ * and everything that changes an account (cash, positions, auto-trade settings) runs one at a time per account.
+ */
+
+const PaperAccount = require('../models/PaperAccount');
+const PaperOrder = require('../models/PaperOrder');
+const PaperLedger = require('../models/PaperLedger');
+const candleStore = require('./candle-store');
+const candleResampler = require('./candle-resampler');
+const costModel = require('./cost-model');
+const symbolRegistry = require('./symbol-registry');
+const { PAPER_TRADING } = require('../config/constants');
+
+const DEFAULT_ACCOUNT = 'default';
+const ORDER_TYPES = ['MARKET', 'LIMIT', 'SL'];
+const SIDES = ['BUY', 'SELL'];
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+class PaperTrading {
+  constructor() {
+    this.initialCapital = parseFloat(process.env.PAPER_INITIAL_CAPITAL) || PAPER_TRADING.INITIAL_CAPITAL;
+    this.autoTradeDefault = process.env.PAPER_AUTO_TRADE === 'true';
+    this.timer = null;
+    this.processing = false;
+    this.accountQueues = new Map(); // Account name → tail of its serialised updates
+  }
+
+  /**
+   * Start filling open orders against fresh candles
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.processOpenOrders(), PAPER_TRADING.CHECK_INTERVAL_MS);
+    console.log('✓ Paper trading engine started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run a task after every earlier task of the same account has finished
+   * Account updates load, change and save the whole document - two at once would lose one
+   */
+  async withAccount(name, task) {
+    const previous = this.accountQueues.get(name) || Promise.resolve();
+    const current = previous.then(task);
+    const tail = current.catch(() => {});
+    this.accountQueues.set(name, tail);
+
+    try {
+      return await current;
+    } finally {
+      if (this.accountQueues.get(name) === tail) {
+        this.accountQueues.delete(name);
+      }
+    }
+  }
+
+  /**
+   * Load an account, creating it with the default capital on first use
+   */
+  async getAccount(name = DEFAULT_ACCOUNT) {
+    let account = await PaperAccount.findOne({ name });
+
+    if (!account) {
+      account = await PaperAccount.create({
+        name,
+        initialCapital: this.initialCapital,
+        cash: this.initialCapital,
+        autoTrade: {
+          enabled: this.autoTradeDefault,
+          lots: parseInt(process.env.PAPER_AUTO_TRADE_LOTS) || PAPER_TRADING.AUTO_TRADE_LOTS,
+          minConfidence: PAPER_TRADING.AUTO_TRADE_MIN_CONFIDENCE
+        }
+      });
+      console.log(`📒 Paper account "${name}" created with ₹${this.initialCapital.toLocaleString('en-IN')}`);
+    }
+
+    return account;
+  }
+
+  /**
+   * Start over: cancel open orders, drop positions and restore capital (ledger is kept)
+   */
+  async resetAccount(name = DEFAULT_ACCOUNT, capital = null) {
+    if (capital !== null && (!(capital > 0) || !Number.isFinite(capital))) {
+      throw new Error('Capital must be a positive number');
+    }
+
+    return this.withAccount(name, async () => {
+      const account = await this.getAccount(name);
+      const initialCapital = capital || account.initialCapital;
+
+      await PaperOrder.updateMany(
+        { account: name, status: 'OPEN' },
+        { $set: { status: 'CANCELLED', remarks: 'Account reset' } }
+      );
+
+      account.initialCapital = initialCapital;
+      account.cash = initialCapital;
+      account.realizedPnL = 0;
+      account.totalCharges = 0;
+      account.positions = [];
+      account.resetAt = new Date();
+      await account.save();
+
+      await this.addLedgerEntry(account, {
+        type: 'RESET',
+        time: account.resetAt,
+        remarks: `Reset to ₹${initialCapital.toLocaleString('en-IN')}`
+      });
+
+      return account;
+    });
+  }
+
+  /**
+   * Change auto-trade settings for signal orders
+   */
+  async updateAutoTrade(name = DEFAULT_ACCOUNT, { enabled, lots, minConfidence } = {}) {
+    if (lots !== undefined && !(Number.isInteger(lots) && lots > 0)) {
+      throw new Error('Lots must be a positive whole number');
+    }
+    if (minConfidence !== undefined && !(minConfidence >= 0 && minConfidence <= 100)) {
+      throw new Error('Minimum confidence must be between 0 and 100');
+    }
+
+    return this.withAccount(name, async () => {
+      const account = await this.getAccount(name);
+
+      if (enabled !== undefined) account.autoTrade.enabled = Boolean(enabled);
+      if (lots !== undefined) account.autoTrade.lots = lots;
+      if (minConfidence !== undefined) account.autoTrade.minConfidence = minConfidence;
+
+      await account.save();
+      return account.autoTrade;
+    });
+  }
+
+  /**
+   * Tradable symbols - active registry instruments with futures contracts
+   */
+  getSymbols() {
+    return symbolRegistry.getSymbols({ derivatives: true });
+  }
+
+  /**
+   * Validate an order request - throws with the reason when it can't be placed
+   */
+  validateOrder({ symbol, side, type, lots, limitPrice, triggerPrice, bracket }) {
+    const symbols = this.getSymbols();
+    if (!symbols.includes(symbol)) {
+      throw new Error(`Paper trading supports ${symbols.join(', ')}`);
+    }
+    if (!SIDES.includes(side)) {
+      throw new Error('Side must be BUY or SELL');
+    }
+    if (!ORDER_TYPES.includes(type)) {
+      throw new Error(`Order type must be one of ${ORDER_TYPES.join(', ')}`);
+    }
+    if (!(Number.isInteger(lots) && lots > 0)) {
+      throw new Error('Lots must be a positive whole number');
+    }
+    if (type === 'LIMIT' && !(limitPrice > 0)) {
+      throw new Error('Limit orders need a limit price');
+    }
+    if (type === 'SL' && !(triggerPrice > 0)) {
+      throw new Error('SL orders need a trigger price');
+    }
+    if (bracket && bracket.stopLoss && bracket.target) {
+      const valid = side === 'BUY'
+        ? bracket.stopLoss < bracket.target
+        : bracket.stopLoss > bracket.target;
+      if (!valid) {
+        throw new Error('Bracket stop loss and target are on the wrong sides');
+      }
+    }
+  }
+
+  /**
+   * Place an order (it fills on the next candle update that satisfies it)
+   * @param {String} name - Account name
+   * @param {Object} request - { symbol, side, type, lots, limitPrice?, triggerPrice?, bracket?, source?, signalId?, remarks? }
+   */
+  async placeOrder(name = DEFAULT_ACCOUNT, request) {
+    const order = {
+      type: 'MARKET',
+      lots: 1,
+      source: 'MANUAL',
+      ...request
+    };
+    this.validateOrder(order);
+
+    await this.getAccount(name);
+    const spec = costModel.getContractSpec(order.symbol);
+
+    const placed = await PaperOrder.create({
+      account: name,
+      symbol: order.symbol,
+      side: order.side,
+      type: order.type,
+      lots: order.lots,
+      quantity: order.lots * spec.lotSize,
+      limitPrice: order.type === 'LIMIT' ? order.limitPrice : undefined,
+      triggerPrice: order.type === 'SL' ? order.triggerPrice : undefined,
+      bracket: order.bracket,
+      parentOrder: order.parentOrder,
+      ocoGroup: order.ocoGroup,
+      activeFrom: order.activeFrom || new Date(),
+      source: order.source,
+      signalId: order.signalId,
+      remarks: order.remarks
+    });
+
+    console.log(`📝 Paper ${placed.side} ${placed.lots} lot(s) ${placed.symbol} ${placed.type}${this.describePrice(placed)} (${placed.source.toLowerCase()})`);
+    return placed;
+  }
+
+  /**
+   * Cancel an open order
+   */
+  async cancelOrder(name = DEFAULT_ACCOUNT, orderId) {
+    // Only while still OPEN - a fill may claim it at the same time
+    const cancelled = await PaperOrder.findOneAndUpdate(
+      { _id: orderId, account: name, status: 'OPEN' },
+      { $set: { status: 'CANCELLED' } },
+      { new: true }
+    );
+    if (cancelled) return cancelled;
+
+    const order = await PaperOrder.findOne({ _id: orderId, account: name });
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    throw new Error(`Order is already ${order.status.toLowerCase()}`);
+  }
+
+  /**
+   * Orders of an account, newest first
+   */
+  async getOrders(name = DEFAULT_ACCOUNT, { status = null, limit = 100 } = {}) {
+    const query = { account: name };
+    if (status) query.status = status;
+
+    return PaperOrder.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+  }
+
+  /**
+   * Single order of an account
+   */
+  async getOrder(name = DEFAULT_ACCOUNT, orderId) {
+    return PaperOrder.findOne({ _id: orderId, account: name }).lean();
+  }
+
+  /**
+   * Close a position with a market order (its bracket orders are cancelled)
+   * The fill runs after the account's turn ends - filling takes the account's turn itself
+   */
+  async closePosition(name = DEFAULT_ACCOUNT, symbol) {
+    const order = await this.withAccount(name, async () => {
+      const account = await this.getAccount(name);
+      const position = account.positions.find(p => p.symbol === symbol);
+
+      if (!position) {
+        throw new Error(`No open ${symbol} position`);
+      }
+
+      await this.cancelSymbolExits(name, symbol, 'Position closed');
+
+      const spec = costModel.getContractSpec(symbol);
+      return this.placeOrder(name, {
+        symbol,
+        side: position.quantity > 0 ? 'SELL' : 'BUY',
+        type: 'MARKET',
+        lots: Math.abs(position.quantity) / spec.lotSize,
+        remarks: 'Close position'
+      });
+    });
+
+    await this.processSymbol(symbol);
+    return this.getOrder(name, order._id);
+  }
+
+  /**
+   * Place an order from a generated signal when the account auto-trades
+   * Skips when a position in the same direction (or a pending signal order) already exists;
+   * an opposite position is closed first.
+   * @returns {Object|null} The entry order, or null when skipped
+   */
+  async placeSignalOrder(signal, name = DEFAULT_ACCOUNT) {
+    const account = await this.getAccount(name);
+    const action = signal.signal?.action || 'HOLD';
+
+    if (!account.autoTrade.enabled || action === 'HOLD') return null;
+    if (!this.getSymbols().includes(signal.symbol)) return null;
+    if ((signal.signal.confidence || 0) < account.autoTrade.minConfidence) return null;
+
+    const side = action.includes('BUY') ? 'BUY' : 'SELL';
+    const direction = side === 'BUY' ? 1 : -1;
+    const position = account.positions.find(p => p.symbol === signal.symbol);
+
+    if (position && Math.sign(position.quantity) === direction) return null;
+
+    const pending = await PaperOrder.exists({
+      account: name,
+      symbol: signal.symbol,
+      source: 'SIGNAL',
+      status: { $in: ['OPEN', 'FILLING'] }
+    });
+    if (pending) return null;
+
+    if (position) {
+      await this.closePosition(name, signal.symbol);
+    }
+
+    const levels = signal.levels || {};
+    return this.placeOrder(name, {
+      symbol: signal.symbol,
+      side,
+      type: 'MARKET',
+      lots: account.autoTrade.lots,
+      bracket: {
+        stopLoss: levels.stopLoss,
+        target: levels[PAPER_TRADING.AUTO_TRADE_TARGET]
+      },
+      source: 'SIGNAL',
+      signalId: signal._id,
+      remarks: `${action} signal (${Math.round(signal.signal.confidence)}% confidence)`
+    });
+  }
+
+  /**
+   * Fill open orders of every account against the latest candles
+   */
+  async processOpenOrders() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const symbols = await PaperOrder.distinct('symbol', { status: 'OPEN' });
+
+      for (const symbol of symbols) {
+        await this.processSymbol(symbol);
+      }
+    } catch (error) {
+      console.error('Error processing paper orders:', error.message);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Fill the open orders of one symbol
+   * @param {String} symbol
+   * @param {Array} candles - PAPER_TRADING.TIMEFRAME candles to fill against (fetched when omitted), oldest first
+   * @returns {Array} Orders filled or rejected in this pass
+   */
+  async processSymbol(symbol, candles = null) {
+    const bars = candles || await candleStore.getCandles(symbol, PAPER_TRADING.TIMEFRAME);
+    if (!bars || bars.length === 0) return [];
+
+    const processed = [];
+    const pending = await PaperOrder.find({ symbol, status: 'OPEN' }).sort({ createdAt: 1 });
+
+    while (pending.length > 0) {
+      // Reload - an earlier fill in this pass may have cancelled it (OCO)
+      let order = await PaperOrder.findById(pending.shift()._id);
+      if (!order || order.status !== 'OPEN') continue;
+
+      let fill = this.getFill(order, bars);
+      if (!fill) continue;
+
+      // One-cancels-other: whichever exit the candles reach first wins (stop on ties)
+      if (order.ocoGroup) {
+        const siblings = await PaperOrder.find({ ocoGroup: order.ocoGroup, status: 'OPEN', _id: { $ne: order._id } }).sort({ createdAt: 1 });
+        for (const sibling of siblings) {
+          const siblingFill = this.getFill(sibling, bars);
+          if (siblingFill && new Date(siblingFill.time) < new Date(fill.time)) {
+            order = sibling;
+            fill = siblingFill;
+          }
+        }
+      }
+
+      const result = await this.claimAndFill(order, fill);
+      if (!result) continue;
+      processed.push(result);
+
+      // Bracket exits start from the entry fill, so they can fill in this same pass
+      if (result.status === 'FILLED') {
+        pending.push(...await PaperOrder.find({ parentOrder: result._id, status: 'OPEN' }).sort({ createdAt: 1 }));
+      }
+    }
+
+    return processed;
+  }
+
+  /**
+   * Fill an order if it is still OPEN when its account's turn comes
+   * @returns {Object|null} The filled/rejected order, or null when another pass got it first
+   */
+  async claimAndFill(order, fill) {
+    return this.withAccount(order.account, async () => {
+      const claimed = await PaperOrder.findOneAndUpdate(
+        { _id: order._id, status: 'OPEN' },
+        { $set: { status: 'FILLING' } },
+        { new: true }
+      );
+      if (!claimed) return null;
+
+      try {
+        return await this.fillOrder(claimed, fill.price, fill.time);
+      } catch (error) {
+        // Release it for the next pass
+        await PaperOrder.updateOne({ _id: claimed._id, status: 'FILLING' }, { $set: { status: 'OPEN' } });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * First fill an order gets from the candles after it was placed
+   * @returns {Object|null} { price, time }
+   */
+  getFill(order, candles) {
+    const placedAt = new Date(order.activeFrom || order.createdAt).getTime();
+    const barMs = candleResampler.toMinutes(PAPER_TRADING.TIMEFRAME) * 60 * 1000;
+    const isBuy = order.side === 'BUY';
+
+    for (const candle of candles) {
+      const start = new Date(candle.timestamp).getTime();
+      if (start + barMs <= placedAt) continue;
+
+      // The order's own candle only counts from its close
+      const { open, high, low, close } = start <= placedAt
+        ? { open: candle.ohlc.close, high: candle.ohlc.close, low: candle.ohlc.close, close: candle.ohlc.close }
+        : candle.ohlc;
+      const time = start <= placedAt ? new Date(placedAt) : candle.timestamp;
+
+      if (order.type === 'MARKET') {
+        return { price: this.slip(order, open), time };
+      }
+
+      if (order.type === 'LIMIT') {
+        if (isBuy && low <= order.limitPrice) return { price: Math.min(open, order.limitPrice), time };
+        if (!isBuy && high >= order.limitPrice) return { price: Math.max(open, order.limitPrice), time };
+      }
+
+      if (order.type === 'SL') {
+        if (isBuy && high >= order.triggerPrice) return { price: this.slip(order, Math.max(open, order.triggerPrice)), time };
+        if (!isBuy && low <= order.triggerPrice) return { price: this.slip(order, Math.min(open, order.triggerPrice)), time };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Adverse slippage for orders that execute at market
+   */
+  slip(order, price) {
+    const spec = costModel.getContractSpec(order.symbol);
+    const ticks = costModel.getProfile(order.symbol).slippageTicks * spec.tickSize;
+    return costModel.round(order.side === 'BUY' ? price + ticks : price - ticks);
+  }
+
+  /**
+   * Execute an order: update the position, cash and ledger, then handle bracket/OCO orders
+   * Orders that would open more exposure than the account's equity can margin are rejected
+   * Call through claimAndFill() - the order must already be claimed
+   */
+  async fillOrder(order, price, time) {
+    const account = await this.getAccount(order.account);
+    const signedQty = order.side === 'BUY' ? order.quantity : -order.quantity;
+    const position = account.positions.find(p => p.symbol === order.symbol);
+    const currentQty = position ? position.quantity : 0;
+
+    const addedExposure = Math.max(0, Math.abs(currentQty + signedQty) - Math.abs(currentQty));
+    if (addedExposure > 0) {
+      const required = this.getMarginUsed(account.positions) + addedExposure * price * PAPER_TRADING.MARGIN_PERCENT;
+      // Open positions marked at their last price (this symbol at the fill price)
+      const equity = account.cash + this.getUnrealizedPnL(account.positions, { [order.symbol]: price });
+      if (required > equity) {
+        order.status = 'REJECTED';
+        order.remarks = `Insufficient margin: ₹${Math.round(required).toLocaleString('en-IN')} needed, ₹${Math.round(equity).toLocaleString('en-IN')} equity`;
+        await order.save();
+        console.log(`🚫 Paper ${order.side} ${order.symbol} rejected - ${order.remarks}`);
+        return order;
+      }
+    }
+
+    const profile = costModel.getProfile(order.symbol);
+    const charges = Object.values(costModel.calculateOrderCharges(price, order.quantity, order.side, profile))
+      .reduce((sum, value) => sum + value, 0);
+    const realizedPnL = this.applyFill(account, order.symbol, signedQty, price, time);
+
+    account.cash += realizedPnL - charges;
+    account.realizedPnL += realizedPnL;
+    account.totalCharges += charges;
+    await account.save();
+
+    order.status = 'FILLED';
+    order.fillPrice = price;
+    order.filledAt = time;
+    order.charges = costModel.round(charges);
+    order.realizedPnL = costModel.round(realizedPnL);
+    await order.save();
+
+    await this.addLedgerEntry(account, {
+      type: 'FILL',
+      time,
+      symbol: order.symbol,
+      side: order.side,
+      quantity: order.quantity,
+      price,
+      realizedPnL: order.realizedPnL,
+      charges: order.charges,
+      orderId: order._id,
+      remarks: order.remarks
+    });
+
+    const pnlText = realizedPnL !== 0 ? ` | P/L ₹${order.realizedPnL.toFixed(2)}` : '';
+    console.log(`💼 Paper ${order.side} ${order.lots} lot(s) ${order.symbol} filled @ ₹${price.toFixed(2)}${pnlText}`);
+
+    if (order.ocoGroup) {
+      await PaperOrder.updateMany(
+        { ocoGroup: order.ocoGroup, status: 'OPEN', _id: { $ne: order._id } },
+        { $set: { status: 'CANCELLED', remarks: `Cancelled - ${order.type === 'SL' ? 'stop' : 'target'} filled` } }
+      );
+    }
+
+    if (order.bracket && (order.bracket.stopLoss || order.bracket.target)) {
+      await this.placeBracket(order);
+    }
+
+    return order;
+  }
+
+  /**
+   * Stop and target exits for a filled entry order (one cancels the other)
+   */
+  async placeBracket(entry) {
+    const exit = {
+      symbol: entry.symbol,
+      side: entry.side === 'BUY' ? 'SELL' : 'BUY',
+      lots: entry.lots,
+      source: 'BRACKET',
+      signalId: entry.signalId,
+      parentOrder: entry._id,
+      ocoGroup: String(entry._id),
+      activeFrom: entry.filledAt
+    };
+
+    if (entry.bracket.stopLoss) {
+      await this.placeOrder(entry.account, { ...exit, type: 'SL', triggerPrice: entry.bracket.stopLoss, remarks: 'Bracket stop loss' });
+    }
+    if (entry.bracket.target) {
+      await this.placeOrder(entry.account, { ...exit, type: 'LIMIT', limitPrice: entry.bracket.target, remarks: 'Bracket target' });
+    }
+  }
+
+  /**
+   * Cancel open bracket exits of a symbol (before closing it by hand)
+   */
+  async cancelSymbolExits(name, symbol, reason) {
+    await PaperOrder.updateMany(
+      { account: name, symbol, status: 'OPEN', source: 'BRACKET' },
+      { $set: { status: 'CANCELLED', remarks: `Cancelled - ${reason.toLowerCase()}` } }
+    );
+  }
+
+  /**
+   * Net a fill into the account's position for the symbol (mutates account)
+   * @returns {Number} Realized ₹ P/L of the part that closed existing quantity
+   */
+  applyFill(account, symbol, signedQty, price, time) {
+    const index = account.positions.findIndex(p => p.symbol === symbol);
+
+    if (index === -1) {
+      account.positions.push({ symbol, quantity: signedQty, avgPrice: price, lastPrice: price, openedAt: time });
+      return 0;
+    }
+
+    const position = account.positions[index];
+    const current = position.quantity;
+    position.lastPrice = price;
+
+    // Adding to the position
+    if (Math.sign(current) === Math.sign(signedQty)) {
+      position.avgPrice = (Math.abs(current) * position.avgPrice + Math.abs(signedQty) * price) / (Math.abs(current) + Math.abs(signedQty));
+      position.quantity = current + signedQty;
+      return 0;
+    }
+
+    // Reducing, closing or flipping
+    const closing = Math.min(Math.abs(current), Math.abs(signedQty));
+    const realized = closing * (price - position.avgPrice) * Math.sign(current);
+    const remaining = current + signedQty;
+
+    if (remaining === 0) {
+      account.positions.splice(index, 1);
+    } else if (Math.sign(remaining) !== Math.sign(current)) {
+      position.quantity = remaining;
+      position.avgPrice = price;
+      position.realizedPnL = 0;
+      position.openedAt = time;
+    } else {
+      position.quantity = remaining;
+      position.realizedPnL += realized;
+    }
+
+    return realized;
+  }
+
+  /**
+   * Margin blocked by open positions at their last known price
+   */
+  getMarginUsed(positions) {
+    return positions.reduce((sum, p) => sum + Math.abs(p.quantity) * (p.lastPrice || p.avgPrice) * PAPER_TRADING.MARGIN_PERCENT, 0);
+  }
+
+  /**
+   * Unrealized ₹ P/L of open positions at given prices (last known price for the rest)
+   */
+  getUnrealizedPnL(positions, prices = {}) {
+    return positions.reduce((sum, p) => {
+      const price = prices[p.symbol] || p.lastPrice || p.avgPrice;
+      return sum + (price - p.avgPrice) * p.quantity;
+    }, 0);
+  }
+
+  /**
+   * Account with positions marked to the latest candle close
+   */
+  async getSummary(name = DEFAULT_ACCOUNT) {
+    const account = await this.getAccount(name);
+    const positions = [];
+
+    for (const position of account.positions) {
+      const candles = await candleStore.getCandles(position.symbol);
+      const lastPrice = candles && candles.length > 0
+        ? candles[candles.length - 1].ohlc.close
+        : position.lastPrice || position.avgPrice;
+      const spec = costModel.getContractSpec(position.symbol);
+
+      positions.push({
+        symbol: position.symbol,
+        side: position.quantity > 0 ? 'LONG' : 'SHORT',
+        quantity: position.quantity,
+        lots: Math.abs(position.quantity) / spec.lotSize,
+        avgPrice: costModel.round(position.avgPrice),
+        lastPrice,
+        unrealizedPnL: costModel.round((lastPrice - position.avgPrice) * position.quantity),
+        realizedPnL: costModel.round(position.realizedPnL),
+        openedAt: position.openedAt
+      });
+    }
+
+    const unrealizedPnL = positions.reduce((sum, p) => sum + p.unrealizedPnL, 0);
+    const marginUsed = positions.reduce((sum, p) => sum + Math.abs(p.quantity) * p.lastPrice * PAPER_TRADING.MARGIN_PERCENT, 0);
+    const equity = account.cash + unrealizedPnL;
+
+    return {
+      name: account.name,
+      initialCapital: account.initialCapital,
+      cash: costModel.round(account.cash),
+      equity: costModel.round(equity),
+      realizedPnL: costModel.round(account.realizedPnL),
+      unrealizedPnL: costModel.round(unrealizedPnL),
+      totalCharges: costModel.round(account.totalCharges),
+      returnPercent: costModel.round(((equity - account.initialCapital) / account.initialCapital) * 100),
+      marginUsed: costModel.round(marginUsed),
+      marginAvailable: costModel.round(Math.max(0, equity - marginUsed)),
+      positions,
+      autoTrade: account.autoTrade,
+      lotSizes: Object.fromEntries(this.getSymbols().map(symbol => [symbol, costModel.getContractSpec(symbol).lotSize])),
+      resetAt: account.resetAt
+    };
+  }
+
+  /**
+   * Record a cash movement on the ledger
+   */
+  async addLedgerEntry(account, entry) {
+    return PaperLedger.create({
+      account: account.name,
+      date: this.getTradingDay(entry.time),
+      cashAfter: costModel.round(account.cash),
+      ...entry
+    });
+  }
+
+  /**
+   * Daily ledger: fills, realized P/L, charges and closing cash per IST trading day
+   * @param {String} name - Account name
+   * @param {Object} range - { from?, to? } as YYYY-MM-DD
+   */
+  async getLedger(name = DEFAULT_ACCOUNT, { from = null, to = null } = {}) {
+    const query = { account: name };
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = from;
+      if (to) query.date.$lte = to;
+    }
+
+    const entries = await PaperLedger.find(query).sort({ time: 1 }).lean();
+    const days = new Map();
+
+    for (const entry of entries) {
+      if (!days.has(entry.date)) {
+        days.set(entry.date, {
+          date: entry.date,
+          openingCash: costModel.round(entry.cashAfter - entry.realizedPnL + entry.charges),
+          fills: 0,
+          turnover: 0,
+          realizedPnL: 0,
+          charges: 0,
+          netPnL: 0,
+          closingCash: entry.cashAfter,
+          entries: []
+        });
+      }
+
+      const day = days.get(entry.date);
+      if (entry.type === 'RESET') {
+        day.openingCash = entry.cashAfter;
+      } else {
+        day.fills++;
+        day.turnover += entry.quantity * entry.price;
+        day.realizedPnL += entry.realizedPnL;
+        day.charges += entry.charges;
+      }
+      day.closingCash = entry.cashAfter;
+      day.entries.push(entry);
+    }
+
+    return [...days.values()]
+      .map(day => ({
+        ...day,
+        turnover: costModel.round(day.turnover),
+        realizedPnL: costModel.round(day.realizedPnL),
+        charges: costModel.round(day.charges),
+        netPnL: costModel.round(day.realizedPnL - day.charges)
+      }))
+      .reverse();
+  }
+
+  /**
+   * IST trading day of a timestamp (YYYY-MM-DD)
+   */
+  getTradingDay(time) {
+    return new Date(new Date(time).getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+  }
+
+  describePrice(order) {
+    if (order.type === 'LIMIT') return ` @ ${order.limitPrice}`;
+    if (order.type === 'SL') return ` trigger ${order.triggerPrice}`;
+    return '';
+  }
+}
+
+module.exports = new PaperTrading();
@@ -0,0 +1,269 @@
+/**
+ * Performance Metrics
+ * Risk-adjusted statistics for a series of closed trades/signals
+ *
+ * - Equity curve: cumulative P/L % in exit-time order (additive, like totalPLPercent)
+ * - Max drawdown (percentage points) and its duration (peak → recovery, or → last trade)
+ * - Sharpe / Sortino: daily returns (IST sessions, NSE trading days without trades count as 0), annualised
+ * - Calmar: annualised return / max drawdown
+ * - Profit factor, expectancy, longest win/loss streaks
+ *
+ * Net P/L (after costs) is used by default; pass basis 'gross' for raw moves
+ */
+
+const costModel = require('./cost-model');
+const tradingCalendar = require('./trading-calendar');
+
+const TRADING_DAYS_PER_YEAR = 252;
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PerformanceMetrics {
+  /**
+   * Convert stored signals (SignalHistory or TradingSignal) into trades
+   * @param {Array} signals - Closed signals
+   * @param {String} basis - 'net' or 'gross'
+   * @returns {Array} [{ time, returnPercent, profitLoss }]
+   */
+  tradesFromSignals(signals, basis = 'net') {
+    return signals
+      .filter(s => typeof s.performance?.profitLossPercent === 'number')
+      .map(s => {
+        const time = s.performance.exitTime || s.marketTime || s.timestamp || s.createdAt;
+
+        if (basis === 'gross') {
+          return { time, returnPercent: s.performance.profitLossPercent, profitLoss: s.performance.profitLoss || 0 };
+        }
+
+        const net = costModel.getNetPerformance(s);
+        return { time, returnPercent: net.netProfitLossPercent, profitLoss: net.netProfitLoss };
+      });
+  }
+
+  /**
+   * Convert backtest trades into the same shape
+   */
+  tradesFromBacktest(trades, basis = 'net') {
+    return trades.map(t => ({
+      time: t.exitTime,
+      returnPercent: basis === 'gross' ? t.profitLossPercent : t.netProfitLossPercent,
+      profitLoss: basis === 'gross' ? t.profitLoss : t.netProfitLoss
+    }));
+  }
+
+  /**
+   * Calculate all metrics
+   * @param {Array} trades - [{ time, returnPercent, profitLoss }]
+   * @returns {Object} Metrics with equity curve
+   */
+  calculate(trades) {
+    const ordered = [...trades]
+      .filter(t => t.time && typeof t.returnPercent === 'number')
+      .sort((a, b) => new Date(a.time) - new Date(b.time));
+
+    const equityCurve = this.buildEquityCurve(ordered);
+    const drawdown = this.calculateDrawdown(equityCurve);
+    const dailyReturns = this.calculateDailyReturns(ordered);
+    const returns = ordered.map(t => t.returnPercent);
+
+    const annualReturn = this.mean(dailyReturns) * TRADING_DAYS_PER_YEAR;
+
+    return {
+      trades: ordered.length,
+      tradingDays: dailyReturns.length,
+      totalReturnPercent: this.round(returns.reduce((sum, r) => sum + r, 0)),
+      annualizedReturnPercent: this.round(annualReturn),
+      maxDrawdown: this.round(drawdown.maxDrawdown),
+      maxDrawdownDuration: drawdown.duration,
+      sharpeRatio: this.round(this.sharpe(dailyReturns)),
+      sortinoRatio: this.round(this.sortino(dailyReturns)),
+      calmarRatio: drawdown.maxDrawdown > 0 ? this.round(annualReturn / drawdown.maxDrawdown) : null,
+      profitFactor: this.round(this.profitFactor(returns)),
+      expectancy: this.expectancy(ordered),
+      streaks: this.streaks(returns),
+      equityCurve
+    };
+  }
+
+  /**
+   * Cumulative return after each trade with running drawdown
+   */
+  buildEquityCurve(ordered) {
+    let equity = 0;
+    let peak = 0;
+
+    return ordered.map(t => {
+      equity += t.returnPercent;
+      peak = Math.max(peak, equity);
+
+      return {
+        time: t.time,
+        returnPercent: this.round(t.returnPercent),
+        equity: this.round(equity),
+        drawdown: this.round(peak - equity)
+      };
+    });
+  }
+
+  /**
+   * Deepest peak-to-trough fall and the longest time spent below a peak
+   */
+  calculateDrawdown(equityCurve) {
+    let peak = 0;
+    let peakTime = equityCurve.length > 0 ? equityCurve[0].time : null;
+    let peakIndex = -1;
+    let maxDrawdown = 0;
+    let longest = { trades: 0, ms: 0, from: null, to: null, recovered: true };
+
+    const recordUnderwater = (endIndex, endTime, recovered) => {
+      const ms = new Date(endTime) - new Date(peakTime);
+      if (ms > longest.ms) {
+        longest = { trades: endIndex - peakIndex, ms, from: peakTime, to: endTime, recovered };
+      }
+    };
+
+    equityCurve.forEach((point, index) => {
+      if (point.equity >= peak) {
+        if (index - peakIndex > 1) recordUnderwater(index, point.time, true);
+        peak = point.equity;
+        peakTime = point.time;
+        peakIndex = index;
+      } else {
+        maxDrawdown = Math.max(maxDrawdown, peak - point.equity);
+      }
+    });
+
+    // Still underwater at the end
+    const last = equityCurve[equityCurve.length - 1];
+    if (last && last.equity < peak) {
+      recordUnderwater(equityCurve.length - 1, last.time, false);
+    }
+
+    return {
+      maxDrawdown,
+      duration: {
+        trades: longest.trades,
+        days: this.round(longest.ms / DAY_MS),
+        from: longest.from,
+        to: longest.to,
+        recovered: longest.recovered
+      }
+    };
+  }
+
+  /**
+   * Sum returns per IST session; NSE trading days (tradingCalendar.isTradingDay) between the first and
+   * last session with no trades count as 0
+   */
+  calculateDailyReturns(ordered) {
+    if (ordered.length === 0) return [];
+
+    const byDay = new Map();
+    for (const t of ordered) {
+      const day = this.sessionDate(t.time);
+      byDay.set(day, (byDay.get(day) || 0) + t.returnPercent);
+    }
+
+    const days = [...byDay.keys()].sort();
+    const returns = [];
+    const last = new Date(days[days.length - 1]);
+
+    for (let day = new Date(days[0]); day <= last; day = new Date(day.getTime() + DAY_MS)) {
+      const key = day.toISOString().slice(0, 10);
+      if (byDay.has(key)) {
+        returns.push(byDay.get(key));
+      } else if (tradingCalendar.isTradingDay(key)) {
+        returns.push(0);
+      }
+    }
+
+    return returns;
+  }
+
+  sessionDate(time) {
+    return new Date(new Date(time).getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+  }
+
+  sharpe(dailyReturns) {
+    const std = this.std(dailyReturns);
+    if (dailyReturns.length < 2 || std === 0) return null;
+    return (this.mean(dailyReturns) / std) * Math.sqrt(TRADING_DAYS_PER_YEAR);
+  }
+
+  sortino(dailyReturns) {
+    if (dailyReturns.length < 2) return null;
+    const downside = Math.sqrt(
+      dailyReturns.reduce((sum, r) => sum + Math.pow(Math.min(0, r), 2), 0) / dailyReturns.length
+    );
+    if (downside === 0) return null;
+    return (this.mean(dailyReturns) / downside) * Math.sqrt(TRADING_DAYS_PER_YEAR);
+  }
+
+  /**
+   * Gross winning % / gross losing % (null when there are no losses)
+   */
+  profitFactor(returns) {
+    const grossWin = returns.filter(r => r > 0).reduce((sum, r) => sum + r, 0);
+    const grossLoss = Math.abs(returns.filter(r => r < 0).reduce((sum, r) => sum + r, 0));
+    if (grossLoss === 0) return null;
+    return grossWin / grossLoss;
+  }
+
+  /**
+   * Expected result per trade: winRate × avgWin − lossRate × avgLoss
+   */
+  expectancy(ordered) {
+    if (ordered.length === 0) {
+      return { percent: 0, points: 0 };
+    }
+
+    const wins = ordered.filter(t => t.returnPercent > 0);
+    const losses = ordered.filter(t => t.returnPercent <= 0);
+    const winRate = wins.length / ordered.length;
+    const lossRate = losses.length / ordered.length;
+    const avg = (list, field) => list.length > 0 ? list.reduce((sum, t) => sum + t[field], 0) / list.length : 0;
+
+    return {
+      percent: this.round(winRate * avg(wins, 'returnPercent') + lossRate * avg(losses, 'returnPercent')),
+      points: this.round(winRate * avg(wins, 'profitLoss') + lossRate * avg(losses, 'profitLoss'))
+    };
+  }
+
+  /**
+   * Longest consecutive runs of wins and losses
+   */
+  streaks(returns) {
+    let longestWin = 0;
+    let longestLoss = 0;
+    let current = 0; // >0 win streak, <0 loss streak
+
+    for (const r of returns) {
+      if (r > 0) {
+        current = current > 0 ? current + 1 : 1;
+      } else {
+        current = current < 0 ? current - 1 : -1;
+      }
+      longestWin = Math.max(longestWin, current);
+      longestLoss = Math.max(longestLoss, -current);
+    }
+
+    return { longestWin, longestLoss, current };
+  }
+
+  mean(values) {
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+  }
+
+  std(values) {
+    if (values.length < 2) return 0;
+    const avg = this.mean(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / (values.length - 1));
+  }
+
+  round(value) {
+    if (value === null || value === undefined || !isFinite(value)) return null;
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new PerformanceMetrics();
@@ -0,0 +1,218 @@
+/**
+ * Position Sizer
+ * Turns a signal's entry and stop into a tradeable size: lots, quantity, ₹ at risk
+ *
+ * Methods (POSITION_SIZING in config/constants.js):
+ * - FIXED_FRACTIONAL: risk a fixed % of capital over the stop distance
+ * - FIXED_LOT: always the same number of lots
+ * - VOLATILITY: risk a fixed % of capital over ATR × multiplier, so size shrinks when ranges widen
+ * - KELLY: Kelly fraction from tracked signal results, scaled down and capped
+ *
+ * Quantities are whole lots; sizes above the exchange freeze quantity are reported as
+ * several order slices. SIZING_METHOD, SIZING_CAPITAL and SIZING_RISK_PERCENT override the defaults.
+ */
+
+const SignalHistory = require('../models/SignalHistory');
+const costModel = require('./cost-model');
+const { POSITION_SIZING } = require('../config/constants');
+
+const KELLY_CACHE_MS = 10 * 60 * 1000;
+
+class PositionSizer {
+  constructor() {
+    this.method = process.env.SIZING_METHOD || POSITION_SIZING.DEFAULT_METHOD;
+    this.capital = parseFloat(process.env.SIZING_CAPITAL) || POSITION_SIZING.CAPITAL;
+    this.riskPercent = parseFloat(process.env.SIZING_RISK_PERCENT) || POSITION_SIZING.RISK_PERCENT;
+    this.kellyCache = new Map();
+
+    if (!POSITION_SIZING.METHODS.includes(this.method)) {
+      console.warn(`⚠️  Unknown SIZING_METHOD "${this.method}", using ${POSITION_SIZING.DEFAULT_METHOD}`);
+      this.method = POSITION_SIZING.DEFAULT_METHOD;
+    }
+  }
+
+  /**
+   * Effective settings (defaults < env < per-call overrides)
+   */
+  getSettings(overrides = {}) {
+    const settings = {
+      method: this.method,
+      capital: this.capital,
+      riskPercent: this.riskPercent,
+      fixedLots: POSITION_SIZING.FIXED_LOTS,
+      atrMultiplier: POSITION_SIZING.ATR_MULTIPLIER,
+      kellyFraction: POSITION_SIZING.KELLY_FRACTION,
+      kellyCapPercent: POSITION_SIZING.KELLY_CAP_PERCENT,
+      maxLots: POSITION_SIZING.MAX_LOTS,
+      ...overrides
+    };
+
+    if (!POSITION_SIZING.METHODS.includes(settings.method)) {
+      throw new Error(`Unknown sizing method: ${settings.method}`);
+    }
+    if (!(settings.capital > 0)) {
+      throw new Error('Sizing capital must be positive');
+    }
+
+    return settings;
+  }
+
+  /**
+   * Size one signal
+   * @param {Object} input - { symbol, action, entry, stopLoss, atr?, kellyStats? }
+   * @param {Object} overrides - Settings for this call (method, capital, riskPercent, ...)
+   * @returns {Object|null} Size block for levels.positionSize, null for HOLD or a missing stop
+   */
+  calculate({ symbol, action, entry, stopLoss, atr = null, kellyStats = null }, overrides = {}) {
+    if (!action || action === 'HOLD') return null;
+
+    const stopDistance = Math.abs(entry - stopLoss);
+    if (!(stopDistance > 0)) return null;
+
+    const settings = this.getSettings(overrides);
+    const spec = costModel.getContractSpec(symbol);
+    const notes = [];
+
+    let riskPercent = settings.riskPercent;
+    let riskDistance = stopDistance;
+    let lots = null;
+
+    if (settings.method === 'FIXED_LOT') {
+      lots = settings.fixedLots;
+      riskPercent = null;
+    }
+
+    if (settings.method === 'VOLATILITY') {
+      if (atr > 0) {
+        riskDistance = atr * settings.atrMultiplier;
+        notes.push(`ATR ${costModel.round(atr)} × ${settings.atrMultiplier} = ${costModel.round(riskDistance)} pts`);
+      } else {
+        notes.push('ATR unavailable - sized on the stop distance');
+      }
+    }
+
+    if (settings.method === 'KELLY') {
+      const kelly = this.getKellyPercent(kellyStats, settings);
+      if (kelly) {
+        riskPercent = kelly.percent;
+        notes.push(kelly.note);
+      } else {
+        notes.push(`Fewer than ${POSITION_SIZING.KELLY_MIN_TRADES} closed signals - fixed ${riskPercent}% risk`);
+      }
+    }
+
+    const riskAmount = riskPercent !== null ? settings.capital * riskPercent / 100 : null;
+
+    if (lots === null) {
+      lots = Math.floor(riskAmount / (riskDistance * spec.lotSize));
+      if (lots === 0 && riskAmount > 0) {
+        notes.push(`One lot risks ₹${Math.round(riskDistance * spec.lotSize).toLocaleString('en-IN')}, above the ₹${Math.round(riskAmount).toLocaleString('en-IN')} budget`);
+      }
+    }
+
+    if (lots > settings.maxLots) {
+      notes.push(`Capped at ${settings.maxLots} lots`);
+      lots = settings.maxLots;
+    }
+
+    const quantity = lots * spec.lotSize;
+    const riskPerLot = stopDistance * spec.lotSize;
+    const actualRisk = lots * riskPerLot;
+    const orderSlices = quantity === 0 ? 0 : spec.freezeQuantity ? Math.ceil(quantity / spec.freezeQuantity) : 1;
+
+    if (orderSlices > 1) {
+      notes.push(`Above freeze quantity ${spec.freezeQuantity} - ${orderSlices} orders`);
+    }
+
+    return {
+      method: settings.method,
+      capital: settings.capital,
+      riskPercent: riskPercent !== null ? costModel.round(riskPercent) : null,
+      riskAmount: riskAmount !== null ? costModel.round(riskAmount) : null,
+      stopDistance: costModel.round(stopDistance),
+      lotSize: spec.lotSize,
+      lots,
+      quantity,
+      riskPerLot: costModel.round(riskPerLot),
+      actualRisk: costModel.round(actualRisk),
+      actualRiskPercent: costModel.round((actualRisk / settings.capital) * 100),
+      freezeQuantity: spec.freezeQuantity || null,
+      orderSlices,
+      notes
+    };
+  }
+
+  /**
+   * Size a signal, loading Kelly statistics when the method needs them
+   */
+  async sizeSignal(input, overrides = {}) {
+    const settings = this.getSettings(overrides);
+    const kellyStats = settings.method === 'KELLY' && !input.kellyStats
+      ? await this.getKellyStats(input.symbol)
+      : input.kellyStats;
+
+    return this.calculate({ ...input, kellyStats }, settings);
+  }
+
+  /**
+   * Risk % from Kelly: f = W - (1 - W) / R, scaled by the Kelly fraction and capped
+   * @param {Object} stats - { trades, winRate (0-1), payoffRatio }
+   * @returns {Object|null} { percent, note }, null without enough trades
+   */
+  getKellyPercent(stats, settings) {
+    if (!stats || stats.trades < POSITION_SIZING.KELLY_MIN_TRADES || !(stats.payoffRatio > 0)) {
+      return null;
+    }
+
+    const kelly = stats.winRate - (1 - stats.winRate) / stats.payoffRatio;
+    const percent = Math.min(Math.max(kelly * settings.kellyFraction * 100, 0), settings.kellyCapPercent);
+    const basis = `win ${Math.round(stats.winRate * 100)}%, payoff ${stats.payoffRatio.toFixed(2)} over ${stats.trades} signals`;
+
+    if (kelly <= 0) {
+      return { percent: 0, note: `No edge (Kelly ${(kelly * 100).toFixed(1)}%, ${basis}) - no position` };
+    }
+
+    return {
+      percent,
+      note: `Kelly ${(kelly * 100).toFixed(1)}% × ${settings.kellyFraction} (${basis})${percent === settings.kellyCapPercent ? ` capped at ${percent}%` : ''}`
+    };
+  }
+
+  /**
+   * Win rate and payoff ratio of closed signals for a symbol (cached)
+   * @returns {Object} { trades, winRate, payoffRatio }
+   */
+  async getKellyStats(symbol) {
+    const cached = this.kellyCache.get(symbol);
+    if (cached && Date.now() - cached.loadedAt < KELLY_CACHE_MS) {
+      return cached.stats;
+    }
+
+    const since = new Date(Date.now() - POSITION_SIZING.KELLY_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const closed = await SignalHistory.find({
+      symbol,
+      marketTime: { $gte: since },
+      'performance.outcome': { $in: ['WIN', 'LOSS'] },
+      'metadata.replaySession': { $exists: false } // Replayed signals are closed at today's price
+    })
+      .select('performance.outcome performance.netProfitLossPercent performance.profitLossPercent')
+      .lean();
+
+    const results = closed.map(s => s.performance.netProfitLossPercent ?? s.performance.profitLossPercent ?? 0);
+    const wins = results.filter(r => r > 0);
+    const losses = results.filter(r => r <= 0);
+    const avgWin = wins.length > 0 ? wins.reduce((a, b) => a + b, 0) / wins.length : 0;
+    const avgLoss = losses.length > 0 ? Math.abs(losses.reduce((a, b) => a + b, 0) / losses.length) : 0;
+
+    const stats = {
+      trades: results.length,
+      winRate: results.length > 0 ? wins.length / results.length : 0,
+      payoffRatio: avgLoss > 0 ? avgWin / avgLoss : 0
+    };
+
+    this.kellyCache.set(symbol, { stats, loadedAt: Date.now() });
+    return stats;
+  }
+}
+
+module.exports = new PositionSizer();
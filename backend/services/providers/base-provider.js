@@ -0,0 +1,138 @@
+/**
+ * Market Data Provider (base class)
+ * Every data source adapter extends this and fills in what it can serve:
+ *
+ * - getCandles(symbol, timeframe, from, to) → normalised candles, ascending
+ *   { symbol, timeframe, timestamp: Date, ohlc: { open, high, low, close }, volume, source }
+ * - getQuote(symbol) → TickData-shaped quote
+ *   { symbol, price, timestamp, volume, metadata: { open, high, low, previousClose, change, changePercent }, source }
+ *
+ * `timeframes` lists the candle sizes the source returns natively; market-data.js resamples
+ * anything else from the coarsest one that fits.
+ *
+ * Which symbols a source carries, and under which code, comes from the symbol registry
+ * (instrument.providers[name]) - new symbols need no provider changes.
+ */
+
+const candleResampler = require('../candle-resampler');
+const symbolRegistry = require('../symbol-registry');
+
+class MarketDataProvider {
+  /**
+   * @param {String} name - Provider key used in MARKET_DATA provider lists
+   * @param {Object} options - { candles, quotes, timeframes }
+   *   candles/quotes: whether the source serves them for symbols it has a code for
+   */
+  constructor(name, { candles = false, quotes = false, timeframes = [] } = {}) {
+    this.name = name;
+    this.candles = candles;
+    this.quotes = quotes;
+    this.timeframes = timeframes;
+  }
+
+  supportsCandles(symbol) {
+    return this.candles && this.getCode(symbol) !== null;
+  }
+
+  supportsQuotes(symbol) {
+    return this.quotes && this.getCode(symbol) !== null;
+  }
+
+  /**
+   * The source's code for a symbol (e.g. NIFTY50 → '^NSEI' on Yahoo), or null
+   */
+  getCode(symbol) {
+    return symbolRegistry.getProviderCode(symbol, this.name);
+  }
+
+  /**
+   * Timeframes the source can return for a symbol
+   */
+  getTimeframes(symbol) {
+    return this.timeframes;
+  }
+
+  /**
+   * Native timeframe to request for a target timeframe (the coarsest one that can build it)
+   * @returns {String|null} null when nothing native fits
+   */
+  getBaseTimeframe(symbol, timeframe) {
+    const available = this.getTimeframes(symbol);
+    if (available.includes(timeframe)) return timeframe;
+
+    const target = candleResampler.parseTimeframe(timeframe);
+    const fits = available
+      .map(base => ({ base, minutes: candleResampler.toMinutes(base) }))
+      .filter(({ minutes }) => minutes < target.minutes && (target.unit !== 'm' || target.minutes % minutes === 0))
+      .sort((a, b) => b.minutes - a.minutes);
+
+    return fits.length > 0 ? fits[0].base : null;
+  }
+
+  async getCandles(symbol, timeframe, from, to) {
+    throw new Error(`${this.name} does not provide candles`);
+  }
+
+  async getQuote(symbol) {
+    throw new Error(`${this.name} does not provide quotes`);
+  }
+
+  /**
+   * Candles from TradingView-style column arrays ({ t, o, h, l, c, v } - MoneyControl, Investing.com, Yahoo)
+   * Bars without a close are dropped; `t` is in epoch seconds
+   */
+  toCandles(symbol, timeframe, { t, o, h, l, c, v }) {
+    const candles = [];
+
+    t.forEach((time, i) => {
+      if (c[i] === null || c[i] === undefined) return;
+
+      candles.push({
+        symbol,
+        timeframe,
+        timestamp: new Date(time * 1000),
+        ohlc: {
+          open: o[i] ?? c[i],
+          high: h[i] ?? c[i],
+          low: l[i] ?? c[i],
+          close: c[i]
+        },
+        volume: v ? v[i] || 0 : 0,
+        source: this.name
+      });
+    });
+
+    return candles;
+  }
+
+  /**
+   * Quote from a day's candles (last close, day open/high/low, change vs the previous close)
+   */
+  quoteFromCandles(symbol, candles, previousClose) {
+    if (candles.length === 0) {
+      throw new Error(`No recent ${symbol} prices from ${this.name}`);
+    }
+
+    const last = candles[candles.length - 1];
+    const price = last.ohlc.close;
+    const change = previousClose ? price - previousClose : 0;
+
+    return {
+      symbol,
+      price,
+      timestamp: last.timestamp,
+      volume: candles.reduce((sum, c) => sum + (c.volume || 0), 0),
+      metadata: {
+        open: candles[0].ohlc.open,
+        high: Math.max(...candles.map(c => c.ohlc.high)),
+        low: Math.min(...candles.map(c => c.ohlc.low)),
+        previousClose: previousClose || null,
+        change,
+        changePercent: previousClose ? (change / previousClose) * 100 : 0
+      },
+      source: this.name
+    };
+  }
+}
+
+module.exports = MarketDataProvider;
@@ -0,0 +1,73 @@
+/**
+ * File Provider
+ * Candles and quotes from JSON files on disk - the last-resort fallback, and a way to run
+ * the app against saved data with no network access
+ *
+ * Files in MARKET_DATA_DIR (default backend/data/market):
+ * - {SYMBOL}_{timeframe}.json: candle array (or { candles: [...] }) in ChartData shape
+ * - {SYMBOL}_quote.json: quote object in TickData shape
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MarketDataProvider = require('./base-provider');
+const { MARKET_DATA, RESAMPLE_TIMEFRAMES } = require('../../config/constants');
+
+class FileProvider extends MarketDataProvider {
+  constructor() {
+    super('file', { timeframes: RESAMPLE_TIMEFRAMES });
+    this.directory = path.resolve(__dirname, '../..', process.env.MARKET_DATA_DIR || MARKET_DATA.FILE_DIR);
+  }
+
+  supportsCandles(symbol) {
+    return this.getTimeframes(symbol).length > 0;
+  }
+
+  supportsQuotes(symbol) {
+    return fs.existsSync(this.filePath(symbol, 'quote'));
+  }
+
+  async getCandles(symbol, timeframe, from, to) {
+    const data = this.readJSON(this.filePath(symbol, timeframe));
+    const rows = Array.isArray(data) ? data : data.candles || [];
+
+    return rows
+      .map(row => ({
+        symbol,
+        timeframe,
+        timestamp: new Date(row.timestamp),
+        ohlc: row.ohlc || { open: row.open, high: row.high, low: row.low, close: row.close },
+        volume: row.volume || 0,
+        source: this.name
+      }))
+      .filter(c => c.timestamp >= from && c.timestamp <= to);
+  }
+
+  async getQuote(symbol) {
+    const quote = this.readJSON(this.filePath(symbol, 'quote'));
+    return { ...quote, symbol, timestamp: new Date(quote.timestamp), source: this.name };
+  }
+
+  filePath(symbol, suffix) {
+    return path.join(this.directory, `${symbol}_${suffix}.json`);
+  }
+
+  /**
+   * Timeframes with a candle file for the symbol
+   */
+  getTimeframes(symbol) {
+    if (!fs.existsSync(this.directory)) return [];
+
+    const files = new Set(fs.readdirSync(this.directory));
+    return RESAMPLE_TIMEFRAMES.filter(timeframe => files.has(`${symbol}_${timeframe}.json`));
+  }
+
+  readJSON(file) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`${path.basename(file)} not found in ${this.directory}`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+}
+
+module.exports = new FileProvider();
@@ -0,0 +1,123 @@
+/**
+ * Fixture Provider
+ * Recorded candles, quotes and option chains served from disk, so the whole backend can run
+ * with no network (MARKET_DATA_MODE=fixture). MARKET_DATA_MODE=record writes every live
+ * response here as it comes in.
+ *
+ * Layout of MARKET_DATA_FIXTURE_DIR (default backend/fixtures/market-data):
+ * - candles/{SYMBOL}_{timeframe}.json: { symbol, timeframe, source, recordedAt, candles }
+ * - quotes/{SYMBOL}.json: { source, recordedAt, quote }
+ * - option-chain/{SYMBOL}.json: { source, recordedAt, response } - the raw NSE response
+ *
+ * Recording merges candles with what is already there, so repeated runs extend a fixture.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MarketDataProvider = require('./base-provider');
+const { MARKET_DATA, RESAMPLE_TIMEFRAMES } = require('../../config/constants');
+
+class FixtureProvider extends MarketDataProvider {
+  constructor() {
+    super('fixture');
+    this.directory = path.resolve(__dirname, '../..', process.env.MARKET_DATA_FIXTURE_DIR || MARKET_DATA.FIXTURE_DIR);
+  }
+
+  supportsCandles(symbol) {
+    return this.getTimeframes(symbol).length > 0;
+  }
+
+  supportsQuotes(symbol) {
+    return fs.existsSync(this.filePath('quotes', symbol));
+  }
+
+  /**
+   * Timeframes with a candle fixture for the symbol
+   */
+  getTimeframes(symbol) {
+    const directory = path.join(this.directory, 'candles');
+    if (!fs.existsSync(directory)) return [];
+
+    const files = new Set(fs.readdirSync(directory));
+    return RESAMPLE_TIMEFRAMES.filter(timeframe => files.has(`${symbol}_${timeframe}.json`));
+  }
+
+  async getCandles(symbol, timeframe, from, to) {
+    return this.readCandles(symbol, timeframe)
+      .filter(c => c.timestamp >= from && c.timestamp <= to)
+      .map(c => ({ ...c, source: this.name }));
+  }
+
+  async getQuote(symbol) {
+    const { quote } = this.readJSON(this.filePath('quotes', symbol));
+    return { ...quote, timestamp: new Date(quote.timestamp), source: this.name };
+  }
+
+  /**
+   * Raw NSE option-chain response (what options-data-fetcher parses)
+   * @param {String} symbol - NSE option symbol (NIFTY, BANKNIFTY)
+   */
+  getOptionChain(symbol) {
+    return this.readJSON(this.filePath('option-chain', symbol)).response;
+  }
+
+  /**
+   * Time of the newest recorded candle - the "now" of a fixture run
+   * @returns {Date|null}
+   */
+  getLastTimestamp(symbol, timeframe) {
+    if (!fs.existsSync(this.filePath('candles', `${symbol}_${timeframe}`))) return null;
+
+    const candles = this.readCandles(symbol, timeframe);
+    return candles.length > 0 ? candles[candles.length - 1].timestamp : null;
+  }
+
+  /**
+   * Merge live candles into the fixture (newer values replace recorded ones)
+   */
+  recordCandles(symbol, timeframe, candles, source) {
+    const file = this.filePath('candles', `${symbol}_${timeframe}`);
+    const byTime = new Map();
+
+    if (fs.existsSync(file)) {
+      this.readCandles(symbol, timeframe).forEach(c => byTime.set(c.timestamp.getTime(), c));
+    }
+    candles.forEach(({ timestamp, ohlc, volume }) => {
+      byTime.set(new Date(timestamp).getTime(), { symbol, timeframe, timestamp: new Date(timestamp), ohlc, volume: volume || 0 });
+    });
+
+    const merged = [...byTime.values()].sort((a, b) => a.timestamp - b.timestamp);
+    this.writeJSON(file, { symbol, timeframe, source, recordedAt: new Date(), candles: merged });
+  }
+
+  recordQuote(symbol, quote) {
+    this.writeJSON(this.filePath('quotes', symbol), { source: quote.source, recordedAt: new Date(), quote });
+  }
+
+  recordOptionChain(symbol, response) {
+    this.writeJSON(this.filePath('option-chain', symbol), { source: 'nse', recordedAt: new Date(), response });
+  }
+
+  readCandles(symbol, timeframe) {
+    const { candles } = this.readJSON(this.filePath('candles', `${symbol}_${timeframe}`));
+    return candles.map(c => ({ ...c, symbol, timeframe, timestamp: new Date(c.timestamp) }));
+  }
+
+  filePath(kind, name) {
+    return path.join(this.directory, kind, `${name}.json`);
+  }
+
+  readJSON(file) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`No fixture ${path.relative(this.directory, file)} (record one with MARKET_DATA_MODE=record)`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  writeJSON(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+  }
+}
+
+module.exports = new FixtureProvider();
@@ -0,0 +1,50 @@
+/**
+ * Investing.com Provider
+ * Gift Nifty candles from Investing.com's TradingView chart feed
+ */
+
+const httpClient = require('../http-client');
+const MarketDataProvider = require('./base-provider');
+
+const HISTORY_URL = 'https://tvc4.investing.com/fcd66246e4106044ca26192f2770c089/1771268350/56/56/23/history';
+
+class InvestingProvider extends MarketDataProvider {
+  constructor() {
+    super('investing', {
+      candles: true,
+      timeframes: ['1m', '5m']
+    });
+  }
+
+  async getCandles(symbol, timeframe, from, to) {
+    const response = await httpClient.get(HISTORY_URL, {
+      params: {
+        symbol: this.getCode(symbol),
+        resolution: String(parseInt(timeframe)),
+        from: Math.floor(from.getTime() / 1000),
+        to: Math.floor(to.getTime() / 1000)
+      },
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Accept': 'application/json, text/plain, */*',
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Referer': 'https://www.investing.com/',
+        'Origin': 'https://www.investing.com',
+        'Sec-Fetch-Dest': 'empty',
+        'Sec-Fetch-Mode': 'cors',
+        'Sec-Fetch-Site': 'same-site'
+      },
+      timeout: 10000
+    });
+
+    // TradingView format: { s: 'ok', t: [...], o: [...], h: [...], l: [...], c: [...], v: [...] }
+    const data = response.data;
+    if (!data || data.s !== 'ok' || !Array.isArray(data.t) || data.t.length === 0) {
+      throw new Error(`No ${symbol} data from Investing.com`);
+    }
+
+    return this.toCandles(symbol, timeframe, data);
+  }
+}
+
+module.exports = new InvestingProvider();
@@ -0,0 +1,74 @@
+/**
+ * MoneyControl Provider
+ * Index candles from the MoneyControl chart API (NSE indices and Gift Nifty)
+ */
+
+const httpClient = require('../http-client');
+const MarketDataProvider = require('./base-provider');
+
+const INDIAN_URL = 'https://priceapi.moneycontrol.com/techCharts/indianMarket/index/history';
+const GLOBAL_URL = 'https://priceapi.moneycontrol.com/globaltechCharts/globalMarket/index/history';
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const MAX_COUNTBACK = 8640;
+
+class MoneyControlProvider extends MarketDataProvider {
+  constructor() {
+    super('moneycontrol', {
+      candles: true,
+      quotes: true,
+      timeframes: ['1m', '5m']
+    });
+  }
+
+  async getCandles(symbol, timeframe, from, to) {
+    // Registry code is { code, global } (global indices use a separate endpoint priced in USD)
+    const { code, global } = this.getCode(symbol);
+    const resolution = parseInt(timeframe);
+    const fromSeconds = Math.floor(from.getTime() / 1000);
+    const toSeconds = Math.floor(to.getTime() / 1000);
+
+    const response = await httpClient.get(global ? GLOBAL_URL : INDIAN_URL, {
+      params: {
+        symbol: code,
+        resolution,
+        from: fromSeconds,
+        to: toSeconds,
+        countback: Math.min(MAX_COUNTBACK, Math.ceil((toSeconds - fromSeconds) / (resolution * 60))),
+        currencyCode: global ? 'USD' : 'INR'
+      },
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+        'Accept': 'application/json',
+        'Referer': 'https://www.moneycontrol.com/'
+      },
+      timeout: 10000
+    });
+
+    const data = response.data;
+    if (!data || data.s !== 'ok' || !Array.isArray(data.t)) {
+      throw new Error(`No ${symbol} data from MoneyControl`);
+    }
+
+    return this.toCandles(symbol, timeframe, data);
+  }
+
+  /**
+   * Quote from today's 1m candles (previous close = last bar of the prior session)
+   */
+  async getQuote(symbol) {
+    const to = new Date();
+    const candles = await this.getCandles(symbol, '1m', new Date(to.getTime() - 5 * 24 * 60 * 60 * 1000), to);
+    if (candles.length === 0) {
+      throw new Error(`No recent ${symbol} prices from MoneyControl`);
+    }
+
+    const dayOf = (candle) => new Date(candle.timestamp.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+    const lastDay = dayOf(candles[candles.length - 1]);
+    const today = candles.filter(c => dayOf(c) === lastDay);
+    const previous = candles.filter(c => dayOf(c) < lastDay);
+
+    return this.quoteFromCandles(symbol, today, previous.length > 0 ? previous[previous.length - 1].ohlc.close : null);
+  }
+}
+
+module.exports = new MoneyControlProvider();
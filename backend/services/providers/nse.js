@@ -0,0 +1,100 @@
+/**
+ * NSE Provider
+ * Live index quotes from the NSE website API (needs session cookies; quotes only)
+ */
+
+const httpClient = require('../http-client');
+const nseConfig = require('../../config/nse-config');
+const MarketDataProvider = require('./base-provider');
+
+class NSEProvider extends MarketDataProvider {
+  constructor() {
+    super('nse', { quotes: true });
+    this.baseURL = nseConfig.baseURL;
+    this.headers = nseConfig.headers;
+    this.timeout = nseConfig.timeout;
+    this.cookies = null;
+  }
+
+  /**
+   * Initialize session by getting cookies from NSE
+   */
+  async initSession() {
+    try {
+      const response = await httpClient.get(this.baseURL, {
+        headers: this.headers,
+        timeout: this.timeout
+      });
+
+      if (response.headers['set-cookie']) {
+        this.cookies = response.headers['set-cookie']
+          .map(cookie => cookie.split(';')[0])
+          .join('; ');
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize NSE session:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * GET an NSE API URL, refreshing the session once if it was rejected
+   */
+  async fetchFromAPI(url) {
+    if (!this.cookies) {
+      await this.initSession();
+    }
+
+    const request = () => httpClient.get(url, {
+      headers: {
+        ...this.headers,
+        'Cookie': this.cookies || ''
+      },
+      timeout: this.timeout
+    });
+
+    try {
+      return (await request()).data;
+    } catch (error) {
+      if (error.response?.status === 401 || error.response?.status === 403) {
+        await this.initSession();
+        return (await request()).data;
+      }
+      throw error;
+    }
+  }
+
+  async getQuote(symbol) {
+    // Registry code is the index name in /api/equity-stockIndices
+    const indexName = this.getCode(symbol);
+    const data = await this.fetchFromAPI(`${this.baseURL}/api/equity-stockIndices?index=${encodeURIComponent(indexName)}`);
+    const index = data?.data?.find(item => item.index === indexName);
+
+    if (!index) {
+      throw new Error(`${indexName} data not found in NSE response`);
+    }
+
+    const price = parseFloat(index.last);
+    const change = parseFloat(index.change);
+
+    return {
+      symbol,
+      price,
+      timestamp: new Date(),
+      volume: parseInt(index.totalTradedVolume) || 0,
+      metadata: {
+        open: parseFloat(index.open),
+        high: parseFloat(index.high),
+        low: parseFloat(index.low),
+        previousClose: parseFloat(index.previousClose) || price - change,
+        change,
+        changePercent: parseFloat(index.pChange)
+      },
+      source: this.name
+    };
+  }
+}
+
+module.exports = new NSEProvider();
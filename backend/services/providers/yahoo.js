@@ -0,0 +1,73 @@
+/**
+ * Yahoo Finance Provider
+ * Index candles and quotes from the Yahoo chart API (slightly delayed, but rarely down)
+ */
+
+const httpClient = require('../http-client');
+const MarketDataProvider = require('./base-provider');
+const symbolRegistry = require('../symbol-registry');
+
+const CHART_URL = 'https://query1.finance.yahoo.com/v8/finance/chart';
+
+class YahooProvider extends MarketDataProvider {
+  constructor() {
+    super('yahoo', {
+      candles: true,
+      quotes: true,
+      timeframes: ['1m', '5m']
+    });
+  }
+
+  async getCandles(symbol, timeframe, from, to) {
+    const result = await this.fetchChart(symbol, {
+      period1: Math.floor(from.getTime() / 1000),
+      period2: Math.floor(to.getTime() / 1000),
+      interval: timeframe,
+      includePrePost: Boolean(symbolRegistry.get(symbol)?.extendedHours),
+      events: 'div|split|earn',
+      lang: 'en-US',
+      region: 'US'
+    });
+
+    return this.toCandles(symbol, timeframe, { t: result.timestamp, ...result.quote });
+  }
+
+  /**
+   * Quote from today's 1m bars against Yahoo's previous close
+   */
+  async getQuote(symbol) {
+    const result = await this.fetchChart(symbol, { interval: '1m', range: '1d' });
+    const candles = this.toCandles(symbol, '1m', { t: result.timestamp, ...result.quote });
+
+    return this.quoteFromCandles(symbol, candles, result.meta.previousClose || result.meta.chartPreviousClose);
+  }
+
+  /**
+   * Raw chart result → { meta, timestamp, quote: { o, h, l, c, v } }
+   */
+  async fetchChart(symbol, params) {
+    const response = await httpClient.get(`${CHART_URL}/${encodeURIComponent(this.getCode(symbol))}`, {
+      params,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+        'Accept': 'application/json'
+      },
+      timeout: 20000 // Yahoo is slower than the other sources
+    });
+
+    const chart = response.data?.chart?.result?.[0];
+    const quote = chart?.indicators?.quote?.[0];
+
+    if (!chart || !chart.timestamp || chart.timestamp.length === 0 || !quote) {
+      throw new Error(`No ${symbol} data from Yahoo Finance`);
+    }
+
+    return {
+      meta: chart.meta || {},
+      timestamp: chart.timestamp,
+      quote: { o: quote.open, h: quote.high, l: quote.low, c: quote.close, v: quote.volume }
+    };
+  }
+}
+
+module.exports = new YahooProvider();
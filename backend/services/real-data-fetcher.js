@@ -3,8 +3,9 @@
  * Attempts to fetch actual Feb 13, 2024 data from multiple sources
  */
 
-const axios = require('axios');
+const httpClient = require('./http-client');
 const TickData = require('../models/TickData');
+const marketData = require('./market-data');
 
 class RealDataFetcher {
   constructor() {
@@ -17,7 +18,7 @@ class RealDataFetcher {
    */
   async initNSESession() {
     try {
-      const response = await axios.get(this.nseBaseURL, {
+      const response = await httpClient.get(this.nseBaseURL, {
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
           'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
@@ -61,58 +62,31 @@ class RealDataFetcher {
   }
 
   /**
-   * Try Method 2: Yahoo Finance (different approach)
+   * Try Method 2: Market data providers (Yahoo Finance keeps recent minute data)
    */
-  async fetchFromYahooFinance(symbol = '^NSEI', date = '2024-02-13') {
+  async fetchFromProviders(symbol = 'NIFTY50', date = '2024-02-13') {
     try {
-      console.log('\n📡 Attempting to fetch from Yahoo Finance...');
+      console.log('\n📡 Attempting to fetch from the market data providers...');
 
-      // Feb 13, 2024 timestamps
-      const startDate = new Date('2024-02-13T00:00:00Z');
-      const endDate = new Date('2024-02-14T00:00:00Z');
+      const startDate = new Date(`${date}T00:00:00Z`);
+      const endDate = new Date(startDate.getTime() + 24 * 60 * 60 * 1000);
 
-      const period1 = Math.floor(startDate.getTime() / 1000);
-      const period2 = Math.floor(endDate.getTime() / 1000);
+      const candles = await marketData.getCandles(symbol, '1m', startDate, endDate);
 
-      const url = `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}`;
+      console.log(`✓ Found ${candles.length} data points from ${candles[0].source}`);
 
-      const response = await axios.get(url, {
-        params: {
-          period1,
-          period2,
-          interval: '1m',
-          includePrePost: false
-        },
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        },
-        timeout: 30000
-      });
-
-      if (!response.data?.chart?.result?.[0]?.timestamp) {
-        console.log('⚠️  Yahoo Finance: No minute data available for this date');
-        return null;
-      }
-
-      const result = response.data.chart.result[0];
-      const timestamps = result.timestamp;
-      const quotes = result.indicators.quote[0];
-
-      console.log(`✓ Found ${timestamps.length} data points from Yahoo Finance`);
-
-      const candles = timestamps.map((ts, i) => ({
-        timestamp: new Date(ts * 1000),
-        open: quotes.open[i] || quotes.close[i],
-        high: quotes.high[i] || quotes.close[i],
-        low: quotes.low[i] || quotes.close[i],
-        close: quotes.close[i],
-        volume: quotes.volume[i] || 0
+      return candles.map(candle => ({
+        timestamp: candle.timestamp,
+        open: candle.ohlc.open,
+        high: candle.ohlc.high,
+        low: candle.ohlc.low,
+        close: candle.ohlc.close,
+        volume: candle.volume,
+        source: candle.source
       }));
 
-      return candles;
-
     } catch (error) {
-      console.error('Yahoo Finance fetch failed:', error.response?.status, error.message);
+      console.error('Market data providers fetch failed:', error.message);
       return null;
     }
   }
@@ -134,9 +108,8 @@ class RealDataFetcher {
     console.log('  ATTEMPTING TO FETCH REAL FEB 13, 2024 DATA');
     console.log('═══════════════════════════════════════════════════════════════\n');
 
-    // Try Yahoo Finance first
-    const yahooSymbol = symbol === 'NIFTY50' ? '^NSEI' : '^NSEBANK';
-    let data = await this.fetchFromYahooFinance(yahooSymbol, date);
+    // Try the market data providers first
+    let data = await this.fetchFromProviders(symbol, date);
 
     if (data && data.length > 0) {
       console.log(`\n✓ Successfully fetched ${data.length} real data points`);
@@ -204,7 +177,7 @@ class RealDataFetcher {
             change: 0,
             changePercent: 0
           },
-          source: 'Real Data - Yahoo Finance'
+          source: `Real Data - ${candle.source}`
         };
 
         const saved = await TickData.create(tickData);
@@ -0,0 +1,958 @@
+/**
+ * Replay Session - Simulates Live Market Using Historical Data
+ * Plays through any stored session (or date range) tick-by-tick
+ *
+ * Each instance has its own symbol, speed, cursor, listeners and SignalHistory
+ * replaySession tag. Instances are created and cleaned up by replay-manager.js
+ *
+ * Data sources:
+ * - TickData: used when ticks exist for the range
+ * - ChartData: 1m (or 5m) candles turned into one pseudo-tick per bar otherwise
+ *
+ * Modes:
+ * - tick: one update per tick, charts rebuilt from every tick so far (loops at the end)
+ * - candle: bars are built once on load and the cursor moves bar by bar - step forward/back,
+ *   jump to a timestamp, speed in bars per second. Signals are stamped with market time and
+ *   each bar only ever sees the bars before it, so the same range always yields the same signals
+ *
+ * Every frame is scored by each of the session's strategies (default: the active ones) side by side.
+ * The first strategy's signal is the update's `signal`; all of them are in `signals` and each is stored
+ * in SignalHistory with its strategy tag.
+ */
+
+const crypto = require('crypto');
+const TickData = require('../models/TickData');
+const ChartData = require('../models/ChartData');
+const SignalHistory = require('../models/SignalHistory');
+const strategyRegistry = require('./strategy-registry');
+const candleResampler = require('./candle-resampler');
+const tradingCalendar = require('./trading-calendar');
+const symbolRegistry = require('./symbol-registry');
+
+// Candle timeframes usable for replay when no ticks are stored (finest first)
+const REPLAY_CANDLE_TIMEFRAMES = ['1m', '5m'];
+
+const REPLAY_MODES = ['tick', 'candle'];
+const BAR_TIMEFRAMES = ['1m', '3m', '5m', '10m', '15m', '30m', '75m', '1h'];
+const MIN_SIGNAL_CANDLES = 10; // Need at least 10 candles for reliable signals (more if a strategy requires it)
+const CHART_CANDLE_LIMIT = 100; // Candles passed to the strategies / sent to clients
+
+class ReplaySession {
+  constructor(id = 'default') {
+    this.id = id;
+    this.lastActivity = Date.now();
+    this.isPlaying = false;
+    this.currentIndex = 0;
+    this.allTicks = [];
+    this.symbol = 'NIFTY50';
+    this.playbackSpeed = 1000; // 1 second = 1 minute
+    this.intervalId = null;
+    this.listeners = [];
+    this.sessionId = `${id}-${Date.now()}`; // SignalHistory replaySession tag
+    this.source = null; // 'tick' | 'chart:1m' | 'chart:5m'
+    this.range = null;  // { from, to } actually loaded
+    this.mode = 'tick'; // 'tick' | 'candle'
+    this.barTimeframe = '5m';
+    this.candles = [];  // Candle mode bars, built once per load
+    this.processing = false;
+    this.savedBars = new Set(); // Candle mode bars (per strategy) already written to SignalHistory
+    this.strategies = strategyRegistry.getActive(); // Scored on every frame - the first one drives the UI
+  }
+
+  /**
+   * Load replay data for a symbol and date range
+   * @param {String} symbol - Symbol to replay
+   * @param {Object} options - { date, from, to, source }
+   *   date: single session (YYYY-MM-DD, IST)
+   *   from/to: YYYY-MM-DD (whole IST days) or full ISO timestamps
+   *   source: 'auto' (default) | 'tick' | 'chart'
+   *   With no dates the most recent available trading session is used
+   *   NSE index data outside the day's session (quotes stored while closed) is skipped
+   */
+  async loadReplayData(symbol = 'NIFTY50', options = {}) {
+    try {
+      const { source = 'auto' } = options;
+      let { from, to } = options;
+
+      if (options.date) {
+        from = options.date;
+        to = options.date;
+      }
+
+      if (!from && !to) {
+        const sessions = await ReplaySession.listSessions(symbol, { limit: 10 });
+        const latest = sessions.find(session => session.tradingDay !== false);
+        if (!latest) {
+          throw new Error(`No stored ticks or candles for ${symbol}`);
+        }
+        from = latest.date;
+        to = latest.date;
+      }
+
+      const range = this.resolveRange(from, to || from);
+
+      let ticks = [];
+      let loadedFrom = null;
+
+      if (source === 'auto' || source === 'tick') {
+        ticks = await TickData.find({
+          symbol,
+          timestamp: { $gte: range.from, $lte: range.to }
+        }).sort({ timestamp: 1 });
+        loadedFrom = 'tick';
+      }
+
+      if (ticks.length === 0 && (source === 'auto' || source === 'chart')) {
+        for (const timeframe of REPLAY_CANDLE_TIMEFRAMES) {
+          const candles = await ChartData.find({
+            symbol,
+            timeframe,
+            timestamp: { $gte: range.from, $lte: range.to }
+          }).sort({ timestamp: 1 }).lean();
+
+          if (candles.length > 0) {
+            ticks = candles.map(candle => this.candleToTick(candle));
+            loadedFrom = `chart:${timeframe}`;
+            break;
+          }
+        }
+      }
+
+      // NSE symbols keep only data inside the session (trading calendar)
+      if (symbolRegistry.usesNseCalendar(symbol)) {
+        ticks = ticks.filter(tick => tradingCalendar.isOpen(tick.timestamp));
+      }
+
+      if (ticks.length === 0) {
+        throw new Error(`No replay data for ${symbol} between ${range.from.toISOString()} and ${range.to.toISOString()}`);
+      }
+
+      this.stop();
+      this.symbol = symbol;
+      this.allTicks = ticks;
+      this.source = loadedFrom;
+      this.range = range;
+      this.candles = this.mode === 'candle' ? this.buildCandles(ticks, this.barTimeframe) : [];
+      this.savedBars.clear();
+
+      console.log(`\n📊 Replay [${this.id}]: Loaded ${this.allTicks.length} ticks for ${symbol} from ${loadedFrom}`);
+      return {
+        success: true,
+        symbol,
+        source: loadedFrom,
+        mode: this.mode,
+        ticksLoaded: this.allTicks.length,
+        barsLoaded: this.candles.length,
+        startTime: this.allTicks[0]?.timestamp,
+        endTime: this.allTicks[this.allTicks.length - 1]?.timestamp
+      };
+    } catch (error) {
+      throw new Error(`Failed to load replay data: ${error.message}`);
+    }
+  }
+
+  /**
+   * List sessions (IST trading days) that can be replayed
+   * @param {String} symbol - Optional symbol filter
+   * @param {Object} options - { limit }
+   * @returns {Array} [{ symbol, date, ticks, candles: { '1m', '5m' }, start, end, source, tradingDay, holiday }] newest first
+   *   tradingDay/holiday come from the NSE trading calendar (null for non-NSE symbols)
+   */
+  static async listSessions(symbol = null, options = {}) {
+    const { limit = 60 } = options;
+    const match = symbol ? { symbol } : {};
+    const byDay = {
+      symbol: '$symbol',
+      date: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone: 'Asia/Kolkata' } }
+    };
+
+    const [tickDays, candleDays] = await Promise.all([
+      TickData.aggregate([
+        { $match: match },
+        { $group: { _id: byDay, count: { $sum: 1 }, start: { $min: '$timestamp' }, end: { $max: '$timestamp' } } }
+      ]),
+      ChartData.aggregate([
+        { $match: { ...match, timeframe: { $in: REPLAY_CANDLE_TIMEFRAMES } } },
+        { $group: { _id: { ...byDay, timeframe: '$timeframe' }, count: { $sum: 1 }, start: { $min: '$timestamp' }, end: { $max: '$timestamp' } } }
+      ])
+    ]);
+
+    const sessions = new Map();
+    const getSession = (id) => {
+      const key = `${id.symbol}|${id.date}`;
+      if (!sessions.has(key)) {
+        sessions.set(key, { symbol: id.symbol, date: id.date, ticks: 0, candles: {}, start: null, end: null });
+      }
+      return sessions.get(key);
+    };
+    const widen = (session, row) => {
+      if (!session.start || row.start < session.start) session.start = row.start;
+      if (!session.end || row.end > session.end) session.end = row.end;
+    };
+
+    for (const row of tickDays) {
+      const session = getSession(row._id);
+      session.ticks = row.count;
+      widen(session, row);
+    }
+
+    for (const row of candleDays) {
+      const session = getSession(row._id);
+      session.candles[row._id.timeframe] = row.count;
+      widen(session, row);
+    }
+
+    return [...sessions.values()]
+      .map(session => {
+        const day = symbolRegistry.usesNseCalendar(session.symbol) ? tradingCalendar.getDay(session.date) : null;
+        return {
+          ...session,
+          source: session.ticks > 0 ? 'tick' : `chart:${REPLAY_CANDLE_TIMEFRAMES.find(tf => session.candles[tf])}`,
+          tradingDay: day ? day.tradingDay : null,
+          holiday: day ? day.holiday : null
+        };
+      })
+      .sort((a, b) => b.date.localeCompare(a.date) || a.symbol.localeCompare(b.symbol))
+      .slice(0, limit);
+  }
+
+  /**
+   * Turn from/to into Date bounds
+   * Plain dates (YYYY-MM-DD) cover the whole IST day; dates that do not exist are rejected
+   */
+  resolveRange(from, to) {
+    const range = tradingCalendar.parseRange(from, to);
+
+    if (!range.from || !range.to) {
+      throw new Error('Invalid replay date range');
+    }
+
+    return range;
+  }
+
+  /**
+   * Pseudo-tick for a stored candle (price = close, bar keeps the candle's range)
+   */
+  candleToTick(candle) {
+    return {
+      symbol: candle.symbol,
+      timestamp: candle.timestamp,
+      price: candle.ohlc.close,
+      volume: candle.volume || 0,
+      bar: { ...candle.ohlc },
+      metadata: {
+        open: candle.ohlc.open,
+        high: candle.ohlc.high,
+        low: candle.ohlc.low
+      },
+      source: 'ChartData'
+    };
+  }
+
+  /**
+   * Ticks (tick mode) or bars (candle mode) the cursor moves over
+   */
+  getFrames() {
+    return this.mode === 'candle' ? this.candles : this.allTicks;
+  }
+
+  /**
+   * Switch between tick and candle replay (stops playback, keeps the loaded data)
+   * @param {String} mode - 'tick' | 'candle'
+   * @param {Object} options - { timeframe: bar size for candle mode }
+   */
+  setMode(mode, options = {}) {
+    const timeframe = options.timeframe || this.barTimeframe;
+
+    if (!REPLAY_MODES.includes(mode)) {
+      throw new Error(`Unknown replay mode "${mode}" (use ${REPLAY_MODES.join(' or ')})`);
+    }
+    if (!BAR_TIMEFRAMES.includes(timeframe)) {
+      throw new Error(`Unsupported bar timeframe "${timeframe}" (use ${BAR_TIMEFRAMES.join(', ')})`);
+    }
+
+    this.stop();
+    this.mode = mode;
+    this.barTimeframe = timeframe;
+    this.candles = mode === 'candle' ? this.buildCandles(this.allTicks, timeframe) : [];
+    this.savedBars.clear();
+
+    console.log(`\n🎞️  Replay [${this.id}] mode: ${mode}${mode === 'candle' ? ` (${timeframe} bars)` : ''}`);
+    return {
+      success: true,
+      mode,
+      timeframe,
+      totalBars: this.candles.length
+    };
+  }
+
+  /**
+   * Choose the strategies scored on every frame (takes effect on the next frame)
+   * @param {Array|String} names - Strategy names (default: the active strategies)
+   */
+  setStrategies(names) {
+    this.strategies = strategyRegistry.resolve(names);
+
+    console.log(`\n🧠 Replay [${this.id}] strategies: ${this.strategies.map(strategy => strategy.name).join(', ')}`);
+    return {
+      success: true,
+      strategies: this.strategies.map(strategy => strategy.getTag())
+    };
+  }
+
+  /**
+   * Candles needed before signals: the replay minimum or what the strategies require
+   */
+  getMinCandles() {
+    return Math.max(MIN_SIGNAL_CANDLES, strategyRegistry.getRequiredBars(this.strategies));
+  }
+
+  /**
+   * Aggregate ticks into candles of a timeframe (oldest first, aligned to the 09:15 open)
+   */
+  buildCandles(ticks, timeframe) {
+    return candleResampler.fromTicks(ticks, timeframe, this.symbol);
+  }
+
+  /**
+   * First cursor position with enough history for signals
+   * Tick mode: 10 complete 5m candles (50 minutes); candle mode: the 10th bar (more if a strategy needs it)
+   */
+  getWarmupIndex() {
+    const minCandles = this.getMinCandles();
+
+    if (this.mode === 'candle') {
+      return Math.max(0, Math.min(minCandles - 1, this.candles.length - 1));
+    }
+
+    if (this.allTicks.length === 0) return 0;
+
+    const warmupEnd = new Date(this.allTicks[0].timestamp).getTime() + minCandles * 5 * 60 * 1000;
+    const index = this.allTicks.findIndex(tick => new Date(tick.timestamp).getTime() >= warmupEnd);
+    return index === -1 ? 0 : index;
+  }
+
+  /**
+   * Start replay
+   */
+  async start(options = {}) {
+    if (this.isPlaying) {
+      return { success: false, message: 'Replay already running' };
+    }
+
+    let { speed = 1, startFrom = 0, symbol, date, from, to, source, mode, timeframe, strategies } = options;
+    this.playbackSpeed = 1000 / speed; // speed multiplier (bars per second in candle mode)
+
+    if (strategies) {
+      this.setStrategies(strategies);
+    }
+
+    if (mode && (mode !== this.mode || (timeframe && timeframe !== this.barTimeframe))) {
+      this.setMode(mode, { timeframe });
+    }
+
+    // A new symbol/range in the start request reloads the data
+    if (date || from || to || (symbol && symbol !== this.symbol)) {
+      await this.loadReplayData(symbol || this.symbol, { date, from, to, source });
+    } else if (this.allTicks.length === 0) {
+      await this.loadReplayData(this.symbol);
+    }
+
+    // If starting from beginning and user hasn't specified, skip the warmup
+    // This ensures we have enough data for signals (10 complete candles)
+    if (startFrom === 0 && this.currentIndex === 0) {
+      startFrom = this.getWarmupIndex();
+      console.log(`\n⏩ Fast-forwarding past the indicator warmup for immediate signals...`);
+    }
+
+    this.currentIndex = startFrom;
+    this.isPlaying = true;
+    console.log(`\n▶️  Replay [${this.id}] started at ${this.mode === 'candle' ? 'bar' : 'index'} ${this.currentIndex} (speed: ${speed}x)`);
+
+    // Start playback interval
+    this.intervalId = setInterval(() => {
+      this.tick();
+    }, this.playbackSpeed);
+
+    return {
+      success: true,
+      message: 'Replay started',
+      currentIndex: this.currentIndex,
+      totalTicks: this.allTicks.length,
+      totalBars: this.candles.length
+    };
+  }
+
+  /**
+   * Process one tick (or bar in candle mode) and advance the cursor
+   */
+  async tick() {
+    // A slow signal calculation must not overlap the next interval - updates would arrive out of order
+    if (this.processing) return;
+
+    const frames = this.getFrames();
+
+    // Check if we have any ticks at all
+    if (frames.length === 0) {
+      console.log('⚠️  No ticks available for replay');
+      return;
+    }
+
+    if (this.currentIndex >= frames.length) {
+      if (this.mode === 'candle') {
+        // Candle mode stops at the last bar so a run covers the range exactly once
+        console.log(`\n🏁 Replay [${this.id}] reached the last bar`);
+        this.pause();
+        return;
+      }
+      console.log(`\n🏁 Replay [${this.id}] finished - restarting from beginning`);
+      this.currentIndex = 0; // Loop back to start
+    }
+
+    this.processing = true;
+    try {
+      const replayData = this.mode === 'candle'
+        ? await this.buildBarUpdate(this.currentIndex)
+        : await this.buildTickUpdate(this.currentIndex);
+
+      // Call all listeners
+      this.listeners.forEach(callback => {
+        try {
+          callback(replayData);
+        } catch (error) {
+          console.error('Listener error:', error);
+        }
+      });
+
+      this.currentIndex++;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Update for one tick: charts rebuilt from every tick up to it
+   */
+  async buildTickUpdate(index) {
+    const currentTick = this.allTicks[index];
+
+    // Get all ticks up to current point
+    const ticksUpToNow = this.allTicks.slice(0, index + 1);
+
+    // Generate charts for current timepoint
+    const charts = await this.generateChartsUpToNow(ticksUpToNow);
+
+    // Generate signals for 5m timeframe (one per strategy)
+    const signals = await this.generateSignalsUpToNow(charts['5m']);
+
+    // Save signals to history (only real signals, not warming up)
+    for (const signal of signals) {
+      if (signal.signal.confidence > 0) {
+        await this.saveSignalToHistory(currentTick, signal);
+      }
+    }
+
+    return {
+      mode: 'tick',
+      currentIndex: index,
+      totalTicks: this.allTicks.length,
+      progress: ((index / this.allTicks.length) * 100).toFixed(1),
+      currentTick: {
+        timestamp: currentTick.timestamp,
+        price: currentTick.price,
+        volume: currentTick.volume,
+        open: currentTick.metadata?.open || currentTick.price,
+        high: currentTick.metadata?.high || currentTick.price,
+        low: currentTick.metadata?.low || currentTick.price,
+        change: currentTick.metadata?.change || 0,
+        changePercent: currentTick.metadata?.changePercent || 0
+      },
+      charts,
+      signal: signals[0],
+      signals,
+      marketTime: currentTick.timestamp.toLocaleTimeString('en-IN', {
+        timeZone: 'Asia/Kolkata',
+        hour: '2-digit',
+        minute: '2-digit'
+      })
+    };
+  }
+
+  /**
+   * Update for one bar: the signal only sees this bar and the ones before it
+   */
+  async buildBarUpdate(index) {
+    const bar = this.candles[index];
+    const previous = this.candles[index - 1];
+    const window = this.candles.slice(Math.max(0, index - this.getWindowSize() + 1), index + 1);
+
+    const signals = await this.generateSignalsUpToNow(window, this.barTimeframe);
+    for (const signal of signals) {
+      // Market time instead of wall-clock time, so repeated runs are identical
+      signal.timestamp = bar.timestamp;
+
+      if (signal.signal.confidence > 0) {
+        await this.saveSignalToHistory({ timestamp: bar.timestamp, price: bar.ohlc.close }, signal, this.barTimeframe);
+      }
+    }
+
+    const change = previous ? bar.ohlc.close - previous.ohlc.close : 0;
+
+    return {
+      mode: 'candle',
+      timeframe: this.barTimeframe,
+      currentIndex: index,
+      totalBars: this.candles.length,
+      progress: (((index + 1) / this.candles.length) * 100).toFixed(1),
+      currentTick: {
+        timestamp: bar.timestamp,
+        price: bar.ohlc.close,
+        volume: bar.volume,
+        open: bar.ohlc.open,
+        high: bar.ohlc.high,
+        low: bar.ohlc.low,
+        change,
+        changePercent: previous ? (change / previous.ohlc.close) * 100 : 0
+      },
+      charts: { [this.barTimeframe]: window },
+      signal: signals[0],
+      signals,
+      marketTime: bar.timestamp.toLocaleTimeString('en-IN', {
+        timeZone: 'Asia/Kolkata',
+        hour: '2-digit',
+        minute: '2-digit'
+      })
+    };
+  }
+
+  /**
+   * Generate charts from ticks up to current point
+   */
+  async generateChartsUpToNow(ticks) {
+    const charts = {};
+    const timeframes = ['5m']; // Focus on 5m for signals
+
+    for (const timeframe of timeframes) {
+      try {
+        // Keep only the last 100 candles (or what the strategies need)
+        charts[timeframe] = this.buildCandles(ticks, timeframe).slice(-this.getWindowSize());
+      } catch (error) {
+        console.error(`Chart generation error for ${timeframe}:`, error.message);
+        charts[timeframe] = [];
+      }
+    }
+
+    return charts;
+  }
+
+  /**
+   * Candles per signal window (and per chart sent to clients)
+   */
+  getWindowSize() {
+    return Math.max(CHART_CANDLE_LIMIT, this.getMinCandles());
+  }
+
+  /**
+   * One signal per session strategy from the same candles, in strategy order
+   */
+  async generateSignalsUpToNow(candles, timeframe = '5m') {
+    return Promise.all(this.strategies.map(strategy => this.generateSignalUpToNow(candles, timeframe, strategy)));
+  }
+
+  /**
+   * Generate signal from charts up to current point
+   * @param {Object} strategy - Strategy instance (default: the session's first strategy)
+   */
+  async generateSignalUpToNow(candles, timeframe = '5m', strategy = this.strategies[0]) {
+    const minCandles = Math.max(MIN_SIGNAL_CANDLES, strategy.requiredBars);
+
+    if (!candles || candles.length < minCandles) {
+      const minutesNeeded = (minCandles - (candles?.length || 0)) * candleResampler.toMinutes(timeframe);
+      return {
+        strategy: strategy.getTag(),
+        signal: {
+          action: 'HOLD',
+          confidence: 0,
+          strength: 'VERY_WEAK'
+        },
+        levels: { entry: 0, stopLoss: 0, target1: 0, target2: 0, target3: 0, riskRewardRatio: 0 },
+        reasoning: [
+          `Warming up indicators... ${candles?.length || 0}/${minCandles} candles available`,
+          `Signals will appear in ~${minutesNeeded} minutes`
+        ],
+        metadata: {
+          candlesNeeded: minCandles - (candles?.length || 0)
+        }
+      };
+    }
+
+    try {
+      const signal = await strategyRegistry.evaluate(strategy, candles, {
+        symbol: this.symbol,
+        timeframe,
+        minConfidence: 0,
+        liveOptions: false // Historical data - today's option chain would not match
+      });
+      return signal;
+    } catch (error) {
+      console.error(`Signal generation error (${strategy.name}):`, error.message);
+      return {
+        strategy: strategy.getTag(),
+        signal: {
+          action: 'HOLD',
+          confidence: 0,
+          strength: 'VERY_WEAK'
+        },
+        levels: { entry: 0, stopLoss: 0, target1: 0, target2: 0, target3: 0, riskRewardRatio: 0 },
+        reasoning: ['Signal calculation in progress...', error.message]
+      };
+    }
+  }
+
+  /**
+   * Pause replay
+   */
+  pause() {
+    if (!this.isPlaying) {
+      return { success: false, message: 'Replay not running' };
+    }
+
+    this.isPlaying = false;
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    console.log(`\n⏸️  Replay [${this.id}] paused at index ${this.currentIndex}`);
+    return {
+      success: true,
+      message: 'Replay paused',
+      currentIndex: this.currentIndex
+    };
+  }
+
+  /**
+   * Resume replay
+   */
+  resume() {
+    if (this.isPlaying) {
+      return { success: false, message: 'Replay already running' };
+    }
+
+    return this.start({ startFrom: this.currentIndex });
+  }
+
+  /**
+   * Stop replay
+   */
+  stop() {
+    this.isPlaying = false;
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    this.currentIndex = 0;
+
+    console.log(`\n⏹️  Replay [${this.id}] stopped`);
+    return {
+      success: true,
+      message: 'Replay stopped'
+    };
+  }
+
+  /**
+   * Seek to specific index
+   */
+  seek(index) {
+    const frames = this.getFrames();
+    if (typeof index !== 'number' || index < 0 || index >= frames.length) {
+      return { success: false, message: 'Invalid index' };
+    }
+
+    const wasPlaying = this.isPlaying;
+    if (wasPlaying) {
+      this.pause();
+    }
+
+    this.currentIndex = index;
+
+    if (wasPlaying) {
+      this.resume();
+    }
+
+    return {
+      success: true,
+      currentIndex: this.currentIndex,
+      timestamp: frames[index].timestamp
+    };
+  }
+
+  /**
+   * Move one bar (or tick) forward or back and emit it (pauses playback)
+   * @param {String} direction - 'forward' | 'back'
+   */
+  step(direction = 'forward') {
+    if (direction !== 'forward' && direction !== 'back') {
+      throw new Error('Step direction must be "forward" or "back"');
+    }
+
+    // The cursor points at the next frame to emit, so the one on screen is currentIndex - 1
+    return this.showFrame(direction === 'forward' ? this.currentIndex : this.currentIndex - 2);
+  }
+
+  /**
+   * Emit the last bar (or tick) at or before a timestamp (pauses playback)
+   */
+  jumpTo(timestamp) {
+    const target = new Date(timestamp).getTime();
+    if (isNaN(target)) {
+      return { success: false, message: 'Invalid timestamp' };
+    }
+
+    const frames = this.getFrames();
+    let index = -1;
+    while (index + 1 < frames.length && new Date(frames[index + 1].timestamp).getTime() <= target) {
+      index++;
+    }
+
+    if (index === -1) {
+      return { success: false, message: 'Timestamp is before the loaded range' };
+    }
+
+    return this.showFrame(index);
+  }
+
+  /**
+   * Pause, move the cursor and emit a single frame
+   */
+  async showFrame(index) {
+    const frames = this.getFrames();
+
+    if (index < 0 || index >= frames.length) {
+      return { success: false, message: index < 0 ? 'Already at the start of the replay' : 'Already at the end of the replay' };
+    }
+    if (this.processing) {
+      return { success: false, message: 'Replay is busy, try again' };
+    }
+
+    if (this.isPlaying) {
+      this.pause();
+    }
+
+    this.currentIndex = index;
+    await this.tick();
+
+    return {
+      success: true,
+      currentIndex: index,
+      timestamp: frames[index].timestamp
+    };
+  }
+
+  /**
+   * Evaluate every bar of the loaded data without timers, listeners or SignalHistory writes
+   * Same data + same code = same output, so runs can be diffed to catch strategy regressions
+   * @param {Object} options - { timeframe: bar size (default: session bar timeframe),
+   *                             strategy: name (default: the session's first strategy) }
+   * @returns {Object} { symbol, timeframe, strategy, source, range, bars, signals, digest }
+   */
+  async recordSignals(options = {}) {
+    const timeframe = options.timeframe || this.barTimeframe;
+    const strategy = options.strategy ? strategyRegistry.get(options.strategy) : this.strategies[0];
+
+    if (this.allTicks.length === 0) {
+      throw new Error('No replay data loaded');
+    }
+    if (!BAR_TIMEFRAMES.includes(timeframe)) {
+      throw new Error(`Unsupported bar timeframe "${timeframe}" (use ${BAR_TIMEFRAMES.join(', ')})`);
+    }
+
+    const candles = this.buildCandles(this.allTicks, timeframe);
+    const signals = [];
+
+    const minCandles = Math.max(MIN_SIGNAL_CANDLES, strategy.requiredBars);
+    const windowSize = Math.max(CHART_CANDLE_LIMIT, minCandles);
+
+    for (let i = minCandles - 1; i < candles.length; i++) {
+      const window = candles.slice(Math.max(0, i - windowSize + 1), i + 1);
+      const signal = await this.generateSignalUpToNow(window, timeframe, strategy);
+      signals.push(this.summarizeSignal(candles[i], signal));
+    }
+
+    return {
+      symbol: this.symbol,
+      timeframe,
+      strategy: strategy.getTag(),
+      source: this.source,
+      range: this.range,
+      bars: candles.length,
+      signals,
+      digest: crypto.createHash('sha256').update(JSON.stringify(signals)).digest('hex')
+    };
+  }
+
+  /**
+   * Fields compared between replay runs
+   */
+  summarizeSignal(bar, signal) {
+    return {
+      timestamp: bar.timestamp.toISOString(),
+      price: bar.ohlc.close,
+      action: signal.signal.action,
+      strength: signal.signal.strength,
+      confidence: signal.signal.confidence,
+      totalScore: signal.scoring?.totalScore ?? null,
+      levels: {
+        entry: signal.levels?.entry ?? null,
+        stopLoss: signal.levels?.stopLoss ?? null,
+        target1: signal.levels?.target1 ?? null,
+        target2: signal.levels?.target2 ?? null,
+        target3: signal.levels?.target3 ?? null
+      }
+    };
+  }
+
+  /**
+   * Add listener for replay updates
+   */
+  addListener(callback) {
+    this.listeners.push(callback);
+  }
+
+  /**
+   * Remove listener
+   */
+  removeListener(callback) {
+    this.listeners = this.listeners.filter(cb => cb !== callback);
+  }
+
+  /**
+   * Get current status
+   */
+  getStatus() {
+    const frames = this.getFrames();
+
+    return {
+      session: this.id,
+      mode: this.mode,
+      barTimeframe: this.barTimeframe,
+      isPlaying: this.isPlaying,
+      currentIndex: this.currentIndex,
+      totalTicks: this.allTicks.length,
+      totalBars: this.candles.length,
+      progress: frames.length > 0
+        ? ((this.currentIndex / frames.length) * 100).toFixed(1)
+        : 0,
+      symbol: this.symbol,
+      source: this.source,
+      range: this.range,
+      startTime: this.allTicks[0]?.timestamp || null,
+      endTime: this.allTicks[this.allTicks.length - 1]?.timestamp || null,
+      currentTick: this.mode === 'tick' ? this.allTicks[this.currentIndex] || null : null,
+      currentBar: this.mode === 'candle' ? this.candles[this.currentIndex - 1] || null : null,
+      strategies: this.strategies.map(strategy => strategy.getTag()),
+      playbackSpeed: this.playbackSpeed
+    };
+  }
+
+  /**
+   * Change symbol
+   */
+  async changeSymbol(symbol, options = {}) {
+    const wasPlaying = this.isPlaying;
+    if (wasPlaying) {
+      this.stop();
+    }
+
+    await this.loadReplayData(symbol, options);
+
+    if (wasPlaying) {
+      this.start();
+    }
+
+    return {
+      success: true,
+      symbol: this.symbol,
+      ticksLoaded: this.allTicks.length
+    };
+  }
+
+  /**
+   * Save signal to history
+   */
+  async saveSignalToHistory(tick, signal, timeframe = '5m') {
+    try {
+      // Only save meaningful signals (not HOLD with 0 confidence)
+      if (signal.signal.action === 'HOLD' && signal.signal.confidence < 50) {
+        return;
+      }
+
+      // Stepping back and forth in candle mode revisits bars - store each bar once per strategy
+      const barKey = `${signal.strategy?.name}:${timeframe}:${new Date(tick.timestamp).toISOString()}`;
+      if (this.mode === 'candle') {
+        if (this.savedBars.has(barKey)) return;
+        this.savedBars.add(barKey);
+      }
+
+      const historyEntry = {
+        symbol: this.symbol,
+        timeframe,
+        strategy: signal.strategy,
+        marketTime: tick.timestamp,
+        signal: signal.signal,
+        price: tick.price,
+        levels: signal.levels,
+        scoring: signal.scoring,
+        reasoning: signal.reasoning,
+        metadata: {
+          replaySession: this.sessionId,
+          candlesAnalyzed: signal.metadata?.candlesAnalyzed || 0,
+          indicatorsUsed: signal.metadata?.indicatorsUsed || 0,
+          processingTime: signal.metadata?.processingTime || 0
+        }
+      };
+
+      await SignalHistory.create(historyEntry);
+    } catch (error) {
+      console.error('Failed to save signal history:', error.message);
+    }
+  }
+
+  /**
+   * Get signal history for current session
+   * @param {String} strategy - Optional strategy name filter
+   */
+  async getSignalHistory(limit = 50, strategy = null) {
+    try {
+      const history = await SignalHistory.find({
+        symbol: this.symbol,
+        'metadata.replaySession': this.sessionId,
+        ...(strategy ? strategyRegistry.filter(strategy) : {})
+      })
+      .sort({ marketTime: -1 })
+      .limit(limit);
+
+      return history;
+    } catch (error) {
+      console.error('Failed to get signal history:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Clear signal history for current session
+   */
+  async clearSignalHistory() {
+    try {
+      await SignalHistory.deleteMany({
+        'metadata.replaySession': this.sessionId
+      });
+      this.savedBars.clear();
+      console.log('✓ Signal history cleared');
+    } catch (error) {
+      console.error('Failed to clear signal history:', error.message);
+    }
+  }
+}
+
+module.exports = ReplaySession;
@@ -0,0 +1,191 @@
+/**
+ * Risk Governor
+ * Guardrails between signal generation and persistence: a BUY/SELL only becomes an
+ * entry when today's results allow it
+ *
+ * Rules (RISK_GUARDRAILS in config/constants.js, checked in this order):
+ * - DAILY_LOSS_LIMIT: today's net ₹ loss across symbols reached the limit
+ * - CONSECUTIVE_LOSSES: the last N closed signals today were all losses
+ * - MAX_SIGNALS_PER_SYMBOL: the symbol already recorded its BUY/SELL signals for the day
+ * - COOLDOWN: the symbol was stopped out less than COOLDOWN_MINUTES ago
+ *
+ * The first two suspend entries for the rest of the IST day; the state resets the next day.
+ * A tagged signal is checked against its own strategy's results, so strategies running side by side
+ * don't use up each other's limits.
+ */
+
+const SignalHistory = require('../models/SignalHistory');
+const costModel = require('./cost-model');
+const strategyRegistry = require('./strategy-registry');
+const { RISK_GUARDRAILS } = require('../config/constants');
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const ENTRY_ACTIONS = ['BUY', 'STRONG_BUY', 'SELL', 'STRONG_SELL'];
+const LIVE_ONLY = { 'metadata.replaySession': { $exists: false } }; // Replay signals never block live entries
+
+/**
+ * Env override for a guardrail (0 disables it)
+ */
+const fromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+class RiskGovernor {
+  constructor() {
+    this.limits = {
+      maxConsecutiveLosses: fromEnv('RISK_MAX_CONSECUTIVE_LOSSES', RISK_GUARDRAILS.MAX_CONSECUTIVE_LOSSES),
+      dailyLossLimit: fromEnv('RISK_DAILY_LOSS_LIMIT', RISK_GUARDRAILS.DAILY_LOSS_LIMIT),
+      maxSignalsPerSymbol: fromEnv('RISK_MAX_SIGNALS_PER_SYMBOL', RISK_GUARDRAILS.MAX_SIGNALS_PER_SYMBOL),
+      cooldownMinutes: fromEnv('RISK_COOLDOWN_MINUTES', RISK_GUARDRAILS.COOLDOWN_MINUTES)
+    };
+  }
+
+  /**
+   * Check a generated signal against the guardrails
+   * HOLD signals always pass.
+   * @param {Object} signal - Output of strategyRegistry.evaluate
+   * @param {Date} now - Evaluation time
+   * @returns {Object} { allowed, rule, reason, until, checkedAt }
+   */
+  async evaluate(signal, now = new Date()) {
+    const decision = { allowed: true, rule: null, reason: null, until: null, checkedAt: now };
+
+    if (!ENTRY_ACTIONS.includes(signal.signal?.action)) {
+      return decision;
+    }
+
+    const state = await this.getState(now, signal.strategy?.name);
+    const block = (rule, reason, until) => ({ ...decision, allowed: false, rule, reason, until });
+
+    if (this.limits.dailyLossLimit > 0 && state.netPnL <= -this.limits.dailyLossLimit) {
+      return block(
+        'DAILY_LOSS_LIMIT',
+        `Daily loss ₹${Math.round(-state.netPnL).toLocaleString('en-IN')} reached the ₹${this.limits.dailyLossLimit.toLocaleString('en-IN')} limit`,
+        state.dayEnd
+      );
+    }
+
+    if (this.limits.maxConsecutiveLosses > 0 && state.consecutiveLosses >= this.limits.maxConsecutiveLosses) {
+      return block(
+        'CONSECUTIVE_LOSSES',
+        `${state.consecutiveLosses} losses in a row - entries suspended for the day`,
+        state.dayEnd
+      );
+    }
+
+    const symbolState = state.symbols[signal.symbol] || { signals: 0, lastStopOut: null };
+
+    if (this.limits.maxSignalsPerSymbol > 0 && symbolState.signals >= this.limits.maxSignalsPerSymbol) {
+      return block(
+        'MAX_SIGNALS_PER_SYMBOL',
+        `${signal.symbol} already has ${symbolState.signals} signals today (max ${this.limits.maxSignalsPerSymbol})`,
+        state.dayEnd
+      );
+    }
+
+    if (this.limits.cooldownMinutes > 0 && symbolState.lastStopOut) {
+      const until = new Date(symbolState.lastStopOut.getTime() + this.limits.cooldownMinutes * 60000);
+      if (until > now) {
+        return block(
+          'COOLDOWN',
+          `${signal.symbol} stopped out at ${this.formatTime(symbolState.lastStopOut)} - cooling down until ${this.formatTime(until)}`,
+          until
+        );
+      }
+    }
+
+    return decision;
+  }
+
+  /**
+   * Today's results the guardrails look at
+   * @param {String} strategy - Only this strategy's signals (default: all)
+   * @returns {Object} { date, dayEnd, strategy, netPnL, closed, consecutiveLosses, symbols: { [symbol]: { signals, lastStopOut } } }
+   */
+  async getState(now = new Date(), strategy = null) {
+    const { dayStart, dayEnd } = this.getTradingDay(now);
+    const byStrategy = strategy ? strategyRegistry.filter(strategy) : {};
+
+    const [recorded, closed] = await Promise.all([
+      SignalHistory.find({
+        ...byStrategy,
+        ...LIVE_ONLY,
+        marketTime: { $gte: dayStart, $lt: dayEnd },
+        'signal.action': { $in: ENTRY_ACTIONS }
+      }).select('symbol').lean(),
+      SignalHistory.find({
+        ...byStrategy,
+        ...LIVE_ONLY,
+        'performance.exitTime': { $gte: dayStart, $lt: dayEnd },
+        'performance.outcome': { $in: ['WIN', 'LOSS'] }
+      })
+        .select('symbol performance.outcome performance.netProfitLoss performance.profitLoss performance.costs.quantity performance.exitTime performance.exitReason performance.targetHit')
+        .sort({ 'performance.exitTime': 1 })
+        .lean()
+    ]);
+
+    const symbols = {};
+    const symbolState = (symbol) => {
+      symbols[symbol] = symbols[symbol] || { signals: 0, lastStopOut: null };
+      return symbols[symbol];
+    };
+
+    for (const entry of recorded) {
+      symbolState(entry.symbol).signals++;
+    }
+
+    let netPnL = 0;
+    let consecutiveLosses = 0;
+
+    for (const entry of closed) {
+      const performance = entry.performance;
+      const quantity = performance.costs?.quantity || costModel.getContractSpec(entry.symbol).lotSize;
+      netPnL += (performance.netProfitLoss ?? performance.profitLoss ?? 0) * quantity;
+      consecutiveLosses = performance.outcome === 'LOSS' ? consecutiveLosses + 1 : 0;
+
+      const stoppedOut = performance.exitReason
+        ? performance.exitReason === 'STOPLOSS'
+        : performance.targetHit === 'STOPLOSS';
+      if (stoppedOut) {
+        symbolState(entry.symbol).lastStopOut = new Date(performance.exitTime);
+      }
+    }
+
+    return {
+      date: new Date(dayStart.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10),
+      dayEnd,
+      strategy,
+      netPnL: costModel.round(netPnL),
+      closed: closed.length,
+      consecutiveLosses,
+      symbols
+    };
+  }
+
+  /**
+   * Current guardrail state with the configured limits (for the API/UI)
+   * @param {String} strategy - One strategy's state (default: all signals)
+   */
+  async getStatus(now = new Date(), strategy = null) {
+    const state = await this.getState(now, strategy);
+    return { limits: this.limits, ...state };
+  }
+
+  /**
+   * IST day containing a time, as UTC instants
+   */
+  getTradingDay(now) {
+    const istMidnight = new Date(now.getTime() + IST_OFFSET_MS);
+    istMidnight.setUTCHours(0, 0, 0, 0);
+
+    const dayStart = new Date(istMidnight.getTime() - IST_OFFSET_MS);
+    return { dayStart, dayEnd: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000) };
+  }
+
+  formatTime(time) {
+    return time.toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour: '2-digit', minute: '2-digit' });
+  }
+}
+
+module.exports = new RiskGovernor();
@@ -0,0 +1,148 @@
+/**
+ * Scanner
+ * Runs a signal strategy (the primary one by default) over a set of symbols and ranks the results
+ *
+ * Each symbol gets the same treatment as in the signal generator: candles from the candle store,
+ * the last SCAN_LOOKBACK bars scored, the full series passed on for higher-timeframe confluence and
+ * a live data-quality check. Nothing is stored - a scan is a read-only snapshot.
+ *
+ * Ranking (sortBy):
+ * - confidence: highest confidence first
+ * - action: STRONG_BUY, BUY, STRONG_SELL, SELL, then HOLD - confidence within each
+ * - regime: strong trends, weak trends, ranging, unknown - confidence within each
+ * Symbols that could not be scored are listed last with their error.
+ *
+ * The action filter matches by direction: BUY also keeps STRONG_BUY rows, SELL keeps STRONG_SELL.
+ * STRONG_BUY or STRONG_SELL keep only the strong rows.
+ */
+
+const strategyRegistry = require('./strategy-registry');
+const candleStore = require('./candle-store');
+const candleResampler = require('./candle-resampler');
+const symbolRegistry = require('./symbol-registry');
+const { WATCHLISTS } = require('../config/constants');
+
+const SORT_ORDERS = {
+  confidence: null,
+  action: ['STRONG_BUY', 'BUY', 'STRONG_SELL', 'SELL', 'HOLD'],
+  regime: ['STRONG_TRENDING', 'WEAK_TRENDING', 'RANGING', 'UNKNOWN']
+};
+
+class Scanner {
+  /**
+   * Score and rank symbols
+   * @param {Array} symbols - Registry symbols
+   * @param {Object} options - { timeframe = '5m', sortBy = 'confidence', action?, regime? (filters), strategy? (name) }
+   * @returns {Object} { timeframe, sortBy, strategy, scannedAt, durationMs, scanned, failed, rows }
+   */
+  async scan(symbols, { timeframe = '5m', sortBy = 'confidence', action = null, regime = null, strategy = null } = {}) {
+    candleResampler.parseTimeframe(timeframe);
+    if (!(sortBy in SORT_ORDERS)) {
+      throw new Error(`Unknown sortBy "${sortBy}" (use ${Object.keys(SORT_ORDERS).join(', ')})`);
+    }
+    const scanStrategy = strategyRegistry.get(strategy || strategyRegistry.getPrimary().name);
+
+    const startedAt = Date.now();
+    const results = [];
+
+    // One symbol at a time - scoring is CPU-bound and providers are rate limited anyway
+    for (const symbol of symbols) {
+      results.push(await this.scanSymbol(symbol, timeframe, scanStrategy));
+    }
+
+    const scored = results.filter(row => !row.error);
+    const failed = results.filter(row => row.error);
+    const rows = scored
+      .filter(row => this.matchesAction(row.action, action) && (!regime || row.regime === regime))
+      .sort(this.compare(sortBy))
+      .concat(action || regime ? [] : failed)
+      .map((row, i) => ({ rank: row.error ? null : i + 1, ...row }));
+
+    console.log(`🔎 Scanned ${symbols.length} symbols on ${timeframe} in ${Date.now() - startedAt}ms (${failed.length} failed)`);
+
+    return {
+      timeframe,
+      sortBy,
+      strategy: scanStrategy.getTag(),
+      filters: { action, regime },
+      scannedAt: new Date(),
+      durationMs: Date.now() - startedAt,
+      scanned: scored.length,
+      failed: failed.length,
+      rows
+    };
+  }
+
+  /**
+   * Scan row for one symbol (errors are returned in the row, not thrown)
+   */
+  async scanSymbol(symbol, timeframe, strategy = strategyRegistry.getPrimary()) {
+    const displayName = symbolRegistry.get(symbol)?.displayName || symbol;
+    const minCandles = Math.max(WATCHLISTS.SCAN_MIN_CANDLES, strategy.requiredBars);
+
+    try {
+      const candles = await candleStore.getCandles(symbol, timeframe);
+
+      if (candles.length < minCandles) {
+        throw new Error(`Not enough data (${candles.length}/${minCandles} candles)`);
+      }
+
+      const signal = await strategyRegistry.evaluate(strategy, candles.slice(-Math.max(WATCHLISTS.SCAN_LOOKBACK, minCandles)), {
+        symbol,
+        timeframe,
+        minConfidence: 0,
+        history: candles,
+        now: new Date()
+      });
+
+      const { action, confidence, strength, bullishPercentage, bearishPercentage } = signal.signal;
+      const levels = signal.levels || {};
+
+      return {
+        symbol,
+        displayName,
+        action,
+        confidence: Math.round(confidence * 10) / 10,
+        strength,
+        regime: signal.marketRegime?.regime || 'UNKNOWN',
+        volatility: signal.marketRegime?.volatility || null,
+        price: signal.currentPrice,
+        currency: symbolRegistry.getCurrencySign(symbol),
+        bullishPercentage,
+        bearishPercentage,
+        levels: action === 'HOLD' ? null : {
+          entry: levels.entry,
+          stopLoss: levels.stopLoss,
+          target1: levels.target1,
+          riskRewardRatio: levels.riskRewardRatio
+        },
+        dataQuality: signal.dataQuality?.status || null,
+        lastCandle: candles[candles.length - 1].timestamp,
+        error: null
+      };
+    } catch (error) {
+      return { symbol, displayName, error: error.message };
+    }
+  }
+
+  /**
+   * Action filter check - plain BUY/SELL match their STRONG_ variants too
+   */
+  matchesAction(rowAction, action) {
+    if (!action) return true;
+    return rowAction === action || rowAction === `STRONG_${action}`;
+  }
+
+  compare(sortBy) {
+    const order = SORT_ORDERS[sortBy];
+    const field = sortBy === 'action' ? 'action' : 'regime';
+    const group = (row) => {
+      const index = order.indexOf(row[field]);
+      return index === -1 ? order.length : index;
+    };
+
+    return (a, b) => (order ? group(a) - group(b) : 0) || b.confidence - a.confidence;
+  }
+}
+
+module.exports = new Scanner();
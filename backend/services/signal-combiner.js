@@ -10,6 +10,8 @@
  * - Power-based scoring (high-confidence indicators weighted more)
  * - Enhanced confidence calculation with regime alignment
  * - 22 new/enhanced technical indicators
+ * - Higher-timeframe confluence (15m / 1h / daily) nudges confidence
+ * - Candle data-quality checks (repair / flag / reject) run before any indicator
  *
  * Baseline Weighting System:
  * - Trend: 28%
@@ -21,9 +23,12 @@
  */
 
 const indicators = require('../indicators');
-const { INDICATOR_WEIGHTS, INDICATOR_IMPORTANCE } = require('../config/constants');
+const { INDICATOR_WEIGHTS, INDICATOR_IMPORTANCE, ACTION_THRESHOLDS } = require('../config/constants');
 const levelCalculator = require('./level-calculator');
+const positionSizer = require('./position-sizer');
+const timeframeConfluence = require('./timeframe-confluence');
 const marketRegimeDetector = require('./market-regime-detector');
+const dataQualityChecker = require('./data-quality');
 const { calculatePCRSignal } = require('../indicators/options/pcr-oi-analysis');
 const { calculateSyntheticOI } = require('../indicators/options/synthetic-oi-analysis');
 
@@ -31,6 +36,7 @@ class SignalCombiner {
   constructor() {
     this.baselineWeights = INDICATOR_WEIGHTS;
     this.indicatorImportance = INDICATOR_IMPORTANCE;
+    this.actionThresholds = ACTION_THRESHOLDS;
   }
 
   /**
@@ -44,13 +50,38 @@ class SignalCombiner {
       const {
         symbol = 'UNKNOWN',
         timeframe = '5m',
-        minConfidence = 50
+        minConfidence = 50,
+        liveOptions = true, // Set false for historical runs (backtests) - live option chain would leak today's data
+        weights = null,     // Override baseline category weights (walk-forward optimiser)
+        thresholds = null,  // Override ACTION_THRESHOLDS
+        sizing = {},        // Override POSITION_SIZING settings (method, capital, riskPercent, ...)
+        multiTimeframe = true, // Score 15m/1h/daily confluence
+        history = null,     // Longer candle series (same end) to resample higher timeframes from
+        dataQuality = true, // false skips the data-quality checks, an object overrides actions per check
+        now = null          // Wall clock for live runs (enables the stale-bar check)
       } = options;
 
       if (!candles || candles.length === 0) {
         throw new Error('No candle data provided');
       }
 
+      // Repair what can be repaired, refuse series that fail a REJECT check
+      let dataQualityReport = null;
+      if (dataQuality) {
+        const checked = dataQualityChecker.check(candles, {
+          symbol,
+          timeframe,
+          now,
+          actions: dataQuality === true ? {} : dataQuality
+        });
+
+        dataQualityReport = checked.report;
+        if (dataQualityReport.status === 'REJECTED') {
+          throw new Error(`Data quality check failed (${dataQualityReport.rejectedBy}): ${dataQualityReport.reason}`);
+        }
+        candles = checked.candles;
+      }
+
       // Safety check - ensure last candle has valid OHLC data
       const lastCandle = candles[candles.length - 1];
       if (!lastCandle || !lastCandle.ohlc || typeof lastCandle.ohlc.close !== 'number') {
@@ -63,9 +94,7 @@ class SignalCombiner {
       const marketRegime = marketRegimeDetector.detectMarketRegime(candles);
 
       // Use dynamic weights if regime detected, otherwise use baseline
-      const effectiveWeights = marketRegime.regime !== 'UNKNOWN'
-        ? marketRegime.weightAdjustments
-        : this.baselineWeights;
+      const effectiveWeights = this.resolveWeights(marketRegime, weights);
 
       // Calculate all indicators (now includes 22 new indicators)
       const indicatorResults = await this.calculateAllIndicators(candles);
@@ -77,13 +106,20 @@ class SignalCombiner {
       const totalScore = this.calculateTotalScore(categoryScores, effectiveWeights);
 
       // ENHANCED: Normalize to confidence with regime bonuses
-      const confidence = this.normalizeToConfidence(
+      const baseConfidence = this.normalizeToConfidence(
         totalScore,
         categoryScores,
         marketRegime,
         indicatorResults
       );
 
+      // Higher timeframes agreeing with the score's direction raise confidence, opposing ones lower it
+      const timeframes = multiTimeframe
+        ? await timeframeConfluence.analyze(candles, { symbol, timeframe, history })
+        : [];
+      const confluence = timeframeConfluence.summarize(timeframes, totalScore);
+      const confidence = this.applyConfluence(baseConfidence, confluence);
+
       // Calculate bullish and bearish percentages from total score
       // totalScore ranges from -100 (fully bearish) to +100 (fully bullish)
       const bullishPercentage = ((totalScore + 100) / 200) * 100; // 0-100%
@@ -92,15 +128,17 @@ class SignalCombiner {
 
       // ENHANCED: Calculate Options signal for confirmation (PCR + OI + Max Pain)
       let optionsSignal = null;
-      try {
-        // Try real NSE Options API first
-        optionsSignal = await calculatePCRSignal(symbol);
-        if (optionsSignal && optionsSignal.available) {
-          indicatorResults.options_pcr = optionsSignal; // Add to indicator results
-          console.log('✅ Real Options data fetched from NSE');
+      if (liveOptions) {
+        try {
+          // Try real NSE Options API first
+          optionsSignal = await calculatePCRSignal(symbol);
+          if (optionsSignal && optionsSignal.available) {
+            indicatorResults.options_pcr = optionsSignal; // Add to indicator results
+            console.log('✅ Real Options data fetched from NSE');
+          }
+        } catch (error) {
+          console.log('NSE Options API failed:', error.message);
         }
-      } catch (error) {
-        console.log('NSE Options API failed:', error.message);
       }
 
       // FALLBACK: Use synthetic OI analysis if NSE API failed
@@ -117,7 +155,15 @@ class SignalCombiner {
       }
 
       // Determine signal action (with Options confirmation for better quality)
-      const action = this.determineAction(totalScore, confidence, percentageDifference, categoryScores, marketRegime, optionsSignal);
+      const action = this.determineAction(
+        totalScore,
+        confidence,
+        percentageDifference,
+        categoryScores,
+        marketRegime,
+        optionsSignal,
+        { ...this.actionThresholds, ...thresholds }
+      );
 
       // Determine signal strength
       const strength = this.determineStrength(confidence);
@@ -130,6 +176,17 @@ class SignalCombiner {
         indicatorResults
       );
 
+      // How much to trade for this stop distance
+      if (action !== 'HOLD') {
+        levels.positionSize = await positionSizer.sizeSignal({
+          symbol,
+          action,
+          entry: levels.entry,
+          stopLoss: levels.stopLoss,
+          atr: indicatorResults.atr?.value
+        }, sizing);
+      }
+
       // Generate reasoning with entry basis
       const reasoning = this.generateReasoning(
         indicatorResults,
@@ -137,7 +194,8 @@ class SignalCombiner {
         action,
         confidence,
         levels,
-        marketRegime
+        marketRegime,
+        { ...confluence, timeframes }
       );
 
       // Generate alerts
@@ -147,6 +205,12 @@ class SignalCombiner {
         confidence
       );
 
+      for (const check of dataQualityReport?.checks || []) {
+        if (check.outcome === 'FLAGGED' || check.outcome === 'REPAIRED') {
+          alerts.push(`Data quality: ${check.detail} (${check.outcome.toLowerCase()})`);
+        }
+      }
+
       // Build complete signal
       const signal = {
         symbol,
@@ -190,9 +254,18 @@ class SignalCombiner {
         // NEW: Dynamic weights used
         dynamicWeights: effectiveWeights,
 
+        // Higher-timeframe breakdown behind the confidence adjustment
+        multiTimeframe: {
+          ...confluence,
+          timeframes
+        },
+
         reasoning,
         alerts,
 
+        // What the data-quality checks found and did to the candles (null when skipped)
+        dataQuality: dataQualityReport,
+
         metadata: {
           timeframe,
           indicatorsUsed: Object.keys(indicatorResults).length,
@@ -215,9 +288,11 @@ class SignalCombiner {
 
   /**
    * Calculate all available indicators (ENHANCED with 22 new indicators)
+   * @param {Object} options - { quiet } - true skips the per-indicator "skipped" logs
    */
-  async calculateAllIndicators(candles) {
+  async calculateAllIndicators(candles, { quiet = false } = {}) {
     const results = {};
+    const log = quiet ? () => {} : console.log;
 
     // ============================================================
     // MOMENTUM INDICATORS (Existing + 9 New)
@@ -231,7 +306,7 @@ class SignalCombiner {
         results.rsi_21 = indicators.momentum.rsi.calculateRSI(candles, 21);
       }
     } catch (error) {
-      console.log('RSI calculation skipped:', error.message);
+      log('RSI calculation skipped:', error.message);
     }
 
     try {
@@ -239,7 +314,7 @@ class SignalCombiner {
         results.stochastic = indicators.momentum.stochastic.calculateStochastic(candles, 14, 3);
       }
     } catch (error) {
-      console.log('Stochastic calculation skipped:', error.message);
+      log('Stochastic calculation skipped:', error.message);
     }
 
     try {
@@ -247,7 +322,7 @@ class SignalCombiner {
         results.cci = indicators.momentum.cci.calculateCCI(candles, 20);
       }
     } catch (error) {
-      console.log('CCI calculation skipped:', error.message);
+      log('CCI calculation skipped:', error.message);
     }
 
     try {
@@ -255,7 +330,7 @@ class SignalCombiner {
         results.williamsR = indicators.momentum.williamsR.calculateWilliamsR(candles, 14);
       }
     } catch (error) {
-      console.log('Williams %R calculation skipped:', error.message);
+      log('Williams %R calculation skipped:', error.message);
     }
 
     try {
@@ -263,7 +338,7 @@ class SignalCombiner {
         results.roc_12 = indicators.momentum.roc.calculateROC(candles, 12);
       }
     } catch (error) {
-      console.log('ROC calculation skipped:', error.message);
+      log('ROC calculation skipped:', error.message);
     }
 
     try {
@@ -271,7 +346,7 @@ class SignalCombiner {
         results.ultimate_oscillator = indicators.momentum.ultimateOscillator.calculateUltimateOscillator(candles, 7, 14, 28);
       }
     } catch (error) {
-      console.log('Ultimate Oscillator calculation skipped:', error.message);
+      log('Ultimate Oscillator calculation skipped:', error.message);
     }
 
     // NEW MOMENTUM INDICATORS
@@ -280,7 +355,7 @@ class SignalCombiner {
         results.ppo = indicators.momentum.ppo.calculatePPO(candles, 12, 26, 9);
       }
     } catch (error) {
-      console.log('PPO calculation skipped:', error.message);
+      log('PPO calculation skipped:', error.message);
     }
 
     try {
@@ -288,7 +363,7 @@ class SignalCombiner {
         results.elder_ray = indicators.momentum.elderRay.calculateElderRay(candles, 13);
       }
     } catch (error) {
-      console.log('Elder Ray calculation skipped:', error.message);
+      log('Elder Ray calculation skipped:', error.message);
     }
 
     try {
@@ -296,7 +371,7 @@ class SignalCombiner {
         results.kst = indicators.momentum.kst.calculateKST(candles);
       }
     } catch (error) {
-      console.log('KST calculation skipped:', error.message);
+      log('KST calculation skipped:', error.message);
     }
 
     try {
@@ -304,7 +379,7 @@ class SignalCombiner {
         results.rvi = indicators.momentum.rvi.calculateRVI(candles, 10);
       }
     } catch (error) {
-      console.log('RVI calculation skipped:', error.message);
+      log('RVI calculation skipped:', error.message);
     }
 
     try {
@@ -312,7 +387,7 @@ class SignalCombiner {
         results.coppock_curve = indicators.momentum.coppockCurve.calculateCoppockCurve(candles);
       }
     } catch (error) {
-      console.log('Coppock Curve calculation skipped:', error.message);
+      log('Coppock Curve calculation skipped:', error.message);
     }
 
     try {
@@ -320,7 +395,7 @@ class SignalCombiner {
         results.schaff_trend = indicators.momentum.schaffTrend.calculateSchaffTrend(candles);
       }
     } catch (error) {
-      console.log('Schaff Trend calculation skipped:', error.message);
+      log('Schaff Trend calculation skipped:', error.message);
     }
 
     try {
@@ -328,7 +403,7 @@ class SignalCombiner {
         results.wavetrend = indicators.momentum.wavetrend.calculateWaveTrend(candles);
       }
     } catch (error) {
-      console.log('WaveTrend calculation skipped:', error.message);
+      log('WaveTrend calculation skipped:', error.message);
     }
 
     try {
@@ -336,7 +411,7 @@ class SignalCombiner {
         results.trix = indicators.momentum.trix.calculateTRIX(candles, 15);
       }
     } catch (error) {
-      console.log('TRIX calculation skipped:', error.message);
+      log('TRIX calculation skipped:', error.message);
     }
 
     try {
@@ -344,7 +419,7 @@ class SignalCombiner {
         results.tsi = indicators.momentum.tsi.calculateTSI(candles, 25, 13, 7);
       }
     } catch (error) {
-      console.log('TSI calculation skipped:', error.message);
+      log('TSI calculation skipped:', error.message);
     }
 
     // ============================================================
@@ -362,7 +437,7 @@ class SignalCombiner {
         results.ema_50 = indicators.trend.ema.calculateEMA(candles, 50);
       }
     } catch (error) {
-      console.log('EMA calculation skipped:', error.message);
+      log('EMA calculation skipped:', error.message);
     }
 
     try {
@@ -370,7 +445,7 @@ class SignalCombiner {
         results.ema_crossover = indicators.trend.ema.detectEMACrossover(candles, 12, 26);
       }
     } catch (error) {
-      console.log('EMA crossover skipped:', error.message);
+      log('EMA crossover skipped:', error.message);
     }
 
     try {
@@ -381,7 +456,7 @@ class SignalCombiner {
         results.sma_50 = indicators.trend.sma.calculateSMA(candles, 50);
       }
     } catch (error) {
-      console.log('SMA calculation skipped:', error.message);
+      log('SMA calculation skipped:', error.message);
     }
 
     try {
@@ -389,7 +464,7 @@ class SignalCombiner {
         results.macd = indicators.trend.macd.calculateMACD(candles, 12, 26, 9);
       }
     } catch (error) {
-      console.log('MACD calculation skipped:', error.message);
+      log('MACD calculation skipped:', error.message);
     }
 
     try {
@@ -397,7 +472,7 @@ class SignalCombiner {
         results.adx = indicators.trend.adx.calculateADX(candles, 14);
       }
     } catch (error) {
-      console.log('ADX calculation skipped:', error.message);
+      log('ADX calculation skipped:', error.message);
     }
 
     try {
@@ -405,7 +480,7 @@ class SignalCombiner {
         results.supertrend = indicators.trend.supertrend.calculateSupertrend(candles, 10, 3);
       }
     } catch (error) {
-      console.log('Supertrend calculation skipped:', error.message);
+      log('Supertrend calculation skipped:', error.message);
     }
 
     try {
@@ -413,7 +488,7 @@ class SignalCombiner {
         results.parabolic_sar = indicators.trend.parabolicSAR.calculateParabolicSAR(candles, 0.02, 0.2);
       }
     } catch (error) {
-      console.log('Parabolic SAR calculation skipped:', error.message);
+      log('Parabolic SAR calculation skipped:', error.message);
     }
 
     try {
@@ -421,7 +496,7 @@ class SignalCombiner {
         results.aroon = indicators.trend.aroon.calculateAroon(candles, 25);
       }
     } catch (error) {
-      console.log('Aroon calculation skipped:', error.message);
+      log('Aroon calculation skipped:', error.message);
     }
 
     // NEW TREND INDICATORS
@@ -430,7 +505,7 @@ class SignalCombiner {
         results.dema = indicators.trend.dema.calculateDEMA(candles, [9, 20, 50]);
       }
     } catch (error) {
-      console.log('DEMA calculation skipped:', error.message);
+      log('DEMA calculation skipped:', error.message);
     }
 
     try {
@@ -438,7 +513,7 @@ class SignalCombiner {
         results.tema = indicators.trend.tema.calculateTEMA(candles, [9, 20]);
       }
     } catch (error) {
-      console.log('TEMA calculation skipped:', error.message);
+      log('TEMA calculation skipped:', error.message);
     }
 
     try {
@@ -446,7 +521,7 @@ class SignalCombiner {
         results.hma = indicators.trend.hma.calculateHMA(candles, [9, 20, 50]);
       }
     } catch (error) {
-      console.log('HMA calculation skipped:', error.message);
+      log('HMA calculation skipped:', error.message);
     }
 
     try {
@@ -454,7 +529,7 @@ class SignalCombiner {
         results.mass_index = indicators.trend.massIndex.calculateMassIndex(candles, 9, 25);
       }
     } catch (error) {
-      console.log('Mass Index calculation skipped:', error.message);
+      log('Mass Index calculation skipped:', error.message);
     }
 
     // ============================================================
@@ -466,7 +541,7 @@ class SignalCombiner {
         results.bollinger = indicators.volatility.bollingerBands.calculateBollingerBands(candles, 20, 2);
       }
     } catch (error) {
-      console.log('Bollinger Bands calculation skipped:', error.message);
+      log('Bollinger Bands calculation skipped:', error.message);
     }
 
     try {
@@ -474,7 +549,7 @@ class SignalCombiner {
         results.atr = indicators.volatility.atr.calculateATR(candles, 14);
       }
     } catch (error) {
-      console.log('ATR calculation skipped:', error.message);
+      log('ATR calculation skipped:', error.message);
     }
 
     try {
@@ -482,7 +557,7 @@ class SignalCombiner {
         results.keltner_channel = indicators.volatility.keltnerChannel.calculateKeltnerChannel(candles, 20, 2);
       }
     } catch (error) {
-      console.log('Keltner Channel calculation skipped:', error.message);
+      log('Keltner Channel calculation skipped:', error.message);
     }
 
     try {
@@ -490,7 +565,7 @@ class SignalCombiner {
         results.donchian_channel = indicators.volatility.donchianChannel.calculateDonchianChannel(candles, 20);
       }
     } catch (error) {
-      console.log('Donchian Channel calculation skipped:', error.message);
+      log('Donchian Channel calculation skipped:', error.message);
     }
 
     // NEW VOLATILITY INDICATORS
@@ -499,7 +574,7 @@ class SignalCombiner {
         results.ulcer_index = indicators.volatility.ulcerIndex.calculateUlcerIndex(candles, 14);
       }
     } catch (error) {
-      console.log('Ulcer Index calculation skipped:', error.message);
+      log('Ulcer Index calculation skipped:', error.message);
     }
 
     try {
@@ -507,7 +582,7 @@ class SignalCombiner {
         results.natr = indicators.volatility.natr.calculateNATR(candles, 14);
       }
     } catch (error) {
-      console.log('NATR calculation skipped:', error.message);
+      log('NATR calculation skipped:', error.message);
     }
 
     try {
@@ -515,7 +590,7 @@ class SignalCombiner {
         results.bollinger_bandwidth = indicators.volatility.bollingerBandwidth.calculateBollingerBandwidth(candles, 20, 2);
       }
     } catch (error) {
-      console.log('Bollinger Bandwidth calculation skipped:', error.message);
+      log('Bollinger Bandwidth calculation skipped:', error.message);
     }
 
     try {
@@ -523,7 +598,7 @@ class SignalCombiner {
         results.bollinger_percent_b = indicators.volatility.bollingerPercentB.calculateBollingerPercentB(candles, 20, 2);
       }
     } catch (error) {
-      console.log('Bollinger %B calculation skipped:', error.message);
+      log('Bollinger %B calculation skipped:', error.message);
     }
 
     // ============================================================
@@ -535,7 +610,7 @@ class SignalCombiner {
         results.obv = indicators.volume.obv.calculateOBV(candles);
       }
     } catch (error) {
-      console.log('OBV calculation skipped:', error.message);
+      log('OBV calculation skipped:', error.message);
     }
 
     try {
@@ -543,7 +618,7 @@ class SignalCombiner {
         results.mfi = indicators.volume.mfi.calculateMFI(candles, 14);
       }
     } catch (error) {
-      console.log('MFI calculation skipped:', error.message);
+      log('MFI calculation skipped:', error.message);
     }
 
     try {
@@ -551,7 +626,7 @@ class SignalCombiner {
         results.vwap = indicators.volume.vwap.calculateVWAP(candles);
       }
     } catch (error) {
-      console.log('VWAP calculation skipped:', error.message);
+      log('VWAP calculation skipped:', error.message);
     }
 
     try {
@@ -559,7 +634,7 @@ class SignalCombiner {
         results.accumulation_distribution = indicators.volume.accumulationDistribution.calculateAccumulationDistribution(candles);
       }
     } catch (error) {
-      console.log('Accumulation/Distribution calculation skipped:', error.message);
+      log('Accumulation/Distribution calculation skipped:', error.message);
     }
 
     try {
@@ -567,7 +642,7 @@ class SignalCombiner {
         results.chaikin_money_flow = indicators.volume.chaikinMoneyFlow.calculateChaikinMoneyFlow(candles, 20);
       }
     } catch (error) {
-      console.log('Chaikin Money Flow calculation skipped:', error.message);
+      log('Chaikin Money Flow calculation skipped:', error.message);
     }
 
     // NEW VOLUME INDICATORS
@@ -576,7 +651,7 @@ class SignalCombiner {
         results.klinger = indicators.volume.klingerOscillator.calculateKlingerOscillator(candles);
       }
     } catch (error) {
-      console.log('Klinger Oscillator calculation skipped:', error.message);
+      log('Klinger Oscillator calculation skipped:', error.message);
     }
 
     try {
@@ -584,7 +659,7 @@ class SignalCombiner {
         results.pvt = indicators.volume.pvt.calculatePVT(candles);
       }
     } catch (error) {
-      console.log('PVT calculation skipped:', error.message);
+      log('PVT calculation skipped:', error.message);
     }
 
     try {
@@ -592,7 +667,7 @@ class SignalCombiner {
         results.nvi = indicators.volume.nvi.calculateNVI(candles);
       }
     } catch (error) {
-      console.log('NVI calculation skipped:', error.message);
+      log('NVI calculation skipped:', error.message);
     }
 
     try {
@@ -600,7 +675,7 @@ class SignalCombiner {
         results.pvi = indicators.volume.pvi.calculatePVI(candles);
       }
     } catch (error) {
-      console.log('PVI calculation skipped:', error.message);
+      log('PVI calculation skipped:', error.message);
     }
 
     // ============================================================
@@ -612,7 +687,7 @@ class SignalCombiner {
         results.pivots = indicators.supportResistance.pivotPoints.calculatePivotPoints(candles);
       }
     } catch (error) {
-      console.log('Pivot Points calculation skipped:', error.message);
+      log('Pivot Points calculation skipped:', error.message);
     }
 
     try {
@@ -620,7 +695,7 @@ class SignalCombiner {
         results.enhanced_sr = indicators.supportResistance.enhancedSRZones.calculateEnhancedSR(candles, 50);
       }
     } catch (error) {
-      console.log('Enhanced S/R Zones calculation skipped:', error.message);
+      log('Enhanced S/R Zones calculation skipped:', error.message);
     }
 
     try {
@@ -628,7 +703,7 @@ class SignalCombiner {
         results.demand_supply = indicators.supportResistance.demandSupplyZones.calculateDemandSupply(candles);
       }
     } catch (error) {
-      console.log('Demand/Supply Zones calculation skipped:', error.message);
+      log('Demand/Supply Zones calculation skipped:', error.message);
     }
 
     try {
@@ -636,7 +711,7 @@ class SignalCombiner {
         results.fair_value_gap = indicators.supportResistance.fairValueGap.calculateFVG(candles);
       }
     } catch (error) {
-      console.log('Fair Value Gap calculation skipped:', error.message);
+      log('Fair Value Gap calculation skipped:', error.message);
     }
 
     try {
@@ -644,7 +719,7 @@ class SignalCombiner {
         results.change_of_character = indicators.supportResistance.changeOfCharacter.calculateChOC(candles);
       }
     } catch (error) {
-      console.log('Change of Character calculation skipped:', error.message);
+      log('Change of Character calculation skipped:', error.message);
     }
 
     try {
@@ -652,7 +727,7 @@ class SignalCombiner {
         results.break_of_structure = indicators.supportResistance.breakOfStructure.calculateBOS(candles);
       }
     } catch (error) {
-      console.log('Break of Structure calculation skipped:', error.message);
+      log('Break of Structure calculation skipped:', error.message);
     }
 
     // ============================================================
@@ -664,7 +739,7 @@ class SignalCombiner {
         results.qstick = indicators.composite.qstick.calculateQStick(candles, 14);
       }
     } catch (error) {
-      console.log('QStick calculation skipped:', error.message);
+      log('QStick calculation skipped:', error.message);
     }
 
     // Note: Options indicators (PCR, OI Analysis) require separate options chain data
@@ -782,10 +857,152 @@ class SignalCombiner {
     return totalScore;
   }
 
+  /**
+   * Pick the category weights for a regime
+   * Custom base weights go through the same regime/volatility adjustments as the defaults
+   */
+  resolveWeights(marketRegime, weights = null) {
+    if (marketRegime.regime === 'UNKNOWN') {
+      return weights || this.baselineWeights;
+    }
+
+    return weights
+      ? marketRegimeDetector.getWeightAdjustments(marketRegime.regime, marketRegime.volatility, weights)
+      : marketRegime.weightAdjustments;
+  }
+
+  /**
+   * Build a scoring snapshot for one bar
+   * Holds everything determineAction needs except weights/thresholds, plus BUY and SELL levels,
+   * so the walk-forward optimiser can re-score the same bar with many parameter sets cheaply
+   * @param {Array} candles - Lookback window ending at the bar
+   * @param {Object} options - { symbol, timeframe } (default to the candles' own), quiet (no indicator logs)
+   * @returns {Object} Snapshot for evaluateSnapshot()
+   */
+  async buildSnapshot(candles, options = {}) {
+    const lastCandle = candles[candles.length - 1];
+    const currentPrice = lastCandle.ohlc.close;
+    const {
+      symbol = lastCandle.symbol,
+      timeframe = lastCandle.timeframe || '5m',
+      quiet = false
+    } = options;
+
+    const marketRegime = marketRegimeDetector.detectMarketRegime(candles);
+    const indicatorResults = await this.calculateAllIndicators(candles, { quiet });
+    const categoryScores = this.calculateCategoryScores(indicatorResults, marketRegime);
+
+    let optionsSignal = null;
+    try {
+      optionsSignal = calculateSyntheticOI(candles, indicatorResults);
+      if (optionsSignal) {
+        indicatorResults.options_pcr = optionsSignal;
+      }
+    } catch (error) {
+      optionsSignal = null;
+    }
+
+    // Per-timeframe directions only - alignment depends on the re-scored total
+    const timeframes = await timeframeConfluence.analyze(candles, { symbol, timeframe });
+
+    const [buyLevels, sellLevels] = await Promise.all([
+      levelCalculator.calculateTradingLevels(candles, 'BUY', currentPrice, indicatorResults),
+      levelCalculator.calculateTradingLevels(candles, 'SELL', currentPrice, indicatorResults)
+    ]);
+
+    const pickLevels = (levels) => ({
+      stopLoss: levels.stopLoss,
+      target1: levels.target1,
+      target2: levels.target2,
+      target3: levels.target3,
+      riskRewardRatio: levels.riskRewardRatio
+    });
+
+    return {
+      timestamp: lastCandle.timestamp,
+      price: currentPrice,
+      marketRegime: {
+        regime: marketRegime.regime,
+        volatility: marketRegime.volatility,
+        weightAdjustments: marketRegime.weightAdjustments
+      },
+      categoryScores,
+      // Confidence inputs measured before options were attached, as in generateSignal
+      activeIndicators: Object.keys(indicatorResults).length - (optionsSignal ? 1 : 0),
+      avgPower: this.calculateAveragePower(
+        Object.fromEntries(Object.entries(indicatorResults).filter(([key]) => key !== 'options_pcr'))
+      ),
+      optionsSignal: optionsSignal && optionsSignal.available
+        ? { available: true, signal: { action: optionsSignal.signal.action, score: optionsSignal.signal.score } }
+        : null,
+      timeframes: timeframes.map(({ timeframe: key, weight, available, direction }) => ({ timeframe: key, weight, available, direction })),
+      levels: {
+        BUY: pickLevels(buyLevels),
+        SELL: pickLevels(sellLevels)
+      }
+    };
+  }
+
+  /**
+   * Re-score a snapshot with a parameter set
+   * @param {Object} snapshot - From buildSnapshot()
+   * @param {Object} params - { weights, thresholds } (both optional)
+   * @returns {Object} { action, confidence, totalScore, levels }
+   */
+  evaluateSnapshot(snapshot, params = {}) {
+    const { categoryScores, marketRegime } = snapshot;
+    const effectiveWeights = this.resolveWeights(marketRegime, params.weights);
+    const totalScore = this.calculateTotalScore(categoryScores, effectiveWeights);
+    const confidence = this.applyConfluence(
+      this.adjustConfidence(
+        totalScore,
+        categoryScores,
+        marketRegime,
+        snapshot.activeIndicators,
+        snapshot.avgPower
+      ),
+      timeframeConfluence.summarize(snapshot.timeframes || [], totalScore)
+    );
+
+    const bullishPercentage = ((totalScore + 100) / 200) * 100;
+    const percentageDifference = Math.abs(bullishPercentage - (100 - bullishPercentage));
+
+    const action = this.determineAction(
+      totalScore,
+      confidence,
+      percentageDifference,
+      categoryScores,
+      marketRegime,
+      snapshot.optionsSignal,
+      { ...this.actionThresholds, ...params.thresholds }
+    );
+
+    return {
+      action,
+      confidence,
+      totalScore,
+      levels: action === 'HOLD' ? null : snapshot.levels[action.includes('BUY') ? 'BUY' : 'SELL']
+    };
+  }
+
   /**
    * Normalize total score to confidence (ENHANCED with regime bonuses)
    */
   normalizeToConfidence(totalScore, categoryScores, marketRegime, indicatorResults) {
+    return this.adjustConfidence(
+      totalScore,
+      categoryScores,
+      marketRegime,
+      Object.keys(indicatorResults).length,
+      this.calculateAveragePower(indicatorResults)
+    );
+  }
+
+  /**
+   * Confidence from the total score plus bonuses/penalties
+   * Split out so a stored snapshot can be re-scored without the indicator results
+   */
+  adjustConfidence(totalScore, categoryScores, marketRegime, activeIndicators, avgPower) {
     // Base confidence from total score (-100 to +100 → 0 to 100)
     let confidence = ((totalScore + 100) / 200) * 100;
 
@@ -800,7 +1017,6 @@ class SignalCombiner {
     }
 
     // Penalty if too few indicators
-    const activeIndicators = Object.keys(indicatorResults).length;
     if (activeIndicators < 10) {
       confidence *= 0.7; // 30% penalty for insufficient indicators
     } else if (activeIndicators < 20) {
@@ -808,12 +1024,18 @@ class SignalCombiner {
     }
 
     // Power adjustment: Boost if high-power indicators dominate
-    const avgPower = this.calculateAveragePower(indicatorResults);
     confidence *= (0.8 + avgPower * 0.4); // 0.8x to 1.2x multiplier
 
     return Math.max(0, Math.min(100, confidence));
   }
 
+  /**
+   * Add the higher-timeframe adjustment to a confidence (0-100)
+   */
+  applyConfluence(confidence, confluence) {
+    return Math.max(0, Math.min(100, confidence + confluence.adjustment));
+  }
+
   /**
    * Calculate adaptive agreement bonus (ENHANCED - NEW METHOD)
    */
@@ -897,7 +1119,7 @@ class SignalCombiner {
   /**
    * Determine signal action
    */
-  determineAction(totalScore, confidence, percentageDifference, categoryScores, marketRegime, optionsSignal = null) {
+  determineAction(totalScore, confidence, percentageDifference, categoryScores, marketRegime, optionsSignal = null, thresholds = this.actionThresholds) {
     // BALANCED INTRADAY MODE - Quality Over Quantity
     // Optimized for 2-5 HIGH-QUALITY signals per day
     //
@@ -907,21 +1129,23 @@ class SignalCombiner {
     // Thresholds Evolution:
     // - Too Aggressive: conf 45%, diff 3%, score 4 → 50 signals in 30 min (WAY TOO MUCH!)
     // - BALANCED: conf 55%, diff 10%, score 18 → 2-5 signals/day, 55-60% win rate
+    //
+    // Values come from ACTION_THRESHOLDS (config/constants.js)
 
     // Rule 1: Require reasonable confidence
-    if (confidence < 55) {
+    if (confidence < thresholds.MIN_CONFIDENCE) {
       return 'HOLD'; // Require at least 55% confidence for quality
     }
 
     // Rule 2: Require clear directional bias
-    if (percentageDifference < 10) {
+    if (percentageDifference < thresholds.MIN_PERCENT_DIFFERENCE) {
       return 'HOLD'; // Require 10% directional agreement for strength
     }
 
     // Rule 3: Require strong total score
     // Base threshold: 18 (moderate strength required)
     // If Options data conflicts: require 25
-    let requiredThreshold = 18;
+    let requiredThreshold = thresholds.SCORE;
 
     // Check if Options data conflicts with signal direction
     if (optionsSignal && optionsSignal.available) {
@@ -933,23 +1157,23 @@ class SignalCombiner {
 
       // Check for conflict
       if (signalDirection === 'BUY' && optionsAction === 'SELL' && optionsScore < -30) {
-        requiredThreshold = 25; // Higher threshold if options conflict
+        requiredThreshold = thresholds.SCORE_OPTIONS_CONFLICT; // Higher threshold if options conflict
       } else if (signalDirection === 'SELL' && optionsAction === 'BUY' && optionsScore > 30) {
-        requiredThreshold = 25; // Higher threshold if options conflict
+        requiredThreshold = thresholds.SCORE_OPTIONS_CONFLICT; // Higher threshold if options conflict
       } else if (optionsAction === signalDirection) {
         // Options confirms! Lower threshold slightly
-        requiredThreshold = 15; // Slight boost if options confirm
+        requiredThreshold = thresholds.SCORE_OPTIONS_CONFIRM; // Slight boost if options confirm
       }
     }
 
     // Apply threshold and determine action
     if (totalScore >= requiredThreshold) {
-      if (totalScore >= 45) {
+      if (totalScore >= thresholds.STRONG_SCORE) {
         return 'STRONG_BUY';
       }
       return 'BUY';
     } else if (totalScore <= -requiredThreshold) {
-      if (totalScore <= -45) {
+      if (totalScore <= -thresholds.STRONG_SCORE) {
         return 'STRONG_SELL';
       }
       return 'SELL';
@@ -1081,7 +1305,7 @@ class SignalCombiner {
   /**
    * Generate reasoning for the signal (ENHANCED with regime info)
    */
-  generateReasoning(indicatorResults, categoryScores, action, confidence, levels, marketRegime) {
+  generateReasoning(indicatorResults, categoryScores, action, confidence, levels, marketRegime, multiTimeframe = null) {
     const reasoning = [];
 
     // Safety check - ensure confidence is a valid number
@@ -1140,6 +1364,25 @@ class SignalCombiner {
     }
     reasoning.push('');
 
+    // Higher-timeframe confluence
+    if (multiTimeframe && multiTimeframe.timeframes.length > 0) {
+      reasoning.push('🕐 Multi-Timeframe Confluence:');
+      multiTimeframe.timeframes.forEach(t => {
+        if (!t.available) {
+          reasoning.push(`• ${t.timeframe}: not enough data (${t.bars} bars)`);
+          return;
+        }
+        const agreement = multiTimeframe.bias === 'NEUTRAL' || t.direction === 'NEUTRAL'
+          ? '➖'
+          : t.direction === multiTimeframe.bias ? '✅ aligned' : '⚠️ opposing';
+        reasoning.push(`• ${t.timeframe}: ${t.direction} (trend ${t.trend.toFixed(0)}, momentum ${t.momentum.toFixed(0)}) ${agreement}`);
+      });
+      if (multiTimeframe.adjustment !== 0) {
+        reasoning.push(`Confidence ${multiTimeframe.adjustment > 0 ? '+' : ''}${multiTimeframe.adjustment} from higher-timeframe ${multiTimeframe.adjustment > 0 ? 'agreement' : 'disagreement'}`);
+      }
+      reasoning.push('');
+    }
+
     // Key indicator values (ALWAYS show specific numbers)
     reasoning.push('🔍 Key Indicators:');
 
@@ -1,15 +1,36 @@
 /**
  * Signal Performance Tracker
- * Monitors active signals and updates their status when targets/SL are hit
+ * Monitors active signals and manages their exits (partial targets, breakeven/trailing stops,
+ * time and market-close exits) through trade-manager.js
+ *
+ * Every candle since entry is scanned with its high/low, so a level touched between two
+ * checks is not missed. INTRABAR_RULE decides bars that touch both the stop and a target.
  */
 
+const mongoose = require('mongoose');
 const TradingSignal = require('../models/TradingSignal');
 const SignalHistory = require('../models/SignalHistory');
-const dataFetcher = require('./simple-data-fetcher');
+const ChartData = require('../models/ChartData');
+const TickData = require('../models/TickData');
+const candleStore = require('./candle-store');
+const candleResampler = require('./candle-resampler');
+const costModel = require('./cost-model');
+const tradeManager = require('./trade-manager');
+const tradingCalendar = require('./trading-calendar');
+const symbolRegistry = require('./symbol-registry');
+const { INTRABAR_RULES, DEFAULT_INTRABAR_RULE } = require('../config/constants');
+
+const DEFAULT_TIMEFRAME = '5m';
 
 class SignalTracker {
   constructor() {
     this.isTracking = false;
+    this.intrabarRule = process.env.INTRABAR_RULE || DEFAULT_INTRABAR_RULE;
+
+    if (!INTRABAR_RULES.includes(this.intrabarRule)) {
+      console.warn(`⚠️  Unknown INTRABAR_RULE "${this.intrabarRule}", using ${DEFAULT_INTRABAR_RULE}`);
+      this.intrabarRule = DEFAULT_INTRABAR_RULE;
+    }
   }
 
   /**
@@ -78,99 +99,18 @@ class SignalTracker {
   async checkHistorySignalStatus(signal) {
     try {
       // Get latest price from API
-      const candles = await dataFetcher.fetch(signal.symbol);
+      const timeframe = this.getTimeframe(signal);
+      const candles = await candleStore.getCandles(signal.symbol, timeframe);
       if (!candles || candles.length === 0) return;
 
-      const latestCandle = candles[candles.length - 1];
-      const currentPrice = latestCandle.ohlc.close;
-      const isBuy = signal.signal.action.includes('BUY');
-      const entryPrice = signal.levels?.entry || signal.price;
-
-      let hitLevel = null;
-      let outcome = null;
-      let profitLoss = 0;
-      let profitLossPercent = 0;
-
-      // Check if stop loss was hit
-      if (signal.levels?.stopLoss) {
-        if (isBuy && currentPrice <= signal.levels.stopLoss) {
-          hitLevel = 'STOP_LOSS';
-          outcome = 'LOSS';
-          profitLoss = signal.levels.stopLoss - entryPrice;
-          profitLossPercent = (profitLoss / entryPrice) * 100;
-        } else if (!isBuy && currentPrice >= signal.levels.stopLoss) {
-          hitLevel = 'STOP_LOSS';
-          outcome = 'LOSS';
-          profitLoss = entryPrice - signal.levels.stopLoss;
-          profitLossPercent = (profitLoss / entryPrice) * 100;
-        }
-      }
+      const position = tradeManager.getPosition(signal);
+      const { legs, changed, scanned } = await this.scanCandles(signal, position, candles, timeframe);
 
-      // Check if targets were hit
-      if (!hitLevel && signal.levels) {
-        if (isBuy) {
-          if (signal.levels.target3 && currentPrice >= signal.levels.target3) {
-            hitLevel = 'TARGET_3';
-            outcome = 'WIN';
-            profitLoss = signal.levels.target3 - entryPrice;
-            profitLossPercent = (profitLoss / entryPrice) * 100;
-          } else if (signal.levels.target2 && currentPrice >= signal.levels.target2) {
-            hitLevel = 'TARGET_2';
-            outcome = 'WIN';
-            profitLoss = signal.levels.target2 - entryPrice;
-            profitLossPercent = (profitLoss / entryPrice) * 100;
-          } else if (signal.levels.target1 && currentPrice >= signal.levels.target1) {
-            hitLevel = 'TARGET_1';
-            outcome = 'WIN';
-            profitLoss = signal.levels.target1 - entryPrice;
-            profitLossPercent = (profitLoss / entryPrice) * 100;
-          }
-        } else { // SELL
-          if (signal.levels.target3 && currentPrice <= signal.levels.target3) {
-            hitLevel = 'TARGET_3';
-            outcome = 'WIN';
-            profitLoss = entryPrice - signal.levels.target3;
-            profitLossPercent = (profitLoss / entryPrice) * 100;
-          } else if (signal.levels.target2 && currentPrice <= signal.levels.target2) {
-            hitLevel = 'TARGET_2';
-            outcome = 'WIN';
-            profitLoss = entryPrice - signal.levels.target2;
-            profitLossPercent = (profitLoss / entryPrice) * 100;
-          } else if (signal.levels.target1 && currentPrice <= signal.levels.target1) {
-            hitLevel = 'TARGET_1';
-            outcome = 'WIN';
-            profitLoss = entryPrice - signal.levels.target1;
-            profitLossPercent = (profitLoss / entryPrice) * 100;
-          }
-        }
-      }
+      if (!changed && !scanned) return;
 
-      // Update signal if target/SL was hit
-      if (hitLevel) {
-        let targetHitEnum = 'NONE';
-        if (hitLevel === 'STOP_LOSS') targetHitEnum = 'STOPLOSS';
-        else if (hitLevel === 'TARGET_1') targetHitEnum = 'TARGET1';
-        else if (hitLevel === 'TARGET_2') targetHitEnum = 'TARGET2';
-        else if (hitLevel === 'TARGET_3') targetHitEnum = 'TARGET3';
-
-        signal.performance = {
-          outcome,
-          entryFilled: true,
-          exitPrice: currentPrice,
-          exitTime: latestCandle.timestamp,
-          targetHit: targetHitEnum,
-          profitLoss,
-          profitLossPercent,
-          remarks: `Hit ${hitLevel.replace('_', ' ')} at ${this.formatPrice(currentPrice, signal.symbol)}`
-        };
-
-        await signal.save();
-
-        const emoji = outcome === 'WIN' ? '✅' : '❌';
-        console.log(`${emoji} ${signal.symbol} ${signal.signal.action} signal ${hitLevel}`);
-        console.log(`   Entry: ${this.formatPrice(entryPrice, signal.symbol)} → Exit: ${this.formatPrice(currentPrice, signal.symbol)}`);
-        console.log(`   P/L: ${profitLoss > 0 ? '+' : ''}${this.formatPrice(Math.abs(profitLoss), signal.symbol)} (${profitLossPercent > 0 ? '+' : ''}${profitLossPercent.toFixed(2)}%)`);
-      }
+      this.storePosition(signal, position);
+      await signal.save();
+      if (changed) this.logLegs(signal, legs, position);
 
     } catch (error) {
       console.error(`Error checking history signal ${signal._id}:`, error.message);
@@ -183,200 +123,259 @@ class SignalTracker {
   async checkSignalStatus(signal) {
     try {
       // Get latest price from API (same as signal generator uses)
-      const candles = await dataFetcher.fetch(signal.symbol);
+      const timeframe = this.getTimeframe(signal);
+      const candles = await candleStore.getCandles(signal.symbol, timeframe);
       if (!candles || candles.length === 0) return;
 
       const latestCandle = candles[candles.length - 1];
       const currentPrice = latestCandle.ohlc.close;
-      const isBuy = signal.signal.action.includes('BUY');
-
-      let hitLevel = null;
-      let outcome = null;
-      let profitLoss = 0;
-      let profitLossPercent = 0;
-
-      // Check if stop loss was hit
-      if (isBuy && currentPrice <= signal.levels.stopLoss) {
-        hitLevel = 'STOP_LOSS';
-        outcome = 'LOSS';
-        profitLoss = signal.levels.stopLoss - signal.levels.entry;
-        profitLossPercent = (profitLoss / signal.levels.entry) * 100;
-
-      } else if (!isBuy && currentPrice >= signal.levels.stopLoss) {
-        hitLevel = 'STOP_LOSS';
-        outcome = 'LOSS';
-        profitLoss = signal.levels.entry - signal.levels.stopLoss;
-        profitLossPercent = (profitLoss / signal.levels.entry) * 100;
-      }
+      const position = tradeManager.getPosition(signal);
+      const { legs, changed, scanned } = await this.scanCandles(signal, position, candles, timeframe);
 
-      // Check if targets were hit
-      else if (isBuy) {
-        if (currentPrice >= signal.levels.target3) {
-          hitLevel = 'TARGET_3';
-          outcome = 'WIN';
-          profitLoss = signal.levels.target3 - signal.levels.entry;
-          profitLossPercent = (profitLoss / signal.levels.entry) * 100;
-
-        } else if (currentPrice >= signal.levels.target2) {
-          hitLevel = 'TARGET_2';
-          outcome = 'WIN';
-          profitLoss = signal.levels.target2 - signal.levels.entry;
-          profitLossPercent = (profitLoss / signal.levels.entry) * 100;
-
-        } else if (currentPrice >= signal.levels.target1) {
-          hitLevel = 'TARGET_1';
-          outcome = 'WIN';
-          profitLoss = signal.levels.target1 - signal.levels.entry;
-          profitLossPercent = (profitLoss / signal.levels.entry) * 100;
-        }
+      if (position.openFraction > 0 && this.isMarketClosed(signal.symbol)) {
+        // Whatever is still open is closed at the market close price
+        legs.push(...tradeManager.closeRemaining(signal, position, currentPrice, latestCandle.timestamp, 'MARKET_CLOSE'));
 
-      } else { // SELL
-        if (currentPrice <= signal.levels.target3) {
-          hitLevel = 'TARGET_3';
-          outcome = 'WIN';
-          profitLoss = signal.levels.entry - signal.levels.target3;
-          profitLossPercent = (profitLoss / signal.levels.entry) * 100;
-
-        } else if (currentPrice <= signal.levels.target2) {
-          hitLevel = 'TARGET_2';
-          outcome = 'WIN';
-          profitLoss = signal.levels.entry - signal.levels.target2;
-          profitLossPercent = (profitLoss / signal.levels.entry) * 100;
-
-        } else if (currentPrice <= signal.levels.target1) {
-          hitLevel = 'TARGET_1';
-          outcome = 'WIN';
-          profitLoss = signal.levels.entry - signal.levels.target1;
-          profitLossPercent = (profitLoss / signal.levels.entry) * 100;
-        }
-      }
+      } else if (position.legs.length === 0) {
+        // Check if signal expired (4 hours old with no hit and market still open)
+        const signalAge = Date.now() - signal.timestamp.getTime();
+        const FOUR_HOURS = 4 * 60 * 60 * 1000;
 
-      // Update signal if target/SL was hit
-      if (hitLevel) {
-        signal.status = hitLevel === 'STOP_LOSS' ? 'HIT_SL' : 'HIT_TARGET';
-
-        // Map hit level to target hit enum
-        let targetHitEnum = 'NONE';
-        if (hitLevel === 'STOP_LOSS') targetHitEnum = 'STOPLOSS';
-        else if (hitLevel === 'TARGET_1') targetHitEnum = 'TARGET1';
-        else if (hitLevel === 'TARGET_2') targetHitEnum = 'TARGET2';
-        else if (hitLevel === 'TARGET_3') targetHitEnum = 'TARGET3';
-
-        signal.performance = {
-          outcome,
-          entryFilled: true,
-          exitPrice: currentPrice,
-          exitTime: latestCandle.timestamp,
-          targetHit: targetHitEnum,
-          profitLoss,
-          profitLossPercent,
-          remarks: `Hit ${hitLevel.replace('_', ' ')} at ${this.formatPrice(currentPrice, signal.symbol)}`
-        };
-
-        await signal.save();
-
-        // Also update SignalHistory if it exists
-        await SignalHistory.findOneAndUpdate(
-          { symbol: signal.symbol, marketTime: signal.timestamp },
-          { $set: { performance: signal.performance } }
-        );
-
-        const emoji = outcome === 'WIN' ? '✅' : '❌';
-        console.log(`${emoji} ${signal.symbol} ${signal.signal.action} signal ${hitLevel}`);
-        console.log(`   Entry: ${this.formatPrice(signal.levels.entry, signal.symbol)} → Exit: ${this.formatPrice(currentPrice, signal.symbol)}`);
-        console.log(`   P/L: ${profitLoss > 0 ? '+' : ''}${this.formatPrice(Math.abs(profitLoss), signal.symbol)} (${profitLossPercent > 0 ? '+' : ''}${profitLossPercent.toFixed(2)}%)`);
-
-      } else {
-        // Check if market closed without hitting target/SL
-        const marketClosed = this.isMarketClosed();
-
-        if (marketClosed) {
-          // Compare current price vs entry to determine P/L
-          const priceDiff = isBuy ? (currentPrice - signal.levels.entry) : (signal.levels.entry - currentPrice);
-          const wasProfit = priceDiff > 0;
-
-          signal.status = wasProfit ? 'CLOSED_PROFIT' : 'CLOSED_LOSS';
+        if (signalAge > FOUR_HOURS) {
+          signal.status = 'EXPIRED';
           signal.performance = {
-            outcome: wasProfit ? 'WIN' : 'LOSS',
-            entryFilled: true,
-            exitPrice: currentPrice,
-            exitTime: latestCandle.timestamp,
-            targetHit: 'MARKET_CLOSE',
-            profitLoss: priceDiff,
-            profitLossPercent: (priceDiff / signal.levels.entry) * 100,
-            remarks: wasProfit
-              ? '✓ Market closed in profit (Target not hit)'
-              : '✗ Market closed in loss (Stop loss not hit)'
+            outcome: 'PENDING',
+            entryFilled: false,
+            targetHit: 'NONE',
+            remarks: 'Signal expired after 4 hours without hitting any level'
           };
-
           await signal.save();
-
-          // Also update SignalHistory
-          await SignalHistory.findOneAndUpdate(
-            { symbol: signal.symbol, marketTime: signal.timestamp },
-            { $set: { performance: signal.performance } }
-          );
-
-          const emoji = wasProfit ? '✅' : '❌';
-          console.log(`${emoji} ${signal.symbol} signal closed at market close`);
-          console.log(`   Entry: ${this.formatPrice(signal.levels.entry, signal.symbol)} → Close: ${this.formatPrice(currentPrice, signal.symbol)}`);
-          console.log(`   P/L: ${priceDiff > 0 ? '+' : ''}${this.formatPrice(Math.abs(priceDiff), signal.symbol)} (${(priceDiff / signal.levels.entry * 100).toFixed(2)}%)`);
-          console.log(`   ${signal.performance.remarks}`);
-
-        } else {
-          // Check if signal expired (4 hours old with no hit and market still open)
-          const signalAge = Date.now() - signal.timestamp.getTime();
-          const FOUR_HOURS = 4 * 60 * 60 * 1000;
-
-          if (signalAge > FOUR_HOURS) {
-            signal.status = 'EXPIRED';
-            signal.performance = {
-              outcome: 'PENDING',
-              entryFilled: false,
-              targetHit: 'NONE',
-              remarks: 'Signal expired after 4 hours without hitting any level'
-            };
-            await signal.save();
-            console.log(`⏰ ${signal.symbol} signal expired after 4 hours`);
-          }
+          console.log(`⏰ ${signal.symbol} signal expired after 4 hours`);
+          return;
         }
       }
 
+      if (!changed && !scanned && legs.length === 0) return;
+
+      this.storePosition(signal, position);
+      if (position.openFraction === 0) {
+        signal.status = this.getClosedStatus(signal.performance);
+      }
+
+      await signal.save();
+
+      // Also update SignalHistory if it exists
+      await SignalHistory.findOneAndUpdate(
+        { symbol: signal.symbol, marketTime: signal.timestamp },
+        { $set: { performance: signal.performance } }
+      );
+
+      if (changed || legs.length > 0) this.logLegs(signal, legs, position);
+
     } catch (error) {
       console.error(`Error checking signal ${signal._id}:`, error.message);
     }
   }
 
   /**
-   * Check if market is closed
-   * NSE: 9:15 AM - 3:30 PM IST (Mon-Fri)
+   * Timeframe a signal was generated on - its candles are the ones tracked
+   */
+  getTimeframe(signal) {
+    return signal.timeframe || signal.metadata?.timeframe || DEFAULT_TIMEFRAME;
+  }
+
+  /**
+   * Apply every completed candle since the last scan to a position (mutates it)
+   * The candle the signal fired in only counts from its close - its high/low may predate entry.
+   * A still-forming candle is left for a later check: its range so far can hold a dip from before
+   * a target touch, which would then hit the moved (breakeven/trailing) stop on the next pass.
+   * @param {String} timeframe - Bar size of the candles (gaps between them can be overnight)
+   * @param {Date} now - Candles that have not closed by now are skipped
+   * @returns {Object} { legs, changed: position moved, scanned: new completed candles were applied }
    */
-  isMarketClosed() {
-    const now = new Date();
-    const istTime = new Date(now.toLocaleString('en-US', { timeZone: 'Asia/Kolkata' }));
+  async scanCandles(signal, position, candles, timeframe = DEFAULT_TIMEFRAME, now = new Date()) {
+    const legs = [];
+    let changed = false;
+    let scanned = false;
+
+    const entryTime = position.openedAt ? new Date(position.openedAt).getTime() : 0;
+    const lastBarTime = position.lastBarTime ? new Date(position.lastBarTime).getTime() : null;
+    const barMs = candleResampler.toMinutes(timeframe) * 60 * 1000;
+
+    for (let i = 0; i < candles.length && position.openFraction > 0; i++) {
+      const candle = candles[i];
+      const time = new Date(candle.timestamp).getTime();
+      const isEntryBar = time <= entryTime && time + barMs > entryTime;
+
+      if (time + barMs <= entryTime) continue;
+      if (lastBarTime !== null && time <= lastBarTime) continue;
+      if (time + barMs > new Date(now).getTime()) break;
+
+      const bar = isEntryBar ? this.priceBar(candle) : this.candleBar(candle);
+      const result = await this.applyBar(signal, position, bar, candles.slice(0, i + 1), barMs);
+
+      legs.push(...result.legs);
+      changed = changed || result.changed;
+      position.lastBarTime = candle.timestamp;
+      scanned = true;
+    }
 
-    const day = istTime.getDay(); // 0 = Sunday, 6 = Saturday
-    const hours = istTime.getHours();
-    const minutes = istTime.getMinutes();
-    const currentMinutes = hours * 60 + minutes;
+    return { legs, changed, scanned };
+  }
 
-    // Weekend
-    if (day === 0 || day === 6) return true;
+  /**
+   * Apply one candle, resolving bars that touch both the stop and a target with the intrabar rule
+   * (the backtest engine manages its trades through this too, with the run's rule)
+   */
+  async applyBar(signal, position, bar, history, barMs, intrabarRule = this.intrabarRule) {
+    if (intrabarRule === 'LOWER_TIMEFRAME' && tradeManager.isAmbiguous(signal, position, bar)) {
+      const subBars = await this.getLowerTimeframeBars(signal.symbol, bar.time, barMs);
+
+      if (subBars.length > 0) {
+        const legs = [];
+        let changed = false;
+
+        for (const subBar of subBars) {
+          if (position.openFraction === 0) break;
+          const result = tradeManager.update(signal, position, subBar, history, { intrabarRule: 'CONSERVATIVE' });
+          legs.push(...result.legs);
+          changed = changed || result.changed;
+        }
 
-    // Market hours: 9:15 AM (555 min) to 3:30 PM (930 min)
-    const marketOpen = 9 * 60 + 15;  // 555 minutes (9:15 AM)
-    const marketClose = 15 * 60 + 30; // 930 minutes (3:30 PM)
+        return { legs, changed };
+      }
+      // No finer data stored for this bar - fall back to the conservative assumption
+    }
 
-    // Market closed if before 9:15 AM or after 3:30 PM
-    return currentMinutes < marketOpen || currentMinutes > marketClose;
+    return tradeManager.update(signal, position, bar, history, {
+      intrabarRule: intrabarRule === 'OPTIMISTIC' ? 'OPTIMISTIC' : 'CONSERVATIVE'
+    });
+  }
+
+  /**
+   * Stored 1m candles (or raw ticks) inside one bar, oldest first - empty when none exist
+   */
+  async getLowerTimeframeBars(symbol, barTime, barMs) {
+    if (mongoose.connection.readyState !== 1) return [];
+
+    const start = new Date(barTime);
+    const end = new Date(start.getTime() + barMs);
+    const range = { $gte: start, $lt: end };
+
+    const minuteCandles = await ChartData.find({ symbol, timeframe: '1m', timestamp: range })
+      .sort({ timestamp: 1 })
+      .lean();
+
+    if (minuteCandles.length > 0) {
+      return minuteCandles.map(candle => this.candleBar(candle));
+    }
+
+    const ticks = await TickData.find({ symbol, timestamp: range })
+      .sort({ timestamp: 1 })
+      .lean();
+
+    return ticks.map(tick => ({ high: tick.price, low: tick.price, close: tick.price, time: tick.timestamp }));
+  }
+
+  /**
+   * Full candle range - used for every bar after the entry bar
+   */
+  candleBar(candle) {
+    return { high: candle.ohlc.high, low: candle.ohlc.low, close: candle.ohlc.close, time: candle.timestamp };
+  }
+
+  /**
+   * Close-only bar - the entry bar's high/low may have happened before the signal
+   */
+  priceBar(candle) {
+    const price = candle.ohlc.close;
+    return { high: price, low: price, close: price, time: candle.timestamp };
+  }
+
+  /**
+   * Write a position (legs + state) and its blended P/L onto the signal
+   */
+  storePosition(signal, position) {
+    const summary = tradeManager.summarize(signal, position);
+
+    signal.performance = {
+      ...summary,
+      entryFilled: true,
+      exitPolicy: position.exitPolicy,
+      legs: position.legs,
+      position: {
+        openFraction: position.openFraction,
+        stop: position.stop,
+        stopType: position.stopType,
+        targetsHit: position.targetsHit,
+        trailing: position.trailing,
+        openedAt: position.openedAt,
+        lastBarTime: position.lastBarTime
+      }
+    };
+
+    return signal.performance;
+  }
+
+  /**
+   * Close whatever is still open at a price and store the blended result
+   * @returns {Object} The signal's performance block
+   */
+  closePosition(signal, price, time, type = 'MARKET_CLOSE') {
+    const position = tradeManager.getPosition(signal);
+    tradeManager.closeRemaining(signal, position, price, time, type);
+    return this.storePosition(signal, position);
+  }
+
+  /**
+   * TradingSignal status for a fully closed position
+   */
+  getClosedStatus(performance) {
+    if (performance.targetHit && performance.targetHit.startsWith('TARGET')) return 'HIT_TARGET';
+    if (performance.exitReason === 'STOPLOSS') return 'HIT_SL';
+    return performance.profitLoss > 0 ? 'CLOSED_PROFIT' : 'CLOSED_LOSS';
+  }
+
+  /**
+   * Log new fills, and the blended result once the position is flat
+   */
+  logLegs(signal, legs, position) {
+    for (const leg of legs) {
+      const emoji = leg.profitLoss > 0 ? '✅' : leg.profitLoss < 0 ? '❌' : '➖';
+      console.log(`${emoji} ${signal.symbol} ${signal.signal.action} ${leg.type} ${Math.round(leg.fraction * 100)}% @ ${this.formatPrice(leg.price, signal.symbol)}`);
+    }
+
+    if (legs.length === 0 && position.openFraction > 0) {
+      console.log(`🔒 ${signal.symbol} ${signal.signal.action} stop moved to ${this.formatPrice(position.stop, signal.symbol)} (${position.stopType.toLowerCase()})`);
+    }
+
+    if (position.openFraction === 0 && legs.length > 0) {
+      const performance = signal.performance;
+      console.log(`   Entry: ${this.formatPrice(tradeManager.getEntryPrice(signal), signal.symbol)} → Avg exit: ${this.formatPrice(performance.exitPrice, signal.symbol)} (${performance.remarks})`);
+      this.logPnL(performance, signal.symbol);
+    }
+  }
+
+  /**
+   * Check if a symbol's market is closed (weekends, NSE holidays for NSE symbols and outside its sessionHours)
+   */
+  isMarketClosed(symbol) {
+    return !tradingCalendar.isSessionOpen(symbol);
   }
 
   /**
    * Format price with correct currency symbol
    */
   formatPrice(price, symbol) {
-    const currencySymbol = symbol === 'DOWJONES' ? '$' : '₹';
-    return `${currencySymbol}${price.toFixed(2)}`;
+    return `${symbolRegistry.getCurrencySign(symbol)}${price.toFixed(2)}`;
+  }
+
+  /**
+   * Log gross and net P/L side by side
+   */
+  logPnL(pnl, symbol) {
+    const sign = (value) => (value > 0 ? '+' : value < 0 ? '-' : '');
+    console.log(`   P/L: ${sign(pnl.profitLoss)}${this.formatPrice(Math.abs(pnl.profitLoss), symbol)} (${pnl.profitLossPercent > 0 ? '+' : ''}${pnl.profitLossPercent.toFixed(2)}%) gross | ${sign(pnl.netProfitLoss)}${this.formatPrice(Math.abs(pnl.netProfitLoss), symbol)} (${pnl.netProfitLossPercent > 0 ? '+' : ''}${pnl.netProfitLossPercent.toFixed(2)}%) net`);
   }
 
   /**
@@ -410,53 +409,28 @@ class SignalTracker {
       for (const signal of signals) {
         try {
           // Fetch latest price data
-          const candles = await dataFetcher.fetch(signal.symbol);
+          const candles = await candleStore.getCandles(signal.symbol);
           if (!candles || candles.length === 0) continue;
 
           const latestCandle = candles[candles.length - 1];
           const closePrice = latestCandle.ohlc.close;
           const entryPrice = signal.levels?.entry || signal.price;
 
-          if (!entryPrice) continue;
-
-          // Determine if BUY or SELL
-          const isBuy = signal.signal?.action?.includes('BUY');
+          if (!entryPrice || !signal.signal?.action) continue;
 
-          // Calculate P/L
-          let priceDiff, wasProfit;
-          if (isBuy) {
-            priceDiff = closePrice - entryPrice;
-            wasProfit = priceDiff > 0;
-          } else {
-            priceDiff = entryPrice - closePrice;
-            wasProfit = priceDiff > 0;
-          }
-
-          const profitLossPercent = (priceDiff / entryPrice) * 100;
-
-          // Update signal performance
-          signal.performance = {
-            outcome: wasProfit ? 'WIN' : 'LOSS',
-            entryFilled: true,
-            exitPrice: closePrice,
-            exitTime: latestCandle.timestamp,
-            targetHit: 'MARKET_CLOSE',
-            profitLoss: priceDiff,
-            profitLossPercent,
-            remarks: wasProfit
-              ? '✓ Market closed in profit (Target not hit)'
-              : '✗ Market closed in loss (Stop loss not hit)'
-          };
+          // Close what is still open; legs already booked keep their fills (gross and net of costs)
+          const pnl = this.closePosition(signal, closePrice, latestCandle.timestamp, 'MARKET_CLOSE');
+          const wasProfit = pnl.profitLoss > 0;
 
           await signal.save();
           processed++;
 
           if (wasProfit) {
             profits++;
-            console.log(`✅ ${signal.symbol} ${signal.signal.action}: +${this.formatPrice(Math.abs(priceDiff), signal.symbol)} (${profitLossPercent >= 0 ? '+' : ''}${profitLossPercent.toFixed(2)}%)`);
+            console.log(`✅ ${signal.symbol} ${signal.signal.action}: +${this.formatPrice(Math.abs(pnl.profitLoss), signal.symbol)} (${pnl.profitLossPercent >= 0 ? '+' : ''}${pnl.profitLossPercent.toFixed(2)}%), net ${pnl.netProfitLossPercent.toFixed(2)}%`);
           } else {
             losses++;
-            console.log(`❌ ${signal.symbol} ${signal.signal.action}: ${this.formatPrice(Math.abs(priceDiff), signal.symbol)} (${profitLossPercent.toFixed(2)}%)`);
+            console.log(`❌ ${signal.symbol} ${signal.signal.action}: ${this.formatPrice(Math.abs(pnl.profitLoss), signal.symbol)} (${pnl.profitLossPercent.toFixed(2)}%), net ${pnl.netProfitLossPercent.toFixed(2)}%`);
           }
 
         } catch (error) {
@@ -499,6 +473,9 @@ class SignalTracker {
 
       const totalPL = signals.reduce((sum, s) => sum + (s.performance.profitLoss || 0), 0);
       const totalPLPercent = signals.reduce((sum, s) => sum + (s.performance.profitLossPercent || 0), 0);
+      const net = signals.map(s => costModel.getNetPerformance(s));
+      const totalNetPL = net.reduce((sum, n) => sum + n.netProfitLoss, 0);
+      const totalNetPLPercent = net.reduce((sum, n) => sum + n.netProfitLossPercent, 0);
 
       return {
         totalSignals: signals.length,
@@ -509,6 +486,10 @@ class SignalTracker {
         avgPL: signals.length > 0 ? (totalPL / signals.length).toFixed(2) : 0,
         totalPLPercent: totalPLPercent.toFixed(2),
         avgPLPercent: signals.length > 0 ? (totalPLPercent / signals.length).toFixed(2) : 0,
+        totalNetPL: totalNetPL.toFixed(2),
+        avgNetPL: signals.length > 0 ? (totalNetPL / signals.length).toFixed(2) : 0,
+        totalNetPLPercent: totalNetPLPercent.toFixed(2),
+        avgNetPLPercent: signals.length > 0 ? (totalNetPLPercent / signals.length).toFixed(2) : 0,
         target1Hits: wins.filter(s => s.performance.hitLevel === 'TARGET_1').length,
         target2Hits: wins.filter(s => s.performance.hitLevel === 'TARGET_2').length,
         target3Hits: wins.filter(s => s.performance.hitLevel === 'TARGET_3').length
@@ -0,0 +1,50 @@
+/**
+ * Signal Strategy (base class)
+ * Every signal strategy extends this and implements evaluate():
+ *
+ * - evaluate(candles, context) → signal in the signal combiner's shape
+ *   { symbol, timeframe, currentPrice, signal: { action, strength, confidence, ... }, levels, reasoning, ... }
+ *   candles: ascending OHLC candles ending at the bar being scored (at least requiredBars of them)
+ *   context: { symbol, timeframe, history, now, liveOptions, sizing, ... } as passed by the caller
+ *
+ * `version` is stored with every signal and backtest run the strategy produces - bump it whenever
+ * the rules change, so results of the old and new rules can be told apart.
+ *
+ * Strategies are registered in services/strategy-registry.js.
+ */
+
+class SignalStrategy {
+  /**
+   * @param {String} name - Registry key, stored as strategy.name
+   * @param {Object} options - { version, requiredBars, description }
+   *   requiredBars: fewest candles evaluate() can score
+   */
+  constructor(name, { version = '1.0.0', requiredBars = 1, description = '' } = {}) {
+    this.name = name;
+    this.version = version;
+    this.requiredBars = requiredBars;
+    this.description = description;
+  }
+
+  async evaluate(candles, context = {}) {
+    throw new Error(`${this.name} does not implement evaluate()`);
+  }
+
+  /**
+   * Tag stored with the strategy's signals and runs
+   */
+  getTag() {
+    return { name: this.name, version: this.version };
+  }
+
+  getInfo() {
+    return {
+      name: this.name,
+      version: this.version,
+      requiredBars: this.requiredBars,
+      description: this.description
+    };
+  }
+}
+
+module.exports = SignalStrategy;
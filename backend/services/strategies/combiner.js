@@ -0,0 +1,46 @@
+/**
+ * Combiner Strategy
+ * The indicator signal combiner (services/signal-combiner.js) as a registered strategy
+ *
+ * Weights and thresholds given here override INDICATOR_WEIGHTS / ACTION_THRESHOLDS for this
+ * strategy only, so a tuned combiner can run next to the default one instead of replacing it:
+ *   new CombinerStrategy({ name: 'combiner-strict', thresholds: { ... } })
+ */
+
+const SignalStrategy = require('./base-strategy');
+const signalCombiner = require('../signal-combiner');
+
+class CombinerStrategy extends SignalStrategy {
+  /**
+   * @param {Object} options - { name, version, description, weights, thresholds }
+   */
+  constructor({
+    name = 'combiner',
+    version = '1.0.0',
+    description = 'Weighted indicator categories with regime weighting and higher-timeframe confluence',
+    weights = null,
+    thresholds = null
+  } = {}) {
+    super(name, { version, requiredBars: 10, description });
+    this.weights = weights;
+    this.thresholds = thresholds;
+  }
+
+  async evaluate(candles, context = {}) {
+    return signalCombiner.generateSignal(candles, {
+      ...context,
+      weights: context.weights || this.weights,
+      thresholds: { ...this.thresholds, ...context.thresholds }
+    });
+  }
+
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      weights: this.weights,
+      thresholds: this.thresholds
+    };
+  }
+}
+
+module.exports = CombinerStrategy;
@@ -0,0 +1,151 @@
+/**
+ * Strategy Registry
+ * The signal strategies the system can run (services/strategies/)
+ *
+ * - Built-in strategies are registered below; a new one extends strategies/base-strategy.js and is
+ *   added to that list (registerStrategy() adds one at runtime)
+ * - STRATEGIES.ACTIVE (or the STRATEGIES env list) picks the ones the signal generators, backtests
+ *   and replays run. The first active strategy is primary: its entries reach paper trading and it is
+ *   what the dashboard shows unless a strategy is asked for
+ * - evaluate() tags each signal with { name, version } - stored with SignalHistory, TradingSignal and
+ *   BacktestRun so strategies (and versions of one) can be compared
+ */
+
+const SignalStrategy = require('./strategies/base-strategy');
+const CombinerStrategy = require('./strategies/combiner');
+const { STRATEGIES } = require('../config/constants');
+
+/**
+ * Comma-separated names (or an array) → trimmed list
+ */
+const toNames = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(name => String(name).trim())
+  .filter(Boolean);
+
+class StrategyRegistry {
+  constructor() {
+    this.strategies = new Map();
+
+    [
+      new CombinerStrategy()
+    ].forEach(strategy => this.registerStrategy(strategy));
+
+    const fromEnv = toNames(process.env.STRATEGIES);
+    this.active = this.resolve(fromEnv.length > 0 ? fromEnv : STRATEGIES.ACTIVE).map(strategy => strategy.name);
+  }
+
+  /**
+   * Add (or replace) a strategy - it runs once its name is in the active list or asked for
+   * @param {SignalStrategy} strategy - Instance of a services/strategies/base-strategy subclass
+   */
+  registerStrategy(strategy) {
+    if (!(strategy instanceof SignalStrategy)) {
+      throw new Error('Strategies must extend services/strategies/base-strategy');
+    }
+    if (!strategy.name || !strategy.version) {
+      throw new Error('A strategy needs a name and a version');
+    }
+
+    this.strategies.set(strategy.name, strategy);
+    return strategy;
+  }
+
+  /**
+   * A strategy by name - throws when it isn't registered
+   */
+  get(name) {
+    const strategy = this.strategies.get(name);
+    if (!strategy) {
+      throw new Error(`Unknown strategy "${name}" (use ${[...this.strategies.keys()].join(', ')})`);
+    }
+    return strategy;
+  }
+
+  has(name) {
+    return this.strategies.has(name);
+  }
+
+  /**
+   * Strategies for a request: names (array or comma-separated), or the active ones when none are given
+   * @returns {Array} Strategy instances, deduplicated, in the given order
+   */
+  resolve(names = null) {
+    const requested = toNames(names);
+    if (requested.length === 0) return this.getActive();
+
+    return [...new Set(requested)].map(name => this.get(name));
+  }
+
+  getActive() {
+    return this.active.map(name => this.get(name));
+  }
+
+  getPrimary() {
+    return this.get(this.active[0]);
+  }
+
+  /**
+   * Registered strategies with their settings, active ones first
+   */
+  list() {
+    return [...this.strategies.values()]
+      .map(strategy => ({
+        ...strategy.getInfo(),
+        active: this.active.includes(strategy.name),
+        primary: strategy.name === this.active[0]
+      }))
+      .sort((a, b) => Number(b.active) - Number(a.active));
+  }
+
+  /**
+   * Run one strategy and tag its signal
+   * @param {SignalStrategy|String} strategy - Instance or name
+   * @param {Array} candles - Ascending candles ending at the bar to score
+   * @param {Object} context - Passed to strategy.evaluate()
+   */
+  async evaluate(strategy, candles, context = {}) {
+    const instance = typeof strategy === 'string' ? this.get(strategy) : strategy;
+
+    if (!candles || candles.length < instance.requiredBars) {
+      throw new Error(`${instance.name} needs ${instance.requiredBars} candles (${candles?.length || 0} available)`);
+    }
+
+    const signal = await instance.evaluate(candles, context);
+    signal.strategy = instance.getTag();
+    return signal;
+  }
+
+  /**
+   * Run several strategies on the same candles at once
+   * @returns {Array} [{ strategy, signal, error }] in strategy order - one failure doesn't stop the others
+   */
+  async evaluateAll(strategies, candles, context = {}) {
+    const results = await Promise.allSettled(
+      strategies.map(strategy => this.evaluate(strategy, candles, context))
+    );
+
+    return results.map((result, i) => ({
+      strategy: strategies[i].getTag(),
+      signal: result.status === 'fulfilled' ? result.value : null,
+      error: result.status === 'rejected' ? result.reason.message : null
+    }));
+  }
+
+  /**
+   * Most candles any of the strategies needs
+   */
+  getRequiredBars(strategies = this.getActive()) {
+    return Math.max(1, ...strategies.map(strategy => strategy.requiredBars));
+  }
+
+  /**
+   * Mongo condition on a document's strategy.name (untagged documents count as STRATEGIES.UNTAGGED)
+   */
+  filter(name) {
+    return name === STRATEGIES.UNTAGGED
+      ? { 'strategy.name': { $in: [name, null] } }
+      : { 'strategy.name': name };
+  }
+}
+
+module.exports = new StrategyRegistry();
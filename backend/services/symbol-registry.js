@@ -0,0 +1,210 @@
+/**
+ * Symbol Registry
+ * The tradable universe: every symbol the app knows, with its exchange, session, contract spec,
+ * currency and provider codes (models/Instrument.js)
+ *
+ * - The defaults in config/symbols.js are available synchronously from require time, so model
+ *   validators and providers work before MongoDB is up
+ * - load() seeds missing defaults into the Instrument collection and reads it back; database
+ *   entries replace the defaults, so instruments added or edited through /api/symbols survive restarts
+ * - Deactivated symbols stay known (old signals and candles still validate) but drop out of
+ *   list() and are rejected by routes that check isActive()
+ */
+
+const mongoose = require('mongoose');
+const Instrument = require('../models/Instrument');
+const DEFAULT_INSTRUMENTS = require('../config/symbols');
+
+const CURRENCY_SIGNS = { INR: '₹', USD: '$' };
+
+class SymbolRegistry {
+  constructor() {
+    this.instruments = new Map();
+    this.loadedAt = null;
+
+    DEFAULT_INSTRUMENTS.forEach(definition => this.set(this.normalize(definition)));
+
+    // Mongoose validator for symbol fields of other models
+    this.validator = {
+      validator: (symbol) => this.has(symbol),
+      message: (props) => `Unknown symbol ${props.value} (not in the symbol registry)`
+    };
+  }
+
+  /**
+   * Seed the defaults and read the Instrument collection
+   * @returns {Number} Instruments known afterwards (unchanged without a MongoDB connection)
+   */
+  async load() {
+    if (mongoose.connection.readyState !== 1) return this.instruments.size;
+
+    await Instrument.bulkWrite(DEFAULT_INSTRUMENTS.map(definition => ({
+      updateOne: {
+        filter: { symbol: definition.symbol },
+        update: { $setOnInsert: this.normalize(definition) },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    const docs = await Instrument.find().lean();
+    docs.forEach(doc => this.set(doc));
+    this.loadedAt = new Date();
+
+    console.log(`✓ Symbol registry: ${this.list().length} active of ${this.instruments.size} instruments`);
+    return this.instruments.size;
+  }
+
+  /**
+   * Instrument definition or null
+   */
+  get(symbol) {
+    return this.instruments.get(String(symbol || '').toUpperCase()) || null;
+  }
+
+  /**
+   * Known symbol (active or not) - what stored data is validated against
+   */
+  has(symbol) {
+    return this.instruments.has(symbol);
+  }
+
+  /**
+   * Known and active - what new requests are validated against
+   */
+  isActive(symbol) {
+    return Boolean(this.instruments.get(symbol)?.active);
+  }
+
+  /**
+   * Active instruments, optionally filtered
+   * @param {Object} filter - { exchange, type, derivatives, signals, includeInactive }
+   */
+  list({ includeInactive = false, ...filter } = {}) {
+    return [...this.instruments.values()].filter(instrument =>
+      (includeInactive || instrument.active) &&
+      Object.entries(filter).every(([field, value]) => value === undefined || instrument[field] === value)
+    );
+  }
+
+  /**
+   * Symbol names of list(filter)
+   */
+  getSymbols(filter = {}) {
+    return this.list(filter).map(instrument => instrument.symbol);
+  }
+
+  /**
+   * NSE option chain symbols of active instruments (e.g. NIFTY, BANKNIFTY)
+   */
+  getOptionSymbols() {
+    return this.list().map(instrument => instrument.optionSymbol).filter(Boolean);
+  }
+
+  /**
+   * Code a provider uses for a symbol, or null when it does not carry it
+   */
+  getProviderCode(symbol, provider) {
+    return this.instruments.get(symbol)?.providers?.[provider] ?? null;
+  }
+
+  /**
+   * Lot size, tick size and freeze quantity (1 unit / 0.05 for unknown symbols)
+   */
+  getContractSpec(symbol) {
+    const instrument = this.instruments.get(symbol);
+    if (!instrument) return { lotSize: 1, tickSize: 0.05 };
+
+    const { lotSize, tickSize, freezeQuantity } = instrument;
+    return freezeQuantity ? { lotSize, tickSize, freezeQuantity } : { lotSize, tickSize };
+  }
+
+  getCostProfile(symbol) {
+    return this.instruments.get(symbol)?.costProfile || null;
+  }
+
+  getCurrencySign(symbol) {
+    return CURRENCY_SIGNS[this.instruments.get(symbol)?.currency] || '₹';
+  }
+
+  /**
+   * Whether NSE sessions and holidays apply to a symbol (services/trading-calendar.js)
+   */
+  usesNseCalendar(symbol) {
+    return this.instruments.get(symbol)?.calendar === 'NSE';
+  }
+
+  /**
+   * Symbol for a name used elsewhere (alias, provider code or the symbol itself), or null
+   */
+  resolve(name) {
+    const wanted = String(name || '').trim().toUpperCase();
+    if (this.instruments.has(wanted)) return wanted;
+
+    for (const instrument of this.instruments.values()) {
+      if (this.getNames(instrument).includes(wanted)) return instrument.symbol;
+    }
+    return null;
+  }
+
+  /**
+   * Every upper-case name a symbol may appear under in imported files
+   */
+  getNames(instrument) {
+    const codes = Object.values(instrument.providers || {}).filter(code => typeof code === 'string');
+    return [instrument.symbol, ...(instrument.aliases || []), ...codes].map(name => name.toUpperCase());
+  }
+
+  /**
+   * Add an instrument or change fields of an existing one (persisted when MongoDB is connected)
+   * @param {String} symbol
+   * @param {Object} fields - Instrument fields to set
+   * @returns {Object} The stored definition
+   */
+  async upsert(symbol, fields = {}) {
+    const existing = this.get(symbol);
+    const instrument = this.normalize({ ...(existing || {}), ...fields, symbol: String(symbol).toUpperCase() });
+
+    if (mongoose.connection.readyState === 1) {
+      const doc = await Instrument.findOneAndUpdate(
+        { symbol: instrument.symbol },
+        { $set: instrument },
+        { upsert: true, new: true, runValidators: true }
+      ).lean();
+      return this.set(doc);
+    }
+
+    return this.set(instrument);
+  }
+
+  /**
+   * Take a symbol out of the active universe (its data is kept)
+   */
+  async deactivate(symbol) {
+    if (!this.get(symbol)) {
+      throw new Error(`Unknown symbol ${symbol}`);
+    }
+    return this.upsert(symbol, { active: false });
+  }
+
+  /**
+   * Apply model defaults and validation to a definition
+   */
+  normalize(definition) {
+    const doc = new Instrument(definition);
+    const error = doc.validateSync();
+    if (error) {
+      throw new Error(Object.values(error.errors).map(e => e.message).join('; '));
+    }
+
+    const { _id, __v, createdAt, updatedAt, ...instrument } = doc.toObject();
+    return instrument;
+  }
+
+  set(doc) {
+    const { _id, __v, ...instrument } = doc;
+    this.instruments.set(instrument.symbol, instrument);
+    return instrument;
+  }
+}
+
+module.exports = new SymbolRegistry();
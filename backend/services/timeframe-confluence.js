@@ -0,0 +1,209 @@
+/**
+ * Timeframe Confluence
+ * Scores the 15m, 1h and daily views behind a signal and how far they agree with it
+ *
+ * Bars per timeframe:
+ * - Resampled from the candles the signal was generated on when there are enough of them
+ * - Otherwise stored ChartData for that timeframe, limited to bars that had closed by the
+ *   signal's last candle (no look-ahead in backtests and replays)
+ *
+ * Each timeframe gets a trend score (EMA-20) and a momentum score (RSI-14, MACD when there
+ * are enough bars), both -100 to +100. MTF_CONFLUENCE in config/constants.js sets the
+ * timeframes, their weights and the confidence adjustment.
+ */
+
+const mongoose = require('mongoose');
+const ChartData = require('../models/ChartData');
+const indicators = require('../indicators');
+const candleResampler = require('./candle-resampler');
+const { MTF_CONFLUENCE } = require('../config/constants');
+
+const STORED_CACHE_SIZE = 50;
+const MACD_MIN_BARS = 35;
+
+class TimeframeConfluence {
+  constructor() {
+    this.storedCache = new Map();
+  }
+
+  /**
+   * Score the higher timeframes for a candle window
+   * @param {Array} candles - Trading-timeframe candles, ascending
+   * @param {Object} options - { symbol, timeframe, history? } - history: longer candle series to resample from
+   * @returns {Array} Per-timeframe breakdown, in MTF_CONFLUENCE.TIMEFRAMES order
+   */
+  async analyze(candles, { symbol, timeframe = '5m', history = null } = {}) {
+    const baseMinutes = candleResampler.toMinutes(timeframe);
+    const lastTime = new Date(candles[candles.length - 1].timestamp).getTime();
+    const asOf = lastTime + baseMinutes * 60000;
+
+    // History must not reach past the signal's last candle
+    const source = history && history.length > candles.length
+      ? history.filter(c => new Date(c.timestamp).getTime() <= lastTime)
+      : candles;
+
+    const results = [];
+
+    for (const [timeframeKey, weight] of Object.entries(MTF_CONFLUENCE.TIMEFRAMES)) {
+      if (candleResampler.toMinutes(timeframeKey) <= baseMinutes) continue;
+
+      let bars = [];
+      let barSource = null;
+
+      try {
+        ({ bars, source: barSource } = await this.getBars(source, symbol, timeframeKey, lastTime, asOf));
+
+        if (bars.length >= MTF_CONFLUENCE.MIN_BARS) {
+          results.push({ timeframe: timeframeKey, weight, available: true, bars: bars.length, source: barSource, ...this.scoreBars(bars) });
+          continue;
+        }
+      } catch (error) {
+        // Indicator failure on odd data - reported as unavailable
+      }
+
+      results.push({ timeframe: timeframeKey, weight, available: false, bars: bars.length, source: barSource });
+    }
+
+    return results;
+  }
+
+  /**
+   * Bars for one timeframe - resampled when possible, stored ChartData otherwise
+   * @returns {Object} { bars, source: 'RESAMPLED' | 'CHART_DATA' }
+   */
+  async getBars(candles, symbol, timeframe, lastTime, asOf) {
+    let resampled = [];
+    try {
+      resampled = candleResampler.resample(candles, timeframe, { symbol });
+    } catch (error) {
+      // Base candles that cannot build this timeframe (e.g. 10m → 15m) - stored bars only
+    }
+
+    if (resampled.length < MTF_CONFLUENCE.MIN_BARS) {
+      const stored = await this.loadStoredBars(symbol, timeframe, lastTime, asOf);
+      if (stored.length > resampled.length) {
+        return { bars: stored, source: 'CHART_DATA' };
+      }
+    }
+
+    return { bars: resampled.slice(-MTF_CONFLUENCE.MAX_BARS), source: 'RESAMPLED' };
+  }
+
+  /**
+   * Stored candles that had closed by `asOf` (cached per closed bar)
+   * @param {Number} lastTime - Start of the signal's last candle (ms)
+   * @param {Number} asOf - End of that candle (ms)
+   */
+  async loadStoredBars(symbol, timeframe, lastTime, asOf) {
+    if (!symbol || mongoose.connection.readyState !== 1) return [];
+
+    // The bar holding the last candle counts only once the candle completes it
+    const bucket = candleResampler.getBucket(lastTime, timeframe, symbol);
+    const closedBefore = bucket.end.getTime() <= asOf ? bucket.end : bucket.start;
+    const key = `${symbol}:${timeframe}:${closedBefore.getTime()}`;
+
+    if (this.storedCache.has(key)) {
+      return this.storedCache.get(key);
+    }
+
+    let bars = [];
+    try {
+      bars = await ChartData.find({
+        symbol,
+        timeframe,
+        timestamp: { $lt: closedBefore }
+      })
+        .sort({ timestamp: -1 })
+        .limit(MTF_CONFLUENCE.MAX_BARS)
+        .select('symbol timeframe timestamp ohlc volume')
+        .lean();
+      bars.reverse();
+    } catch (error) {
+      console.log(`⚠️  ${timeframe} ChartData unavailable for ${symbol}: ${error.message}`);
+      return [];
+    }
+
+    if (this.storedCache.size >= STORED_CACHE_SIZE) {
+      this.storedCache.delete(this.storedCache.keys().next().value);
+    }
+    this.storedCache.set(key, bars);
+
+    return bars;
+  }
+
+  /**
+   * Trend and momentum of one timeframe
+   * @returns {Object} { trend, momentum, score, direction, emaPosition, rsi, macdHistogram }
+   */
+  scoreBars(bars) {
+    const ema = indicators.trend.ema.calculateEMA(bars, 20);
+    const rsi = indicators.momentum.rsi.calculateRSI(bars, 14);
+    const macd = bars.length >= MACD_MIN_BARS
+      ? indicators.trend.macd.calculateMACD(bars, 12, 26, 9)
+      : null;
+
+    const momentumScores = [rsi.signal.score, macd?.signal.score].filter(s => typeof s === 'number');
+    const trend = ema.signal.score;
+    const momentum = momentumScores.reduce((sum, s) => sum + s, 0) / momentumScores.length;
+    const score = trend * MTF_CONFLUENCE.TREND_WEIGHT + momentum * (1 - MTF_CONFLUENCE.TREND_WEIGHT);
+
+    return {
+      trend: Math.round(trend),
+      momentum: Math.round(momentum),
+      score: Math.round(score),
+      direction: this.getDirection(score),
+      emaPosition: ema.position,
+      rsi: Math.round(rsi.value * 10) / 10,
+      macdHistogram: macd ? Math.round(macd.histogram * 100) / 100 : null
+    };
+  }
+
+  getDirection(score) {
+    if (score > MTF_CONFLUENCE.DIRECTION_THRESHOLD) return 'BULLISH';
+    if (score < -MTF_CONFLUENCE.DIRECTION_THRESHOLD) return 'BEARISH';
+    return 'NEUTRAL';
+  }
+
+  /**
+   * Weighted agreement of the timeframes with the signal's bias
+   * Kept separate from analyze() so a stored breakdown can be re-scored against a new total score
+   * @param {Array} timeframes - From analyze()
+   * @param {Number} totalScore - Trading-timeframe total score (-100 to +100)
+   * @returns {Object} { bias, alignment (-100 to +100), adjustment (confidence points), aligned, conflicting }
+   */
+  summarize(timeframes, totalScore) {
+    const bias = totalScore > 0 ? 'BULLISH' : totalScore < 0 ? 'BEARISH' : 'NEUTRAL';
+    const scored = timeframes.filter(t => t.available);
+    const totalWeight = scored.reduce((sum, t) => sum + t.weight, 0);
+
+    if (bias === 'NEUTRAL' || totalWeight === 0) {
+      return { bias, alignment: 0, adjustment: 0, aligned: 0, conflicting: 0 };
+    }
+
+    let agreement = 0;
+    let aligned = 0;
+    let conflicting = 0;
+
+    for (const t of scored) {
+      if (t.direction === bias) {
+        agreement += t.weight;
+        aligned++;
+      } else if (t.direction !== 'NEUTRAL') {
+        agreement -= t.weight;
+        conflicting++;
+      }
+    }
+
+    const alignment = agreement / totalWeight;
+
+    return {
+      bias,
+      alignment: Math.round(alignment * 100),
+      adjustment: Math.round(alignment * MTF_CONFLUENCE.MAX_ADJUSTMENT),
+      aligned,
+      conflicting
+    };
+  }
+}
+
+module.exports = new TimeframeConfluence();
@@ -0,0 +1,343 @@
+/**
+ * Trade Manager
+ * Exit policy engine for tracked signals: scale-out legs, breakeven and trailing stops, time exits
+ *
+ * A position starts as fraction 1 of the signal's size. Every fill is stored as a leg
+ * { type, fraction, price, time, P/L } and the signal's P/L is the fraction-weighted sum
+ * of its legs, so "half at T1, half stopped at breakeven" reports what was really made.
+ *
+ * Policies live in config/constants.js (EXIT_POLICIES). Additional policies can be
+ * plugged in with registerPolicy(); EXIT_POLICY in the environment picks the default.
+ */
+
+const { EXIT_POLICIES, DEFAULT_EXIT_POLICY } = require('../config/constants');
+const costModel = require('./cost-model');
+const symbolRegistry = require('./symbol-registry');
+const { calculateATR } = require('../indicators/volatility/atr');
+const { calculateSupertrend } = require('../indicators/trend/supertrend');
+
+const TARGETS = ['target1', 'target2', 'target3'];
+const TARGET_LEGS = { target1: 'TARGET1', target2: 'TARGET2', target3: 'TARGET3' };
+const STOP_LEGS = { INITIAL: 'STOPLOSS', BREAKEVEN: 'BREAKEVEN', TRAILING: 'TRAILING_STOP' };
+const LEG_LABELS = {
+  TARGET1: 'T1',
+  TARGET2: 'T2',
+  TARGET3: 'T3',
+  STOPLOSS: 'SL',
+  BREAKEVEN: 'BE',
+  TRAILING_STOP: 'Trail',
+  TIME_EXIT: 'Time',
+  MARKET_CLOSE: 'Close'
+};
+const EPSILON = 1e-9;
+
+class TradeManager {
+  constructor() {
+    this.policies = { ...EXIT_POLICIES };
+    this.defaultPolicy = process.env.EXIT_POLICY || DEFAULT_EXIT_POLICY;
+  }
+
+  /**
+   * Register (or replace) an exit policy
+   */
+  registerPolicy(name, policy) {
+    this.policies[name] = { ...EXIT_POLICIES.FULL_EXIT, ...policy };
+    return this.policies[name];
+  }
+
+  /**
+   * Resolve a policy by name (default when omitted)
+   */
+  getPolicy(name = null) {
+    const resolved = name || this.defaultPolicy;
+    const policy = this.policies[resolved];
+
+    if (!policy) {
+      throw new Error(`Unknown exit policy: ${resolved}`);
+    }
+
+    return { name: resolved, ...policy };
+  }
+
+  /**
+   * Position stored on a signal's performance block, or a new one under the default policy
+   * @returns {Object} { exitPolicy, openFraction, stop, stopType, targetsHit, trailing, openedAt, lastBarTime, legs }
+   */
+  getPosition(signal) {
+    const stored = signal.performance?.position;
+
+    if (stored && signal.performance.exitPolicy) {
+      return {
+        exitPolicy: signal.performance.exitPolicy,
+        openFraction: stored.openFraction,
+        stop: stored.stop,
+        stopType: stored.stopType,
+        targetsHit: [...(stored.targetsHit || [])],
+        trailing: Boolean(stored.trailing),
+        openedAt: stored.openedAt,
+        lastBarTime: stored.lastBarTime || null,
+        legs: (signal.performance.legs || []).map(leg => (leg.toObject ? leg.toObject() : { ...leg }))
+      };
+    }
+
+    return {
+      exitPolicy: this.getPolicy().name,
+      openFraction: 1,
+      stop: signal.levels?.stopLoss || null,
+      stopType: 'INITIAL',
+      targetsHit: [],
+      trailing: false,
+      openedAt: signal.marketTime || signal.timestamp || null,
+      lastBarTime: null, // Last completed candle already applied
+      legs: []
+    };
+  }
+
+  /**
+   * Apply one price bar to an open position (mutates it)
+   * @param {Object} signal - Signal with action and levels
+   * @param {Object} position - From getPosition()
+   * @param {Object} bar - { high, low, close, time }
+   * @param {Array} candles - Recent candles ending at the bar (ATR/Supertrend trailing)
+   * @param {Object} options - { intrabarRule: 'CONSERVATIVE' | 'OPTIMISTIC' } for bars that touch both
+   *   the stop and a target: conservative assumes the stop came first, optimistic assumes the
+   *   targets came first and the rest of the position then went out at the (possibly moved) stop
+   * @returns {Object} { legs: fills from this bar, changed: stop/targets moved }
+   */
+  update(signal, position, bar, candles = [], options = {}) {
+    const legs = [];
+    const before = `${position.stop}|${position.targetsHit.join(',')}|${position.trailing}`;
+
+    if (position.openFraction <= EPSILON) {
+      return { legs, changed: false };
+    }
+
+    const policy = this.getPolicy(position.exitPolicy);
+    const levels = signal.levels || {};
+    const isBuy = signal.signal.action.includes('BUY');
+    const reached = (price) => price && (isBuy ? bar.high >= price : bar.low <= price);
+    const stopTouched = this.isStopTouched(position, bar, isBuy);
+    const stopFirst = options.intrabarRule !== 'OPTIMISTIC';
+
+    if (stopTouched && stopFirst) {
+      legs.push(this.fill(signal, position, STOP_LEGS[position.stopType], position.openFraction, position.stop, bar.time));
+      return { legs, changed: true };
+    }
+
+    for (const [index, level] of TARGETS.entries()) {
+      if (position.targetsHit.includes(level) || !reached(levels[level])) continue;
+
+      position.targetsHit.push(level);
+
+      if (level === policy.finalTarget) {
+        // Remainder exits at the furthest target this bar reached
+        const furthest = TARGETS.slice(index).reverse().find(l => reached(levels[l]));
+        TARGETS.slice(index + 1, TARGETS.indexOf(furthest) + 1).forEach(l => position.targetsHit.push(l));
+        legs.push(this.fill(signal, position, TARGET_LEGS[furthest], position.openFraction, levels[furthest], bar.time));
+        return { legs, changed: true };
+      }
+
+      const partial = policy.partials.find(p => p.level === level);
+      if (partial) {
+        const fraction = Math.min(partial.fraction, position.openFraction);
+        if (fraction > EPSILON) {
+          legs.push(this.fill(signal, position, TARGET_LEGS[level], fraction, levels[level], bar.time));
+        }
+        if (position.openFraction <= EPSILON) {
+          return { legs, changed: true };
+        }
+      }
+
+      if (policy.breakevenAfter === level) {
+        this.tightenStop(position, this.getEntryPrice(signal), 'BREAKEVEN', isBuy);
+      }
+      if (policy.trail && policy.trail.after === level) {
+        position.trailing = true;
+      }
+    }
+
+    // Optimistic: targets were booked first, the rest reversed through the stop in the same bar
+    if (stopTouched) {
+      legs.push(this.fill(signal, position, STOP_LEGS[position.stopType], position.openFraction, position.stop, bar.time));
+      return { legs, changed: true };
+    }
+
+    // Trail from this bar's close; the new stop applies from the next bar
+    if (position.trailing) {
+      const trailStop = this.calculateTrailingStop(policy.trail, candles, isBuy);
+      if (trailStop !== null && (isBuy ? trailStop < bar.close : trailStop > bar.close)) {
+        this.tightenStop(position, trailStop, 'TRAILING', isBuy);
+      }
+    }
+
+    if (policy.timeExitMinutes && position.openedAt) {
+      const minutesOpen = (new Date(bar.time) - new Date(position.openedAt)) / 60000;
+      if (minutesOpen >= policy.timeExitMinutes) {
+        legs.push(this.fill(signal, position, 'TIME_EXIT', position.openFraction, bar.close, bar.time));
+      }
+    }
+
+    const after = `${position.stop}|${position.targetsHit.join(',')}|${position.trailing}`;
+    return { legs, changed: legs.length > 0 || before !== after };
+  }
+
+  /**
+   * True when a bar touches the stop and a target not yet hit - the order within the bar is unknown
+   */
+  isAmbiguous(signal, position, bar) {
+    if (position.openFraction <= EPSILON) return false;
+
+    const isBuy = signal.signal.action.includes('BUY');
+    const levels = signal.levels || {};
+    const targetTouched = TARGETS.some(level =>
+      !position.targetsHit.includes(level) && levels[level] && (isBuy ? bar.high >= levels[level] : bar.low <= levels[level])
+    );
+
+    return targetTouched && this.isStopTouched(position, bar, isBuy);
+  }
+
+  isStopTouched(position, bar, isBuy) {
+    return Boolean(position.stop) && (isBuy ? bar.low <= position.stop : bar.high >= position.stop);
+  }
+
+  /**
+   * Exit whatever is still open at a price (market close, manual close)
+   * @returns {Array} The closing leg, or nothing when the position is already flat
+   */
+  closeRemaining(signal, position, price, time, type = 'MARKET_CLOSE') {
+    if (position.openFraction <= EPSILON) return [];
+    return [this.fill(signal, position, type, position.openFraction, price, time)];
+  }
+
+  /**
+   * Record a fill for part of the position
+   * Costs are per unit as if the whole position traded at this price, so legs add up to
+   * the same charges as a single exit when every leg fills at one price
+   */
+  fill(signal, position, type, fraction, price, time) {
+    const result = costModel.evaluateTrade({
+      symbol: signal.symbol,
+      action: signal.signal.action,
+      entryPrice: this.getEntryPrice(signal),
+      exitPrice: price
+    });
+
+    const leg = {
+      type,
+      fraction,
+      price,
+      time,
+      profitLoss: result.profitLoss,
+      profitLossPercent: result.profitLossPercent,
+      netProfitLoss: result.netProfitLoss,
+      netProfitLossPercent: result.netProfitLossPercent,
+      charges: costModel.round(result.costs.totalCharges * fraction)
+    };
+
+    position.legs.push(leg);
+    position.openFraction = Math.max(0, position.openFraction - fraction);
+    if (position.openFraction <= EPSILON) {
+      position.openFraction = 0;
+    }
+
+    return leg;
+  }
+
+  /**
+   * Move the stop only in the position's favour
+   */
+  tightenStop(position, price, stopType, isBuy) {
+    if (!price) return;
+
+    if (!position.stop || (isBuy ? price > position.stop : price < position.stop)) {
+      position.stop = price;
+      position.stopType = stopType;
+    }
+  }
+
+  /**
+   * Trailing stop level from recent candles (null when there isn't enough data)
+   * ATR: close ∓ multiplier × ATR. Supertrend: the active band, only while it agrees with the trade
+   */
+  calculateTrailingStop(trail, candles, isBuy) {
+    if (!candles || candles.length === 0) return null;
+
+    try {
+      if (trail.method === 'SUPERTREND') {
+        const supertrend = calculateSupertrend(candles, trail.period, trail.multiplier);
+        if (isBuy && supertrend.trend === 'UP') return supertrend.lowerBand;
+        if (!isBuy && supertrend.trend === 'DOWN') return supertrend.upperBand;
+        return null;
+      }
+
+      const atr = calculateATR(candles, trail.period).value;
+      const close = candles[candles.length - 1].ohlc.close;
+      return isBuy ? close - trail.multiplier * atr : close + trail.multiplier * atr;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getEntryPrice(signal) {
+    return signal.levels?.entry || signal.price || signal.currentPrice;
+  }
+
+  /**
+   * Blended performance fields for a signal's performance block
+   * P/L figures are per unit of the full position (fraction-weighted over legs)
+   */
+  summarize(signal, position) {
+    const { legs } = position;
+    const weighted = (field) => legs.reduce((sum, leg) => sum + leg[field] * leg.fraction, 0);
+    const closedFraction = legs.reduce((sum, leg) => sum + leg.fraction, 0);
+    const lastLeg = legs[legs.length - 1];
+    const furthestTarget = [...TARGETS].reverse().find(level => position.targetsHit.includes(level));
+
+    const profitLoss = weighted('profitLoss');
+    const netProfitLoss = weighted('netProfitLoss');
+
+    let targetHit = 'NONE';
+    if (furthestTarget) {
+      targetHit = TARGET_LEGS[furthestTarget];
+    } else if (lastLeg && ['STOPLOSS', 'MARKET_CLOSE', 'TIME_EXIT'].includes(lastLeg.type)) {
+      targetHit = lastLeg.type;
+    }
+
+    return {
+      outcome: position.openFraction > 0 ? 'PENDING' : (profitLoss > 0 ? 'WIN' : 'LOSS'),
+      exitPrice: closedFraction > 0 ? weighted('price') / closedFraction : undefined,
+      exitTime: lastLeg?.time,
+      exitReason: position.openFraction > 0 ? undefined : lastLeg?.type,
+      targetHit,
+      profitLoss,
+      profitLossPercent: weighted('profitLossPercent'),
+      netProfitLoss,
+      netProfitLossPercent: weighted('netProfitLossPercent'),
+      costs: {
+        profile: costModel.getProfile(signal.symbol).name,
+        quantity: costModel.getContractSpec(signal.symbol).lotSize,
+        totalCharges: costModel.round(legs.reduce((sum, leg) => sum + leg.charges, 0)),
+        totalCostPoints: profitLoss - netProfitLoss
+      },
+      remarks: this.describeLegs(signal, legs, position.openFraction)
+    };
+  }
+
+  /**
+   * "T1 50% @ ₹22,150.00 · BE 50% @ ₹22,050.00"
+   */
+  describeLegs(signal, legs, openFraction) {
+    const currency = symbolRegistry.getCurrencySign(signal.symbol);
+    const parts = legs.map(leg =>
+      `${LEG_LABELS[leg.type] || leg.type} ${Math.round(leg.fraction * 100)}% @ ${currency}${leg.price.toFixed(2)}`
+    );
+
+    if (openFraction > 0) {
+      parts.push(`${Math.round(openFraction * 100)}% open`);
+    }
+
+    return parts.join(' · ');
+  }
+}
+
+module.exports = new TradeManager();
@@ -0,0 +1,346 @@
+/**
+ * Trading Calendar
+ * The one place that knows whether NSE is open: weekends, exchange holidays, special sessions
+ * (Muhurat trading, budget-day sessions), the pre-open window and index option expiries.
+ * Data lives in config/nse-calendar.js; regular hours come from nse-config marketHours.
+ *
+ * Every method takes a Date (or anything new Date accepts) and works in IST, so results do not
+ * depend on the server's timezone. Day arguments may also be IST dates as 'YYYY-MM-DD'.
+ *
+ * Instruments off the NSE calendar (DOWJONES, GIFTNIFTY) only get their own sessionHours
+ * (config/symbols.js) in their own timezone, Monday-Friday - getSession, getTradingDay, isSessionOpen.
+ * There is no holiday data for them.
+ */
+
+const nseConfig = require('../config/nse-config');
+const symbolRegistry = require('./symbol-registry');
+const { PRE_OPEN, HOLIDAYS, SPECIAL_SESSIONS, EXPIRY_RULES, EXPIRY_ALIASES } = require('../config/nse-calendar');
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const SEARCH_DAYS = 30; // How far ahead to look for the next session
+const IST_TIMEZONE = 'Asia/Kolkata';
+
+const pad = (n) => String(n).padStart(2, '0');
+const toMinutes = (clock) => {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+class TradingCalendar {
+  constructor() {
+    const { openHour, openMinute, closeHour, closeMinute } = nseConfig.marketHours;
+
+    this.regularSession = {
+      name: 'Regular',
+      preOpen: PRE_OPEN.start,
+      open: `${pad(openHour)}:${pad(openMinute)}`,
+      close: `${pad(closeHour)}:${pad(closeMinute)}`
+    };
+
+    // Session of symbols without sessionHours (and of no symbol at all)
+    this.nseSession = {
+      timezone: IST_TIMEZONE,
+      open: toMinutes(this.regularSession.open),
+      close: toMinutes(this.regularSession.close),
+      overnight: false,
+      nse: true
+    };
+
+    this.sessions = new WeakMap();   // Parsed sessionHours per registry instrument
+    this.offsets = new Map();        // timezone → { format, hours: Map(hour → UTC offset in ms) }
+  }
+
+  /**
+   * Regular session of an instrument from its sessionHours
+   * @returns {Object} { timezone, open, close (minutes after local midnight), overnight (closes the
+   *   next day), nse (NSE calendar applies) }
+   */
+  getSession(symbol) {
+    const instrument = symbolRegistry.get(symbol);
+    if (!instrument?.sessionHours?.open || !instrument.sessionHours.close) return this.nseSession;
+
+    if (!this.sessions.has(instrument)) {
+      const { open, close, timezone = IST_TIMEZONE } = instrument.sessionHours;
+      this.sessions.set(instrument, {
+        timezone,
+        open: toMinutes(open),
+        close: toMinutes(close),
+        overnight: toMinutes(close) <= toMinutes(open),
+        nse: instrument.calendar === 'NSE'
+      });
+    }
+    return this.sessions.get(instrument);
+  }
+
+  /**
+   * Offset of a timezone from UTC at a time, in ms (follows daylight saving)
+   */
+  getOffsetMs(time, timezone = IST_TIMEZONE) {
+    if (timezone === IST_TIMEZONE) return IST_OFFSET_MS;
+
+    if (!this.offsets.has(timezone)) {
+      this.offsets.set(timezone, {
+        format: new Intl.DateTimeFormat('en-US', {
+          timeZone: timezone, hourCycle: 'h23',
+          year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+        }),
+        hours: new Map()
+      });
+    }
+    const { format, hours: cache } = this.offsets.get(timezone);
+    const hour = Math.floor(new Date(time).getTime() / HOUR_MS);
+
+    if (!cache.has(hour)) {
+      const parts = {};
+      format.formatToParts(new Date(hour * HOUR_MS)).forEach(({ type, value }) => { parts[type] = Number(value); });
+
+      if (cache.size > 10000) cache.clear();
+      cache.set(hour, Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - hour * HOUR_MS);
+    }
+    return cache.get(hour);
+  }
+
+  /**
+   * Where a time falls in an instrument's trading day
+   * Overnight sessions (GIFTNIFTY 06:30-02:45) keep the hours after midnight in the day they opened
+   * @returns {Object} { date (trading day, YYYY-MM-DD), localMidnight (ms, trading day's midnight
+   *   as if local time were UTC), minute (after localMidnight - past 1440 overnight), offset (ms), session }
+   */
+  getSessionClock(symbol, time = new Date()) {
+    const session = this.getSession(symbol);
+    const ms = new Date(time).getTime();
+    const offset = this.getOffsetMs(ms, session.timezone);
+    const midnight = Math.floor((ms + offset) / DAY_MS) * DAY_MS;
+    const localMidnight = session.overnight && ms + offset - midnight < session.open * 60 * 1000 ? midnight - DAY_MS : midnight;
+    const minute = (ms + offset - localMidnight) / (60 * 1000);
+
+    return { date: new Date(localMidnight).toISOString().slice(0, 10), localMidnight, minute, offset, session };
+  }
+
+  /**
+   * Trading day (YYYY-MM-DD) of a time for an instrument - IST days for NSE symbols
+   */
+  getTradingDay(symbol, time = new Date()) {
+    return this.getSessionClock(symbol, time).date;
+  }
+
+  /**
+   * Whether an instrument's regular session is open: the NSE calendar for NSE symbols, otherwise
+   * Monday-Friday inside sessionHours
+   */
+  isSessionOpen(symbol, time = new Date()) {
+    const { date, minute, session } = this.getSessionClock(symbol, time);
+    if (session.nse) return this.isOpen(time);
+
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    if (weekday === 0 || weekday === 6) return false;
+
+    const close = session.overnight ? session.close + 1440 : session.close;
+    return minute >= session.open && minute < close;
+  }
+
+  /**
+   * IST calendar day (YYYY-MM-DD) of a time
+   */
+  toISTDate(time = new Date()) {
+    if (typeof time === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(time)) return time;
+    return new Date(new Date(time).getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Whether a string is a YYYY-MM-DD date that exists (2026-02-30 would otherwise roll into March)
+   */
+  isCalendarDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+
+    const time = Date.parse(`${value}T00:00:00Z`);
+    return !isNaN(time) && new Date(time).toISOString().startsWith(value);
+  }
+
+  /**
+   * Date range from request/CLI input - plain dates cover whole IST days, anything else is read
+   * by new Date (ISO timestamps, Dates). Empty bounds stay null.
+   * Throws on unreadable or non-existent dates and on from > to.
+   * @returns {Object} { from, to } as Dates or null
+   */
+  parseRange(from, to) {
+    const toDate = (value, clock, name) => {
+      if (value === undefined || value === null || value === '') return null;
+
+      const text = value instanceof Date ? null : String(value);
+      const datePart = text && /^\d{4}-\d{2}-\d{2}/.test(text) ? text.slice(0, 10) : null;
+      const date = datePart === text ? new Date(`${text}T${clock}+05:30`) : new Date(value);
+
+      if (isNaN(date) || (datePart && !this.isCalendarDate(datePart))) {
+        throw new Error(`Invalid "${name}" date "${value}" (use YYYY-MM-DD or an ISO timestamp)`);
+      }
+      return date;
+    };
+
+    const range = { from: toDate(from, '00:00:00', 'from'), to: toDate(to, '23:59:59.999', 'to') };
+    if (range.from && range.to && range.from > range.to) {
+      throw new Error('"from" must be before "to"');
+    }
+    return range;
+  }
+
+  /**
+   * Calendar entry for an IST day
+   * @returns {Object} { date, weekday (0 = Sunday), weekend, holiday (name or null), tradingDay,
+   *   session: { name, preOpen, open, close } (IST HH:MM) or null }
+   */
+  getDay(date = new Date()) {
+    const day = this.toISTDate(date);
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    const weekend = weekday === 0 || weekday === 6;
+    const holiday = HOLIDAYS[day] || null;
+    const session = SPECIAL_SESSIONS[day] || (weekend || holiday ? null : this.regularSession);
+
+    return { date: day, weekday, weekend, holiday, tradingDay: Boolean(session), session };
+  }
+
+  isTradingDay(date = new Date()) {
+    return this.getDay(date).tradingDay;
+  }
+
+  /**
+   * Market phase at a time
+   * @returns {String} PRE_OPEN | OPEN | CLOSED (open is inclusive, close exclusive)
+   */
+  getPhase(time = new Date()) {
+    const { session } = this.getDay(time);
+    if (!session) return 'CLOSED';
+
+    const ist = new Date(new Date(time).getTime() + IST_OFFSET_MS);
+    const minute = ist.getUTCHours() * 60 + ist.getUTCMinutes();
+
+    if (minute >= toMinutes(session.open) && minute < toMinutes(session.close)) return 'OPEN';
+    if (minute >= toMinutes(session.preOpen) && minute < toMinutes(session.open)) return 'PRE_OPEN';
+    return 'CLOSED';
+  }
+
+  isOpen(time = new Date()) {
+    return this.getPhase(time) === 'OPEN';
+  }
+
+  isPreOpen(time = new Date()) {
+    return this.getPhase(time) === 'PRE_OPEN';
+  }
+
+  /**
+   * Session times of a trading day as Dates
+   * @returns {Object|null} { date, name, preOpen, open, close }
+   */
+  getSessionTimes(date = new Date()) {
+    const { date: day, session } = this.getDay(date);
+    if (!session) return null;
+
+    const at = (clock) => new Date(`${day}T${clock}:00+05:30`);
+    return { date: day, name: session.name, preOpen: at(session.preOpen), open: at(session.open), close: at(session.close) };
+  }
+
+  /**
+   * The session in progress at a time, or the next one to open
+   * @returns {Object|null} Session times (see getSessionTimes)
+   */
+  getNextSession(time = new Date()) {
+    const now = new Date(time);
+    const today = this.toISTDate(now);
+
+    for (let i = 0; i <= SEARCH_DAYS; i++) {
+      const session = this.getSessionTimes(addDays(today, i));
+      if (session && session.close > now) return session;
+    }
+    return null;
+  }
+
+  /**
+   * Most recent trading day on or before a date (IST YYYY-MM-DD)
+   */
+  getPreviousTradingDay(date = new Date()) {
+    let day = this.toISTDate(date);
+    for (let i = 0; i <= SEARCH_DAYS && !this.isTradingDay(day); i++) {
+      day = addDays(day, -1);
+    }
+    return day;
+  }
+
+  /**
+   * Index option expiries between two days (inclusive), oldest first
+   * @param {String} symbol - NIFTY50, BANKNIFTY (or the NSE option symbol, e.g. NIFTY)
+   * @returns {Array} [{ date, type: WEEKLY | MONTHLY, scheduled (date before any holiday shift) }]
+   */
+  getExpiries(symbol, from = new Date(), to = from) {
+    const rules = EXPIRY_RULES[EXPIRY_ALIASES[symbol] || symbol];
+    if (!rules) {
+      throw new Error(`No expiry rules for ${symbol}`);
+    }
+
+    const first = this.toISTDate(from);
+    const last = this.toISTDate(to);
+    const expiries = [];
+
+    // Scan a week past the end - a holiday can pull an expiry back into range
+    for (let day = first; day <= addDays(last, 7); day = addDays(day, 1)) {
+      const rule = rules.find(r => r.from <= day) || rules[rules.length - 1];
+      if (new Date(`${day}T00:00:00Z`).getUTCDay() !== rule.weekday) continue;
+
+      const monthly = addDays(day, 7).slice(0, 7) !== day.slice(0, 7);
+      if (!monthly && !rule.weekly) continue;
+
+      const date = this.getPreviousTradingDay(day);
+      if (date >= first && date <= last) {
+        expiries.push({ date, type: monthly ? 'MONTHLY' : 'WEEKLY', scheduled: day });
+      }
+    }
+
+    return expiries;
+  }
+
+  /**
+   * Next expiry on or after a day
+   * @param {String} type - Optional WEEKLY | MONTHLY filter
+   */
+  getNextExpiry(symbol, time = new Date(), type = null) {
+    const from = this.toISTDate(time);
+    return this.getExpiries(symbol, from, addDays(from, 40)).find(expiry => !type || expiry.type === type) || null;
+  }
+
+  /**
+   * Expiry of a symbol falling on a day, or null
+   */
+  getExpiryOn(symbol, date = new Date()) {
+    const day = this.toISTDate(date);
+    return this.getExpiries(symbol, day, day)[0] || null;
+  }
+
+  /**
+   * Market status for the status endpoint and logs
+   * @returns {Object} { status, isOpen, date, tradingDay, holiday, session, nextSession, expiries }
+   */
+  getStatus(time = new Date()) {
+    const status = this.getPhase(time);
+    const day = this.getDay(time);
+    const expiries = {};
+
+    for (const symbol of Object.keys(EXPIRY_RULES)) {
+      expiries[symbol] = this.getNextExpiry(symbol, time);
+    }
+
+    return {
+      status,
+      isOpen: status === 'OPEN',
+      date: day.date,
+      tradingDay: day.tradingDay,
+      holiday: day.holiday,
+      session: day.session,
+      nextSession: this.getNextSession(time),
+      expiries
+    };
+  }
+}
+
+module.exports = new TradingCalendar();
@@ -0,0 +1,425 @@
+/**
+ * Walk-Forward Optimizer
+ * Sweeps signal-combiner action thresholds and category weights over rolling
+ * in-sample windows and validates each window's winner on the following
+ * out-of-sample window
+ *
+ * Flow:
+ * 1. Load stored candles from ChartData
+ * 2. Score every bar once (signalCombiner.buildSnapshot) - the expensive part
+ * 3. For each window, re-score the snapshots with every parameter set and simulate
+ *    trades with the backtest engine (net of costs)
+ * 4. Report the per-window winners, the stitched out-of-sample result and the
+ *    parameter sets that stay near the top across windows
+ */
+
+const signalCombiner = require('./signal-combiner');
+const backtestEngine = require('./backtest-engine');
+const { INDICATOR_WEIGHTS, ACTION_THRESHOLDS } = require('../config/constants');
+
+const WEIGHT_CATEGORIES = ['TREND', 'MOMENTUM', 'VOLUME', 'VOLATILITY', 'SUPPORT_RESISTANCE', 'PATTERNS'];
+
+const DEFAULT_CONFIG = {
+  timeframe: '5m',
+  lookback: 100,         // Candles fed to the combiner for each snapshot
+  signalInterval: 1,     // Evaluate a signal every N bars while flat
+  maxHoldingBars: 75,    // Force exit after N bars
+  inSampleDays: 10,      // Trading sessions used to pick parameters
+  outOfSampleDays: 5,    // Following sessions used to validate them (also the step)
+  minTrades: 5,          // In-sample trades needed before a set can win
+  topPercent: 0.1        // Share of sets counted as "near the top" for stability
+};
+
+const DEFAULT_GRID = {
+  thresholds: {
+    MIN_CONFIDENCE: [50, 55, 60],
+    MIN_PERCENT_DIFFERENCE: [5, 10, 15],
+    SCORE: [12, 18, 24]
+  },
+  weightShift: 0.3       // Each category weight nudged ±30% (then renormalised)
+};
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+class WalkForwardOptimizer {
+  /**
+   * Run a full walk-forward optimisation
+   * @param {Object} options - { symbol, from, to, grid, ...DEFAULT_CONFIG overrides }
+   * @param {Function} onProgress - Optional (stage, done, total) callback
+   * @returns {Object} Report
+   */
+  async run(options = {}, onProgress = null) {
+    if (!options.symbol) {
+      throw new Error('Symbol is required');
+    }
+
+    const overrides = backtestEngine.pickDefined(options);
+    const config = Object.fromEntries(
+      Object.entries(DEFAULT_CONFIG).map(([key, value]) => [key, overrides[key] ?? value])
+    );
+    const grid = {
+      thresholds: { ...DEFAULT_GRID.thresholds, ...options.grid?.thresholds },
+      weightShift: options.grid?.weightShift ?? DEFAULT_GRID.weightShift
+    };
+
+    const candles = await backtestEngine.loadCandles(
+      options.symbol,
+      config.timeframe,
+      options.from ? new Date(options.from) : null,
+      options.to ? new Date(options.to) : null
+    );
+
+    const windows = this.buildWindows(candles, config);
+    if (windows.length === 0) {
+      throw new Error(`Not enough data: ${candles.length} candles do not cover ${config.inSampleDays}+${config.outOfSampleDays} sessions after the lookback`);
+    }
+
+    const snapshots = await this.buildSnapshots(candles, config.lookback, onProgress);
+    const parameterSets = this.buildParameterSets(grid);
+
+    const simConfig = {
+      symbol: options.symbol,
+      timeframe: config.timeframe,
+      lookback: config.lookback,
+      signalInterval: config.signalInterval,
+      maxHoldingBars: config.maxHoldingBars,
+      minConfidence: 0
+    };
+
+    const windowResults = [];
+    for (let w = 0; w < windows.length; w++) {
+      windowResults.push(await this.evaluateWindow(candles, snapshots, windows[w], parameterSets, simConfig, config));
+      if (onProgress) onProgress('windows', w + 1, windows.length);
+    }
+
+    return this.buildReport(options.symbol, config, grid, candles, parameterSets, windowResults);
+  }
+
+  /**
+   * Score every bar once so parameter sets can be swept cheaply
+   * @returns {Array} Snapshot per candle index (null before the lookback is filled)
+   */
+  async buildSnapshots(candles, lookback, onProgress = null) {
+    const snapshots = new Array(candles.length).fill(null);
+    const total = candles.length - lookback + 1;
+
+    // quiet: indicators skipped on short windows would log on every bar
+    for (let i = lookback - 1; i < candles.length; i++) {
+      snapshots[i] = await signalCombiner.buildSnapshot(candles.slice(i - lookback + 1, i + 1), { quiet: true });
+
+      const done = i - lookback + 2;
+      if (onProgress && (done % 100 === 0 || done === total)) {
+        onProgress('snapshots', done, total);
+      }
+    }
+
+    return snapshots;
+  }
+
+  /**
+   * Group candle indexes by IST trading date and build rolling windows
+   * Each window: { inSample: { start, end }, outOfSample: { start, end } } (inclusive candle indexes)
+   */
+  buildWindows(candles, config) {
+    const sessions = [];
+    let current = null;
+
+    for (let i = config.lookback - 1; i < candles.length; i++) {
+      const date = new Date(new Date(candles[i].timestamp).getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+      if (!current || current.date !== date) {
+        current = { date, start: i, end: i };
+        sessions.push(current);
+      } else {
+        current.end = i;
+      }
+    }
+
+    const windows = [];
+    const span = config.inSampleDays + config.outOfSampleDays;
+
+    for (let s = 0; s + span <= sessions.length; s += config.outOfSampleDays) {
+      const inSample = sessions.slice(s, s + config.inSampleDays);
+      const outOfSample = sessions.slice(s + config.inSampleDays, s + span);
+
+      windows.push({
+        inSample: {
+          start: inSample[0].start,
+          end: inSample[inSample.length - 1].end,
+          from: inSample[0].date,
+          to: inSample[inSample.length - 1].date
+        },
+        outOfSample: {
+          start: outOfSample[0].start,
+          end: outOfSample[outOfSample.length - 1].end,
+          from: outOfSample[0].date,
+          to: outOfSample[outOfSample.length - 1].date
+        }
+      });
+    }
+
+    return windows;
+  }
+
+  /**
+   * Cartesian product of threshold values × weight candidates
+   */
+  buildParameterSets(grid) {
+    const keys = Object.keys(grid.thresholds);
+    let thresholdSets = [{}];
+
+    for (const key of keys) {
+      const next = [];
+      for (const partial of thresholdSets) {
+        for (const value of grid.thresholds[key]) {
+          next.push({ ...partial, [key]: value });
+        }
+      }
+      thresholdSets = next;
+    }
+
+    const weightSets = this.buildWeightCandidates(grid.weightShift);
+    const sets = [];
+
+    for (const thresholds of thresholdSets) {
+      for (const weightSet of weightSets) {
+        sets.push({
+          id: `${keys.map(key => `${key}=${thresholds[key]}`).join(',')}|${weightSet.label}`,
+          thresholds,
+          weightsLabel: weightSet.label,
+          weights: weightSet.weights
+        });
+      }
+    }
+
+    return sets;
+  }
+
+  /**
+   * Weight candidates:
+   * - current: the live behaviour (regime detector's built-in base weights)
+   * - INDICATOR_WEIGHTS: the constants as base weights
+   * - one category nudged up/down by the shift for each category
+   */
+  buildWeightCandidates(shift) {
+    const base = {};
+    for (const key of WEIGHT_CATEGORIES) {
+      base[key] = INDICATOR_WEIGHTS[key] || 0;
+    }
+
+    const candidates = [
+      { label: 'current', weights: null },
+      { label: 'INDICATOR_WEIGHTS', weights: this.normalizeWeights(base) }
+    ];
+
+    if (shift > 0) {
+      for (const key of WEIGHT_CATEGORIES) {
+        for (const direction of [1, -1]) {
+          candidates.push({
+            label: `${key}${direction > 0 ? '+' : '-'}${Math.round(shift * 100)}%`,
+            weights: this.normalizeWeights({ ...base, [key]: base[key] * (1 + direction * shift) })
+          });
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  normalizeWeights(weights) {
+    const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+    return Object.fromEntries(Object.entries(weights).map(([key, w]) => [key, w / total]));
+  }
+
+  /**
+   * Sweep every parameter set over one window
+   */
+  async evaluateWindow(candles, snapshots, window, parameterSets, simConfig, config) {
+    const results = [];
+
+    for (const params of parameterSets) {
+      const inSample = await this.simulateRange(candles, snapshots, window.inSample, params, simConfig);
+      const outOfSample = await this.simulateRange(candles, snapshots, window.outOfSample, params, simConfig);
+
+      results.push({
+        id: params.id,
+        inSample,
+        outOfSample,
+        score: this.score(inSample.metrics, config.minTrades)
+      });
+    }
+
+    const ranked = [...results].sort((a, b) => b.score - a.score);
+    const topCount = Math.max(1, Math.ceil(parameterSets.length * config.topPercent));
+    const best = ranked[0];
+
+    return {
+      window,
+      bestId: best.score === -Infinity ? null : best.id,
+      topIds: ranked.slice(0, topCount).filter(r => r.score !== -Infinity).map(r => r.id),
+      results
+    };
+  }
+
+  /**
+   * Simulate one candle range using pre-built snapshots
+   */
+  async simulateRange(candles, snapshots, range, params, simConfig) {
+    const offset = range.start - simConfig.lookback + 1;
+    const slice = candles.slice(offset, range.end + 1);
+
+    const { trades } = await backtestEngine.simulate(slice, simConfig, null, async (i) => {
+      const snapshot = snapshots[offset + i];
+      return snapshot ? signalCombiner.evaluateSnapshot(snapshot, params) : null;
+    });
+
+    return { trades, metrics: backtestEngine.calculateMetrics(trades) };
+  }
+
+  /**
+   * In-sample objective: net P/L % after costs, with a minimum trade count
+   */
+  score(metrics, minTrades) {
+    if (metrics.totalTrades < minTrades) return -Infinity;
+    return metrics.totalNetPLPercent;
+  }
+
+  /**
+   * Assemble the report
+   */
+  buildReport(symbol, config, grid, candles, parameterSets, windowResults) {
+    const setsById = new Map(parameterSets.map(set => [set.id, set]));
+    const currentId = this.findCurrentSetId(parameterSets);
+
+    // Stitched out-of-sample performance of each window's in-sample winner vs current settings
+    const walkForwardTrades = [];
+    const currentTrades = [];
+
+    const windows = windowResults.map(({ window, bestId, results }) => {
+      const best = results.find(r => r.id === bestId);
+      const current = results.find(r => r.id === currentId);
+
+      if (best) walkForwardTrades.push(...best.outOfSample.trades);
+      if (current) currentTrades.push(...current.outOfSample.trades);
+
+      return {
+        inSample: { from: window.inSample.from, to: window.inSample.to },
+        outOfSample: { from: window.outOfSample.from, to: window.outOfSample.to },
+        best: best ? {
+          id: best.id,
+          inSample: this.summarizeMetrics(best.inSample.metrics),
+          outOfSample: this.summarizeMetrics(best.outOfSample.metrics)
+        } : null,
+        current: current ? {
+          inSample: this.summarizeMetrics(current.inSample.metrics),
+          outOfSample: this.summarizeMetrics(current.outOfSample.metrics)
+        } : null
+      };
+    });
+
+    // Stability: how often a set lands near the top in-sample and still holds up out-of-sample
+    const stats = new Map();
+    for (const { topIds, results } of windowResults) {
+      const topSet = new Set(topIds);
+
+      for (const result of results) {
+        const entry = stats.get(result.id) || { windowsInTop: 0, oosPositiveWindows: 0, oosNetPLPercent: 0, oosTrades: 0 };
+        if (topSet.has(result.id)) entry.windowsInTop++;
+        if (result.outOfSample.metrics.totalNetPLPercent > 0) entry.oosPositiveWindows++;
+        entry.oosNetPLPercent += result.outOfSample.metrics.totalNetPLPercent;
+        entry.oosTrades += result.outOfSample.metrics.totalTrades;
+        stats.set(result.id, entry);
+      }
+    }
+
+    const stableSets = [...stats.entries()]
+      .filter(([, entry]) => entry.windowsInTop > 0)
+      .sort(([, a], [, b]) =>
+        b.windowsInTop - a.windowsInTop ||
+        b.oosPositiveWindows - a.oosPositiveWindows ||
+        b.oosNetPLPercent - a.oosNetPLPercent
+      )
+      .slice(0, 10)
+      .map(([id, entry]) => ({
+        id,
+        thresholds: setsById.get(id).thresholds,
+        weights: setsById.get(id).weightsLabel,
+        windowsInTop: entry.windowsInTop,
+        oosPositiveWindows: entry.oosPositiveWindows,
+        oosNetPLPercent: this.round(entry.oosNetPLPercent),
+        oosTrades: entry.oosTrades
+      }));
+
+    // How often each parameter value won a window
+    const valueFrequency = {};
+    for (const key of Object.keys(grid.thresholds)) {
+      valueFrequency[key] = {};
+    }
+    valueFrequency.weights = {};
+
+    for (const { bestId } of windowResults) {
+      if (!bestId) continue;
+      const set = setsById.get(bestId);
+      for (const [key, value] of Object.entries(set.thresholds)) {
+        valueFrequency[key][value] = (valueFrequency[key][value] || 0) + 1;
+      }
+      valueFrequency.weights[set.weightsLabel] = (valueFrequency.weights[set.weightsLabel] || 0) + 1;
+    }
+
+    const recommendedSet = stableSets.length > 0 ? setsById.get(stableSets[0].id) : null;
+
+    return {
+      symbol,
+      timeframe: config.timeframe,
+      generatedAt: new Date(),
+      range: {
+        from: candles[0]?.timestamp,
+        to: candles[candles.length - 1]?.timestamp,
+        candles: candles.length
+      },
+      config,
+      grid,
+      parameterSets: parameterSets.length,
+      windows,
+      outOfSample: {
+        walkForward: this.summarizeMetrics(backtestEngine.calculateMetrics(walkForwardTrades)),
+        current: this.summarizeMetrics(backtestEngine.calculateMetrics(currentTrades))
+      },
+      stableSets,
+      valueFrequency,
+      recommended: recommendedSet ? {
+        id: recommendedSet.id,
+        ACTION_THRESHOLDS: { ...ACTION_THRESHOLDS, ...recommendedSet.thresholds },
+        INDICATOR_WEIGHTS: recommendedSet.weights
+          ? Object.fromEntries(Object.entries(recommendedSet.weights).map(([key, w]) => [key, this.round(w)]))
+          : null // Keep the current weighting
+      } : null
+    };
+  }
+
+  /**
+   * Parameter set matching the live thresholds and weights (if it is in the grid)
+   */
+  findCurrentSetId(parameterSets) {
+    const current = parameterSets.find(set =>
+      set.weightsLabel === 'current' &&
+      Object.entries(set.thresholds).every(([key, value]) => ACTION_THRESHOLDS[key] === value)
+    );
+    return current ? current.id : null;
+  }
+
+  summarizeMetrics(metrics) {
+    return {
+      trades: metrics.totalTrades,
+      winRate: metrics.winRate,
+      netPLPercent: metrics.totalNetPLPercent,
+      grossPLPercent: metrics.totalPLPercent,
+      avgNetPLPercent: metrics.avgNetPLPercent
+    };
+  }
+
+  round(value) {
+    return Math.round(value * 10000) / 10000;
+  }
+}
+
+module.exports = new WalkForwardOptimizer();
@@ -0,0 +1,144 @@
+/**
+ * Watchlist Manager
+ * Named symbol lists per user (models/Watchlist.js)
+ *
+ * - Symbols are resolved through the symbol registry, so aliases work ('NIFTY' → NIFTY50) and only
+ *   active instruments can be added
+ * - A user's first request creates WATCHLISTS.DEFAULT_NAME with every active registry symbol, which
+ *   is what the dashboard shows out of the box
+ */
+
+const mongoose = require('mongoose');
+const Watchlist = require('../models/Watchlist');
+const symbolRegistry = require('./symbol-registry');
+const { WATCHLISTS } = require('../config/constants');
+
+const DEFAULT_USER = 'default';
+
+class WatchlistManager {
+  /**
+   * Watchlists of a user, oldest first (creates the default one for a new user)
+   * The default is upserted, so a new user's concurrent first requests share one list
+   */
+  async getWatchlists(user = DEFAULT_USER) {
+    const watchlists = await Watchlist.find({ user }).sort({ createdAt: 1 }).lean();
+    if (watchlists.length > 0) return watchlists;
+
+    const result = await Watchlist.findOneAndUpdate(
+      { user, name: WATCHLISTS.DEFAULT_NAME },
+      { $setOnInsert: { symbols: symbolRegistry.getSymbols() } },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+    if (!result.lastErrorObject?.updatedExisting) {
+      console.log(`📋 Watchlist "${WATCHLISTS.DEFAULT_NAME}" created for ${user}`);
+    }
+
+    return Watchlist.find({ user }).sort({ createdAt: 1 }).lean();
+  }
+
+  /**
+   * One watchlist of a user - throws when it doesn't exist
+   */
+  async getWatchlist(user = DEFAULT_USER, id) {
+    const watchlist = mongoose.isValidObjectId(id) ? await Watchlist.findOne({ _id: id, user }) : null;
+
+    if (!watchlist) {
+      throw new Error('Watchlist not found');
+    }
+    return watchlist;
+  }
+
+  /**
+   * @param {Object} fields - { name, description?, symbols? }
+   */
+  async createWatchlist(user = DEFAULT_USER, { name, description, symbols = [] }) {
+    if (!name || !String(name).trim()) {
+      throw new Error('Watchlist name is required');
+    }
+    await this.assertNameFree(user, name);
+
+    return Watchlist.create({ user, name, description, symbols: this.resolveSymbols(symbols) });
+  }
+
+  /**
+   * Rename, re-describe or replace the symbols (in the given order) of a watchlist
+   * @param {Object} fields - { name?, description?, symbols? }
+   */
+  async updateWatchlist(user = DEFAULT_USER, id, { name, description, symbols }) {
+    const watchlist = await this.getWatchlist(user, id);
+
+    if (name !== undefined && name !== watchlist.name) {
+      await this.assertNameFree(user, name);
+      watchlist.name = name;
+    }
+    if (description !== undefined) watchlist.description = description;
+    if (symbols !== undefined) watchlist.symbols = this.resolveSymbols(symbols);
+
+    return watchlist.save();
+  }
+
+  async deleteWatchlist(user = DEFAULT_USER, id) {
+    const watchlist = await this.getWatchlist(user, id);
+    await watchlist.deleteOne();
+    return watchlist;
+  }
+
+  /**
+   * Append a symbol (no-op when it's already listed)
+   */
+  async addSymbol(user = DEFAULT_USER, id, symbol) {
+    const watchlist = await this.getWatchlist(user, id);
+    const [resolved] = this.resolveSymbols([symbol]);
+
+    if (!watchlist.symbols.includes(resolved)) {
+      if (watchlist.symbols.length >= WATCHLISTS.MAX_SYMBOLS) {
+        throw new Error(`A watchlist holds at most ${WATCHLISTS.MAX_SYMBOLS} symbols`);
+      }
+      watchlist.symbols.push(resolved);
+      await watchlist.save();
+    }
+    return watchlist;
+  }
+
+  async removeSymbol(user = DEFAULT_USER, id, symbol) {
+    const watchlist = await this.getWatchlist(user, id);
+    const resolved = symbolRegistry.resolve(symbol) || String(symbol).toUpperCase();
+
+    if (!watchlist.symbols.includes(resolved)) {
+      throw new Error(`${resolved} is not on ${watchlist.name}`);
+    }
+    watchlist.symbols = watchlist.symbols.filter(s => s !== resolved);
+    return watchlist.save();
+  }
+
+  /**
+   * Registry symbols for user input - throws on unknown or inactive ones
+   */
+  resolveSymbols(symbols) {
+    if (!Array.isArray(symbols)) {
+      throw new Error('Symbols must be an array');
+    }
+
+    const resolved = symbols.map(name => {
+      const symbol = symbolRegistry.resolve(name);
+      if (!symbol || !symbolRegistry.isActive(symbol)) {
+        throw new Error(`Unknown symbol ${name} (use ${symbolRegistry.getSymbols().join(', ')})`);
+      }
+      return symbol;
+    });
+
+    const unique = [...new Set(resolved)];
+    if (unique.length > WATCHLISTS.MAX_SYMBOLS) {
+      throw new Error(`A watchlist holds at most ${WATCHLISTS.MAX_SYMBOLS} symbols`);
+    }
+    return unique;
+  }
+
+  async assertNameFree(user, name) {
+    if (await Watchlist.exists({ user, name: String(name).trim() })) {
+      throw new Error(`Watchlist "${name}" already exists`);
+    }
+  }
+}
+
+module.exports = new WatchlistManager();
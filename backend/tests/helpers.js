@@ -0,0 +1,73 @@
+/**
+ * Test helpers: recorded fixture candles and small hand-built series
+ */
+
+const fixtureProvider = require('../services/providers/fixture');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Recorded candles of a symbol (fixtures/market-data/candles), ascending
+ */
+function fixtureCandles(symbol, timeframe = '5m') {
+  return fixtureProvider.readCandles(symbol, timeframe);
+}
+
+/**
+ * Candles every `minutes` from `start`; prices from `closes` (open = previous close, ±1 range)
+ */
+function buildSeries(symbol, start, closes, { minutes = 5, volume = 1000 } = {}) {
+  const startTime = new Date(start).getTime();
+
+  return closes.map((close, i) => {
+    const open = i === 0 ? close : closes[i - 1];
+    return {
+      symbol,
+      timeframe: `${minutes}m`,
+      timestamp: new Date(startTime + i * minutes * MINUTE_MS),
+      ohlc: { open, high: Math.max(open, close) + 1, low: Math.min(open, close) - 1, close },
+      volume
+    };
+  });
+}
+
+/**
+ * A full regular session of flat 5m bars starting at `open` (ISO time)
+ */
+function sessionSeries(symbol, open, bars, price = 100) {
+  return buildSeries(symbol, open, Array(bars).fill(price));
+}
+
+/**
+ * Stand-in for the ChartData model (jest.mock factory) that serves the recorded fixture candles
+ * Supports find({ symbol, timeframe, timestamp: { $gte, $lte } }).sort().lean() - ascending only
+ */
+function mockChartData() {
+  const matches = (candle, { $gte, $lte } = {}) =>
+    (!$gte || candle.timestamp >= $gte) && (!$lte || candle.timestamp <= $lte);
+
+  return {
+    find: ({ symbol, timeframe, timestamp }) => {
+      let candles = [];
+      try {
+        candles = fixtureCandles(symbol, timeframe).filter(candle => matches(candle, timestamp));
+      } catch (error) {
+        // No recording for this symbol/timeframe - nothing stored
+      }
+      return { sort: () => ({ lean: async () => candles, then: (resolve) => resolve(candles) }) };
+    },
+    aggregate: async () => []
+  };
+}
+
+/**
+ * Stand-in for the TickData model - no ticks are recorded
+ */
+function mockTickData() {
+  return {
+    find: () => ({ sort: () => ({ lean: async () => [], then: (resolve) => resolve([]) }) }),
+    aggregate: async () => []
+  };
+}
+
+module.exports = { fixtureCandles, buildSeries, sessionSeries, mockChartData, mockTickData, MINUTE_MS };
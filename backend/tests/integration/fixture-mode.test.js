@@ -0,0 +1,38 @@
+const candleStore = require('../../services/candle-store');
+const marketData = require('../../services/market-data');
+const optionsDataFetcher = require('../../services/options-data-fetcher');
+const { fixtureCandles } = require('../helpers');
+
+describe('fixture market data', () => {
+  it('serves candles through the candle store up to the last recorded bar', async () => {
+    const candles = await candleStore.getCandles('NIFTY50', '15m');
+    const recorded = fixtureCandles('NIFTY50');
+
+    expect(candles).toHaveLength(75);
+    expect(candles[0].ohlc.open).toBe(recorded[0].ohlc.open);
+    expect(candles[candles.length - 1].timestamp.toISOString()).toBe('2026-10-15T09:45:00.000Z');
+    candles.forEach(candle => expect(candle.source).toBe('fixture'));
+  });
+
+  it('gives the same candles on every call', async () => {
+    const [first, second] = [await marketData.getCandles('DOWJONES', '15m'), await marketData.getCandles('DOWJONES', '15m')];
+    expect(second).toEqual(first);
+  });
+
+  it('serves the recorded quote', async () => {
+    const quote = await marketData.getQuote('NIFTY50');
+    expect(quote).toMatchObject({ symbol: 'NIFTY50', price: 25863.15, source: 'fixture' });
+  });
+
+  it('parses the recorded option chain', async () => {
+    const chain = await optionsDataFetcher.fetchOptionsChain('NIFTY');
+
+    expect(chain).toMatchObject({ symbol: 'NIFTY', spotPrice: 25863.15, expiryDate: '19-Oct-2026' });
+    expect(chain.CE).toHaveLength(11);
+    expect(chain.PE).toHaveLength(11);
+  });
+
+  it('fails symbols without a recording', async () => {
+    await expect(marketData.getQuote('GIFTNIFTY')).rejects.toThrow('No market data provider serves GIFTNIFTY quote');
+  });
+});
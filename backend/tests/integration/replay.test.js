@@ -0,0 +1,69 @@
+jest.mock('../../models/ChartData', () => require('../helpers').mockChartData());
+jest.mock('../../models/TickData', () => require('../helpers').mockTickData());
+
+const ReplaySession = require('../../services/replay-session');
+
+describe('replay over recorded candles', () => {
+  let session;
+
+  beforeEach(() => {
+    session = new ReplaySession('test');
+  });
+
+  afterEach(() => {
+    session.stop();
+  });
+
+  it('loads one IST day of stored 5m candles', async () => {
+    const result = await session.loadReplayData('NIFTY50', { date: '2026-10-15' });
+
+    expect(result).toMatchObject({ success: true, symbol: 'NIFTY50', source: 'chart:5m', ticksLoaded: 75 });
+    expect(result.startTime.toISOString()).toBe('2026-10-15T03:45:00.000Z');
+    expect(result.endTime.toISOString()).toBe('2026-10-15T09:55:00.000Z');
+  });
+
+  it('loads a range of days', async () => {
+    const result = await session.loadReplayData('NIFTY50', { from: '2026-10-13', to: '2026-10-14' });
+
+    expect(result.ticksLoaded).toBe(150);
+    expect(result.endTime.toISOString()).toBe('2026-10-14T09:55:00.000Z');
+  });
+
+  it('rejects reversed ranges and dates that do not exist', async () => {
+    await expect(session.loadReplayData('NIFTY50', { from: '2026-10-15', to: '2026-10-13' }))
+      .rejects.toThrow('"from" must be before "to"');
+    await expect(session.loadReplayData('NIFTY50', { date: '2026-02-30' }))
+      .rejects.toThrow('Invalid "from" date "2026-02-30"');
+  });
+
+  it('fails clearly for a day without data', async () => {
+    await expect(session.loadReplayData('NIFTY50', { date: '2026-10-17' }))
+      .rejects.toThrow('Failed to load replay data: No replay data for NIFTY50');
+  });
+
+  it('records the same signals on every run', async () => {
+    await session.loadReplayData('NIFTY50', { date: '2026-10-15' });
+
+    const first = await session.recordSignals({ timeframe: '15m' });
+    const second = await session.recordSignals({ timeframe: '15m' });
+
+    expect(first).toMatchObject({ symbol: 'NIFTY50', timeframe: '15m', source: 'chart:5m', bars: 25 });
+    expect(first.signals).toHaveLength(25 - 9); // From the 10th bar on
+    expect(second.digest).toBe(first.digest);
+  });
+
+  it('gives different data a different digest', async () => {
+    await session.loadReplayData('NIFTY50', { date: '2026-10-15' });
+    const thursday = await session.recordSignals({ timeframe: '15m' });
+
+    await session.loadReplayData('NIFTY50', { date: '2026-10-14' });
+    const wednesday = await session.recordSignals({ timeframe: '15m' });
+
+    expect(wednesday.digest).not.toBe(thursday.digest);
+  });
+
+  it('rejects bar sizes replay cannot build', async () => {
+    await session.loadReplayData('NIFTY50', { date: '2026-10-15' });
+    await expect(session.recordSignals({ timeframe: '2h' })).rejects.toThrow('Unsupported bar timeframe "2h"');
+  });
+});
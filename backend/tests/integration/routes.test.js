@@ -0,0 +1,100 @@
+jest.mock('../../models/ChartData', () => require('../helpers').mockChartData());
+jest.mock('../../models/TickData', () => require('../helpers').mockTickData());
+
+const express = require('express');
+const request = require('supertest');
+
+const app = express();
+app.use(express.json());
+app.use('/api/market-data', require('../../routes/market-data'));
+app.use('/api/charts', require('../../routes/chart'));
+app.use('/api/replay', require('../../routes/replay'));
+app.use('/api/strategies', require('../../routes/strategies'));
+app.use('/api/signals', require('../../routes/signals'));
+
+describe('market data routes', () => {
+  it('serves fixture candles', async () => {
+    const res = await request(app).get('/api/market-data/candles?symbol=nifty50&timeframe=15m');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ symbol: 'NIFTY50', timeframe: '15m', source: 'fixture', count: 75 });
+  });
+
+  it('validates the candle query', async () => {
+    expect((await request(app).get('/api/market-data/candles')).status).toBe(400);
+    expect((await request(app).get('/api/market-data/candles?symbol=NIFTY50&timeframe=7m')).status).toBe(400);
+  });
+
+  it('serves the recorded quote', async () => {
+    const res = await request(app).get('/api/market-data/quote/NIFTY50');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ symbol: 'NIFTY50', price: 25863.15, source: 'fixture' });
+  });
+
+  it('lists calendar days and expiries', async () => {
+    const res = await request(app).get('/api/market-data/calendar?from=2026-10-16&to=2026-10-20');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.days.map(day => day.tradingDay)).toEqual([true, false, false, true, false]);
+    expect(res.body.data.expiries.NIFTY50.map(expiry => expiry.date)).toEqual(['2026-10-19']);
+  });
+
+  it('rejects bad calendar dates', async () => {
+    expect((await request(app).get('/api/market-data/calendar?from=2026-13-45')).status).toBe(400);
+    expect((await request(app).get('/api/market-data/calendar?from=2026-02-30')).status).toBe(400);
+    expect((await request(app).get('/api/market-data/calendar?from=2026-10-20&to=2026-10-16')).status).toBe(400);
+  });
+});
+
+describe('chart export route', () => {
+  it('rejects unreadable dates', async () => {
+    const res = await request(app).get('/api/charts/export?symbol=NIFTY50&from=yesterday');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/^Invalid "from" date "yesterday"/);
+    expect((await request(app).get('/api/charts/export?symbol=NIFTY50&to=2024-02-31')).status).toBe(400);
+  });
+});
+
+describe('strategy routes', () => {
+  it('lists the registered strategies', async () => {
+    const res = await request(app).get('/api/strategies');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.find(strategy => strategy.name === 'combiner')).toMatchObject({ requiredBars: 10 });
+  });
+
+  it('404s unknown strategies', async () => {
+    expect((await request(app).get('/api/strategies/astrology')).status).toBe(404);
+  });
+
+  it('rejects an unknown strategy on the live signals', async () => {
+    const res = await request(app).get('/api/signals/live?strategy=astrology');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Unknown strategy astrology');
+  });
+});
+
+describe('replay routes', () => {
+  it('loads a day and records a reproducible digest', async () => {
+    const load = await request(app).post('/api/replay/load').send({ session: 'routes', symbol: 'NIFTY50', date: '2026-10-15' });
+    expect(load.status).toBe(200);
+    expect(load.body.data).toMatchObject({ source: 'chart:5m', ticksLoaded: 75 });
+
+    const first = await request(app).post('/api/replay/record').send({ session: 'routes', timeframe: '15m' });
+    const second = await request(app).post('/api/replay/record').send({ session: 'routes', timeframe: '15m' });
+
+    expect(first.status).toBe(200);
+    expect(first.body.data.bars).toBe(25);
+    expect(second.body.data.digest).toBe(first.body.data.digest);
+  });
+
+  it('reports a session without data', async () => {
+    const res = await request(app).post('/api/replay/record').send({ session: 'empty' });
+
+    expect(res.status).toBe(500);
+    expect(res.body.error).toBe('No replay data loaded');
+  });
+});
@@ -0,0 +1,39 @@
+const scanner = require('../../services/scanner');
+
+const SYMBOLS = ['NIFTY50', 'BANKNIFTY', 'DOWJONES'];
+
+describe('scanner over recorded candles', () => {
+  it('scores and ranks every symbol', async () => {
+    const result = await scanner.scan(SYMBOLS, { timeframe: '15m' });
+
+    expect(result).toMatchObject({ timeframe: '15m', sortBy: 'confidence', scanned: 3, failed: 0 });
+    expect(result.rows.map(row => row.rank)).toEqual([1, 2, 3]);
+    expect(result.rows.map(row => row.symbol).sort()).toEqual([...SYMBOLS].sort());
+
+    const confidences = result.rows.map(row => row.confidence);
+    expect(confidences).toEqual([...confidences].sort((a, b) => b - a));
+    result.rows.forEach(row => expect(row.dataQuality).toBe('CLEAN'));
+  });
+
+  it('filters on the action direction', async () => {
+    const holds = await scanner.scan(SYMBOLS, { timeframe: '15m', action: 'HOLD' });
+    const buys = await scanner.scan(SYMBOLS, { timeframe: '15m', action: 'BUY' });
+
+    holds.rows.forEach(row => expect(row.action).toBe('HOLD'));
+    buys.rows.forEach(row => expect(['BUY', 'STRONG_BUY']).toContain(row.action));
+    expect(holds.rows.length + buys.rows.length).toBeLessThanOrEqual(3);
+  });
+
+  it('reports symbols without enough candles in their row', async () => {
+    const result = await scanner.scan(['NIFTY50', 'GIFTNIFTY'], { timeframe: '15m' });
+    const missing = result.rows.find(row => row.symbol === 'GIFTNIFTY');
+
+    expect(result.failed).toBe(1);
+    expect(missing.rank).toBeNull();
+    expect(missing.error).toBeTruthy();
+  });
+
+  it('rejects unknown sort orders', async () => {
+    await expect(scanner.scan(SYMBOLS, { sortBy: 'luck' })).rejects.toThrow('Unknown sortBy "luck"');
+  });
+});
@@ -0,0 +1,53 @@
+const strategyRegistry = require('../../services/strategy-registry');
+const { fixtureCandles } = require('../helpers');
+
+const SYMBOLS = ['NIFTY50', 'BANKNIFTY', 'DOWJONES'];
+
+/**
+ * Evaluate the primary strategy the way the generator does: last 100 candles, as of the last bar
+ */
+function evaluate(symbol, candles) {
+  return strategyRegistry.evaluate(strategyRegistry.getPrimary(), candles.slice(-100), {
+    symbol,
+    timeframe: '5m',
+    minConfidence: 0,
+    history: candles,
+    now: candles[candles.length - 1].timestamp
+  });
+}
+
+describe('signal generation over recorded candles', () => {
+  it.each(SYMBOLS)('emits consistent levels for every %s signal through the session', async (symbol) => {
+    const candles = fixtureCandles(symbol);
+    const actions = [];
+
+    for (let k = 60; k <= candles.length; k += 15) {
+      const signal = await evaluate(symbol, candles.slice(0, k));
+      const { action } = signal.signal;
+      const { entry, stopLoss, target1, target2, target3 } = signal.levels;
+      actions.push(action);
+
+      expect(signal).toMatchObject({ symbol, timeframe: '5m', currentPrice: candles[k - 1].ohlc.close });
+      expect(signal.dataQuality.status).toBe('CLEAN');
+
+      if (action.endsWith('BUY')) {
+        expect(stopLoss).toBeLessThan(entry);
+        expect([entry, target1, target2, target3]).toEqual([entry, target1, target2, target3].sort((a, b) => a - b));
+      } else if (action.endsWith('SELL')) {
+        expect(stopLoss).toBeGreaterThan(entry);
+        expect([entry, target1, target2, target3]).toEqual([entry, target1, target2, target3].sort((a, b) => b - a));
+      }
+    }
+
+    expect(actions).toContain('HOLD');
+    expect(actions.some(action => action !== 'HOLD')).toBe(true);
+  });
+
+  it('gives the same signal for the same candles', async () => {
+    const candles = fixtureCandles('NIFTY50').slice(0, 135);
+    const [first, second] = [await evaluate('NIFTY50', candles), await evaluate('NIFTY50', candles)];
+
+    expect(second.signal).toEqual(first.signal);
+    expect(second.levels).toEqual(first.levels);
+  });
+});
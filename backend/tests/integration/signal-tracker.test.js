@@ -0,0 +1,107 @@
+const signalTracker = require('../../services/signal-tracker');
+const tradeManager = require('../../services/trade-manager');
+const { fixtureCandles, buildSeries, MINUTE_MS } = require('../helpers');
+
+const BAR_MS = 5 * MINUTE_MS;
+
+/**
+ * A BUY fired at the close of bar `k` with a symmetric stop/target `distance` away
+ */
+function signalAt(candles, k, distance) {
+  const entry = candles[k].ohlc.close;
+  return {
+    symbol: 'NIFTY50',
+    timeframe: '5m',
+    signal: { action: 'BUY' },
+    levels: { entry, stopLoss: entry - distance, target1: entry + distance, target2: entry + 2 * distance, target3: entry + 3 * distance },
+    marketTime: new Date(candles[k].timestamp.getTime() + BAR_MS - 1)
+  };
+}
+
+/**
+ * First later bar that touches the stop or a target - the stop wins a tie, else the furthest target
+ */
+function firstTouch(candles, k, { levels }) {
+  for (let i = k + 1; i < candles.length - 1; i++) {
+    const { high, low } = candles[i].ohlc;
+    if (low <= levels.stopLoss) return { index: i, type: 'STOPLOSS' };
+    const reached = ['target3', 'target2', 'target1'].find(level => high >= levels[level]);
+    if (reached) return { index: i, type: reached.toUpperCase() };
+  }
+  return null;
+}
+
+describe('signal tracker over recorded candles', () => {
+  const candles = fixtureCandles('NIFTY50');
+
+  it.each([
+    [40, 20],
+    [120, 35],
+    [180, 40]
+  ])('exits a signal from bar %i at the first bar that touches its levels (±%i)', async (k, distance) => {
+    const trade = signalAt(candles, k, distance);
+    const expected = firstTouch(candles, k, trade);
+    const position = tradeManager.getPosition(trade);
+
+    const { legs, scanned } = await signalTracker.scanCandles(trade, position, candles, '5m');
+
+    expect(expected).not.toBeNull();
+    expect(scanned).toBe(true);
+    expect(legs).toHaveLength(1);
+    expect(legs[0]).toMatchObject({ type: expected.type, time: candles[expected.index].timestamp });
+    expect(position.openFraction).toBe(0);
+  });
+
+  it('only scans candles it has not seen yet', async () => {
+    const trade = signalAt(candles, 40, 10000); // Levels nothing reaches
+    const position = tradeManager.getPosition(trade);
+    const forming = new Date(candles[99].timestamp.getTime() + 2 * MINUTE_MS);
+
+    const first = await signalTracker.scanCandles(trade, position, candles.slice(0, 100), '5m', forming);
+    expect(first).toMatchObject({ legs: [], scanned: true });
+    expect(position.lastBarTime).toEqual(candles[98].timestamp); // The latest candle is still forming
+
+    const again = await signalTracker.scanCandles(trade, position, candles.slice(0, 100), '5m', forming);
+    expect(again.scanned).toBe(false);
+
+    const closed = await signalTracker.scanCandles(trade, position, candles.slice(0, 100), '5m', new Date(forming.getTime() + BAR_MS));
+    expect(closed.scanned).toBe(true);
+    expect(position.lastBarTime).toEqual(candles[99].timestamp);
+  });
+
+  it('applies a candle that dipped before reaching T1 once, after it closes', async () => {
+    // Entry at 100; the next candle trades 99-104, so it dips below breakeven before the T1 touch
+    const series = buildSeries('NIFTY50', '2026-10-15T04:00:00Z', [100, 103]);
+    const trade = {
+      symbol: 'NIFTY50',
+      signal: { action: 'BUY' },
+      levels: { entry: 100, stopLoss: 95, target1: 102, target2: 110, target3: 120 },
+      marketTime: new Date('2026-10-15T04:04:59Z')
+    };
+    const position = { ...tradeManager.getPosition(trade), exitPolicy: 'SCALE_OUT' };
+    const forming = new Date('2026-10-15T04:07:00Z');
+    const closed = new Date('2026-10-15T04:10:00Z');
+
+    const early = await signalTracker.scanCandles(trade, position, series, '5m', forming);
+    expect(early.legs).toEqual([]);
+    expect(position).toMatchObject({ openFraction: 1, stop: 95 });
+
+    const first = await signalTracker.scanCandles(trade, position, series, '5m', closed);
+    expect(first.legs[0]).toMatchObject({ type: 'TARGET1', fraction: 0.5 });
+
+    const openFraction = position.openFraction;
+    const next = await signalTracker.scanCandles(trade, position, series, '5m', new Date('2026-10-15T04:12:00Z'));
+    expect(next.legs).toEqual([]);
+    expect(position.openFraction).toBe(openFraction);
+  });
+
+  it('checks each symbol against its own session', () => {
+    jest.useFakeTimers({ now: new Date('2026-10-15T15:00:00Z') }); // 20:30 IST, 11:00 EDT
+    try {
+      expect(signalTracker.isMarketClosed('NIFTY50')).toBe(true);
+      expect(signalTracker.isMarketClosed('DOWJONES')).toBe(false);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,22 @@
+/**
+ * Jest setup (runs before every test file)
+ * Market data comes from the fixtures in fixtures/market-data - no network, no MongoDB - env
+ * overrides are cleared so the specs see the configured defaults, and the services' progress logs
+ * are silenced (warnings and errors still show).
+ */
+
+process.env.MARKET_DATA_MODE = 'fixture';
+delete process.env.MARKET_DATA_FIXTURE_DIR;
+delete process.env.EXIT_POLICY;
+delete process.env.INTRABAR_RULE;
+delete process.env.COST_PROFILE;
+delete process.env.SLIPPAGE_TICKS;
+delete process.env.SIZING_METHOD;
+delete process.env.SIZING_CAPITAL;
+delete process.env.SIZING_RISK_PERCENT;
+delete process.env.RISK_MAX_CONSECUTIVE_LOSSES;
+delete process.env.RISK_DAILY_LOSS_LIMIT;
+delete process.env.RISK_MAX_SIGNALS_PER_SYMBOL;
+delete process.env.RISK_COOLDOWN_MINUTES;
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
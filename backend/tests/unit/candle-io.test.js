@@ -0,0 +1,99 @@
+const candleIO = require('../../services/candle-io');
+
+const iso = (candles) => candles.map(c => c.timestamp.toISOString());
+
+describe('candle import parsing', () => {
+  it('reads broker exports as IST and infers the timeframe', () => {
+    const csv = [
+      'date,open,high,low,close,volume',
+      '2026-10-15 09:15:00,25000,25010,24990,25005,1200',
+      '2026-10-15 09:20:00,25005,25020,25000,25015,900',
+      '2026-10-15 09:25:00,25015,25030,25010,25025,1100'
+    ].join('\n');
+    const { candles, report } = candleIO.parse(csv, { symbol: 'nifty50' });
+
+    expect(report).toMatchObject({ symbol: 'NIFTY50', layout: 'broker', timeframe: '5m', parsed: 3, rejected: 0 });
+    expect(report.timezone.naive).toBe(3);
+    expect(report.warnings).toEqual(['3 timestamps had no timezone - read as +05:30']);
+    expect(iso(candles)[0]).toBe('2026-10-15T03:45:00.000Z');
+    expect(candles[2]).toMatchObject({ symbol: 'NIFTY50', timeframe: '5m', ohlc: { open: 25015, high: 25030, low: 25010, close: 25025 }, volume: 1100 });
+  });
+
+  it('joins separate date and time columns and honours a timezone option', () => {
+    const csv = 'Date,Time,Open,High,Low,Close\n15/10/2026,04:00,1,2,0.5,1.5\n15/10/2026,04:01,1,2,0.5,1.5\n';
+    const { candles, report } = candleIO.parse(csv, { symbol: 'NIFTY50', timezone: 'UTC' });
+
+    expect(report.timeframe).toBe('1m');
+    expect(iso(candles)[0]).toBe('2026-10-15T04:00:00.000Z');
+  });
+
+  it('takes TradingView epoch seconds as UTC', () => {
+    const csv = 'time,open,high,low,close,Volume\n1760500800,1,2,0.5,1.5,10\n1760501700,1,2,0.5,1.5,10\n';
+    const { candles, report } = candleIO.parse(csv, { symbol: 'NIFTY50' });
+
+    expect(report.layout).toBe('tradingview');
+    expect(report.timezone.offsetsSeen).toEqual(['Z']);
+    expect(report.timeframe).toBe('15m');
+    expect(candles[0].timestamp.getTime()).toBe(1760500800 * 1000);
+  });
+
+  it('keeps only the requested symbol from NSE multi-symbol files', () => {
+    const csv = [
+      'Index Name,Index Date,Open Index Value,High Index Value,Low Index Value,Closing Index Value,Shares Traded',
+      'Nifty 50,15-Oct-2026,25000,25100,24900,25050,1000',
+      'Nifty Bank,15-Oct-2026,55000,55100,54900,55050,500',
+      'Nifty 50,16-Oct-2026,25050,25150,25000,25100,1100'
+    ].join('\n');
+    const { candles, report } = candleIO.parse(csv, { symbol: 'NIFTY50' });
+
+    expect(report).toMatchObject({ layout: 'nse', timeframe: '1d', parsed: 2 });
+    expect(report.timezone.dateOnly).toBe(2);
+    expect(iso(candles)).toEqual(['2026-10-15T03:45:00.000Z', '2026-10-16T03:45:00.000Z']); // 09:15 IST open
+  });
+
+  it('stamps date-only rows on the symbol\'s own trading day', () => {
+    const csv = 'date,open,high,low,close\n2026-10-15,46000,46200,45900,46100\n';
+    const { candles } = candleIO.parse(csv, { symbol: 'DOWJONES' });
+
+    expect(iso(candles)).toEqual(['2026-10-15T04:00:00.000Z']); // New York midnight
+  });
+
+  it('reads JSON candle arrays and TradingView history responses', () => {
+    const tv = JSON.stringify({ t: [1760500800, 1760501100], o: [1, 1], h: [2, 2], l: [0.5, 0.5], c: [1.5, 1.5], v: [5, 5] });
+    const flat = JSON.stringify([{ timestamp: '2026-10-15T09:15:00+05:30', open: 1, high: 2, low: 0.5, close: 1.5 }, { timestamp: '2026-10-15T09:20:00+05:30', open: 1, high: 2, low: 0.5, close: 1.5 }]);
+
+    expect(candleIO.parse(tv, { symbol: 'NIFTY50' }).report).toMatchObject({ format: 'json', timeframe: '5m', parsed: 2 });
+    expect(iso(candleIO.parse(flat, { symbol: 'NIFTY50' }).candles)[0]).toBe('2026-10-15T03:45:00.000Z');
+  });
+
+  it('rejects bad rows with their line number and merges duplicates', () => {
+    const csv = [
+      'datetime,open,high,low,close',
+      '2026-10-15T09:15:00+05:30,100,101,99,100',
+      'not a date,100,101,99,100',
+      '2026-10-15T09:20:00+05:30,100,99,98,100',
+      '2026-10-15T09:20:00+05:30,100,101,99,100.5',
+      '2026-10-15T09:20:00+05:30,100,101,99,100.7',
+      '2026-10-15T09:25:00+05:30,100,101,99,100'
+    ].join('\n');
+    const { candles, report } = candleIO.parse(csv, { symbol: 'NIFTY50' });
+
+    expect(report.rejected).toBe(2);
+    expect(report.errors[0]).toEqual({ line: 3, reason: 'Unreadable timestamp "not a date"' });
+    expect(report.errors[1].line).toBe(4);
+    expect(report.duplicates).toBe(1);
+    expect(candles.map(c => c.ohlc.close)).toEqual([100, 100.7, 100]); // The later row wins
+  });
+
+  it('warns about candles off the session\'s bar boundaries', () => {
+    const csv = 'datetime,open,high,low,close\n2026-10-15T09:17:00+05:30,1,2,0.5,1.5\n2026-10-15T09:22:00+05:30,1,2,0.5,1.5\n';
+    const { report } = candleIO.parse(csv, { symbol: 'NIFTY50' });
+
+    expect(report.warnings).toEqual(['2 candles do not start on a 5m boundary of the NIFTY50 session - check the timezone']);
+  });
+
+  it('refuses unknown symbols and files without OHLC columns', () => {
+    expect(() => candleIO.parse('date,open\n', { symbol: 'SENSEX' })).toThrow('Unknown symbol "SENSEX"');
+    expect(() => candleIO.parse('date,open,close\n2026-10-15,1,2\n', { symbol: 'NIFTY50' })).toThrow('Missing columns: high, low');
+  });
+});
@@ -0,0 +1,133 @@
+const candleResampler = require('../../services/candle-resampler');
+const { sessionSeries, buildSeries } = require('../helpers');
+
+const times = (bars) => bars.map(bar => bar.timestamp.toISOString());
+
+describe('candle resampler', () => {
+  describe('parseTimeframe', () => {
+    it('reads minutes, hours, days and weeks', () => {
+      expect(candleResampler.parseTimeframe('75m')).toEqual({ unit: 'm', minutes: 75 });
+      expect(candleResampler.parseTimeframe('1h')).toEqual({ unit: 'm', minutes: 60 });
+      expect(candleResampler.toMinutes('1d')).toBe(1440);
+      expect(candleResampler.toMinutes('1w')).toBe(10080);
+    });
+
+    it('rejects timeframes outside RESAMPLE_TIMEFRAMES', () => {
+      expect(() => candleResampler.parseTimeframe('7m')).toThrow('Unsupported timeframe "7m"');
+    });
+  });
+
+  describe('NSE symbols', () => {
+    // 09:15-15:30 IST = 03:45-10:00 UTC, 75 five-minute bars
+    const day = sessionSeries('NIFTY50', '2026-10-15T03:45:00Z', 75);
+
+    it('aligns hourly bars to the 09:15 open and cuts the last one at the close', () => {
+      const bars = candleResampler.resample(day, '1h');
+
+      expect(bars).toHaveLength(7);
+      expect(bars[0].timestamp.toISOString()).toBe('2026-10-15T03:45:00.000Z'); // 09:15 IST
+      expect(bars[6].timestamp.toISOString()).toBe('2026-10-15T09:45:00.000Z'); // 15:15 IST
+      expect(bars[6].metadata.candleCount).toBe(3);
+      expect(bars.every(bar => !bar.partial)).toBe(true);
+    });
+
+    it('gives five equal 75m bars', () => {
+      const bars = candleResampler.resample(day, '75m');
+      expect(bars.map(bar => bar.metadata.candleCount)).toEqual([15, 15, 15, 15, 15]);
+    });
+
+    it('stamps daily bars at the open', () => {
+      const [bar] = candleResampler.resample(day, '1d');
+
+      expect(bar.timestamp.toISOString()).toBe('2026-10-15T03:45:00.000Z');
+      expect(bar.ohlc).toEqual({ open: 100, high: 101, low: 99, close: 100 });
+      expect(bar.volume).toBe(75 * 1000);
+    });
+
+    it('pulls pre-open candles into the first bar', () => {
+      const bucket = candleResampler.getBucket('2026-10-15T03:35:00Z', '15m', 'NIFTY50'); // 09:05 IST
+      expect(bucket.start.toISOString()).toBe('2026-10-15T03:45:00.000Z');
+    });
+
+    it('buckets weekly bars from Monday open to Friday close', () => {
+      const bucket = candleResampler.getBucket('2026-10-15T05:00:00Z', '1w', 'NIFTY50');
+
+      expect(bucket.start.toISOString()).toBe('2026-10-12T03:45:00.000Z');
+      expect(bucket.end.toISOString()).toBe('2026-10-16T10:00:00.000Z');
+    });
+
+    it('buckets special sessions by their own hours', () => {
+      // Muhurat Trading 2025-10-21, 13:45-14:45 IST = 08:15-09:15 UTC
+      const muhurat = sessionSeries('NIFTY50', '2025-10-21T08:15:00Z', 12);
+
+      expect(times(candleResampler.resample(muhurat, '15m'))).toEqual([
+        '2025-10-21T08:15:00.000Z', '2025-10-21T08:30:00.000Z', '2025-10-21T08:45:00.000Z', '2025-10-21T09:00:00.000Z'
+      ]);
+      expect(candleResampler.resample(muhurat, '1h')[0].metadata.candleCount).toBe(12);
+
+      const daily = candleResampler.getBucket('2025-10-21T08:30:00Z', '1d', 'NIFTY50');
+      expect(daily.start.toISOString()).toBe('2025-10-21T08:15:00.000Z');
+      expect(daily.end.toISOString()).toBe('2025-10-21T09:15:00.000Z');
+    });
+  });
+
+  describe('instruments off the NSE calendar', () => {
+    // 09:30-16:00 New York (EDT, UTC-4) = 13:30-20:00 UTC, 78 five-minute bars
+    const day = sessionSeries('DOWJONES', '2026-10-15T13:30:00Z', 78);
+
+    it('buckets the whole US session instead of the NSE window', () => {
+      expect(candleResampler.resample(day, '15m')).toHaveLength(26);
+    });
+
+    it('aligns intraday bars to the clock in the exchange timezone', () => {
+      const bars = candleResampler.resample(day, '1h');
+
+      expect(times(bars)[0]).toBe('2026-10-15T13:00:00.000Z'); // 09:00 New York, holding 09:30-10:00
+      expect(times(bars)[1]).toBe('2026-10-15T14:00:00.000Z');
+      expect(bars).toHaveLength(7);
+    });
+
+    it('follows daylight saving', () => {
+      const winter = candleResampler.getBucket('2026-12-15T15:10:00Z', '1d', 'DOWJONES');
+      expect(winter.start.toISOString()).toBe('2026-12-15T05:00:00.000Z'); // New York midnight, EST
+    });
+
+    it('keeps the hours after midnight of an overnight session in the day it opened', () => {
+      // GIFTNIFTY trades 06:30 to 02:45 IST; 01:00 IST on the 16th belongs to the 15th
+      const late = candleResampler.getBucket('2026-10-15T19:30:00Z', '1d', 'GIFTNIFTY');
+      const early = candleResampler.getBucket('2026-10-15T01:30:00Z', '1d', 'GIFTNIFTY');
+
+      expect(late.start.toISOString()).toBe('2026-10-15T01:00:00.000Z'); // 06:30 IST on the 15th
+      expect(early.start.toISOString()).toBe('2026-10-15T01:00:00.000Z');
+    });
+  });
+
+  describe('resample', () => {
+    it('flags the newest bar partial when the data ends inside it', () => {
+      const candles = buildSeries('NIFTY50', '2026-10-15T03:45:00Z', [100, 101, 102, 103]);
+      const bars = candleResampler.resample(candles, '15m');
+
+      expect(bars).toHaveLength(2);
+      expect(bars[1].partial).toBe(true);
+      expect(candleResampler.resample(candles, '15m', { includePartial: false })).toHaveLength(1);
+    });
+
+    it('refuses timeframes the base candles cannot build', () => {
+      const candles = sessionSeries('NIFTY50', '2026-10-15T03:45:00Z', 6).map(c => ({ ...c, timeframe: '10m' }));
+      expect(() => candleResampler.resample(candles, '15m')).toThrow('Cannot build 15m candles from 10m candles');
+    });
+
+    it('builds candles from ticks', () => {
+      const ticks = [0, 30, 60, 150, 290].map((seconds, i) => ({
+        timestamp: new Date(Date.parse('2026-10-15T03:45:00Z') + seconds * 1000),
+        price: 100 + i,
+        volume: 10
+      }));
+      const [bar] = candleResampler.fromTicks(ticks, '5m', 'NIFTY50');
+
+      expect(bar.symbol).toBe('NIFTY50');
+      expect(bar.ohlc).toEqual({ open: 100, high: 104, low: 100, close: 104 });
+      expect(bar.metadata.tickCount).toBe(5);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const costModel = require('../../services/cost-model');
+
+describe('cost model', () => {
+  describe('evaluateTrade', () => {
+    it('charges a NIFTY50 futures round trip under INDEX_FUTURES', () => {
+      const result = costModel.evaluateTrade({ symbol: 'NIFTY50', action: 'BUY', entryPrice: 25000, exitPrice: 25100 });
+      const { costs } = result;
+
+      expect(result.profitLoss).toBe(100);
+      expect(costs.profile).toBe('INDEX_FUTURES');
+      expect(costs.quantity).toBe(75);
+      expect(costs.slippagePoints).toBeCloseTo(0.1);     // One 0.05 tick on each fill
+      expect(costs.brokerage).toBe(40);                   // Flat ₹20 per order beats 0.03%
+      expect(costs.stt).toBeCloseTo(25099.95 * 75 * 0.0002, 2);  // Sell side only
+      expect(costs.stampDuty).toBeCloseTo(25000.05 * 75 * 0.00002, 2); // Buy side only
+      expect(result.netProfitLoss).toBeCloseTo(100 - 0.1 - costs.totalCharges / 75, 1);
+      expect(result.netAmount).toBeCloseTo(result.netProfitLoss * 75, 6);
+    });
+
+    it('puts STT on the entry of a short', () => {
+      const short = costModel.evaluateTrade({ symbol: 'NIFTY50', action: 'STRONG_SELL', entryPrice: 25100, exitPrice: 25000 });
+
+      expect(short.profitLoss).toBe(100);
+      expect(short.costs.stt).toBeCloseTo(25099.95 * 75 * 0.0002, 2);
+      expect(short.costs.stampDuty).toBeCloseTo(25000.05 * 75 * 0.00002, 2);
+    });
+
+    it('leaves symbols on the NONE profile cost-free', () => {
+      const result = costModel.evaluateTrade({ symbol: 'DOWJONES', action: 'SELL', entryPrice: 46000, exitPrice: 46100 });
+
+      expect(result.costs.profile).toBe('NONE');
+      expect(result.profitLoss).toBe(-100);
+      expect(result.netProfitLoss).toBe(-100);
+      expect(result.costs.totalCharges).toBe(0);
+    });
+
+    it('takes an explicit profile and quantity', () => {
+      const result = costModel.evaluateTrade({
+        symbol: 'NIFTY50', action: 'BUY', entryPrice: 25000, exitPrice: 25100, quantity: 150, profile: 'NONE'
+      });
+
+      expect(result.costs.quantity).toBe(150);
+      expect(result.grossAmount).toBe(15000);
+      expect(result.netAmount).toBe(15000);
+    });
+
+    it('rejects unknown profiles', () => {
+      expect(() => costModel.evaluateTrade({ symbol: 'NIFTY50', action: 'BUY', entryPrice: 1, exitPrice: 2, profile: 'OPTIONS' }))
+        .toThrow('Unknown cost profile: OPTIONS');
+    });
+  });
+
+  describe('getNetPerformance', () => {
+    it('uses stored net figures when present', () => {
+      const signal = { performance: { netProfitLoss: 42, netProfitLossPercent: 0.2, costs: { totalCharges: 310 } } };
+      expect(costModel.getNetPerformance(signal)).toEqual({ netProfitLoss: 42, netProfitLossPercent: 0.2, totalCharges: 310 });
+    });
+
+    it('derives net figures for records closed before costs were tracked', () => {
+      const signal = {
+        symbol: 'NIFTY50',
+        signal: { action: 'BUY' },
+        levels: { entry: 25000 },
+        performance: { profitLoss: 100 }
+      };
+      const expected = costModel.evaluateTrade({ symbol: 'NIFTY50', action: 'BUY', entryPrice: 25000, exitPrice: 25100 });
+
+      expect(costModel.getNetPerformance(signal)).toEqual({
+        netProfitLoss: expected.netProfitLoss,
+        netProfitLossPercent: expected.netProfitLossPercent,
+        totalCharges: expected.costs.totalCharges
+      });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const dataQuality = require('../../services/data-quality');
+const { buildSeries, sessionSeries, fixtureCandles } = require('../helpers');
+
+const check = (report, name) => report.checks.find(c => c.check === name);
+
+describe('data quality', () => {
+  it('passes the recorded fixtures clean', () => {
+    for (const symbol of ['NIFTY50', 'BANKNIFTY', 'DOWJONES']) {
+      const { report } = dataQuality.check(fixtureCandles(symbol), { symbol, timeframe: '5m' });
+      expect(report.status).toBe('CLEAN');
+    }
+  });
+
+  it('keeps the last of duplicate timestamps', () => {
+    const series = buildSeries('NIFTY50', '2026-10-15T03:45:00Z', [100, 101, 102]);
+    const duplicate = { ...series[1], ohlc: { ...series[1].ohlc, close: 101.5 } };
+    const { candles, report } = dataQuality.check([...series, duplicate].sort((a, b) => a.timestamp - b.timestamp), { symbol: 'NIFTY50' });
+
+    expect(check(report, 'DUPLICATES')).toMatchObject({ outcome: 'REPAIRED', issues: 1 });
+    expect(candles).toHaveLength(3);
+    expect(candles[1].ohlc.close).toBe(101.5);
+  });
+
+  it('widens inconsistent bars and drops unusable ones', () => {
+    const series = sessionSeries('NIFTY50', '2026-10-15T03:45:00Z', 40);
+    series[5] = { ...series[5], ohlc: { open: 100, high: 99.5, low: 99, close: 100 } };
+    series[6] = { ...series[6], ohlc: { open: 100, high: 101, low: 99, close: null } };
+    const { candles, report } = dataQuality.check(series, { symbol: 'NIFTY50' });
+
+    expect(check(report, 'OHLC')).toMatchObject({ outcome: 'REPAIRED', issues: 2 });
+    expect(candles).toHaveLength(39);
+    expect(candles[5].ohlc.high).toBe(100);
+    expect(check(report, 'GAPS').issues).toBe(1); // The dropped bar leaves a hole
+  });
+
+  it('flags spikes inside a session but not the opening gap', () => {
+    const closes = Array(30).fill(100);
+    closes[20] = 150;
+    const series = buildSeries('NIFTY50', '2026-10-15T03:45:00Z', closes);
+    const nextDay = buildSeries('NIFTY50', '2026-10-16T03:45:00Z', Array(10).fill(200));
+    const { report } = dataQuality.check([...series, ...nextDay], { symbol: 'NIFTY50' });
+
+    // The jump to 150 and the drop back are spikes; the 100 → 200 overnight gap is not
+    expect(check(report, 'SPIKES')).toMatchObject({ outcome: 'FLAGGED', issues: 2 });
+  });
+
+  it('counts missing bars within a session only', () => {
+    const series = sessionSeries('NIFTY50', '2026-10-15T03:45:00Z', 75);
+    series.splice(30, 2);
+    const nextDay = sessionSeries('NIFTY50', '2026-10-16T03:45:00Z', 10);
+    const { report } = dataQuality.check([...series, ...nextDay], { symbol: 'NIFTY50', actions: { GAPS: 'REPAIR' } });
+
+    expect(check(report, 'GAPS')).toMatchObject({ outcome: 'REPAIRED', issues: 2 });
+    expect(report.candlesOut).toBe(85);
+  });
+
+  it('does not split a US session at IST midnight', () => {
+    // 13:30-20:00 UTC crosses 00:00 IST at 18:30 UTC
+    const series = sessionSeries('DOWJONES', '2026-10-15T13:30:00Z', 78);
+    series.splice(60, 1);
+    const { report } = dataQuality.check(series, { symbol: 'DOWJONES' });
+
+    expect(check(report, 'GAPS')).toMatchObject({ outcome: 'FLAGGED', issues: 1 });
+  });
+
+  it('flags zero-volume runs', () => {
+    const series = sessionSeries('NIFTY50', '2026-10-15T03:45:00Z', 40);
+    [10, 11, 12].forEach(i => { series[i] = { ...series[i], volume: 0 }; });
+    const { report } = dataQuality.check(series, { symbol: 'NIFTY50' });
+
+    expect(check(report, 'ZERO_VOLUME')).toMatchObject({ outcome: 'FLAGGED', issues: 3 });
+  });
+
+  it('rejects a stale last bar during NSE hours', () => {
+    const series = sessionSeries('NIFTY50', '2026-10-15T03:45:00Z', 20);
+    const { report } = dataQuality.check(series, { symbol: 'NIFTY50', now: new Date('2026-10-15T07:00:00Z') });
+
+    expect(report.status).toBe('REJECTED');
+    expect(report.rejectedBy).toBe('STALE_BAR');
+  });
+
+  it('rejects a series whose repairs touch too many bars', () => {
+    const series = sessionSeries('NIFTY50', '2026-10-15T03:45:00Z', 20);
+    for (let i = 0; i < 5; i++) {
+      series[i] = { ...series[i], ohlc: { open: 100, high: 99, low: 98, close: 100 } };
+    }
+    const { report } = dataQuality.check(series, { symbol: 'NIFTY50' });
+
+    expect(report.rejectedBy).toBe('MAX_REPAIRED_PERCENT');
+  });
+});
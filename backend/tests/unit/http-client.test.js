@@ -0,0 +1,40 @@
+jest.mock('axios', () => ({ request: jest.fn() }));
+
+const axios = require('axios');
+const httpClient = require('../../services/http-client');
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers: {} } });
+
+/**
+ * Call a host `times` times with every request answered by `status`
+ */
+async function failWith(host, status, times) {
+  axios.request.mockRejectedValue(httpError(status));
+  for (let i = 0; i < times; i++) {
+    await expect(httpClient.get(`https://${host}/quote`, { retries: 0 })).rejects.toThrow(`status code ${status}`);
+  }
+  return httpClient.hosts.get(host);
+}
+
+describe('http client circuit breaker', () => {
+  it('opens after the threshold of server errors in a row', async () => {
+    const host = await failWith('down.example', 503, httpClient.breakerThreshold);
+
+    expect(host.state).toBe('OPEN');
+    await expect(httpClient.get('https://down.example/quote')).rejects.toThrow('Circuit open for down.example (HTTP 503');
+  });
+
+  it('stays closed on client errors', async () => {
+    const host = await failWith('strict.example', 404, httpClient.breakerThreshold + 1);
+
+    expect(host).toMatchObject({ state: 'CLOSED', consecutiveFailures: 0, failures: httpClient.breakerThreshold + 1, lastError: 'HTTP 404' });
+  });
+
+  it('closes a half-open breaker when the trial gets a client error', async () => {
+    const host = await failWith('flaky.example', 500, httpClient.breakerThreshold);
+    host.openUntil = Date.now();
+
+    await failWith('flaky.example', 400, 1);
+    expect(host.state).toBe('CLOSED');
+  });
+});
@@ -0,0 +1,37 @@
+jest.mock('../../models/PaperAccount', () => ({ findOne: jest.fn(), create: jest.fn() }));
+jest.mock('../../models/PaperOrder', () => ({}));
+jest.mock('../../models/PaperLedger', () => ({}));
+
+const PaperAccount = require('../../models/PaperAccount');
+const paperTrading = require('../../services/paper-trading');
+
+describe('paper trading accounts', () => {
+  it('applies concurrent auto-trade updates one after the other', async () => {
+    let stored = { enabled: false, lots: 1, minConfidence: 60 };
+
+    // Each load gets its own copy and saves it back whole, like a document would
+    PaperAccount.findOne.mockImplementation(async () => {
+      const account = { autoTrade: { ...stored } };
+      account.save = async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        stored = { ...account.autoTrade };
+      };
+      return account;
+    });
+
+    await Promise.all([
+      paperTrading.updateAutoTrade('desk', { enabled: true }),
+      paperTrading.updateAutoTrade('desk', { lots: 3 })
+    ]);
+
+    expect(stored).toEqual({ enabled: true, lots: 3, minConfidence: 60 });
+  });
+
+  it('rejects invalid settings before loading the account', async () => {
+    PaperAccount.findOne.mockClear();
+
+    await expect(paperTrading.updateAutoTrade('desk', { lots: 0 })).rejects.toThrow('Lots must be a positive whole number');
+    await expect(paperTrading.updateAutoTrade('desk', { minConfidence: 120 })).rejects.toThrow('Minimum confidence must be between 0 and 100');
+    expect(PaperAccount.findOne).not.toHaveBeenCalled();
+  });
+});
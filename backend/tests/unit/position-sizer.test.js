@@ -0,0 +1,88 @@
+jest.mock('../../models/SignalHistory', () => ({ find: jest.fn() }));
+
+const SignalHistory = require('../../models/SignalHistory');
+const positionSizer = require('../../services/position-sizer');
+
+const nifty = { symbol: 'NIFTY50', action: 'BUY', entry: 25000, stopLoss: 24950 };
+
+describe('position sizer', () => {
+  it('risks 1% of capital over the stop distance by default', () => {
+    const size = positionSizer.calculate(nifty);
+
+    // ₹10,000 budget / (50 points × 75 units) = 2 whole lots
+    expect(size).toMatchObject({
+      method: 'FIXED_FRACTIONAL',
+      riskAmount: 10000,
+      lotSize: 75,
+      lots: 2,
+      quantity: 150,
+      riskPerLot: 3750,
+      actualRisk: 7500,
+      orderSlices: 1
+    });
+  });
+
+  it('returns nothing for HOLD or a missing stop', () => {
+    expect(positionSizer.calculate({ ...nifty, action: 'HOLD' })).toBeNull();
+    expect(positionSizer.calculate({ ...nifty, stopLoss: 25000 })).toBeNull();
+  });
+
+  it('explains when one lot is over budget', () => {
+    const size = positionSizer.calculate({ ...nifty, stopLoss: 24800 }, { capital: 100000 });
+
+    expect(size.lots).toBe(0);
+    expect(size.notes[0]).toMatch(/^One lot risks ₹15,000, above the ₹1,000 budget/);
+  });
+
+  it('sizes FIXED_LOT without a risk budget', () => {
+    const size = positionSizer.calculate(nifty, { method: 'FIXED_LOT', fixedLots: 3 });
+    expect(size).toMatchObject({ lots: 3, quantity: 225, riskPercent: null, riskAmount: null });
+  });
+
+  it('sizes VOLATILITY on ATR × multiplier', () => {
+    const size = positionSizer.calculate({ ...nifty, atr: 20 }, { method: 'VOLATILITY' });
+
+    // 30 point risk distance: 10,000 / (30 × 75) = 4 lots
+    expect(size.lots).toBe(4);
+    expect(size.notes[0]).toBe('ATR 20 × 1.5 = 30 pts');
+  });
+
+  it('caps KELLY at the cap percent and falls back without enough trades', () => {
+    const strong = positionSizer.calculate(
+      { ...nifty, kellyStats: { trades: 40, winRate: 0.6, payoffRatio: 2 } },
+      { method: 'KELLY' }
+    );
+    const thin = positionSizer.calculate(
+      { ...nifty, kellyStats: { trades: 5, winRate: 0.9, payoffRatio: 3 } },
+      { method: 'KELLY' }
+    );
+
+    expect(strong.riskPercent).toBe(2);
+    expect(thin.riskPercent).toBe(1);
+    expect(thin.notes[0]).toMatch(/^Fewer than 20 closed signals/);
+  });
+
+  it('builds Kelly stats from live closed signals only', async () => {
+    const closed = [1.2, 0.8, -0.5, -0.5].map(percent => ({ performance: { netProfitLossPercent: percent } }));
+    SignalHistory.find.mockReturnValue({ select: () => ({ lean: async () => closed }) });
+
+    const stats = await positionSizer.getKellyStats('BANKNIFTY');
+
+    expect(SignalHistory.find.mock.calls[0][0]).toMatchObject({ symbol: 'BANKNIFTY', 'metadata.replaySession': { $exists: false } });
+    expect(stats).toEqual({ trades: 4, winRate: 0.5, payoffRatio: 2 });
+  });
+
+  it('slices orders above the freeze quantity and caps at MAX_LOTS', () => {
+    const size = positionSizer.calculate({ ...nifty, stopLoss: 24999 }, { capital: 10000000 });
+
+    expect(size.lots).toBe(50);
+    expect(size.quantity).toBe(3750);
+    expect(size.orderSlices).toBe(3); // Freeze quantity 1800
+    expect(size.notes).toEqual(['Capped at 50 lots', 'Above freeze quantity 1800 - 3 orders']);
+  });
+
+  it('rejects unknown methods and non-positive capital', () => {
+    expect(() => positionSizer.calculate(nifty, { method: 'MARTINGALE' })).toThrow('Unknown sizing method: MARTINGALE');
+    expect(() => positionSizer.calculate(nifty, { capital: 0 })).toThrow('Sizing capital must be positive');
+  });
+});
@@ -0,0 +1,36 @@
+const replayManager = require('../../services/replay-manager');
+
+describe('replay manager', () => {
+  afterEach(() => {
+    [...replayManager.sessions.keys()].forEach(id => replayManager.destroy(id));
+  });
+
+  it('hands out one session per id', () => {
+    const session = replayManager.getOrCreate('desk');
+
+    expect(replayManager.getOrCreate('desk')).toBe(session);
+    expect(replayManager.get('other')).toBeNull();
+  });
+
+  it('removes idle sessions but keeps one that is playing without listeners', () => {
+    const playing = replayManager.getOrCreate('rest-client');
+    const idle = replayManager.getOrCreate('forgotten');
+    playing.isPlaying = true;
+    playing.lastActivity = 0;
+    idle.lastActivity = 0;
+
+    expect(replayManager.cleanupIdle()).toBe(1);
+    expect(replayManager.get('rest-client')).toBe(playing);
+    expect(replayManager.get('forgotten')).toBeNull();
+
+    playing.isPlaying = false;
+  });
+
+  it('keeps sessions with listeners', () => {
+    const watched = replayManager.getOrCreate('watched');
+    watched.addListener(() => {});
+    watched.lastActivity = 0;
+
+    expect(replayManager.cleanupIdle()).toBe(0);
+  });
+});
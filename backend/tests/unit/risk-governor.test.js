@@ -0,0 +1,74 @@
+jest.mock('../../models/SignalHistory', () => ({ find: jest.fn() }));
+
+const SignalHistory = require('../../models/SignalHistory');
+const riskGovernor = require('../../services/risk-governor');
+
+const NOW = new Date('2026-10-15T06:00:00Z'); // 11:30 IST
+const buy = { symbol: 'NIFTY50', signal: { action: 'BUY' } };
+
+/**
+ * Serve today's entries and closed signals to getState's two queries
+ */
+function history({ recorded = [], closed = [] } = {}) {
+  SignalHistory.find.mockReset();
+  SignalHistory.find
+    .mockReturnValueOnce({ select: () => ({ lean: async () => recorded }) })
+    .mockReturnValueOnce({ select: () => ({ sort: () => ({ lean: async () => closed }) }) });
+}
+
+/**
+ * A closed NIFTY50 signal `minutesAgo` before NOW (P/L in points, one 75-unit lot)
+ */
+const closedSignal = (outcome, points, minutesAgo, exitReason = outcome === 'LOSS' ? 'STOPLOSS' : 'TARGET1') => ({
+  symbol: 'NIFTY50',
+  performance: { outcome, netProfitLoss: points, costs: { quantity: 75 }, exitTime: new Date(NOW.getTime() - minutesAgo * 60000), exitReason }
+});
+
+describe('risk governor', () => {
+  it('lets HOLD through without looking at history', async () => {
+    SignalHistory.find.mockReset();
+    const decision = await riskGovernor.evaluate({ symbol: 'NIFTY50', signal: { action: 'HOLD' } }, NOW);
+
+    expect(decision.allowed).toBe(true);
+    expect(SignalHistory.find).not.toHaveBeenCalled();
+  });
+
+  it('leaves replay signals out of the day\'s entries and results', async () => {
+    history();
+    await riskGovernor.evaluate(buy, NOW);
+
+    expect(SignalHistory.find).toHaveBeenCalledTimes(2);
+    SignalHistory.find.mock.calls.forEach(([query]) => {
+      expect(query['metadata.replaySession']).toEqual({ $exists: false });
+    });
+  });
+
+  it('stops entries once the day\'s net loss reaches the limit', async () => {
+    history({ closed: [closedSignal('LOSS', -250, 120)] }); // ₹18,750
+
+    const decision = await riskGovernor.evaluate(buy, NOW);
+    expect(decision).toMatchObject({ allowed: false, rule: 'DAILY_LOSS_LIMIT' });
+    expect(decision.until.toISOString()).toBe('2026-10-15T18:30:00.000Z'); // IST midnight
+  });
+
+  it('stops entries after three losses in a row', async () => {
+    history({ closed: [closedSignal('WIN', 30, 200), closedSignal('LOSS', -10, 150), closedSignal('LOSS', -10, 120), closedSignal('LOSS', -10, 90)] });
+    expect((await riskGovernor.evaluate(buy, NOW)).rule).toBe('CONSECUTIVE_LOSSES');
+  });
+
+  it('caps the signals per symbol', async () => {
+    history({ recorded: Array(10).fill({ symbol: 'NIFTY50' }) });
+    expect((await riskGovernor.evaluate(buy, NOW)).rule).toBe('MAX_SIGNALS_PER_SYMBOL');
+
+    history({ recorded: Array(10).fill({ symbol: 'NIFTY50' }) });
+    expect((await riskGovernor.evaluate({ ...buy, symbol: 'BANKNIFTY' }, NOW)).allowed).toBe(true);
+  });
+
+  it('cools a symbol down after a stop-out', async () => {
+    history({ closed: [closedSignal('LOSS', -10, 10)] });
+
+    const decision = await riskGovernor.evaluate(buy, NOW);
+    expect(decision).toMatchObject({ allowed: false, rule: 'COOLDOWN' });
+    expect(decision.until.toISOString()).toBe('2026-10-15T06:20:00.000Z');
+  });
+});
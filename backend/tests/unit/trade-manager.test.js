@@ -0,0 +1,118 @@
+const tradeManager = require('../../services/trade-manager');
+
+const signal = (action = 'BUY') => ({
+  symbol: 'NIFTY50',
+  signal: { action },
+  levels: action.includes('BUY')
+    ? { entry: 25000, stopLoss: 24950, target1: 25050, target2: 25100, target3: 25150 }
+    : { entry: 25000, stopLoss: 25050, target1: 24950, target2: 24900, target3: 24850 },
+  marketTime: new Date('2026-10-15T04:00:00Z')
+});
+
+const bar = (high, low, close, minutes = 5) => ({
+  high, low, close, time: new Date(Date.parse('2026-10-15T04:00:00Z') + minutes * 60000)
+});
+
+const openPosition = (trade, exitPolicy) => ({ ...tradeManager.getPosition(trade), exitPolicy });
+
+describe('trade manager', () => {
+  it('opens new positions under the FULL_EXIT default', () => {
+    const position = tradeManager.getPosition(signal());
+
+    expect(position).toMatchObject({ exitPolicy: 'FULL_EXIT', openFraction: 1, stop: 24950, stopType: 'INITIAL', legs: [] });
+  });
+
+  it('rejects unknown policies', () => {
+    expect(() => tradeManager.getPolicy('MOON')).toThrow('Unknown exit policy: MOON');
+  });
+
+  describe('FULL_EXIT', () => {
+    it('exits everything at the first target', () => {
+      const trade = signal();
+      const position = openPosition(trade, 'FULL_EXIT');
+      const { legs } = tradeManager.update(trade, position, bar(25060, 25010, 25055));
+
+      expect(legs).toHaveLength(1);
+      expect(legs[0]).toMatchObject({ type: 'TARGET1', fraction: 1, price: 25050, profitLoss: 50 });
+      expect(position.openFraction).toBe(0);
+      expect(tradeManager.summarize(trade, position)).toMatchObject({ outcome: 'WIN', targetHit: 'TARGET1', exitReason: 'TARGET1' });
+    });
+
+    it('books the furthest target a single bar reached', () => {
+      const trade = signal('SELL');
+      const position = openPosition(trade, 'FULL_EXIT');
+      const { legs } = tradeManager.update(trade, position, bar(25010, 24890, 24900));
+
+      expect(legs[0]).toMatchObject({ type: 'TARGET2', price: 24900, profitLoss: 100 });
+    });
+
+    it('stops out a losing trade', () => {
+      const trade = signal();
+      const position = openPosition(trade, 'FULL_EXIT');
+      tradeManager.update(trade, position, bar(25010, 24940, 24945));
+
+      expect(tradeManager.summarize(trade, position)).toMatchObject({ outcome: 'LOSS', targetHit: 'STOPLOSS', exitPrice: 24950 });
+    });
+  });
+
+  describe('SCALE_OUT', () => {
+    it('takes half at T1, moves the stop to breakeven and exits the rest there', () => {
+      const trade = signal();
+      const position = openPosition(trade, 'SCALE_OUT');
+
+      const first = tradeManager.update(trade, position, bar(25055, 25020, 25040));
+      expect(first.legs[0]).toMatchObject({ type: 'TARGET1', fraction: 0.5 });
+      expect(position).toMatchObject({ openFraction: 0.5, stop: 25000, stopType: 'BREAKEVEN' });
+
+      const second = tradeManager.update(trade, position, bar(25030, 24990, 24995, 10));
+      expect(second.legs[0]).toMatchObject({ type: 'BREAKEVEN', fraction: 0.5, price: 25000 });
+
+      const summary = tradeManager.summarize(trade, position);
+      expect(summary.profitLoss).toBe(25);  // Half of 50 points + half of 0
+      expect(summary.remarks).toBe('T1 50% @ ₹25050.00 · BE 50% @ ₹25000.00');
+    });
+  });
+
+  describe('bars touching the stop and a target', () => {
+    const wideBar = bar(25060, 24940, 25000);
+
+    it('are ambiguous while the position is open', () => {
+      const trade = signal();
+      expect(tradeManager.isAmbiguous(trade, openPosition(trade, 'FULL_EXIT'), wideBar)).toBe(true);
+    });
+
+    it('stop first by default', () => {
+      const trade = signal();
+      const position = openPosition(trade, 'FULL_EXIT');
+      const { legs } = tradeManager.update(trade, position, wideBar);
+
+      expect(legs.map(leg => leg.type)).toEqual(['STOPLOSS']);
+    });
+
+    it('book the targets first under the optimistic rule, then the stop', () => {
+      const trade = signal();
+      const position = openPosition(trade, 'SCALE_OUT');
+      const { legs } = tradeManager.update(trade, position, wideBar, [], { intrabarRule: 'OPTIMISTIC' });
+
+      expect(legs.map(leg => leg.type)).toEqual(['TARGET1', 'BREAKEVEN']);
+      expect(position.openFraction).toBe(0);
+    });
+  });
+
+  it('closes what is left at the market close', () => {
+    const trade = signal();
+    const position = openPosition(trade, 'FULL_EXIT');
+    const legs = tradeManager.closeRemaining(trade, position, 25020, new Date('2026-10-15T10:00:00Z'));
+
+    expect(legs[0]).toMatchObject({ type: 'MARKET_CLOSE', fraction: 1, profitLoss: 20 });
+    expect(tradeManager.closeRemaining(trade, position, 25030, new Date())).toEqual([]);
+  });
+
+  it('time-exits SCALE_OUT_SUPERTREND positions after four hours', () => {
+    const trade = signal();
+    const position = openPosition(trade, 'SCALE_OUT_SUPERTREND');
+    const { legs } = tradeManager.update(trade, position, bar(25010, 24990, 25005, 240));
+
+    expect(legs[0]).toMatchObject({ type: 'TIME_EXIT', price: 25005, fraction: 1 });
+  });
+});
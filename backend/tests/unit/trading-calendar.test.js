@@ -0,0 +1,84 @@
+const tradingCalendar = require('../../services/trading-calendar');
+
+describe('trading calendar', () => {
+  describe('NSE', () => {
+    it('knows weekends, holidays and special sessions', () => {
+      expect(tradingCalendar.getDay('2026-10-17')).toMatchObject({ weekend: true, tradingDay: false });
+      expect(tradingCalendar.getDay('2026-10-20')).toMatchObject({ holiday: 'Dussehra', tradingDay: false });
+      expect(tradingCalendar.getDay('2026-02-01').session.name).toBe('Union Budget'); // A Sunday
+    });
+
+    it('reads times in IST whatever the server timezone', () => {
+      expect(tradingCalendar.toISTDate('2026-10-15T19:00:00Z')).toBe('2026-10-16');
+    });
+
+    it('splits the day into pre-open, open and closed', () => {
+      expect(tradingCalendar.getPhase('2026-10-15T03:35:00Z')).toBe('PRE_OPEN'); // 09:05 IST
+      expect(tradingCalendar.getPhase('2026-10-15T03:45:00Z')).toBe('OPEN');     // 09:15, inclusive
+      expect(tradingCalendar.getPhase('2026-10-15T10:00:00Z')).toBe('CLOSED');   // 15:30, exclusive
+      expect(tradingCalendar.isOpen('2026-10-20T05:00:00Z')).toBe(false);        // Holiday
+    });
+
+    it('finds the next session over a weekend and a holiday', () => {
+      const next = tradingCalendar.getNextSession('2026-10-16T11:00:00Z'); // Friday after the close
+      expect(next.date).toBe('2026-10-19');
+      expect(next.open.toISOString()).toBe('2026-10-19T03:45:00.000Z');
+    });
+
+    it('pulls expiries back before holidays', () => {
+      // NIFTY weeklies are on Tuesdays; 2026-10-20 is Dussehra
+      expect(tradingCalendar.getNextExpiry('NIFTY', '2026-10-16')).toEqual({ date: '2026-10-19', type: 'WEEKLY', scheduled: '2026-10-20' });
+      expect(tradingCalendar.getNextExpiry('BANKNIFTY', '2026-10-16').type).toBe('MONTHLY');
+      expect(() => tradingCalendar.getExpiries('DOWJONES')).toThrow('No expiry rules for DOWJONES');
+    });
+  });
+
+  describe('date ranges', () => {
+    it('reads plain dates as whole IST days', () => {
+      const range = tradingCalendar.parseRange('2026-10-15', '2026-10-15');
+
+      expect(range.from.toISOString()).toBe('2026-10-14T18:30:00.000Z');
+      expect(range.to.toISOString()).toBe('2026-10-15T18:29:59.999Z');
+      expect(tradingCalendar.parseRange('2026-10-15T09:15:00+05:30', '')).toEqual({ from: new Date('2026-10-15T03:45:00Z'), to: null });
+    });
+
+    it('rejects dates that do not exist instead of rolling them over', () => {
+      expect(tradingCalendar.isCalendarDate('2024-02-29')).toBe(true);
+      expect(tradingCalendar.isCalendarDate('2024-02-31')).toBe(false);
+      expect(() => tradingCalendar.parseRange(null, '2024-02-31')).toThrow('Invalid "to" date "2024-02-31"');
+      expect(() => tradingCalendar.parseRange('2026-02-30T10:00:00Z')).toThrow('Invalid "from" date');
+    });
+
+    it('rejects unreadable and reversed dates', () => {
+      expect(() => tradingCalendar.parseRange('yesterday')).toThrow('Invalid "from" date "yesterday"');
+      expect(() => tradingCalendar.parseRange('2026-10-16', '2026-10-15')).toThrow('"from" must be before "to"');
+    });
+  });
+
+  describe('instrument sessions', () => {
+    it('parses sessionHours', () => {
+      expect(tradingCalendar.getSession('DOWJONES')).toEqual({ timezone: 'America/New_York', open: 570, close: 960, overnight: false, nse: false });
+      expect(tradingCalendar.getSession('GIFTNIFTY')).toMatchObject({ overnight: true, nse: false });
+      expect(tradingCalendar.getSession('UNKNOWN')).toBe(tradingCalendar.nseSession);
+    });
+
+    it('follows daylight saving', () => {
+      expect(tradingCalendar.getOffsetMs('2026-07-01T15:00:00Z', 'America/New_York')).toBe(-4 * 3600000);
+      expect(tradingCalendar.getOffsetMs('2026-12-01T15:00:00Z', 'America/New_York')).toBe(-5 * 3600000);
+    });
+
+    it('opens DOWJONES on New York hours', () => {
+      expect(tradingCalendar.isSessionOpen('DOWJONES', '2026-10-15T13:30:00Z')).toBe(true);  // 09:30 EDT
+      expect(tradingCalendar.isSessionOpen('DOWJONES', '2026-10-15T20:00:00Z')).toBe(false); // 16:00 EDT
+      expect(tradingCalendar.isSessionOpen('DOWJONES', '2026-10-17T15:00:00Z')).toBe(false); // Saturday
+      expect(tradingCalendar.isSessionOpen('NIFTY50', '2026-10-15T15:00:00Z')).toBe(false);
+    });
+
+    it('keeps an overnight session open past midnight into the day it opened', () => {
+      // GIFTNIFTY 06:30-02:45 IST: Friday's session runs until 02:45 on Saturday
+      expect(tradingCalendar.getTradingDay('GIFTNIFTY', '2026-10-16T20:00:00Z')).toBe('2026-10-16');
+      expect(tradingCalendar.isSessionOpen('GIFTNIFTY', '2026-10-16T20:00:00Z')).toBe(true);  // 01:30 IST Sat
+      expect(tradingCalendar.isSessionOpen('GIFTNIFTY', '2026-10-16T21:30:00Z')).toBe(false); // 03:00 IST Sat
+    });
+  });
+});
@@ -0,0 +1,29 @@
+jest.mock('../../models/Watchlist', () => ({ find: jest.fn(), findOneAndUpdate: jest.fn() }));
+
+const Watchlist = require('../../models/Watchlist');
+const watchlistManager = require('../../services/watchlist-manager');
+const { WATCHLISTS } = require('../../config/constants');
+
+describe('watchlist manager', () => {
+  it('gives a new user one default watchlist on concurrent first requests', async () => {
+    const stored = [];
+
+    Watchlist.find.mockImplementation(({ user }) => ({
+      sort: () => ({ lean: async () => stored.filter(list => list.user === user) })
+    }));
+    // Upsert on the unique { user, name } index, like the database does
+    Watchlist.findOneAndUpdate.mockImplementation(async (filter, update) => {
+      await new Promise(resolve => setImmediate(resolve));
+      const existing = stored.find(list => list.user === filter.user && list.name === filter.name);
+      if (!existing) stored.push({ ...filter, ...update.$setOnInsert });
+      return { value: existing || stored[stored.length - 1], lastErrorObject: { updatedExisting: Boolean(existing) } };
+    });
+
+    const [first, second] = await Promise.all([watchlistManager.getWatchlists('new-user'), watchlistManager.getWatchlists('new-user')]);
+
+    expect(stored).toHaveLength(1);
+    expect(first).toEqual(second);
+    expect(first[0]).toMatchObject({ user: 'new-user', name: WATCHLISTS.DEFAULT_NAME });
+    expect(first[0].symbols).toContain('NIFTY50');
+  });
+});
@@ -18,11 +18,12 @@ function generateOHLC(ticks) {
     new Date(a.timestamp) - new Date(b.timestamp)
   );
 
-  const open = sortedTicks[0].price;
+  // Pseudo-ticks built from stored candles carry the candle's range in `bar`
+  const open = sortedTicks[0].bar ? sortedTicks[0].bar.open : sortedTicks[0].price;
   const close = sortedTicks[sortedTicks.length - 1].price;
 
-  const high = Math.max(...sortedTicks.map(t => t.price));
-  const low = Math.min(...sortedTicks.map(t => t.price));
+  const high = Math.max(...sortedTicks.map(t => (t.bar ? t.bar.high : t.price)));
+  const low = Math.min(...sortedTicks.map(t => (t.bar ? t.bar.low : t.price)));
 
   const volume = sortedTicks.reduce((sum, t) => sum + (t.volume || 0), 0);
 
@@ -4,10 +4,13 @@ import './App.css';
 import Header from './components/Common/Header';
 import SignalCard from './components/Signals/SignalCard';
 import MoneyControlChart from './components/LiveChart/MoneyControlChart';
+import WatchlistPanel from './components/Watchlist/WatchlistPanel';
 import SignalDetail from './pages/SignalDetail';
 import SignalHistoryPage from './pages/SignalHistoryPage';
 import BacktestingStats from './pages/BacktestingStats';
 import DetailedChart from './pages/DetailedChart';
+import ReplayDemo from './pages/ReplayDemo';
+import PaperTrading from './pages/PaperTrading';
 import { useWebSocket } from './hooks/useWebSocket';
 import { useMarketStatus } from './hooks/useLiveData';
 import { useSignals } from './hooks/useSignals';
@@ -17,28 +20,20 @@ function Dashboard() {
   const [selectedIndex, setSelectedIndex] = useState('NIFTY50');
   const [selectedTimeframe, setSelectedTimeframe] = useState('5m');
   const [selectedChart, setSelectedChart] = useState('NIFTY50'); // Track chart selection
+  const [symbolNames, setSymbolNames] = useState({ NIFTY50: 'Nifty 50' }); // Display names from the symbol registry
 
-  // Map chart symbols to signal API symbols
-  const chartToSignalMap = {
-    'NIFTY50': 'NIFTY50',
-    'BANKNIFTY': 'BANKNIFTY',
-    'GIFTNIFTY': 'NIFTY50', // Use NIFTY50 signals for Gift Nifty (similar correlation)
-    'DOWJONES': 'DOWJONES'   // Use DOWJONES signals (now available!)
+  // Symbols without signals of their own show a correlated symbol's signals
+  const signalFallbackMap = {
+    'GIFTNIFTY': 'NIFTY50' // Use NIFTY50 signals for Gift Nifty (similar correlation)
   };
 
-  // Chart display names
-  const chartNames = {
-    'NIFTY50': 'Nifty 50',
-    'BANKNIFTY': 'Bank Nifty',
-    'GIFTNIFTY': 'Gift Nifty',
-    'DOWJONES': 'Dow Jones'
-  };
+  const selectedName = symbolNames[selectedChart] || selectedChart;
 
   // Hooks
   const { connected: wsConnected } = useWebSocket();
   const { status: marketStatus } = useMarketStatus();
   const { signal, loading: signalLoading, refetch: refetchSignal } = useSignals(
-    chartToSignalMap[selectedChart] || selectedIndex,
+    signalFallbackMap[selectedChart] || selectedChart || selectedIndex,
     selectedTimeframe
   );
 
@@ -51,38 +46,18 @@ function Dashboard() {
         <div className="main-layout">
           {/* Left Panel: Signals */}
           <div className="left-panel">
-            {/* Symbol Selector - Mobile-First at Top */}
-            <div className="symbol-selector-top">
-              <button
-                className={`symbol-btn ${selectedChart === 'NIFTY50' ? 'active' : ''}`}
-                onClick={() => setSelectedChart('NIFTY50')}
-              >
-                Nifty 50
-              </button>
-              <button
-                className={`symbol-btn ${selectedChart === 'BANKNIFTY' ? 'active' : ''}`}
-                onClick={() => setSelectedChart('BANKNIFTY')}
-              >
-                Bank Nifty
-              </button>
-              <button
-                className={`symbol-btn ${selectedChart === 'GIFTNIFTY' ? 'active' : ''}`}
-                onClick={() => setSelectedChart('GIFTNIFTY')}
-              >
-                Gift Nifty
-              </button>
-              <button
-                className={`symbol-btn ${selectedChart === 'DOWJONES' ? 'active' : ''}`}
-                onClick={() => setSelectedChart('DOWJONES')}
-              >
-                Dow Jones
-              </button>
-            </div>
+            {/* Watchlist - Mobile-First at Top */}
+            <WatchlistPanel
+              selectedSymbol={selectedChart}
+              onSelect={setSelectedChart}
+              onNamesLoaded={setSymbolNames}
+              timeframe={selectedTimeframe}
+            />
 
             {/* Current Signal */}
             <div className="current-signal-section">
               <h2 className="section-title">
-                🎯 {chartNames[selectedChart] || 'Nifty 50'}
+                🎯 {selectedName}
                 <span className="timeframe-badge">{selectedTimeframe}</span>
               </h2>
 
@@ -94,7 +69,7 @@ function Dashboard() {
               ) : signal ? (
                 <>
                   <SignalCard signal={signal} />
-                  {selectedChart === 'GIFTNIFTY' && (
+                  {signalFallbackMap[selectedChart] && (
                     <div style={{
                       marginTop: '10px',
                       padding: '8px 12px',
@@ -104,7 +79,7 @@ function Dashboard() {
                       fontSize: '12px',
                       color: 'rgba(255, 193, 7, 0.9)'
                     }}>
-                      ℹ️ Showing Nifty 50 signals (correlated with {chartNames[selectedChart]})
+                      ℹ️ Showing {signalFallbackMap[selectedChart]} signals (correlated with {selectedName})
                     </div>
                   )}
                 </>
@@ -127,6 +102,12 @@ function Dashboard() {
                 >
                   📊 Old/Running Trades
                 </button>
+                <button
+                  className="view-history-btn"
+                  onClick={() => navigate('/replay')}
+                >
+                  🎬 Replay Market
+                </button>
               </div>
             </div>
           </div>
@@ -181,6 +162,8 @@ function App() {
         <Route path="/detailed" element={<DetailedChart />} />
         <Route path="/history" element={<SignalHistoryPage />} />
         <Route path="/backtesting" element={<BacktestingStats />} />
+        <Route path="/replay" element={<ReplayDemo />} />
+        <Route path="/paper" element={<PaperTrading />} />
         <Route path="/signal/:id" element={<SignalDetail />} />
       </Routes>
     </Router>
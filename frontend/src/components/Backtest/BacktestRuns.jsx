@@ -0,0 +1,302 @@
+/**
+ * Backtest Runs Panel
+ * Starts backtests on the backend and shows stored runs with their trades
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import RiskMetrics from './RiskMetrics';
+import './BacktestRuns.css';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const BacktestRuns = () => {
+  const [runs, setRuns] = useState([]);
+  const [selectedRun, setSelectedRun] = useState(null);
+  const [error, setError] = useState(null);
+  const [starting, setStarting] = useState(false);
+  const [form, setForm] = useState({
+    symbol: 'NIFTY50',
+    from: '',
+    to: '',
+    signalInterval: 1,
+    maxHoldingBars: 75
+  });
+
+  const fetchRuns = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/backtest/runs?limit=20`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch backtest runs');
+      }
+      const data = await response.json();
+      setRuns(data.data || []);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching backtest runs:', err);
+      setError(err.message);
+    }
+  }, []);
+
+  const fetchResult = async (runId) => {
+    try {
+      const response = await fetch(`${API_URL}/api/backtest/${runId}/result`);
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.message || 'Backtest result not available');
+      }
+      setSelectedRun(data.data);
+    } catch (err) {
+      console.error('Error fetching backtest result:', err);
+      setError(err.message);
+    }
+  };
+
+  const startRun = async (e) => {
+    e.preventDefault();
+    try {
+      setStarting(true);
+      const response = await fetch(`${API_URL}/api/backtest/start`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...form,
+          from: form.from || undefined,
+          to: form.to ? `${form.to}T23:59:59` : undefined
+        })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error || data.message || 'Failed to start backtest');
+      }
+      setError(null);
+      fetchRuns();
+    } catch (err) {
+      console.error('Error starting backtest:', err);
+      setError(err.message);
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const hasActiveRuns = runs.some(run => run.status === 'PENDING' || run.status === 'RUNNING');
+
+  useEffect(() => {
+    fetchRuns();
+  }, [fetchRuns]);
+
+  // Poll while any run is still executing
+  useEffect(() => {
+    if (!hasActiveRuns) return undefined;
+    const interval = setInterval(fetchRuns, 3000);
+    return () => clearInterval(interval);
+  }, [hasActiveRuns, fetchRuns]);
+
+  const updateForm = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const formatDate = (value) => value
+    ? new Date(value).toLocaleString('en-IN', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+    : '-';
+
+  const formatPercent = (value) => {
+    if (value === undefined || value === null) return 'N/A';
+    return value >= 0 ? `+${value.toFixed(2)}%` : `${value.toFixed(2)}%`;
+  };
+
+  const metrics = selectedRun?.metrics;
+
+  return (
+    <div className="backtest-runs">
+      {/* New Run Form */}
+      <form className="backtest-form" onSubmit={startRun}>
+        <div className="filter-group">
+          <label>Symbol:</label>
+          <select value={form.symbol} onChange={updateForm('symbol')}>
+            <option value="NIFTY50">Nifty 50</option>
+            <option value="BANKNIFTY">Bank Nifty</option>
+          </select>
+        </div>
+        <div className="filter-group">
+          <label>From:</label>
+          <input type="date" value={form.from} onChange={updateForm('from')} />
+        </div>
+        <div className="filter-group">
+          <label>To:</label>
+          <input type="date" value={form.to} onChange={updateForm('to')} />
+        </div>
+        <div className="filter-group">
+          <label>Signal every (bars):</label>
+          <input type="number" min="1" value={form.signalInterval} onChange={updateForm('signalInterval')} />
+        </div>
+        <div className="filter-group">
+          <label>Max holding (bars):</label>
+          <input type="number" min="1" value={form.maxHoldingBars} onChange={updateForm('maxHoldingBars')} />
+        </div>
+        <button type="submit" className="refresh-btn" disabled={starting}>
+          {starting ? '⏳' : '▶️'} Run Backtest
+        </button>
+      </form>
+
+      {error && <div className="backtest-error">⚠️ {error}</div>}
+
+      {/* Runs List */}
+      <div className="recent-signals-section">
+        <h2>🧪 Backtest Runs</h2>
+        {runs.length === 0 ? (
+          <p className="backtest-empty">No backtests yet. Pick a range above and start one.</p>
+        ) : (
+          <div className="signals-table-container">
+            <table className="signals-table">
+              <thead>
+                <tr>
+                  <th>Started</th>
+                  <th>Symbol</th>
+                  <th>Strategy</th>
+                  <th>Range</th>
+                  <th>Status</th>
+                  <th>Trades</th>
+                  <th>Win Rate</th>
+                  <th>Total P/L %</th>
+                </tr>
+              </thead>
+              <tbody>
+                {runs.map((run) => (
+                  <tr
+                    key={run._id}
+                    className={`backtest-row ${selectedRun?._id === run._id ? 'selected' : ''}`}
+                    onClick={() => run.status === 'COMPLETED' && fetchResult(run._id)}
+                  >
+                    <td>{formatDate(run.createdAt)}</td>
+                    <td><strong>{run.symbol}</strong></td>
+                    <td>{run.strategy ? `${run.strategy.name} v${run.strategy.version}` : 'combiner'}</td>
+                    <td>{formatDate(run.config?.from)} → {formatDate(run.config?.to)}</td>
+                    <td>
+                      <span className={`run-status ${run.status.toLowerCase()}`}>
+                        {run.status}{run.status === 'RUNNING' ? ` ${run.progress?.percent || 0}%` : ''}
+                      </span>
+                    </td>
+                    <td>{run.metrics?.totalTrades ?? '-'}</td>
+                    <td>{run.metrics ? `${run.metrics.winRate}%` : '-'}</td>
+                    <td className={run.metrics?.totalPLPercent >= 0 ? 'positive' : 'negative'}>
+                      {run.metrics ? formatPercent(run.metrics.totalPLPercent) : '-'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Selected Run Result */}
+      {selectedRun && metrics && (
+        <>
+          <div className="performance-section">
+            <h2>📊 {selectedRun.symbol} Backtest Result</h2>
+            <div className="metrics-grid">
+              <div className="metric-card">
+                <div className="metric-label">Trades</div>
+                <div className="metric-value">{metrics.totalTrades}</div>
+              </div>
+              <div className="metric-card">
+                <div className="metric-label">Win Rate</div>
+                <div className={`metric-value ${metrics.winRate >= 50 ? 'positive' : 'negative'}`}>
+                  {metrics.winRate}%
+                </div>
+              </div>
+              <div className="metric-card">
+                <div className="metric-label">Total P/L (pts)</div>
+                <div className={`metric-value ${metrics.totalPL >= 0 ? 'positive' : 'negative'}`}>
+                  {metrics.totalPL.toFixed(2)}
+                </div>
+              </div>
+              <div className="metric-card">
+                <div className="metric-label">Net P/L (pts)</div>
+                <div className={`metric-value ${metrics.totalNetPL >= 0 ? 'positive' : 'negative'}`}>
+                  {(metrics.totalNetPL ?? metrics.totalPL).toFixed(2)}
+                </div>
+              </div>
+              <div className="metric-card">
+                <div className="metric-label">Total P/L %</div>
+                <div className={`metric-value ${metrics.totalPLPercent >= 0 ? 'positive' : 'negative'}`}>
+                  {formatPercent(metrics.totalPLPercent)}
+                </div>
+              </div>
+              <div className="metric-card">
+                <div className="metric-label">Net P/L %</div>
+                <div className={`metric-value ${metrics.totalNetPLPercent >= 0 ? 'positive' : 'negative'}`}>
+                  {formatPercent(metrics.totalNetPLPercent)}
+                </div>
+              </div>
+              <div className="metric-card">
+                <div className="metric-label">Charges Paid</div>
+                <div className="metric-value negative">₹{(metrics.totalCharges || 0).toFixed(2)}</div>
+              </div>
+              <div className="metric-card">
+                <div className="metric-label">Avg Win</div>
+                <div className="metric-value positive">{formatPercent(metrics.avgWin)}</div>
+              </div>
+              <div className="metric-card">
+                <div className="metric-label">Avg Loss</div>
+                <div className="metric-value negative">{formatPercent(metrics.avgLoss)}</div>
+              </div>
+              <div className="metric-card">
+                <div className="metric-label">Candles Tested</div>
+                <div className="metric-value">{metrics.candlesTested}</div>
+              </div>
+              <div className="metric-card">
+                <div className="metric-label">Signals Evaluated</div>
+                <div className="metric-value">{metrics.signalsEvaluated}</div>
+              </div>
+            </div>
+          </div>
+
+          <RiskMetrics metrics={selectedRun.riskMetrics} />
+
+          <div className="recent-signals-section">
+            <h2>📜 Trades</h2>
+            <div className="signals-table-container">
+              <table className="signals-table">
+                <thead>
+                  <tr>
+                    <th>Entry</th>
+                    <th>Action</th>
+                    <th>Entry Price</th>
+                    <th>Exit</th>
+                    <th>Exit Price</th>
+                    <th>Exit Reason</th>
+                    <th>P/L %</th>
+                    <th>Net P/L %</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selectedRun.trades.map((trade, index) => (
+                    <tr key={index}>
+                      <td>{formatDate(trade.entryTime)}</td>
+                      <td>
+                        <span className={`action-badge ${trade.action.toLowerCase()}`}>
+                          {trade.action}
+                        </span>
+                      </td>
+                      <td>{trade.entryPrice.toFixed(2)}</td>
+                      <td>{formatDate(trade.exitTime)}</td>
+                      <td>{trade.exitPrice.toFixed(2)}</td>
+                      <td>{trade.targetHit}</td>
+                      <td className={trade.profitLossPercent >= 0 ? 'positive' : 'negative'}>
+                        {formatPercent(trade.profitLossPercent)}
+                      </td>
+                      <td className={trade.netProfitLossPercent >= 0 ? 'positive' : 'negative'}>
+                        {formatPercent(trade.netProfitLossPercent)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BacktestRuns;
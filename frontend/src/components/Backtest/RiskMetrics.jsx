@@ -0,0 +1,111 @@
+/**
+ * Risk Metrics Panel
+ * Equity curve with drawdown plus risk-adjusted ratios from the backend metrics module
+ */
+
+import React from 'react';
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Line,
+  Area,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  CartesianGrid,
+  ReferenceLine
+} from 'recharts';
+import './RiskMetrics.css';
+
+const formatRatio = (value) => (value === null || value === undefined ? 'N/A' : value.toFixed(2));
+
+const formatPercent = (value) => {
+  if (value === null || value === undefined) return 'N/A';
+  return value >= 0 ? `+${value.toFixed(2)}%` : `${value.toFixed(2)}%`;
+};
+
+const formatTime = (value) => new Date(value).toLocaleDateString('en-IN', { month: 'short', day: 'numeric' });
+
+const RiskMetrics = ({ metrics, title = '📉 Risk-Adjusted Performance' }) => {
+  if (!metrics || metrics.trades === 0) {
+    return null;
+  }
+
+  // Drawdown plotted below zero so it reads as an underwater curve
+  const chartData = metrics.equityCurve.map((point) => ({
+    time: point.time,
+    equity: point.equity,
+    drawdown: -point.drawdown
+  }));
+
+  const duration = metrics.maxDrawdownDuration;
+
+  return (
+    <div className="performance-section risk-metrics">
+      <h2>{title} <span className="risk-basis">({metrics.basis === 'gross' ? 'gross' : 'net of costs'})</span></h2>
+
+      <div className="equity-chart">
+        <ResponsiveContainer width="100%" height={300}>
+          <ComposedChart data={chartData} margin={{ top: 10, right: 20, bottom: 0, left: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(255, 255, 255, 0.15)" />
+            <XAxis dataKey="time" tickFormatter={formatTime} stroke="rgba(255, 255, 255, 0.7)" minTickGap={30} />
+            <YAxis stroke="rgba(255, 255, 255, 0.7)" unit="%" />
+            <Tooltip
+              labelFormatter={(value) => new Date(value).toLocaleString('en-IN')}
+              formatter={(value, name) => [`${value.toFixed(2)}%`, name]}
+              contentStyle={{ background: 'rgba(30, 30, 60, 0.9)', border: 'none', borderRadius: 8 }}
+            />
+            <Legend />
+            <ReferenceLine y={0} stroke="rgba(255, 255, 255, 0.4)" />
+            <Area type="stepAfter" dataKey="drawdown" name="Drawdown" fill="rgba(239, 68, 68, 0.35)" stroke="#ef4444" />
+            <Line type="monotone" dataKey="equity" name="Equity (cum. %)" stroke="#10b981" strokeWidth={2} dot={false} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="metrics-grid">
+        <div className="metric-card">
+          <div className="metric-label">Max Drawdown</div>
+          <div className="metric-value negative">{formatPercent(-metrics.maxDrawdown)}</div>
+        </div>
+        <div className="metric-card">
+          <div className="metric-label">Drawdown Duration</div>
+          <div className="metric-value">
+            {duration.days}d <span className="metric-sub">({duration.trades} trades{duration.recovered ? '' : ', open'})</span>
+          </div>
+        </div>
+        <div className="metric-card">
+          <div className="metric-label">Sharpe</div>
+          <div className={`metric-value ${metrics.sharpeRatio >= 0 ? 'positive' : 'negative'}`}>{formatRatio(metrics.sharpeRatio)}</div>
+        </div>
+        <div className="metric-card">
+          <div className="metric-label">Sortino</div>
+          <div className={`metric-value ${metrics.sortinoRatio >= 0 ? 'positive' : 'negative'}`}>{formatRatio(metrics.sortinoRatio)}</div>
+        </div>
+        <div className="metric-card">
+          <div className="metric-label">Calmar</div>
+          <div className={`metric-value ${metrics.calmarRatio >= 0 ? 'positive' : 'negative'}`}>{formatRatio(metrics.calmarRatio)}</div>
+        </div>
+        <div className="metric-card">
+          <div className="metric-label">Profit Factor</div>
+          <div className={`metric-value ${metrics.profitFactor >= 1 ? 'positive' : 'negative'}`}>{formatRatio(metrics.profitFactor)}</div>
+        </div>
+        <div className="metric-card">
+          <div className="metric-label">Expectancy / Trade</div>
+          <div className={`metric-value ${metrics.expectancy.percent >= 0 ? 'positive' : 'negative'}`}>
+            {formatPercent(metrics.expectancy.percent)}
+          </div>
+        </div>
+        <div className="metric-card">
+          <div className="metric-label">Longest Streaks</div>
+          <div className="metric-value">
+            <span className="positive">{metrics.streaks.longestWin}W</span> / <span className="negative">{metrics.streaks.longestLoss}L</span>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RiskMetrics;
@@ -60,6 +60,9 @@ const Header = ({ marketStatus, wsConnected }) => {
         <button className="nav-btn" onClick={() => navigate('/history')} title="Old/Running Trades">
           📊 Old/Running Trades
         </button>
+        <button className="nav-btn" onClick={() => navigate('/paper')} title="Paper Trading">
+          📒 Paper
+        </button>
       </div>
 
       <div className="header-right">
@@ -59,6 +59,14 @@ const SignalCard = ({ signal }) => {
         </div>
       </div>
 
+      {/* Risk governor - signal shown but not taken */}
+      {signal.riskCheck && signal.riskCheck.allowed === false && (
+        <div className="risk-blocked" title={signal.riskCheck.rule}>
+          <span className="risk-blocked-title">🚫 Blocked by risk rule</span>
+          <span className="risk-blocked-reason">{signal.riskCheck.reason}</span>
+        </div>
+      )}
+
       <div className="confidence-bar-container">
         <div
           className="confidence-bar-fill"
@@ -115,19 +123,43 @@ const SignalCard = ({ signal }) => {
               <span className="detail-label">R/R Ratio:</span>
               <span className="detail-value">1:{signal.levels.riskRewardRatio.toFixed(2)}</span>
             </div>
+            {signal.levels.positionSize && (
+              <div className="position-size">
+                <div className="detail-row">
+                  <span className="detail-label">Position Size:</span>
+                  <span className="detail-value">
+                    {signal.levels.positionSize.lots} lot(s) · {signal.levels.positionSize.quantity} qty
+                    {signal.levels.positionSize.orderSlices > 1 && ` · ${signal.levels.positionSize.orderSlices} orders`}
+                  </span>
+                </div>
+                <div className="detail-row">
+                  <span className="detail-label">Risk:</span>
+                  <span className="detail-value stop-loss">
+                    {currency}{Math.round(signal.levels.positionSize.actualRisk).toLocaleString('en-IN')} ({signal.levels.positionSize.actualRiskPercent}%)
+                  </span>
+                </div>
+                <div className="position-size-basis">
+                  {signal.levels.positionSize.method.replace(/_/g, ' ').toLowerCase()}
+                  {signal.levels.positionSize.riskPercent !== null && ` · ${signal.levels.positionSize.riskPercent}% of ${currency}${signal.levels.positionSize.capital.toLocaleString('en-IN')}`}
+                  {signal.levels.positionSize.notes?.length > 0 && ` · ${signal.levels.positionSize.notes.join(' · ')}`}
+                </div>
+              </div>
+            )}
           </>
         )}
       </div>
 
       {/* Performance Display - Show if target/SL was hit */}
       {signal.performance && signal.performance.targetHit && signal.performance.targetHit !== 'NONE' && (
-        <div className={`signal-performance ${signal.performance.outcome === 'WIN' ? 'win' : 'loss'}`}>
+        <div className={`signal-performance ${signal.performance.outcome === 'PENDING' ? 'open' : signal.performance.outcome === 'WIN' ? 'win' : 'loss'}`}>
           <div className="performance-header">
             <span className="performance-icon">
-              {signal.performance.outcome === 'WIN' ? '✅' : '❌'}
+              {signal.performance.outcome === 'PENDING' ? '⏳' : signal.performance.outcome === 'WIN' ? '✅' : '❌'}
             </span>
             <span className="performance-status">
-              {signal.performance.outcome === 'WIN' ? 'Target Hit!' : 'Stop Loss Hit'}
+              {signal.performance.outcome === 'PENDING'
+                ? `Partially Closed (${Math.round((signal.performance.position?.openFraction || 0) * 100)}% open)`
+                : signal.performance.outcome === 'WIN' ? 'Target Hit!' : 'Stop Loss Hit'}
             </span>
           </div>
           <div className="performance-details">
@@ -135,8 +167,20 @@ const SignalCard = ({ signal }) => {
               <span className="performance-label">Hit Level:</span>
               <span className="performance-value">{signal.performance.targetHit.replace(/(\d)/, ' $1')}</span>
             </div>
+            {signal.performance.legs?.length > 1 && (
+              <div className="performance-legs">
+                {signal.performance.legs.map((leg, idx) => (
+                  <div key={idx} className="performance-item">
+                    <span className="performance-label">{leg.type.replace('_', ' ')} ({Math.round(leg.fraction * 100)}%):</span>
+                    <span className={`performance-value ${leg.profitLoss >= 0 ? 'profit' : 'loss'}`}>
+                      {currency}{leg.price.toFixed(2)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
             <div className="performance-item">
-              <span className="performance-label">Exit Price:</span>
+              <span className="performance-label">{signal.performance.legs?.length > 1 ? 'Avg Exit:' : 'Exit Price:'}</span>
               <span className="performance-value">{currency}{signal.performance.exitPrice?.toFixed(2) || 'N/A'}</span>
             </div>
             <div className="performance-item">
@@ -0,0 +1,268 @@
+/**
+ * Watchlist Panel
+ * Symbol picker for the dashboard: the user's watchlists from /api/watchlists, symbols added from
+ * the symbol registry, and a scan that ranks the list's symbols by signal
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import './WatchlistPanel.css';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+// Shown when the watchlist API is unreachable (e.g. no database)
+const FALLBACK_SYMBOLS = [
+  { symbol: 'NIFTY50', displayName: 'Nifty 50' },
+  { symbol: 'BANKNIFTY', displayName: 'Bank Nifty' },
+  { symbol: 'GIFTNIFTY', displayName: 'Gift Nifty' },
+  { symbol: 'DOWJONES', displayName: 'Dow Jones' }
+];
+
+const SORT_OPTIONS = [
+  { value: 'confidence', label: 'Confidence' },
+  { value: 'action', label: 'Action' },
+  { value: 'regime', label: 'Regime' }
+];
+
+/**
+ * Call the backend API - throws with the server's reason on failure
+ */
+const request = async (path, options = {}) => {
+  const response = await fetch(`${API_URL}/api${path}`, {
+    headers: { 'Content-Type': 'application/json' },
+    ...options
+  });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || data.message || 'Request failed');
+  }
+  return data;
+};
+
+const WatchlistPanel = ({ selectedSymbol, onSelect, onNamesLoaded, timeframe = '5m' }) => {
+  const [watchlists, setWatchlists] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [instruments, setInstruments] = useState(FALLBACK_SYMBOLS);
+  const [addSymbol, setAddSymbol] = useState('');
+  const [sortBy, setSortBy] = useState('confidence');
+  const [scan, setScan] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [error, setError] = useState(null);
+  const [offline, setOffline] = useState(false);
+
+  const fetchWatchlists = useCallback(async () => {
+    try {
+      const [listData, symbolData] = await Promise.all([
+        request('/watchlists'),
+        request('/symbols')
+      ]);
+
+      setWatchlists(listData.data);
+      setInstruments(symbolData.data);
+      if (onNamesLoaded) {
+        onNamesLoaded(Object.fromEntries(symbolData.data.map(i => [i.symbol, i.displayName])));
+      }
+      setActiveId(current => (listData.data.some(w => w._id === current) ? current : listData.data[0]?._id || null));
+      setOffline(false);
+    } catch (err) {
+      console.error('Error fetching watchlists:', err);
+      setOffline(true);
+    }
+  }, [onNamesLoaded]);
+
+  useEffect(() => {
+    fetchWatchlists();
+  }, [fetchWatchlists]);
+
+  const active = watchlists.find(w => w._id === activeId);
+  const nameOf = (symbol) => instruments.find(i => i.symbol === symbol)?.displayName || symbol;
+  const symbols = offline || !active ? FALLBACK_SYMBOLS.map(i => i.symbol) : active.symbols;
+  const addable = instruments.filter(i => !symbols.includes(i.symbol));
+
+  // Replace one list in state with the server's copy
+  const applyUpdate = (updated) => {
+    setWatchlists(lists => lists.map(w => (w._id === updated._id ? updated : w)));
+    setError(null);
+  };
+
+  const handleCreate = async () => {
+    const name = window.prompt('Watchlist name');
+    if (!name) return;
+
+    try {
+      const data = await request('/watchlists', {
+        method: 'POST',
+        body: JSON.stringify({ name, symbols: selectedSymbol ? [selectedSymbol] : [] })
+      });
+      setWatchlists(lists => [...lists, data.data]);
+      setActiveId(data.data._id);
+      setScan(null);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!active || !window.confirm(`Delete watchlist "${active.name}"?`)) return;
+
+    try {
+      await request(`/watchlists/${active._id}`, { method: 'DELETE' });
+      setScan(null);
+      await fetchWatchlists();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAdd = async (symbol) => {
+    setAddSymbol('');
+    if (!symbol || !active) return;
+
+    try {
+      const data = await request(`/watchlists/${active._id}/symbols`, {
+        method: 'POST',
+        body: JSON.stringify({ symbol })
+      });
+      applyUpdate(data.data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemove = async (symbol) => {
+    try {
+      const data = await request(`/watchlists/${active._id}/symbols/${encodeURIComponent(symbol)}`, { method: 'DELETE' });
+      applyUpdate(data.data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleScan = async () => {
+    if (!active) return;
+
+    setScanning(true);
+    try {
+      const data = await request(`/watchlists/${active._id}/scan?timeframe=${timeframe}&sortBy=${sortBy}`);
+      setScan(data.data);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  return (
+    <div className="watchlist-panel">
+      {!offline && (
+        <div className="watchlist-header">
+          <select
+            className="watchlist-select"
+            value={activeId || ''}
+            onChange={(e) => { setActiveId(e.target.value); setScan(null); }}
+          >
+            {watchlists.map(w => (
+              <option key={w._id} value={w._id}>{w.name}</option>
+            ))}
+          </select>
+          <button className="watchlist-icon-btn" onClick={handleCreate} title="New watchlist">＋</button>
+          <button className="watchlist-icon-btn" onClick={handleDelete} title="Delete watchlist" disabled={!active}>🗑</button>
+        </div>
+      )}
+
+      <div className="watchlist-symbols">
+        {symbols.map(symbol => (
+          <div key={symbol} className="watchlist-symbol">
+            <button
+              className={`symbol-btn ${selectedSymbol === symbol ? 'active' : ''}`}
+              onClick={() => onSelect(symbol)}
+            >
+              {nameOf(symbol)}
+            </button>
+            {!offline && (
+              <button className="watchlist-remove" onClick={() => handleRemove(symbol)} title={`Remove ${nameOf(symbol)}`}>
+                ×
+              </button>
+            )}
+          </div>
+        ))}
+        {!offline && symbols.length === 0 && (
+          <p className="watchlist-empty">No symbols yet - add one below</p>
+        )}
+      </div>
+
+      {!offline && active && (
+        <div className="watchlist-actions">
+          <select
+            className="watchlist-select"
+            value={addSymbol}
+            onChange={(e) => handleAdd(e.target.value)}
+            disabled={addable.length === 0}
+          >
+            <option value="">＋ Add symbol</option>
+            {addable.map(i => (
+              <option key={i.symbol} value={i.symbol}>{i.displayName}</option>
+            ))}
+          </select>
+          <select className="watchlist-select" value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>Rank by {option.label}</option>
+            ))}
+          </select>
+          <button className="watchlist-scan-btn" onClick={handleScan} disabled={scanning || symbols.length === 0}>
+            {scanning ? 'Scanning…' : '🔎 Scan'}
+          </button>
+        </div>
+      )}
+
+      {error && <div className="watchlist-error">{error}</div>}
+
+      {scan && (
+        <div className="watchlist-scan">
+          <div className="watchlist-scan-meta">
+            {scan.scanned} scanned on {scan.timeframe}
+            {scan.strategy && ` with ${scan.strategy.name}`}
+            {scan.failed > 0 && ` · ${scan.failed} failed`}
+            {' · '}{new Date(scan.scannedAt).toLocaleTimeString('en-IN')}
+          </div>
+          <table className="watchlist-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Symbol</th>
+                <th>Action</th>
+                <th>Conf.</th>
+                <th>Regime</th>
+              </tr>
+            </thead>
+            <tbody>
+              {scan.rows.map(row => (
+                <tr
+                  key={row.symbol}
+                  className={selectedSymbol === row.symbol ? 'selected' : ''}
+                  onClick={() => onSelect(row.symbol)}
+                >
+                  <td>{row.rank ?? '–'}</td>
+                  <td>{row.displayName}</td>
+                  {row.error ? (
+                    <td colSpan={3} className="watchlist-row-error">{row.error}</td>
+                  ) : (
+                    <>
+                      <td className={`scan-action ${row.action.replace('STRONG_', '').toLowerCase()}`}>{row.action}</td>
+                      <td>{row.confidence.toFixed(1)}%</td>
+                      <td>{row.regime.replace('_', ' ').toLowerCase()}</td>
+                    </>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WatchlistPanel;
@@ -1,14 +1,17 @@
 /**
  * Backtesting Statistics Page
- * Shows performance metrics and trading results
+ * Shows backtest runs and live signal performance metrics
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
+import BacktestRuns from '../components/Backtest/BacktestRuns';
+import RiskMetrics from '../components/Backtest/RiskMetrics';
 import './BacktestingStats.css';
 
 const BacktestingStats = () => {
   const navigate = useNavigate();
+  const [view, setView] = useState('backtests'); // 'backtests' | 'live'
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -38,11 +41,12 @@ const BacktestingStats = () => {
   }, [symbol, days]);
 
   useEffect(() => {
+    if (view !== 'live') return undefined;
     fetchStats();
     // Auto-refresh every 30 seconds
     const interval = setInterval(fetchStats, 30000);
     return () => clearInterval(interval);
-  }, [fetchStats]);
+  }, [fetchStats, view]);
 
   const formatCurrency = (value) => {
     if (!value || value === 'N/A') return 'N/A';
@@ -62,7 +66,7 @@ const BacktestingStats = () => {
     return 'pending';
   };
 
-  if (loading && !stats) {
+  if (view === 'live' && loading && !stats) {
     return (
       <div className="backtesting-page">
         <div className="loading-state">
@@ -73,7 +77,7 @@ const BacktestingStats = () => {
     );
   }
 
-  if (error) {
+  if (view === 'live' && error) {
     return (
       <div className="backtesting-page">
         <div className="error-state">
@@ -96,34 +100,56 @@ const BacktestingStats = () => {
           ← Back
         </button>
         <h1 className="backtesting-title">📊 Backtesting Statistics</h1>
-        <button onClick={fetchStats} className="refresh-btn" disabled={loading}>
-          {loading ? '⏳' : '🔄'} Refresh
+        {view === 'live' ? (
+          <button onClick={fetchStats} className="refresh-btn" disabled={loading}>
+            {loading ? '⏳' : '🔄'} Refresh
+          </button>
+        ) : <span />}
+      </div>
+
+      {/* View Tabs */}
+      <div className="view-tabs">
+        <button
+          className={`view-tab ${view === 'backtests' ? 'active' : ''}`}
+          onClick={() => setView('backtests')}
+        >
+          🧪 Backtest Runs
+        </button>
+        <button
+          className={`view-tab ${view === 'live' ? 'active' : ''}`}
+          onClick={() => setView('live')}
+        >
+          📡 Live Signals
         </button>
       </div>
 
+      {view === 'backtests' && <BacktestRuns />}
+
       {/* Filters */}
-      <div className="backtesting-filters">
-        <div className="filter-group">
-          <label>Symbol:</label>
-          <select value={symbol} onChange={(e) => setSymbol(e.target.value)}>
-            <option value="ALL">All Indices</option>
-            <option value="NIFTY50">Nifty 50</option>
-            <option value="BANKNIFTY">Bank Nifty</option>
-            <option value="DOWJONES">Dow Jones</option>
-          </select>
-        </div>
-        <div className="filter-group">
-          <label>Period:</label>
-          <select value={days} onChange={(e) => setDays(parseInt(e.target.value))}>
-            <option value="7">Last 7 Days</option>
-            <option value="30">Last 30 Days</option>
-            <option value="90">Last 90 Days</option>
-            <option value="365">Last Year</option>
-          </select>
+      {view === 'live' && (
+        <div className="backtesting-filters">
+          <div className="filter-group">
+            <label>Symbol:</label>
+            <select value={symbol} onChange={(e) => setSymbol(e.target.value)}>
+              <option value="ALL">All Indices</option>
+              <option value="NIFTY50">Nifty 50</option>
+              <option value="BANKNIFTY">Bank Nifty</option>
+              <option value="DOWJONES">Dow Jones</option>
+            </select>
+          </div>
+          <div className="filter-group">
+            <label>Period:</label>
+            <select value={days} onChange={(e) => setDays(parseInt(e.target.value))}>
+              <option value="7">Last 7 Days</option>
+              <option value="30">Last 30 Days</option>
+              <option value="90">Last 90 Days</option>
+              <option value="365">Last Year</option>
+            </select>
+          </div>
         </div>
-      </div>
+      )}
 
-      {stats && (
+      {view === 'live' && stats && (
         <>
           {/* Overview Cards */}
           <div className="stats-overview">
@@ -177,12 +203,19 @@ const BacktestingStats = () => {
               </div>
 
               <div className="metric-card">
-                <div className="metric-label">Total P/L</div>
+                <div className="metric-label">Total P/L (Gross)</div>
                 <div className={`metric-value ${parseFloat(stats.totalPL) >= 0 ? 'positive' : 'negative'}`}>
                   {formatCurrency(stats.totalPL)}
                 </div>
               </div>
 
+              <div className="metric-card">
+                <div className="metric-label">Total P/L (Net)</div>
+                <div className={`metric-value ${parseFloat(stats.totalNetPL) >= 0 ? 'positive' : 'negative'}`}>
+                  {formatCurrency(stats.totalNetPL)}
+                </div>
+              </div>
+
               <div className="metric-card">
                 <div className="metric-label">Total P/L %</div>
                 <div className={`metric-value ${parseFloat(stats.totalPLPercent) >= 0 ? 'positive' : 'negative'}`}>
@@ -204,6 +237,13 @@ const BacktestingStats = () => {
                 </div>
               </div>
 
+              <div className="metric-card">
+                <div className="metric-label">Average Net P/L %</div>
+                <div className={`metric-value ${parseFloat(stats.avgNetPLPercent) >= 0 ? 'positive' : 'negative'}`}>
+                  {formatPercent(stats.avgNetPLPercent)}
+                </div>
+              </div>
+
               <div className="metric-card">
                 <div className="metric-label">Avg Win</div>
                 <div className="metric-value positive">{formatPercent(stats.avgWin)}</div>
@@ -216,6 +256,9 @@ const BacktestingStats = () => {
             </div>
           </div>
 
+          {/* Equity Curve & Risk Metrics */}
+          <RiskMetrics metrics={stats.riskMetrics} />
+
           {/* Target Breakdown */}
           <div className="targets-section">
             <h2>🎯 Target Breakdown</h2>
@@ -287,6 +330,7 @@ const BacktestingStats = () => {
                       <th>Price</th>
                       <th>Outcome</th>
                       <th>P/L %</th>
+                      <th>Net P/L %</th>
                     </tr>
                   </thead>
                   <tbody>
@@ -314,6 +358,9 @@ const BacktestingStats = () => {
                         <td className={parseFloat(signal.profitLossPercent) >= 0 ? 'positive' : 'negative'}>
                           {signal.profitLossPercent === 'N/A' ? 'N/A' : formatPercent(signal.profitLossPercent)}
                         </td>
+                        <td className={parseFloat(signal.netProfitLossPercent) >= 0 ? 'positive' : 'negative'}>
+                          {signal.netProfitLossPercent === 'N/A' ? 'N/A' : formatPercent(signal.netProfitLossPercent)}
+                        </td>
                       </tr>
                     ))}
                   </tbody>
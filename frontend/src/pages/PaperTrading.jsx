@@ -0,0 +1,466 @@
+/**
+ * Paper Trading Page
+ * Virtual account: order ticket, open positions, orders and the daily P/L ledger
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import './PaperTrading.css';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const SYMBOLS = [
+  { value: 'NIFTY50', label: 'Nifty 50' },
+  { value: 'BANKNIFTY', label: 'Bank Nifty' }
+];
+
+const EMPTY_TICKET = {
+  symbol: 'NIFTY50',
+  side: 'BUY',
+  type: 'MARKET',
+  lots: 1,
+  price: '',
+  stopLoss: '',
+  target: ''
+};
+
+/**
+ * Call the paper trading API - throws with the server's reason on failure
+ */
+const request = async (path, options = {}) => {
+  const response = await fetch(`${API_URL}/api/paper${path}`, {
+    headers: { 'Content-Type': 'application/json' },
+    ...options
+  });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || data.message || 'Request failed');
+  }
+  return data;
+};
+
+const PaperTrading = () => {
+  const navigate = useNavigate();
+  const [account, setAccount] = useState(null);
+  const [orders, setOrders] = useState([]);
+  const [ledger, setLedger] = useState([]);
+  const [ticket, setTicket] = useState(EMPTY_TICKET);
+  const [orderFilter, setOrderFilter] = useState('OPEN');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const fetchAll = useCallback(async () => {
+    try {
+      const status = orderFilter === 'ALL' ? '' : `?status=${orderFilter}`;
+      const [accountData, orderData, ledgerData] = await Promise.all([
+        request('/account'),
+        request(`/orders${status}`),
+        request('/ledger')
+      ]);
+
+      setAccount(accountData.data);
+      setOrders(orderData.data);
+      setLedger(ledgerData.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching paper account:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [orderFilter]);
+
+  useEffect(() => {
+    fetchAll();
+    // Auto-refresh every 30 seconds
+    const interval = setInterval(fetchAll, 30000);
+    return () => clearInterval(interval);
+  }, [fetchAll]);
+
+  const runAction = async (action, successMessage) => {
+    try {
+      setSubmitting(true);
+      const data = await action();
+      setNotice({ type: 'success', text: successMessage || data.message });
+      await fetchAll();
+    } catch (err) {
+      setNotice({ type: 'error', text: err.message });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const placeOrder = (e) => {
+    e.preventDefault();
+
+    const body = {
+      symbol: ticket.symbol,
+      side: ticket.side,
+      type: ticket.type,
+      lots: parseInt(ticket.lots)
+    };
+    if (ticket.type === 'LIMIT') body.limitPrice = parseFloat(ticket.price);
+    if (ticket.type === 'SL') body.triggerPrice = parseFloat(ticket.price);
+    if (ticket.stopLoss) body.stopLoss = parseFloat(ticket.stopLoss);
+    if (ticket.target) body.target = parseFloat(ticket.target);
+
+    runAction(async () => {
+      const data = await request('/orders', { method: 'POST', body: JSON.stringify(body) });
+      const order = data.data;
+      setTicket({ ...EMPTY_TICKET, symbol: ticket.symbol });
+      return {
+        message: order.status === 'FILLED'
+          ? `${order.side} ${order.lots} lot(s) ${order.symbol} filled @ ₹${order.fillPrice.toFixed(2)}`
+          : `${order.side} ${order.lots} lot(s) ${order.symbol} ${order.type} order ${order.status.toLowerCase()}`
+      };
+    });
+  };
+
+  const cancelOrder = (id) => runAction(
+    () => request(`/orders/${id}`, { method: 'DELETE' })
+  );
+
+  const closePosition = (symbol) => runAction(
+    () => request(`/positions/${symbol}/close`, { method: 'POST' })
+  );
+
+  const toggleAutoTrade = () => runAction(
+    () => request('/account/auto-trade', {
+      method: 'PUT',
+      body: JSON.stringify({ enabled: !account.autoTrade.enabled })
+    }),
+    account.autoTrade.enabled ? 'Auto-trade disabled' : 'Auto-trade enabled'
+  );
+
+  const resetAccount = () => {
+    if (!window.confirm('Reset the paper account? Open orders are cancelled and positions dropped.')) return;
+    runAction(() => request('/account/reset', { method: 'POST', body: JSON.stringify({}) }));
+  };
+
+  const formatCurrency = (value) => {
+    if (value === null || value === undefined) return '-';
+    return `₹${value.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  };
+
+  const formatPnL = (value) => {
+    if (value === null || value === undefined) return '-';
+    return `${value >= 0 ? '+' : '-'}${formatCurrency(Math.abs(value))}`;
+  };
+
+  const formatTime = (time) => {
+    if (!time) return '-';
+    return new Date(time).toLocaleString('en-IN', {
+      timeZone: 'Asia/Kolkata',
+      day: 'numeric',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const pnlClass = (value) => (value > 0 ? 'positive' : value < 0 ? 'negative' : '');
+
+  const describeOrderPrice = (order) => {
+    if (order.type === 'LIMIT') return `@ ${order.limitPrice}`;
+    if (order.type === 'SL') return `trigger ${order.triggerPrice}`;
+    return 'market';
+  };
+
+  if (loading && !account) {
+    return (
+      <div className="paper-page">
+        <div className="loading-state">
+          <div className="spinner-large"></div>
+          <p>Loading paper account...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error && !account) {
+    return (
+      <div className="paper-page">
+        <div className="error-state">
+          <span className="error-icon">⚠️</span>
+          <h2>Failed to Load Paper Account</h2>
+          <p>{error}</p>
+          <button onClick={fetchAll} className="retry-btn">
+            Retry
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="paper-page">
+      {/* Header */}
+      <div className="paper-header">
+        <button onClick={() => navigate('/')} className="back-btn">
+          ← Back
+        </button>
+        <h1 className="paper-title">📒 Paper Trading</h1>
+        <button onClick={fetchAll} className="refresh-btn" disabled={submitting}>
+          🔄 Refresh
+        </button>
+      </div>
+
+      {notice && (
+        <div className={`paper-notice ${notice.type}`} onClick={() => setNotice(null)}>
+          {notice.text}
+        </div>
+      )}
+
+      {/* Account Summary */}
+      <div className="paper-summary">
+        <div className="paper-card">
+          <div className="paper-card-label">Equity</div>
+          <div className="paper-card-value">{formatCurrency(account.equity)}</div>
+          <div className={`paper-card-sub ${pnlClass(account.returnPercent)}`}>
+            {account.returnPercent >= 0 ? '+' : ''}{account.returnPercent}% on {formatCurrency(account.initialCapital)}
+          </div>
+        </div>
+        <div className="paper-card">
+          <div className="paper-card-label">Cash</div>
+          <div className="paper-card-value">{formatCurrency(account.cash)}</div>
+          <div className="paper-card-sub">Margin used {formatCurrency(account.marginUsed)}</div>
+        </div>
+        <div className="paper-card">
+          <div className="paper-card-label">Realized P/L</div>
+          <div className={`paper-card-value ${pnlClass(account.realizedPnL)}`}>{formatPnL(account.realizedPnL)}</div>
+          <div className="paper-card-sub">Charges {formatCurrency(account.totalCharges)}</div>
+        </div>
+        <div className="paper-card">
+          <div className="paper-card-label">Unrealized P/L</div>
+          <div className={`paper-card-value ${pnlClass(account.unrealizedPnL)}`}>{formatPnL(account.unrealizedPnL)}</div>
+          <div className="paper-card-sub">{account.positions.length} open position(s)</div>
+        </div>
+      </div>
+
+      <div className="paper-layout">
+        {/* Order Ticket */}
+        <form className="paper-section paper-ticket" onSubmit={placeOrder}>
+          <h2>📝 New Order</h2>
+
+          <div className="ticket-row">
+            <select value={ticket.symbol} onChange={(e) => setTicket({ ...ticket, symbol: e.target.value })}>
+              {SYMBOLS.map(s => (
+                <option key={s.value} value={s.value}>
+                  {s.label} (lot {account.lotSizes?.[s.value]})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="ticket-row side-toggle">
+            {['BUY', 'SELL'].map(side => (
+              <button
+                type="button"
+                key={side}
+                className={`side-btn ${side.toLowerCase()} ${ticket.side === side ? 'active' : ''}`}
+                onClick={() => setTicket({ ...ticket, side })}
+              >
+                {side}
+              </button>
+            ))}
+          </div>
+
+          <div className="ticket-row">
+            <select value={ticket.type} onChange={(e) => setTicket({ ...ticket, type: e.target.value, price: '' })}>
+              <option value="MARKET">Market</option>
+              <option value="LIMIT">Limit</option>
+              <option value="SL">Stop (SL)</option>
+            </select>
+            <input
+              type="number"
+              min="1"
+              step="1"
+              value={ticket.lots}
+              onChange={(e) => setTicket({ ...ticket, lots: e.target.value })}
+              title="Lots"
+            />
+          </div>
+
+          {ticket.type !== 'MARKET' && (
+            <div className="ticket-row">
+              <input
+                type="number"
+                step="0.05"
+                placeholder={ticket.type === 'LIMIT' ? 'Limit price' : 'Trigger price'}
+                value={ticket.price}
+                onChange={(e) => setTicket({ ...ticket, price: e.target.value })}
+                required
+              />
+            </div>
+          )}
+
+          <div className="ticket-row">
+            <input
+              type="number"
+              step="0.05"
+              placeholder="Stop loss (optional)"
+              value={ticket.stopLoss}
+              onChange={(e) => setTicket({ ...ticket, stopLoss: e.target.value })}
+            />
+            <input
+              type="number"
+              step="0.05"
+              placeholder="Target (optional)"
+              value={ticket.target}
+              onChange={(e) => setTicket({ ...ticket, target: e.target.value })}
+            />
+          </div>
+
+          <button type="submit" className={`place-btn ${ticket.side.toLowerCase()}`} disabled={submitting}>
+            {submitting ? '⏳' : ticket.side} {ticket.lots} lot(s) × {account.lotSizes?.[ticket.symbol]}
+          </button>
+
+          <div className="auto-trade">
+            <label>
+              <input type="checkbox" checked={account.autoTrade.enabled} onChange={toggleAutoTrade} disabled={submitting} />
+              Auto-trade signals ({account.autoTrade.lots} lot, ≥ {account.autoTrade.minConfidence}% confidence)
+            </label>
+            <button type="button" className="reset-btn" onClick={resetAccount} disabled={submitting}>
+              Reset account
+            </button>
+          </div>
+        </form>
+
+        {/* Positions */}
+        <div className="paper-section paper-positions">
+          <h2>📌 Open Positions</h2>
+          {account.positions.length === 0 ? (
+            <p className="empty">No open positions</p>
+          ) : (
+            <table className="paper-table">
+              <thead>
+                <tr>
+                  <th>Symbol</th>
+                  <th>Side</th>
+                  <th>Lots</th>
+                  <th>Avg</th>
+                  <th>LTP</th>
+                  <th>Unrealized</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {account.positions.map(position => (
+                  <tr key={position.symbol}>
+                    <td>{position.symbol}</td>
+                    <td className={position.side === 'LONG' ? 'positive' : 'negative'}>{position.side}</td>
+                    <td>{position.lots}</td>
+                    <td>{position.avgPrice.toFixed(2)}</td>
+                    <td>{position.lastPrice.toFixed(2)}</td>
+                    <td className={pnlClass(position.unrealizedPnL)}>{formatPnL(position.unrealizedPnL)}</td>
+                    <td>
+                      <button className="row-btn" onClick={() => closePosition(position.symbol)} disabled={submitting}>
+                        Close
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+
+      {/* Orders */}
+      <div className="paper-section">
+        <div className="section-header">
+          <h2>🧾 Orders</h2>
+          <select value={orderFilter} onChange={(e) => setOrderFilter(e.target.value)}>
+            <option value="OPEN">Open</option>
+            <option value="FILLED">Filled</option>
+            <option value="CANCELLED">Cancelled</option>
+            <option value="REJECTED">Rejected</option>
+            <option value="ALL">All</option>
+          </select>
+        </div>
+        {orders.length === 0 ? (
+          <p className="empty">No orders</p>
+        ) : (
+          <table className="paper-table">
+            <thead>
+              <tr>
+                <th>Placed</th>
+                <th>Symbol</th>
+                <th>Order</th>
+                <th>Status</th>
+                <th>Fill</th>
+                <th>P/L</th>
+                <th>Source</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {orders.map(order => (
+                <tr key={order._id}>
+                  <td>{formatTime(order.createdAt)}</td>
+                  <td>{order.symbol}</td>
+                  <td className={order.side === 'BUY' ? 'positive' : 'negative'}>
+                    {order.side} {order.lots} × {order.type} {describeOrderPrice(order)}
+                  </td>
+                  <td>
+                    <span className={`order-status ${order.status.toLowerCase()}`}>{order.status}</span>
+                  </td>
+                  <td>{order.fillPrice ? `${order.fillPrice.toFixed(2)} · ${formatTime(order.filledAt)}` : '-'}</td>
+                  <td className={pnlClass(order.realizedPnL)}>{order.realizedPnL ? formatPnL(order.realizedPnL) : '-'}</td>
+                  <td title={order.remarks}>{order.source}</td>
+                  <td>
+                    {order.status === 'OPEN' && (
+                      <button className="row-btn" onClick={() => cancelOrder(order._id)} disabled={submitting}>
+                        Cancel
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Daily Ledger */}
+      <div className="paper-section">
+        <h2>📅 Daily Ledger</h2>
+        {ledger.length === 0 ? (
+          <p className="empty">No fills yet</p>
+        ) : (
+          <table className="paper-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Fills</th>
+                <th>Opening Cash</th>
+                <th>Realized</th>
+                <th>Charges</th>
+                <th>Net</th>
+                <th>Closing Cash</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ledger.map(day => (
+                <tr key={day.date}>
+                  <td>{day.date}</td>
+                  <td>{day.fills}</td>
+                  <td>{formatCurrency(day.openingCash)}</td>
+                  <td className={pnlClass(day.realizedPnL)}>{formatPnL(day.realizedPnL)}</td>
+                  <td>{formatCurrency(day.charges)}</td>
+                  <td className={pnlClass(day.netPnL)}>{formatPnL(day.netPnL)}</td>
+                  <td>{formatCurrency(day.closingCash)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PaperTrading;
@@ -1,13 +1,16 @@
 /**
  * Replay Demo Page
- * Live simulation using Feb 13, 2024 historical data
+ * Live simulation over any stored historical session or date range
+ *
+ * Each tab drives its own replay session; open with ?session=<name> to share one
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { io } from 'socket.io-client';
 import './ReplayDemo.css';
 
-const SOCKET_URL = 'http://localhost:3001';
+const SOCKET_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+const SHARED_SESSION = new URLSearchParams(window.location.search).get('session');
 
 function ReplayDemo() {
   const [socket, setSocket] = useState(null);
@@ -15,6 +18,15 @@ function ReplayDemo() {
   const [replayStatus, setReplayStatus] = useState(null);
   const [currentData, setCurrentData] = useState(null);
   const [speed, setSpeed] = useState(1);
+  const [symbol, setSymbol] = useState('NIFTY50');
+  const [sessions, setSessions] = useState([]);
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [loadInfo, setLoadInfo] = useState(null);
+  const [error, setError] = useState(null);
+  const [mode, setMode] = useState('tick');
+  const [barTimeframe, setBarTimeframe] = useState('5m');
+  const [jumpTime, setJumpTime] = useState('');
 
   // Initialize WebSocket connection
   useEffect(() => {
@@ -23,6 +35,7 @@ function ReplayDemo() {
     newSocket.on('connect', () => {
       console.log('Connected to server');
       setIsConnected(true);
+      newSocket.emit('replay-join', { session: SHARED_SESSION });
     });
 
     newSocket.on('disconnect', () => {
@@ -33,6 +46,8 @@ function ReplayDemo() {
     newSocket.on('replay-status', (status) => {
       console.log('Replay status:', status);
       setReplayStatus(status);
+      setMode(status.mode);
+      setBarTimeframe(status.barTimeframe);
     });
 
     newSocket.on('replay-update', (data) => {
@@ -40,6 +55,10 @@ function ReplayDemo() {
       setCurrentData(data);
     });
 
+    newSocket.on('replay-error', (data) => {
+      setError(data.message);
+    });
+
     setSocket(newSocket);
 
     return () => {
@@ -47,25 +66,56 @@ function ReplayDemo() {
     };
   }, []);
 
-  // Load replay data on mount
+  // Sessions available for the selected symbol (newest first)
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await fetch(`${SOCKET_URL}/api/replay/sessions?symbol=${symbol}`);
+      const result = await response.json();
+      const available = result.data || [];
+      setSessions(available);
+
+      if (available.length > 0) {
+        setFromDate(available[0].date);
+        setToDate(available[0].date);
+      } else {
+        setFromDate('');
+        setToDate('');
+      }
+    } catch (err) {
+      console.error('Failed to fetch replay sessions:', err);
+    }
+  }, [symbol]);
+
   useEffect(() => {
     if (isConnected) {
-      loadReplayData();
+      fetchSessions();
     }
-  }, [isConnected]);
+  }, [isConnected, fetchSessions]);
 
-  const loadReplayData = async () => {
-    try {
-      const response = await fetch('http://localhost:3001/api/replay/load', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ symbol: 'NIFTY50' })
-      });
-      const result = await response.json();
-      console.log('Data loaded:', result);
-    } catch (error) {
-      console.error('Failed to load data:', error);
-    }
+  // Loaded through the socket so the data goes into this page's replay session
+  const loadReplayData = () => {
+    if (!socket) return;
+
+    setError(null);
+    socket.emit(
+      'replay-load',
+      { symbol, from: fromDate || undefined, to: toDate || fromDate || undefined },
+      (result) => {
+        if (!result.success) {
+          console.error('Failed to load data:', result);
+          setError(result.error || result.message || 'Failed to load replay data');
+          return;
+        }
+        console.log('Data loaded:', result);
+        setLoadInfo(result);
+        setCurrentData(null);
+      }
+    );
+  };
+
+  const selectSession = (date) => {
+    setFromDate(date);
+    setToDate(date);
   };
 
   const handleStart = () => {
@@ -92,6 +142,33 @@ function ReplayDemo() {
     }
   };
 
+  const handleModeChange = (nextMode, timeframe = barTimeframe) => {
+    if (socket) {
+      setError(null);
+      setCurrentData(null);
+      socket.emit('replay-mode', { mode: nextMode, timeframe });
+    }
+  };
+
+  const handleStep = (direction) => {
+    if (socket) {
+      setError(null);
+      socket.emit('replay-step', { direction }, (result) => {
+        if (!result.success) setError(result.message || result.error);
+      });
+    }
+  };
+
+  // datetime-local has no zone - the picked time is IST market time
+  const handleJump = () => {
+    if (socket && jumpTime) {
+      setError(null);
+      socket.emit('replay-jump', { timestamp: `${jumpTime}:00+05:30` }, (result) => {
+        if (!result.success) setError(result.message || result.error);
+      });
+    }
+  };
+
   const formatPrice = (price) => {
     return price ? `₹${price.toFixed(2)}` : 'N/A';
   };
@@ -102,6 +179,18 @@ function ReplayDemo() {
     return `${sign}${value.toFixed(2)}%`;
   };
 
+  const formatDate = (value) => value
+    ? new Date(value).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', day: 'numeric', month: 'short', year: 'numeric' })
+    : '';
+
+  // Range of the data on the server (this page's load, or whatever is already loaded)
+  const loaded = loadInfo || (replayStatus?.totalTicks > 0 ? replayStatus : null);
+  const rangeLabel = loaded
+    ? `${formatDate(loaded.startTime)}${formatDate(loaded.startTime) !== formatDate(loaded.endTime) ? ` → ${formatDate(loaded.endTime)}` : ''}`
+    : 'No data loaded';
+
+  const sessionDates = sessions.map(session => session.date).sort();
+
   const getActionColor = (action) => {
     if (!action) return '';
     if (action.includes('BUY')) return 'buy';
@@ -115,7 +204,8 @@ function ReplayDemo() {
       <header className="replay-header">
         <div className="header-left">
           <h1>📊 Live Replay Demo</h1>
-          <span className="demo-badge">Feb 13, 2024 Data</span>
+          <span className="demo-badge">{symbol} · {rangeLabel}</span>
+          {SHARED_SESSION && <span className="demo-badge">Session: {SHARED_SESSION}</span>}
         </div>
         <div className="header-right">
           <div className={`connection-status ${isConnected ? 'connected' : 'disconnected'}`}>
@@ -124,8 +214,105 @@ function ReplayDemo() {
         </div>
       </header>
 
+      {/* Session Picker */}
+      <div className="replay-controls session-picker">
+        <div className="picker-field">
+          <label>Symbol</label>
+          <select value={symbol} onChange={(e) => setSymbol(e.target.value)} disabled={replayStatus?.isPlaying}>
+            <option value="NIFTY50">Nifty 50</option>
+            <option value="BANKNIFTY">Bank Nifty</option>
+            <option value="DOWJONES">Dow Jones</option>
+          </select>
+        </div>
+        <div className="picker-field">
+          <label>Session</label>
+          <select
+            value={fromDate === toDate ? fromDate : ''}
+            onChange={(e) => selectSession(e.target.value)}
+            disabled={replayStatus?.isPlaying || sessions.length === 0}
+          >
+            {sessions.length === 0 && <option value="">No stored sessions</option>}
+            {fromDate !== toDate && <option value="">Custom range</option>}
+            {sessions.map((session) => (
+              <option key={session.date} value={session.date}>
+                {session.date} ({session.ticks > 0 ? `${session.ticks} ticks` : `${session.source.replace('chart:', '')} candles`})
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="picker-field">
+          <label>From</label>
+          <input
+            type="date"
+            value={fromDate}
+            min={sessionDates[0]}
+            max={sessionDates[sessionDates.length - 1]}
+            onChange={(e) => setFromDate(e.target.value)}
+            disabled={replayStatus?.isPlaying}
+          />
+        </div>
+        <div className="picker-field">
+          <label>To</label>
+          <input
+            type="date"
+            value={toDate}
+            min={fromDate || sessionDates[0]}
+            max={sessionDates[sessionDates.length - 1]}
+            onChange={(e) => setToDate(e.target.value)}
+            disabled={replayStatus?.isPlaying}
+          />
+        </div>
+        <button
+          onClick={loadReplayData}
+          disabled={replayStatus?.isPlaying || !fromDate}
+          className="btn btn-resume"
+        >
+          📂 Load
+        </button>
+        {error && <div className="replay-error">⚠️ {error}</div>}
+      </div>
+
       {/* Controls */}
       <div className="replay-controls">
+        <div className="mode-control">
+          <div className="picker-field">
+            <label>Mode</label>
+            <select value={mode} onChange={(e) => handleModeChange(e.target.value)} disabled={replayStatus?.isPlaying}>
+              <option value="tick">Tick by tick</option>
+              <option value="candle">Candle by candle</option>
+            </select>
+          </div>
+          {mode === 'candle' && (
+            <div className="picker-field">
+              <label>Bar</label>
+              <select
+                value={barTimeframe}
+                onChange={(e) => handleModeChange('candle', e.target.value)}
+                disabled={replayStatus?.isPlaying}
+              >
+                <option value="1m">1m</option>
+                <option value="5m">5m</option>
+                <option value="15m">15m</option>
+                <option value="30m">30m</option>
+                <option value="1h">1h</option>
+              </select>
+            </div>
+          )}
+          <button onClick={() => handleStep('back')} className="btn btn-step" disabled={!loaded}>
+            ⏮️ Back
+          </button>
+          <button onClick={() => handleStep('forward')} className="btn btn-step" disabled={!loaded}>
+            Forward ⏭️
+          </button>
+          <div className="picker-field">
+            <label>Jump to (IST)</label>
+            <input type="datetime-local" value={jumpTime} onChange={(e) => setJumpTime(e.target.value)} />
+          </div>
+          <button onClick={handleJump} className="btn btn-step" disabled={!loaded || !jumpTime}>
+            ⤵️ Jump
+          </button>
+        </div>
+
         <div className="control-buttons">
           <button
             onClick={handleStart}
@@ -157,7 +344,7 @@ function ReplayDemo() {
         </div>
 
         <div className="speed-control">
-          <label>Speed: {speed}x</label>
+          <label>Speed: {speed}{mode === 'candle' ? ' bars/s' : 'x'}</label>
           <input
             type="range"
             min="0.5"
@@ -173,7 +360,9 @@ function ReplayDemo() {
           <div className="progress-info">
             <div className="progress-text">
               {currentData?.marketTime || 'Not started'} |{' '}
-              Tick {replayStatus.currentIndex} / {replayStatus.totalTicks} |{' '}
+              {mode === 'candle'
+                ? `Bar ${currentData ? currentData.currentIndex + 1 : 0} / ${replayStatus.totalBars}`
+                : `Tick ${replayStatus.currentIndex} / ${replayStatus.totalTicks}`} |{' '}
               {currentData?.progress || 0}%
             </div>
             <div className="progress-bar">
@@ -325,9 +514,11 @@ function ReplayDemo() {
         <div className="waiting-state">
           <div className="waiting-message">
             <h2>🎬 Ready to Start Replay</h2>
-            <p>Click "Start" to begin playing through Feb 13, 2024 market data minute-by-minute</p>
+            <p>Pick a session or date range, click "Load", then "Start" to replay it tick-by-tick</p>
             <p className="info-text">
-              {replayStatus?.totalTicks} minutes of historical data loaded
+              {loadInfo
+                ? `${loadInfo.ticksLoaded} ${loadInfo.source === 'tick' ? 'ticks' : 'candles'} loaded (${rangeLabel})`
+                : `${sessions.length} sessions available`}
             </p>
           </div>
         </div>